@@ -14,18 +14,24 @@ var files = [
   './src/authorize.js',
   './src/cachinglayer.js',
   './src/indexeddb.js',
+  './src/sqlitestorage.js',
+  './src/filesystemstorage.js',
   './src/inmemorystorage.js',
   './src/localstorage.js',
   './src/sync.js',
+  './src/notifications.js',
   './src/access.js',
   './src/caching.js',
   './src/modules.js',
   './src/baseclient.js',
   './src/baseclient/types.js',
+  './src/baseclient/archive.js',
   './src/i18n.js',
   './src/env.js',
   './src/googledrive.js',
-  './src/dropbox.js'
+  './src/dropbox.js',
+  './src/encryption.js',
+  './src/migration.js'
 ];
 
 for (var i = 0, len = files.length; i < len; i += 1) {
@@ -16,8 +16,30 @@
     }, {});
   }
 
-  RemoteStorage.ImpliedAuth = function (storageApi, redirectUri) {
+  // The OAuth state of an account added with RemoteStorage#addAccount
+  // carries the account name, so the token ends up with that account
+  var ACCOUNT_STATE_PREFIX = 'remotestorage-account:';
+
+  function accountState(accountName, state) {
+    return ACCOUNT_STATE_PREFIX + encodeURIComponent(accountName) + (state ? '#' + state : '');
+  }
+
+  function parseState(state) {
+    var match;
+    if (state && state.indexOf(ACCOUNT_STATE_PREFIX) === 0) {
+      match = state.substring(ACCOUNT_STATE_PREFIX.length).match(/^([^#]*)(?:#(.*))?$/);
+      return { accountName: decodeURIComponent(match[1]), state: match[2] };
+    }
+    return { state: state };
+  }
+
+  // Params of the last OAuth redirect, kept until the account they are
+  // meant for has loaded its features
+  var pendingParams;
+
+  RemoteStorage.ImpliedAuth = function (storageApi, redirectUri, remoteStorage) {
     RemoteStorage.log('ImpliedAuth proceeding due to absent authURL; storageApi = ' + storageApi + ' redirectUri = ' + redirectUri);
+    remoteStorage = remoteStorage || global.remoteStorage;
     // Set a fixed access token, signalling to not send it as Bearer
     remoteStorage.remote.configure({
       token: RemoteStorage.Authorize.IMPLIED_FAKE_TOKEN
@@ -28,13 +50,19 @@
   RemoteStorage.Authorize = function (remoteStorage, authURL, scope, redirectUri, clientId) {
     RemoteStorage.log('[Authorize] authURL = ', authURL, 'scope = ', scope, 'redirectUri = ', redirectUri, 'clientId = ', clientId);
 
-    var url = authURL, hashPos = redirectUri.indexOf('#');
+    var url = authURL, hashPos = redirectUri.indexOf('#'), state;
     url += authURL.indexOf('?') > 0 ? '&' : '?';
     url += 'redirect_uri=' + encodeURIComponent(redirectUri.replace(/#.*$/, ''));
     url += '&scope=' + encodeURIComponent(scope);
     url += '&client_id=' + encodeURIComponent(clientId);
     if (hashPos !== - 1 && hashPos+1 !== redirectUri.length) {
-      url += '&state=' + encodeURIComponent(redirectUri.substring(hashPos+1));
+      state = redirectUri.substring(hashPos+1);
+    }
+    if (remoteStorage && remoteStorage.accountName) {
+      state = accountState(remoteStorage.accountName, state);
+    }
+    if (state) {
+      url += '&state=' + encodeURIComponent(state);
     }
     url += '&response_type=token';
 
@@ -142,18 +170,27 @@
   };
 
   RemoteStorage.prototype.impliedauth = function () {
-    RemoteStorage.ImpliedAuth(this.remote.storageApi, String(document.location));
+    RemoteStorage.ImpliedAuth(this.remote.storageApi, String(document.location), this);
   };
 
   RemoteStorage.Authorize._rs_supported = function () {
     return typeof(document) !== 'undefined';
   };
 
-  var onFeaturesLoaded;
   RemoteStorage.Authorize._rs_init = function (remoteStorage) {
 
-    onFeaturesLoaded = function () {
+    remoteStorage._authorizeCb = function () {
       var authParamsUsed = false;
+      var params = pendingParams;
+      var state = params && parseState(params.state);
+
+      if (params && state.accountName !== remoteStorage.accountName) {
+        // For another account
+        params = undefined;
+      } else {
+        pendingParams = undefined;
+      }
+
       if (params) {
         if (params.error) {
           throw "Authorization server errored: " + params.error;
@@ -168,8 +205,8 @@
           remoteStorage.connect(params.remotestorage);
           authParamsUsed = true;
         }
-        if (params.state) {
-          RemoteStorage.Authorize.setLocation('#'+params.state);
+        if (state.state) {
+          RemoteStorage.Authorize.setLocation('#'+state.state);
         }
       }
       if (!authParamsUsed) {
@@ -179,14 +216,15 @@
     var params = extractParams(),
         location;
     if (params) {
+      pendingParams = params;
       location = RemoteStorage.Authorize.getLocation();
       location.hash = '';
     }
-    remoteStorage.on('features-loaded', onFeaturesLoaded);
+    remoteStorage.on('features-loaded', remoteStorage._authorizeCb);
   };
 
   RemoteStorage.Authorize._rs_cleanup = function (remoteStorage) {
-    remoteStorage.removeEventListener('features-loaded', onFeaturesLoaded);
+    remoteStorage.removeEventListener('features-loaded', remoteStorage._authorizeCb);
   };
 
 })(typeof(window) !== 'undefined' ? window : global);
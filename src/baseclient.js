@@ -5,8 +5,135 @@
                 replacement + ' instead.');
   }
 
+  // The operation helpers return either an operation or the reason it was rejected
+  function isOperation(operation) {
+    return !!operation && typeof(operation) === 'object' && typeof(operation.method) === 'string';
+  }
+
   var RS = RemoteStorage;
 
+  var CHUNKED_CONTEXT = 'http://remotestorage.io/spec/chunked-file';
+  var CHUNKS_FOLDER = '.chunks/';
+
+  var toBytes = RS.util.toBytes;
+
+  // 32-bit FNV-1a hash, used to name chunks and to verify them when reading
+  /* jshint ignore:start */
+  function checksum(bytes) {
+    var hash = 0x811c9dc5;
+    for (var i = 0; i < bytes.length; i++) {
+      hash ^= bytes[i];
+      hash += (hash << 1) + (hash << 4) + (hash << 7) + (hash << 8) + (hash << 24);
+    }
+    return ('0000000' + (hash >>> 0).toString(16)).slice(-8);
+  }
+  /* jshint ignore:end */
+
+  function chunkFolder(path) {
+    return RS.util.containingFolder(path) + CHUNKS_FOLDER + RS.util.baseName(path) + '/';
+  }
+
+  // Returns a copy of the listing without the folder holding the chunks of
+  // its files, or the listing itself if there is none
+  function withoutChunks(listing) {
+    if (typeof(listing) !== 'object' || listing === null || !listing.hasOwnProperty(CHUNKS_FOLDER)) {
+      return listing;
+    }
+    var result = {};
+    Object.keys(listing).forEach(function (key) {
+      if (key !== CHUNKS_FOLDER) {
+        result[key] = listing[key];
+      }
+    });
+    return result;
+  }
+
+  // Calls onProgress with the progress of the remote requests made for the
+  // file at the given path, until stopped. Once the file turns out to be
+  // stored in chunks, the requests for its chunks are counted instead.
+  function trackProgress(storage, path, method, onProgress) {
+    var remote = storage.remote;
+    var folder = chunkFolder(path);
+    var loaded = {};
+    var chunked = false;
+    var done = 0;
+    var total;
+
+    function onWireProgress(event) {
+      var direction = method === 'GET' ? 'download' : 'upload';
+      if (event.method !== method || event.direction !== direction ||
+          (chunked ? event.path.indexOf(folder) !== 0 : event.path !== path)) {
+        return;
+      }
+      loaded[event.path] = event.loaded;
+      onProgress({
+        path: path,
+        method: method,
+        loaded: Object.keys(loaded).reduce(function (sum, key) {
+          return sum + loaded[key];
+        }, done),
+        total: chunked ? total : event.total
+      });
+    }
+
+    var listening = typeof(onProgress) === 'function' &&
+                    typeof(remote) === 'object' && typeof(remote.on) === 'function';
+    if (listening) {
+      remote.on('wire-progress', onWireProgress);
+    }
+
+    return {
+      // Switches to counting chunk requests, of which `alreadyDone` bytes
+      // don't need to be transferred
+      chunks: function (size, alreadyDone) {
+        chunked = true;
+        total = size;
+        done = alreadyDone || 0;
+        loaded = {};
+      },
+
+      stop: function () {
+        if (listening) {
+          remote.removeEventListener('wire-progress', onWireProgress);
+          listening = false;
+        }
+      }
+    };
+  }
+
+  // Stops the tracker once the promise is settled
+  function untilSettled(promise, progress) {
+    return promise.then(function (result) {
+      progress.stop();
+      return result;
+    }, function (error) {
+      progress.stop();
+      return Promise.reject(error);
+    });
+  }
+
+  function chunkNames(manifest) {
+    return manifest.chunks.map(function (chunk) { return chunk.name; });
+  }
+
+  function parseManifest(body) {
+    var manifest = body;
+    if (typeof(body) === 'string') {
+      if (body.indexOf(CHUNKED_CONTEXT) === -1) {
+        return;
+      }
+      try {
+        manifest = JSON.parse(body);
+      } catch(e) {
+        return;
+      }
+    }
+    if (typeof(manifest) === 'object' && manifest !== null &&
+        manifest['@context'] === CHUNKED_CONTEXT) {
+      return manifest;
+    }
+  }
+
   /**
    * Class: RemoteStorage.BaseClient
    *
@@ -198,7 +325,8 @@
      *   data from the local store.
      *
      *   Keys ending in a forward slash represent *folder nodes*, while all
-     *   other keys represent *data nodes*.
+     *   other keys represent *data nodes*. The hidden folder holding the
+     *   chunks of large files (see <storeFile>) is left out.
      *
      *   For spec versions <= 01, the data node information will contain only
      *   the item's ETag. For later spec versions, it will also contain the
@@ -223,7 +351,7 @@
       }
       return this.storage.get(this.makePath(path), maxAge).then(
         function (r) {
-          return (r.statusCode === 404) ? {} : r.body;
+          return (r.statusCode === 404) ? {} : withoutChunks(r.body);
         }
       );
     },
@@ -268,7 +396,8 @@
       return this.storage.get(this.makePath(path), maxAge).then(function (r) {
         if (r.statusCode === 404) { return {}; }
         if (typeof(r.body) === 'object') {
-          var keys = Object.keys(r.body);
+          var listing = withoutChunks(r.body);
+          var keys = Object.keys(listing);
           if (keys.length === 0) {
             // treat this like 404. it probably means a folder listing that
             // has changes that haven't been pushed out yet.
@@ -285,17 +414,126 @@
                   }
                 }
                 if (typeof(o.body) === 'object') {
-                  r.body[key] = o.body;
+                  listing[key] = o.body;
                 }
               });
           }.bind(this));
           return Promise.all(calls).then(function () {
-            return r.body;
+            return listing;
           });
         }
       }.bind(this));
     },
 
+    /**
+     * Method: query
+     *
+     * Get the objects directly below a given path that match some criteria,
+     * filtered and sorted by the local store instead of loading all of them
+     * with <getAll>.
+     *
+     * Parameters:
+     *   path    - Path to the folder.
+     *   options - (optional) Object with the following properties:
+     *               where  - Function that is called with each object and
+     *                        returns whether it matches, or an object mapping
+     *                        property names to the values (or predicate
+     *                        functions) that matching objects must have
+     *               sort   - Property name to sort by, prefixed with '-' for
+     *                        descending order, or a compare function
+     *               offset - Number of matching objects to skip
+     *               limit  - Maximum number of objects to return
+     *   maxAge  - Either false or the maximum age of cached objects in
+     *             milliseconds, like for <getAll>.
+     *
+     * Returns:
+     *   A promise for an array of the matching objects. Documents that are not
+     *   JSON objects are skipped.
+     *
+     * Example:
+     *   (start code)
+     *   client.query('', {
+     *     where: { done: false, priority: function (p) { return p > 2; } },
+     *     sort: '-createdAt',
+     *     limit: 10
+     *   }).then(function (todos) {
+     *     // up to 10 open todos with a priority above 2, newest first
+     *   });
+     *   (end code)
+     */
+    query: function (path, options, maxAge) {
+      if (typeof(path) !== 'string') {
+        path = '';
+      } else if (path.length > 0 && path[path.length - 1] !== '/') {
+        return Promise.reject("Not a folder: " + path);
+      }
+      if (!this.storage.local) {
+        return Promise.reject('Queries require a local store');
+      }
+
+      var folderPath = this.makePath(path);
+      var remote = this.storage.remote;
+
+      // Refresh the folder listing first, as getAll does
+      return this.storage.get(folderPath, maxAge).then(function () {
+        return this.storage.local.query(folderPath, options);
+      }.bind(this)).then(function (result) {
+        if (result.outdated.length === 0 || maxAge === false ||
+            !(remote && remote.connected && remote.online)) {
+          return result.objects;
+        }
+
+        // Fetch the documents that changed remotely, then query again
+        return Promise.all(result.outdated.map(function (itemPath) {
+          return this.storage.get(itemPath, maxAge);
+        }.bind(this))).then(function () {
+          return this.storage.local.query(folderPath, options);
+        }.bind(this)).then(function (result) {
+          return result.objects;
+        });
+      }.bind(this));
+    },
+
+    /**
+     * Method: observe
+     *
+     * Start a live query: like <query>, but the results are kept up to date
+     * whenever local, window, remote or conflict changes touch the folder.
+     *
+     * Parameters:
+     *   path    - Path to the folder.
+     *   options - (optional) Query options, see <query>.
+     *
+     * Returns:
+     *   A <RemoteStorage.BaseClient.Subscription>. It emits a 'results' event
+     *   with the current results once the features are loaded, and a 'diff'
+     *   event for every change to them afterwards.
+     *
+     * Example:
+     *   (start code)
+     *   var subscription = client.observe('todos/', { where: { done: false } });
+     *
+     *   subscription.on('results', function (todos) {
+     *     renderAll(todos);
+     *   });
+     *   subscription.on('diff', function (diff) {
+     *     // diff.added, diff.updated and diff.removed map paths relative to
+     *     // the client to objects; diff.results holds all current results
+     *   });
+     *
+     *   // later:
+     *   subscription.unsubscribe();
+     *   (end code)
+     */
+    observe: function (path, options) {
+      if (typeof(path) !== 'string') {
+        path = '';
+      } else if (path.length > 0 && path[path.length - 1] !== '/') {
+        throw "Not a folder: " + path;
+      }
+      return new RS.BaseClient.Subscription(this, path, options);
+    },
+
     // file operations
 
     /**
@@ -312,6 +550,10 @@
      *   maxAge - Either false or the maximum age of cached file in
      *            milliseconds. Defaults to false in anonymous mode and to
      *            2*syncInterval in connected mode.
+     *   onProgress - (optional) Function that is called with an object of the
+     *                form `{ path, method, loaded, total }` while the file is
+     *                downloaded from the remote. It is not called when the
+     *                file is served from the local store.
      *
      * Returns:
      *   A promise for an object:
@@ -333,17 +575,31 @@
      *   });
      *   (end code)
      */
-    getFile: function (path, maxAge) {
+    getFile: function (path, maxAge, onProgress) {
       if (typeof(path) !== 'string') {
         return Promise.reject('Argument \'path\' of baseClient.getFile must be a string');
       }
-      return this.storage.get(this.makePath(path), maxAge).then(function (r) {
+      var self = this;
+      var progress = trackProgress(this.storage, this.makePath(path), 'GET', onProgress);
+      return untilSettled(this.storage.get(this.makePath(path), maxAge).then(function (r) {
+        var manifest = parseManifest(r.body);
+        if (manifest) {
+          self._knownChunks()[self.makePath(path)] = chunkNames(manifest);
+          progress.chunks(manifest.size);
+          return self._getChunks(self.makePath(path), manifest, maxAge).then(function (data) {
+            return {
+              data: data,
+              contentType: manifest.contentType,
+              revision: r.revision
+            };
+          });
+        }
         return {
           data: r.body,
           contentType: r.contentType,
           revision: r.revision // (this is new)
         };
-      });
+      }), progress);
     },
 
     /**
@@ -355,6 +611,11 @@
      *   mimeType - MIME media type of the data being stored
      *   path     - path relative to the module root. MAY NOT end in a forward slash.
      *   data     - string, ArrayBuffer or ArrayBufferView of raw data to store
+     *   onProgress - (optional) Function that is called with an object of the
+     *                form `{ path, method, loaded, total }` while the data is
+     *                uploaded to the remote. When the data is written to the
+     *                local store, it is uploaded later on by sync, and this
+     *                function is not called.
      *
      * The given mimeType will later be returned, when retrieving the data
      * using <getFile>.
@@ -380,28 +641,214 @@
      *   fileReader.readAsArrayBuffer(file);
      *   (end code)
      *
+     * Binary data larger than `RemoteStorage.config.chunkSize` bytes (512 KiB
+     * by default) is split into chunks, which are stored as separate documents
+     * in the hidden folder `.chunks/<filename>/` next to the file. The file
+     * itself then holds a small JSON manifest listing the chunks, which is
+     * written last. <getFile> reassembles such files transparently.
+     *
+     * Chunks are named after their position and checksum, so storing the same
+     * data again after an interrupted upload only sends the chunks that are
+     * still missing. Chunks that are no longer needed are removed after the
+     * manifest has been stored, or after the file has been overwritten or
+     * removed. Without a local store, the latter only works for files whose
+     * manifest has been stored or read since the page was loaded; the chunks
+     * of other files are left behind.
      */
-    storeFile: function (mimeType, path, body) {
-      if (typeof(mimeType) !== 'string') {
-        return Promise.reject('Argument \'mimeType\' of baseClient.storeFile must be a string');
+    storeFile: function (mimeType, path, body, onProgress) {
+      var operation = this._fileOperation(mimeType, path, body);
+      if (!isOperation(operation)) {
+        return Promise.reject(operation);
       }
-      if (typeof(path) !== 'string') {
-        return Promise.reject('Argument \'path\' of baseClient.storeFile must be a string');
-      }
-      if (typeof(body) !== 'string' && typeof(body) !== 'object') {
-        return Promise.reject('Argument \'body\' of baseClient.storeFile must be a string, ArrayBuffer, or ArrayBufferView');
-      }
-      if (!this.storage.access.checkPathPermission(this.makePath(path), 'rw')) {
-        console.warn('WARNING: Editing a document to which only read access (\'r\') was claimed');
+
+      var progress = trackProgress(this.storage, operation.path, 'PUT', onProgress);
+      var bytes = toBytes(operation.body);
+      if (bytes && RS.config.chunkSize && bytes.length > RS.config.chunkSize) {
+        return untilSettled(this._storeChunks(operation, bytes, RS.config.chunkSize, progress), progress);
       }
 
-      return this.storage.put(this.makePath(path), body, mimeType).then(function (r) {
+      return untilSettled(this._replacing(operation.path, function () {
+        return this.storage.put(operation.path, operation.body, operation.contentType);
+      }.bind(this)).then(function (r) {
         if (r.statusCode === 200 || r.statusCode === 201) {
           return r.revision;
         } else {
           return Promise.reject("Request (PUT " + this.makePath(path) + ") failed with status: " + r.statusCode);
         }
-      }.bind(this));
+      }.bind(this)), progress);
+    },
+
+    // Stores the chunks that are missing remotely, then the manifest
+    _storeChunks: function (operation, bytes, chunkSize, progress) {
+      var self = this;
+      var folder = chunkFolder(operation.path);
+      var chunks = [];
+
+      for (var offset = 0; offset < bytes.length; offset += chunkSize) {
+        var data = bytes.buffer.slice(bytes.byteOffset + offset,
+                                      bytes.byteOffset + Math.min(offset + chunkSize, bytes.length));
+        var hash = checksum(new Uint8Array(data));
+        chunks.push({
+          name: chunks.length + '-' + hash,
+          size: data.byteLength,
+          hash: hash,
+          data: data
+        });
+      }
+
+      var manifest = {
+        '@context': CHUNKED_CONTEXT,
+        contentType: operation.contentType,
+        size: bytes.length,
+        chunks: chunks.map(function (chunk) {
+          return { name: chunk.name, size: chunk.size, hash: chunk.hash };
+        })
+      };
+
+      var existing;
+
+      return this._chunkNames(folder).then(function (names) {
+        existing = names;
+        var missing = chunks.filter(function (chunk) {
+          return existing.indexOf(chunk.name) === -1;
+        });
+        progress.chunks(bytes.length, bytes.length - missing.reduce(function (sum, chunk) {
+          return sum + chunk.size;
+        }, 0));
+        var puts = missing.map(function (chunk) {
+          return {
+            method: 'put',
+            path: folder + chunk.name,
+            body: chunk.data,
+            contentType: 'application/octet-stream'
+          };
+        });
+        return puts.length > 0 ? self.storage.batch(puts) : { statusCode: 200 };
+      }).then(function (r) {
+        if (r.statusCode !== 200) {
+          return Promise.reject("Storing chunks of " + operation.path + " failed with status: " + r.statusCode);
+        }
+        return self.storage.put(operation.path, JSON.stringify(manifest), 'application/json; charset=UTF-8');
+      }).then(function (r) {
+        if (r.statusCode !== 200 && r.statusCode !== 201) {
+          return Promise.reject("Request (PUT " + operation.path + ") failed with status: " + r.statusCode);
+        }
+        var unused = existing.filter(function (name) {
+          return !manifest.chunks.some(function (chunk) { return chunk.name === name; });
+        });
+        self._knownChunks()[operation.path] = chunkNames(manifest);
+        return self._removeChunks(operation.path, unused).then(function () {
+          return r.revision;
+        });
+      });
+    },
+
+    // Fetches and verifies the chunks listed in a manifest, resolving with
+    // their concatenation
+    _getChunks: function (path, manifest, maxAge) {
+      var self = this;
+      var folder = chunkFolder(path);
+      var bytes = new Uint8Array(manifest.size);
+      var offset = 0;
+
+      return manifest.chunks.reduce(function (promise, chunk, index) {
+        return promise.then(function () {
+          return self.storage.get(folder + chunk.name, maxAge);
+        }).then(function (r) {
+          var data = toBytes(r.body);
+          if (r.statusCode !== 200 || !data) {
+            return Promise.reject("Chunk " + index + " of " + path + " is missing");
+          }
+          if (data.length !== chunk.size || checksum(data) !== chunk.hash ||
+              offset + data.length > bytes.length) {
+            return Promise.reject("Chunk " + index + " of " + path + " is corrupted");
+          }
+          bytes.set(data, offset);
+          offset += data.length;
+        });
+      }, Promise.resolve()).then(function () {
+        return bytes.buffer;
+      });
+    },
+
+    // Calls write, which overwrites or deletes the document at the given
+    // path, and removes the chunks of the file previously stored there, if
+    // any, once write has succeeded. Resolves with the result of write.
+    _replacing: function (path, write) {
+      var self = this;
+
+      return this._chunksOf(path).then(function (names) {
+        return write().then(function (r) {
+          if (names.length === 0 || (r.statusCode !== 200 && r.statusCode !== 201)) {
+            return r;
+          }
+          delete self._knownChunks()[path];
+          return self._removeChunks(path, names).then(function () {
+            return r;
+          });
+        });
+      });
+    },
+
+    // Resolves with the names of the chunks of the file at the given path,
+    // or an empty array if it isn't known to be stored in chunks. With a
+    // local store, this is read from the cached manifest. Without one,
+    // nothing is requested before a write, so only the files whose manifest
+    // was stored or read by this instance are known. A failure only leaves
+    // unused chunks behind, so it is logged instead of failing the operation
+    // that triggered it.
+    _chunksOf: function (path) {
+      var self = this;
+
+      if (!this.storage.local) {
+        return Promise.resolve(this._knownChunks()[path] || []);
+      }
+      return Promise.resolve().then(function () {
+        return self.storage.get(path, false);
+      }).then(function (r) {
+        var manifest = parseManifest(r.body);
+        return manifest ? chunkNames(manifest) : [];
+      }).then(undefined, function (error) {
+        RS.log('[BaseClient] Failed to look up the chunks of ' + path, error);
+        return [];
+      });
+    },
+
+    // Chunk names of the files stored in chunks, by path, as far as this
+    // instance has seen their manifests
+    _knownChunks: function () {
+      if (!this.storage._chunkedFiles) {
+        this.storage._chunkedFiles = {};
+      }
+      return this.storage._chunkedFiles;
+    },
+
+    // Removes the given chunks of the file at the given path. A failure only
+    // leaves unused chunks behind, so it is logged instead of failing the
+    // operation that triggered it.
+    _removeChunks: function (path, names) {
+      var folder = chunkFolder(path);
+
+      if (names.length === 0) {
+        return Promise.resolve();
+      }
+      return this.storage.batch(names.map(function (name) {
+        return { method: 'delete', path: folder + name };
+      })).then(undefined, function (error) {
+        RS.log('[BaseClient] Failed to remove unused chunks of ' + path, error);
+      });
+    },
+
+    // Lists the chunk documents in the given folder (locally, if cached)
+    _chunkNames: function (folder) {
+      return this.storage.get(folder, false).then(function (r) {
+        if (r.statusCode !== 200 || typeof(r.body) !== 'object' || r.body === null) {
+          return [];
+        }
+        return Object.keys(r.body).filter(function (name) {
+          return r.body[name] !== false && RS.util.isDocument(name);
+        });
+      });
     },
 
     // object operations
@@ -492,28 +939,14 @@
      *   See <declareType> for examples.
      */
     storeObject: function (typeAlias, path, object) {
-      if (typeof(typeAlias) !== 'string') {
-        return Promise.reject('Argument \'typeAlias\' of baseClient.storeObject must be a string');
-      }
-      if (typeof(path) !== 'string') {
-        return Promise.reject('Argument \'path\' of baseClient.storeObject must be a string');
-      }
-      if (typeof(object) !== 'object') {
-        return Promise.reject('Argument \'object\' of baseClient.storeObject must be an object');
+      var operation = this._objectOperation(typeAlias, path, object);
+      if (!isOperation(operation)) {
+        return Promise.reject(operation);
       }
 
-      this._attachType(object, typeAlias);
-
-      try {
-        var validationResult = this.validate(object);
-        if (! validationResult.valid) {
-          return Promise.reject(validationResult);
-        }
-      } catch(exc) {
-        return Promise.reject(exc);
-      }
-
-      return this.storage.put(this.makePath(path), JSON.stringify(object), 'application/json; charset=UTF-8').then(function (r) {
+      return this._replacing(operation.path, function () {
+        return this.storage.put(operation.path, operation.body, operation.contentType);
+      }.bind(this)).then(function (r) {
         if (r.statusCode === 200 || r.statusCode === 201) {
           return r.revision;
         } else {
@@ -529,6 +962,9 @@
      *
      * Remove node at given path from storage. Triggers synchronization.
      *
+     * The chunks of a file that was stored in chunks (see <storeFile>) are
+     * removed as well.
+     *
      * Parameters:
      *   path     - Path relative to the module root.
      */
@@ -540,10 +976,163 @@
         console.warn('WARNING: Removing a document to which only read access (\'r\') was claimed');
       }
 
-      return this.storage.delete(this.makePath(path));
+      return this._replacing(this.makePath(path), function () {
+        return this.storage.delete(this.makePath(path));
+      }.bind(this));
     },
 
 
+    /**
+     * Method: batch
+     *
+     * Store and remove several documents at once. The given function is
+     * called with a batch object offering <storeObject>, <storeFile> and
+     * <remove>; their calls are collected and then committed to the local
+     * store together, so either all of them are applied or none. Change
+     * events are only emitted after the whole batch has been committed.
+     *
+     * Parameters:
+     *   fn - Function that is called with the batch object. It may return a
+     *        promise, in which case the batch is committed once it is
+     *        fulfilled.
+     *
+     * Files stored with the batch's storeFile are never split into chunks,
+     * as all operations are committed in one go. Store large binary files
+     * with <storeFile> itself instead.
+     *
+     * Returns:
+     *   A promise that is fulfilled once the batch has been committed. It is
+     *   rejected without storing anything if one of the operations is
+     *   invalid, e.g. fails validation.
+     *
+     * Example:
+     *   (start code)
+     *   client.batch(function (batch) {
+     *     batch.storeObject('note', 'notes/' + id, note);
+     *     batch.storeObject('index', 'index', index);
+     *     batch.remove('drafts/' + id);
+     *   });
+     *   (end code)
+     */
+    batch: function (fn) {
+      if (typeof(fn) !== 'function') {
+        return Promise.reject('Argument \'fn\' of baseClient.batch must be a function');
+      }
+      var self = this;
+      var operations = [];
+      var error;
+
+      function add(operation) {
+        if (error !== undefined) {
+          return;
+        }
+        if (isOperation(operation)) {
+          operations.push(operation);
+        } else {
+          error = operation;
+        }
+      }
+
+      var batch = {
+        storeObject: function (typeAlias, path, object) {
+          add(self._objectOperation(typeAlias, path, object));
+          return batch;
+        },
+        storeFile: function (mimeType, path, body) {
+          add(self._fileOperation(mimeType, path, body));
+          return batch;
+        },
+        remove: function (path) {
+          if (typeof(path) !== 'string') {
+            add('Argument \'path\' of baseClient.remove must be a string');
+          } else {
+            if (!self.storage.access.checkPathPermission(self.makePath(path), 'rw')) {
+              console.warn('WARNING: Removing a document to which only read access (\'r\') was claimed');
+            }
+            add({ method: 'delete', path: self.makePath(path) });
+          }
+          return batch;
+        }
+      };
+
+      return Promise.resolve(fn(batch)).then(function () {
+        if (error !== undefined) {
+          return Promise.reject(error);
+        }
+        if (operations.length === 0) {
+          return;
+        }
+        var chunks;
+        return Promise.all(operations.map(function (operation) {
+          return self._chunksOf(operation.path);
+        })).then(function (names) {
+          chunks = names;
+          return self.storage.batch(operations);
+        }).then(function (r) {
+          if (r.statusCode !== 200) {
+            return Promise.reject("Batch request failed with status: " + r.statusCode);
+          }
+          return Promise.all(operations.map(function (operation, index) {
+            return self._removeChunks(operation.path, chunks[index]);
+          }));
+        }).then(function () {});
+      });
+    },
+
+    // Returns the put operation for storeObject, or the reason for rejecting it
+    _objectOperation: function (typeAlias, path, object) {
+      if (typeof(typeAlias) !== 'string') {
+        return 'Argument \'typeAlias\' of baseClient.storeObject must be a string';
+      }
+      if (typeof(path) !== 'string') {
+        return 'Argument \'path\' of baseClient.storeObject must be a string';
+      }
+      if (typeof(object) !== 'object') {
+        return 'Argument \'object\' of baseClient.storeObject must be an object';
+      }
+
+      this._attachType(object, typeAlias);
+
+      try {
+        var validationResult = this.validate(object);
+        if (! validationResult.valid) {
+          return validationResult;
+        }
+      } catch(exc) {
+        return exc;
+      }
+
+      return {
+        method: 'put',
+        path: this.makePath(path),
+        body: JSON.stringify(object),
+        contentType: 'application/json; charset=UTF-8'
+      };
+    },
+
+    // Returns the put operation for storeFile, or the reason for rejecting it
+    _fileOperation: function (mimeType, path, body) {
+      if (typeof(mimeType) !== 'string') {
+        return 'Argument \'mimeType\' of baseClient.storeFile must be a string';
+      }
+      if (typeof(path) !== 'string') {
+        return 'Argument \'path\' of baseClient.storeFile must be a string';
+      }
+      if (typeof(body) !== 'string' && typeof(body) !== 'object') {
+        return 'Argument \'body\' of baseClient.storeFile must be a string, ArrayBuffer, or ArrayBufferView';
+      }
+      if (!this.storage.access.checkPathPermission(this.makePath(path), 'rw')) {
+        console.warn('WARNING: Editing a document to which only read access (\'r\') was claimed');
+      }
+
+      return {
+        method: 'put',
+        path: this.makePath(path),
+        body: body,
+        contentType: mimeType
+      };
+    },
+
     cache: function (path, strategy) {
       if (typeof(path) !== 'string') {
         throw 'Argument \'path\' of baseClient.cache must be a string';
@@ -567,6 +1156,112 @@
       return this;
     },
 
+    /**
+     * Method: setConflictResolver
+     *
+     * Choose how sync conflicts are resolved for documents under the given
+     * path. See <RemoteStorage.setConflictResolver> for the available
+     * strategies and the signature of resolver functions.
+     *
+     * Parameters:
+     *   path     - Path relative to the module root. Use '' for the whole module.
+     *   resolver - 'json-merge', 'remote-wins', 'local-wins', 'last-timestamp-wins',
+     *              or a function
+     *
+     * Example:
+     *   (start code)
+     *   client.setConflictResolver('', 'local-wins');
+     *   (end code)
+     */
+    setConflictResolver: function (path, resolver) {
+      if (typeof(path) !== 'string') {
+        throw 'Argument \'path\' of baseClient.setConflictResolver must be a string';
+      }
+      this.storage.setConflictResolver(this.makePath(path), resolver);
+      return this;
+    },
+
+    /**
+     * Method: keepHistory
+     *
+     * Keep previous versions of the documents below the given path in the
+     * local store, so they can be retrieved with <getHistory> and restored
+     * with <restoreVersion>. This includes local changes that were lost in a
+     * sync conflict.
+     *
+     * Parameters:
+     *   path  - Folder path relative to the module root. Use '' for the whole module.
+     *   depth - Number of previous versions to keep per document, 0 to disable
+     *
+     * Example:
+     *   (start code)
+     *   client.keepHistory('notes/', 10);
+     *   (end code)
+     */
+    keepHistory: function (path, depth) {
+      if (typeof(path) !== 'string') {
+        throw 'Argument \'path\' of baseClient.keepHistory must be a string';
+      }
+      this.storage.caching.setHistoryDepth(this.makePath(path), depth);
+      return this;
+    },
+
+    /**
+     * Method: getHistory
+     *
+     * Get the previous versions of a document, most recent first. Only
+     * available for paths configured with <keepHistory>.
+     *
+     * Parameters:
+     *   path - Path relative to the module root.
+     *
+     * Returns:
+     *   A promise for an array of objects with `revision`, `timestamp`,
+     *   `body` and `contentType`. Versions that were never synced have a
+     *   local revision of the form 'local-<timestamp>'.
+     */
+    getHistory: function (path) {
+      if (typeof(path) !== 'string') {
+        return Promise.reject('Argument \'path\' of baseClient.getHistory must be a string');
+      }
+      if (!this.storage.local) {
+        return Promise.reject('Version history requires a local store');
+      }
+      return this.storage.local.getHistory(this.makePath(path));
+    },
+
+    /**
+     * Method: restoreVersion
+     *
+     * Write a previous version of a document back as a new local change.
+     *
+     * Parameters:
+     *   path     - Path relative to the module root.
+     *   revision - Revision of the version to restore, as returned by <getHistory>
+     *
+     * Example:
+     *   (start code)
+     *   client.getHistory('notes/groceries').then(function (versions) {
+     *     return client.restoreVersion('notes/groceries', versions[0].revision);
+     *   });
+     *   (end code)
+     */
+    restoreVersion: function (path, revision) {
+      return this.getHistory(path).then(function (versions) {
+        var version;
+        for (var i = 0; i < versions.length; i++) {
+          if (versions[i].revision === revision) {
+            version = versions[i];
+            break;
+          }
+        }
+        if (!version) {
+          return Promise.reject("No version " + revision + " in the history of " + this.makePath(path));
+        }
+        return this.storeFile(version.contentType, path, version.body);
+      }.bind(this));
+    },
+
     flush: function (path) {
       return this.storage.local.flush(path);
     },
@@ -620,6 +1315,179 @@
 
   };
 
+  /**
+   * Class: RemoteStorage.BaseClient.Subscription
+   *
+   * A live query, created by <RemoteStorage.BaseClient.observe>.
+   *
+   * Events:
+   *   results - The current results (an array of objects), emitted once
+   *             the subscription has been set up
+   *   diff    - Emitted when the results changed, with an object containing
+   *             `added`, `updated` and `removed` (each mapping paths relative
+   *             to the client to objects; removed objects have their last
+   *             known value) and `results`, the array of all current results
+   *   error   - Emitted when the results could not be updated
+   **/
+  RS.BaseClient.Subscription = function (client, path, options) {
+    RS.eventHandling(this, 'results', 'diff', 'error');
+
+    this.client = client;
+    this.path = client.makePath(path);
+    this.options = options || {};
+    this.results = undefined;
+    this._objects = undefined;
+    this._order = undefined;
+    this._refreshing = false;
+    this._refreshAgain = false;
+
+    this._local = undefined;
+
+    this._onChange = function (event) {
+      // Only documents directly in the folder can be part of the results
+      if (event.relativePath.indexOf('/') === -1) {
+        this.refresh();
+      }
+    }.bind(this);
+    // Window changes are only emitted as change events if enabled in the
+    // config, but local writes always emit pending-changes
+    this._onPendingChanges = function (paths) {
+      if (!paths || paths.some(this._inFolder, this)) {
+        this.refresh();
+      }
+    }.bind(this);
+    // The local store only exists once the features are loaded (again, after
+    // a disconnect). Handlers for features-loaded are called asynchronously,
+    // so the first results and errors reach listeners added after observe()
+    this._onFeaturesLoaded = function () {
+      if (this._stopped) {
+        return;
+      }
+      this._listenToLocal();
+      this.refresh();
+    }.bind(this);
+
+    client.storage.onChange(this.path, this._onChange);
+    client.storage.on('features-loaded', this._onFeaturesLoaded);
+  };
+
+  RS.BaseClient.Subscription.prototype = {
+    /**
+     * Method: refresh
+     *
+     * Run the query again and emit the differences to the previous results.
+     * Called automatically on changes.
+     */
+    refresh: function () {
+      if (this._stopped) {
+        return;
+      }
+      if (this._refreshing) {
+        this._refreshAgain = true;
+        return;
+      }
+      if (!this.client.storage.local) {
+        this._emit('error', 'Queries require a local store');
+        return;
+      }
+      this._refreshing = true;
+
+      this.client.storage.local.query(this.path, this.options).then(function (result) {
+        this._update(result);
+      }.bind(this), function (error) {
+        this._emit('error', error);
+      }.bind(this)).then(function () {
+        this._refreshing = false;
+        if (this._refreshAgain) {
+          this._refreshAgain = false;
+          this.refresh();
+        }
+      }.bind(this));
+    },
+
+    /**
+     * Method: unsubscribe
+     *
+     * Stop observing changes.
+     */
+    unsubscribe: function () {
+      this._stopped = true;
+      this.client.storage.removeChangeHandler(this.path, this._onChange);
+      this.client.storage.removeEventListener('features-loaded', this._onFeaturesLoaded);
+      if (this._local) {
+        this._local.removeEventListener('pending-changes', this._onPendingChanges);
+        this._local = undefined;
+      }
+    },
+
+    _listenToLocal: function () {
+      var local = this.client.storage.local;
+      if (local === this._local) {
+        return;
+      }
+      if (this._local) {
+        this._local.removeEventListener('pending-changes', this._onPendingChanges);
+      }
+      this._local = local;
+      if (local) {
+        local.on('pending-changes', this._onPendingChanges);
+      }
+    },
+
+    _inFolder: function (path) {
+      return path.indexOf(this.path) === 0 &&
+             path.substr(this.path.length).indexOf('/') === -1;
+    },
+
+    _update: function (result) {
+      if (this._stopped) {
+        return;
+      }
+      var objects = {};
+      var baseLength = this.client.base.length;
+      var order = result.paths.map(function (path, i) {
+        var key = path.substring(baseLength);
+        objects[key] = result.objects[i];
+        return key;
+      });
+
+      var previous = this._objects;
+      var previousOrder = this._order;
+      this._objects = objects;
+      this._order = order;
+      this.results = result.objects;
+
+      if (!previous) {
+        this._emit('results', this.results);
+        return;
+      }
+
+      var diff = { added: {}, updated: {}, removed: {}, results: this.results };
+      var changed = !RS.util.equal(order, previousOrder);
+      var key;
+
+      for (key in objects) {
+        if (!previous.hasOwnProperty(key)) {
+          diff.added[key] = objects[key];
+          changed = true;
+        } else if (!RS.util.equal(previous[key], objects[key])) {
+          diff.updated[key] = objects[key];
+          changed = true;
+        }
+      }
+      for (key in previous) {
+        if (!objects.hasOwnProperty(key)) {
+          diff.removed[key] = previous[key];
+          changed = true;
+        }
+      }
+
+      if (changed) {
+        this._emit('diff', diff);
+      }
+    }
+  };
+
   /**
    * Method: RS#scope
    *
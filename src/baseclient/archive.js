@@ -0,0 +1,227 @@
+(function (global) {
+
+  /**
+   * Archives
+   *
+   * <RemoteStorage.exportTree> writes all documents below a folder into a
+   * single string, which <RemoteStorage.importTree> reads back. The archive
+   * consists of JSON objects, one per line. The first line describes the
+   * archive, every following line contains one document, with its path
+   * relative to the exported folder, its content type, the revision it had
+   * when it was exported, and its body. Binary bodies are base64-encoded.
+   *
+   *   (start code)
+   *   {"@context":"http://remotestorage.io/spec/archive","path":"/notes/","exportedAt":"2015-03-02T10:11:12.000Z"}
+   *   {"path":"todo","contentType":"application/json; charset=UTF-8","revision":"1234","body":"{\"done\":false}"}
+   *   {"path":"pictures/cat.png","contentType":"image/png","revision":"5678","encoding":"base64","body":"iVBORw0KGgo="}
+   *   (end code)
+   **/
+
+  var ARCHIVE_CONTEXT = 'http://remotestorage.io/spec/archive';
+
+  var isFolder   = RemoteStorage.util.isFolder;
+  var toBytes    = RemoteStorage.util.toBytes;
+  var toBase64   = RemoteStorage.util.toBase64;
+  var fromBase64 = RemoteStorage.util.fromBase64;
+
+  function encodeBody(entry, body) {
+    var bytes = toBytes(body);
+    if (bytes) {
+      entry.encoding = 'base64';
+      entry.body = toBase64(bytes);
+    } else if (typeof(body) === 'string') {
+      entry.body = body;
+    } else {
+      entry.body = JSON.stringify(body);
+    }
+    return entry;
+  }
+
+  function decodeBody(entry) {
+    if (entry.encoding === 'base64') {
+      var bytes = fromBase64(entry.body);
+      return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+    }
+    return entry.body;
+  }
+
+  // Collects the paths of all documents below the folder. The listings
+  // don't include the chunks of large files, as getFile reassembles them and
+  // storeFile splits them up again.
+  function collectDocuments(client, folder, documents) {
+    return client.getListing(folder).then(function (listing) {
+      return Object.keys(listing || {}).sort().reduce(function (previous, item) {
+        return previous.then(function () {
+          if (isFolder(item)) {
+            return collectDocuments(client, folder + item, documents);
+          } else {
+            documents.push(folder + item);
+          }
+        });
+      }, Promise.resolve());
+    });
+  }
+
+  function parseArchive(archive) {
+    var lines = archive.split('\n').filter(function (line) {
+      return line.trim() !== '';
+    });
+    var entries = [];
+
+    for (var i = 0; i < lines.length; i++) {
+      try {
+        entries.push(JSON.parse(lines[i]));
+      } catch (e) {
+        throw 'Invalid archive: line ' + (i + 1) + ' is not JSON';
+      }
+    }
+
+    var header = entries.shift();
+    if (!header || header['@context'] !== ARCHIVE_CONTEXT) {
+      throw 'Invalid archive: missing header';
+    }
+
+    entries.forEach(function (entry, i) {
+      if (typeof(entry.path) !== 'string' || entry.path[0] === '/' || isFolder(entry.path) ||
+          typeof(entry.contentType) !== 'string' || typeof(entry.body) !== 'string') {
+        throw 'Invalid archive: line ' + (i + 2) + ' is not a document';
+      }
+    });
+
+    return { header: header, documents: entries };
+  }
+
+  /**
+   * Method: RemoteStorage.exportTree
+   *
+   * Export all documents below a folder into an archive, for example to let
+   * users make backups. The documents are read like with
+   * <RemoteStorage.BaseClient.getFile>, i.e. from the local cache if caching
+   * is enabled for them, or from the remote otherwise.
+   *
+   * Parameters:
+   *   path - Absolute path of the folder to export, e.g. '/notes/' or '/'
+   *
+   * Returns a promise for the archive, a string in the format described
+   * under "Archives".
+   *
+   * Example:
+   *   (start code)
+   *   remoteStorage.exportTree('/notes/').then(function (archive) {
+   *     var blob = new Blob([archive], { type: 'application/x-ndjson' });
+   *     link.href = window.URL.createObjectURL(blob);
+   *   });
+   *   (end code)
+   */
+  RemoteStorage.prototype.exportTree = function (path) {
+    if (typeof(path) !== 'string' || !isFolder(path) || path[0] !== '/') {
+      return Promise.reject('Argument \'path\' of exportTree must be an absolute folder path');
+    }
+
+    var client = new RemoteStorage.BaseClient(this, '/');
+    var documents = [];
+    var lines = [JSON.stringify({
+      '@context': ARCHIVE_CONTEXT,
+      path: path,
+      exportedAt: new Date().toISOString()
+    })];
+
+    return collectDocuments(client, path, documents).then(function () {
+      return documents.reduce(function (previous, documentPath) {
+        return previous.then(function () {
+          return client.getFile(documentPath);
+        }).then(function (file) {
+          // Removed since the folder was listed
+          if (typeof(file.data) === 'undefined') {
+            return;
+          }
+          lines.push(JSON.stringify(encodeBody({
+            path: documentPath.slice(path.length),
+            contentType: file.contentType,
+            revision: file.revision
+          }, file.data)));
+        });
+      }, Promise.resolve());
+    }).then(function () {
+      return lines.join('\n') + '\n';
+    });
+  };
+
+  /**
+   * Method: RemoteStorage.importTree
+   *
+   * Write the documents of an archive created by <exportTree> back into the
+   * storage. They are stored with <RemoteStorage.BaseClient.storeFile>, so
+   * when caching is enabled, sync pushes them to the remote afterwards. The
+   * revisions in the archive are not restored, as only the remote can assign
+   * revisions.
+   *
+   * Parameters:
+   *   archive - The archive, as a string
+   *   path    - (optional) Absolute path of the folder to import the documents
+   *             into. Defaults to the folder they were exported from.
+   *   options - (optional) An object with the following property:
+   *
+   *     overwrite - If true, existing documents are replaced by the ones in
+   *                 the archive. Otherwise (the default), they are kept and
+   *                 the documents from the archive skipped.
+   *
+   * Returns a promise for an object containing the numbers of imported and
+   * skipped documents. The promise is rejected if the archive is invalid, in
+   * which case nothing is imported.
+   *
+   * Example:
+   *   (start code)
+   *   remoteStorage.importTree(archive, '/notes/', { overwrite: true }).then(function (result) {
+   *     console.log(result.imported + ' notes restored');
+   *   });
+   *   (end code)
+   */
+  RemoteStorage.prototype.importTree = function (archive, path, options) {
+    var parsed;
+    try {
+      parsed = parseArchive(archive);
+    } catch (e) {
+      return Promise.reject(e);
+    }
+
+    path = path || parsed.header.path;
+    options = options || {};
+    if (typeof(path) !== 'string' || !isFolder(path) || path[0] !== '/') {
+      return Promise.reject('Argument \'path\' of importTree must be an absolute folder path');
+    }
+
+    var client = new RemoteStorage.BaseClient(this, '/');
+    var listings = {};
+    var result = { imported: 0, skipped: 0 };
+
+    function exists(documentPath) {
+      var folder = RemoteStorage.util.containingFolder(documentPath);
+      if (!listings[folder]) {
+        listings[folder] = client.getListing(folder, false);
+      }
+      return listings[folder].then(function (listing) {
+        return !!listing && (documentPath.slice(folder.length) in listing);
+      });
+    }
+
+    return parsed.documents.reduce(function (previous, entry) {
+      var documentPath = path + entry.path;
+
+      return previous.then(function () {
+        return options.overwrite ? false : exists(documentPath);
+      }).then(function (existing) {
+        if (existing) {
+          result.skipped++;
+          return;
+        }
+        return client.storeFile(entry.contentType, documentPath, decodeBody(entry)).then(function () {
+          result.imported++;
+        });
+      });
+    }, Promise.resolve()).then(function () {
+      return result;
+    });
+  };
+
+})(typeof(window) !== 'undefined' ? window : global);
@@ -14,8 +14,10 @@
     schemas: {},
     // <uri> -> <alias>
     aliases: {},
+    // <uri> -> [<field>, ...]
+    indexes: {},
 
-    declare: function(moduleName, alias, uri, schema) {
+    declare: function(moduleName, alias, uri, schema, indexes) {
       var fullAlias = moduleName + '/' + alias;
 
       if (schema.extends) {
@@ -36,6 +38,15 @@
       this.uris[fullAlias] = uri;
       this.aliases[uri] = fullAlias;
       this.schemas[uri] = schema;
+      if (indexes && indexes.length > 0) {
+        this.indexes[uri] = indexes.slice();
+      } else {
+        delete this.indexes[uri];
+      }
+    },
+
+    getIndexes: function(uri) {
+      return this.indexes[uri] || [];
     },
 
     resolveAlias: function(alias) {
@@ -79,9 +90,11 @@
      * Declare a remoteStorage object type using a JSON schema.
      *
      * Parameters:
-     *   alias  - A type alias/shortname
-     *   uri    - (optional) JSON-LD URI of the schema. Automatically generated if none given
-     *   schema - A JSON Schema object describing the object type
+     *   alias   - A type alias/shortname
+     *   uri     - (optional) JSON-LD URI of the schema. Automatically generated if none given
+     *   schema  - A JSON Schema object describing the object type
+     *   options - (optional) Object with an `indexes` property, listing the
+     *             fields to index for lookups with <findBy>
      *
      * Example:
      *
@@ -108,13 +121,60 @@
      * (end code)
      *
      * Visit <http://json-schema.org> for details on how to use JSON Schema.
+     *
+     * Example (with indexes):
+     *
+     * (start code)
+     * client.declareType('contact', {
+     *   "type": "object",
+     *   "properties": {
+     *     "email": { "type": "string" }
+     *   }
+     * }, { indexes: ['email'] });
+     *
+     * client.findBy('contact', 'email', 'alice@example.com');
+     * (end code)
      **/
-    declareType: function(alias, uri, schema) {
-      if (! schema) {
+    declareType: function(alias, uri, schema, options) {
+      if (typeof(uri) !== 'string') {
+        options = schema;
         schema = uri;
         uri = this._defaultTypeURI(alias);
       }
-      RemoteStorage.BaseClient.Types.declare(this.moduleName, alias, uri, schema);
+      RemoteStorage.BaseClient.Types.declare(this.moduleName, alias, uri, schema,
+                                             options && options.indexes);
+    },
+
+    /**
+     * Method: findBy
+     *
+     * Find the objects of a type whose field has the given value, below
+     * this client's path. Lookups on fields declared in the `indexes` option
+     * of <declareType> use an index where the local store supports it
+     * (IndexedDB); other fields and stores are scanned.
+     *
+     * Parameters:
+     *   alias - A type alias, as given to <declareType>
+     *   field - Name of a top-level property of the objects
+     *   value - Value the property must have
+     *
+     * Returns:
+     *   A promise for an array of the matching objects, ordered by path.
+     **/
+    findBy: function(alias, field, value) {
+      if (typeof(alias) !== 'string') {
+        return Promise.reject('Argument \'alias\' of baseClient.findBy must be a string');
+      }
+      if (typeof(field) !== 'string') {
+        return Promise.reject('Argument \'field\' of baseClient.findBy must be a string');
+      }
+      if (!this.storage.local) {
+        return Promise.reject('Lookups require a local store');
+      }
+      var uri = RemoteStorage.BaseClient.Types.resolveAlias(this.moduleName + '/' + alias) ||
+                this._defaultTypeURI(alias);
+
+      return this.storage.local.findBy(uri, field, value, this.base);
     },
 
     /**
@@ -141,6 +141,66 @@
       }
     },
 
+    /**
+     * Method: cachedRootPaths
+     *
+     * Get the paths for which a caching strategy other than 'FLUSH' has been
+     * set, i.e. the roots of the subtrees that sync keeps up to date.
+     **/
+    cachedRootPaths: function () {
+      return Object.keys(this._rootPaths).filter(function (path) {
+        return this._rootPaths[path] !== 'FLUSH';
+      }, this);
+    },
+
+    /**
+     * Method: setHistoryDepth
+     *
+     * Keep previous versions of the documents below a given path in the local
+     * store. History is disabled (depth 0) by default.
+     *
+     * Parameters:
+     *   path  - Folder to keep history for
+     *   depth - Number of previous versions to keep per document
+     *
+     * Example:
+     *   (start code)
+     *   remoteStorage.caching.setHistoryDepth('/notes/', 10)
+     *   (end code)
+     */
+    setHistoryDepth: function (path, depth) {
+      if (typeof path !== 'string') {
+        throw new Error('path should be a string');
+      }
+      if (!RemoteStorage.util.isFolder(path)) {
+        throw new Error('path should be a folder');
+      }
+      if (typeof depth !== 'number' || depth < 0 || Math.floor(depth) !== depth) {
+        throw new Error('depth should be a non-negative integer');
+      }
+
+      this._historyDepths[path] = depth;
+    },
+
+    /**
+     * Method: historyDepth
+     *
+     * Retrieve the number of previous versions to keep for a given path, as
+     * set for it or its next parent with <setHistoryDepth>.
+     *
+     * Parameters:
+     *   path - Path to retrieve setting for
+     **/
+    historyDepth: function (path) {
+      if (this._historyDepths[path] !== undefined) {
+        return this._historyDepths[path];
+      } else if (path === '/') {
+        return 0;
+      } else {
+        return this.historyDepth(containingFolder(path));
+      }
+    },
+
     /**
      * Method: reset
      *
@@ -148,6 +208,7 @@
      **/
     reset: function () {
       this._rootPaths = {};
+      this._historyDepths = {};
       this._remoteStorage = null;
     }
   };
@@ -3,8 +3,8 @@
    * Interface: cachinglayer
    *
    * This module defines functions that are mixed into remoteStorage.local when
-   * it is instantiated (currently one of indexeddb.js, localstorage.js, or
-   * inmemorystorage.js).
+   * it is instantiated (currently one of indexeddb.js, sqlitestorage.js,
+   * filesystemstorage.js, localstorage.js, or inmemorystorage.js).
    *
    * All remoteStorage.local implementations should therefore implement
    * this.getNodes, this.setNodes, and this.forAllNodes. The rest is blended in
@@ -16,6 +16,7 @@
   var isDocument = RemoteStorage.util.isDocument;
   var deepClone = RemoteStorage.util.deepClone;
   var equal = RemoteStorage.util.equal;
+  var isCorruptRevision = RemoteStorage.util.isCorruptRevision;
 
   function getLatest(node) {
     if (typeof(node) !== 'object' || typeof(node.path) !== 'string') {
@@ -95,6 +96,334 @@
     return node;
   }
 
+  // Like getLatest, but a local deletion hides the common version
+  function visibleVersion(node) {
+    if (node && node.local && node.local.body === false) {
+      return undefined;
+    }
+    return getLatest(node);
+  }
+
+  function parseObject(version) {
+    if (!version) {
+      return undefined;
+    }
+    if (typeof(version.body) === 'object') { // stored with rs.js <= 0.10.0-beta2
+      return version.body;
+    }
+    if (typeof(version.body) === 'string' &&
+        (!version.contentType || /^application\/(.*)json(.*)/.test(version.contentType))) {
+      try {
+        var object = JSON.parse(version.body);
+        return (object && typeof(object) === 'object') ? object : undefined;
+      } catch (e) {
+        return undefined;
+      }
+    }
+  }
+
+  // where is either a function, or an object mapping property names to
+  // values or predicate functions
+  function matchesWhere(object, where) {
+    if (!where) {
+      return true;
+    }
+    if (typeof(where) === 'function') {
+      return !!where(object);
+    }
+    for (var key in where) {
+      var condition = where[key];
+      if (typeof(condition) === 'function') {
+        if (!condition(object[key])) {
+          return false;
+        }
+      } else if (!equal(object[key], condition)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  // sort is either a compare function, or a property name, prefixed with
+  // '-' for descending order
+  function comparator(sort) {
+    if (typeof(sort) === 'function') {
+      return sort;
+    }
+    var descending = sort.charAt(0) === '-';
+    var key = descending ? sort.substring(1) : sort;
+    return function (a, b) {
+      var result = 0;
+      if (a[key] === undefined || b[key] === undefined) {
+        // Objects without the property go last
+        return (a[key] === undefined) - (b[key] === undefined);
+      }
+      if (a[key] < b[key]) {
+        result = -1;
+      } else if (a[key] > b[key]) {
+        result = 1;
+      }
+      return descending ? -result : result;
+    };
+  }
+
+  function declaredIndexes(context) {
+    var Types = RemoteStorage.BaseClient && RemoteStorage.BaseClient.Types;
+    return (Types && Types.getIndexes) ? Types.getIndexes(context) : [];
+  }
+
+  function indexTerm(context, field, value) {
+    return JSON.stringify([context, field, value]);
+  }
+
+  function historyEntry(version) {
+    var timestamp = version.lastModified || version.timestamp || new Date().getTime();
+    return {
+      revision:    version.revision || ('local-' + timestamp),
+      timestamp:   timestamp,
+      body:        version.body,
+      contentType: version.contentType
+    };
+  }
+
+  // Keeps the value from before the first change if a path is written more
+  // than once before the nodes are stored, e.g. within a batch
+  function previousVersion(node) {
+    if (node.local && node.local.hasOwnProperty('previousBody')) {
+      return {
+        body:        node.local.previousBody,
+        contentType: node.local.previousContentType
+      };
+    }
+    return getLatest(node);
+  }
+
+  function putNodes(paths, nodes, body, contentType) {
+    try {
+      for (var i = 0, len = paths.length; i < len; i++) {
+        var path = paths[i];
+        var node = nodes[path];
+        var previous;
+
+        if (!node) {
+          nodes[path] = node = makeNode(path);
+        }
+
+        // Document
+        if (i === 0) {
+          previous = previousVersion(node);
+          node.local = {
+            body:                body,
+            contentType:         contentType,
+            previousBody:        (previous ? previous.body : undefined),
+            previousContentType: (previous ? previous.contentType : undefined),
+            lastModified:        new Date().getTime()
+          };
+        }
+        // Folder
+        else {
+          var itemName = paths[i-1].substring(path.length);
+          node = updateFolderNodeWithItemName(node, itemName);
+        }
+      }
+      return nodes;
+    } catch (e) {
+      RemoteStorage.log('[Cachinglayer] Error during PUT', nodes, i, e);
+      throw e;
+    }
+  }
+
+  function deleteNodes(paths, nodes) {
+    var previous;
+
+    for (var i = 0, len = paths.length; i < len; i++) {
+      var path = paths[i];
+      var node = nodes[path];
+      if (!node) {
+        throw new Error('Cannot delete non-existing node '+path);
+      }
+
+      if (i === 0) {
+      // Document
+        previous = previousVersion(node);
+        node.local = {
+          body:                false,
+          previousBody:        (previous ? previous.body : undefined),
+          previousContentType: (previous ? previous.contentType : undefined),
+          lastModified:        new Date().getTime()
+        };
+      } else {
+      // Folder
+        if (!node.local) {
+          node.local = deepClone(node.common);
+        }
+        var itemName = paths[i-1].substring(path.length);
+        delete node.local.itemsMap[itemName];
+
+        if (Object.getOwnPropertyNames(node.local.itemsMap).length > 0) {
+          // This folder still contains other items, don't remove any further ancestors
+          break;
+        }
+      }
+    }
+    return nodes;
+  }
+
+  // Key of the node in which the dirty index is kept (see <getDirtyPaths>).
+  // It isn't a path, so it never shows up in a folder listing.
+  var DIRTY_INDEX_KEY = 'remotestorage:dirty-index';
+
+  // Whether sync has to look at a node: it has local changes to push or
+  // remote changes to fetch, it hasn't been fetched yet, or it is corrupt
+  function isDirty(node) {
+    return typeof(node) !== 'object' || node === null || Array.isArray(node) ||
+           typeof(node.path) !== 'string' || isCorruptRevision(node.common) ||
+           !!node.local || !!node.remote || !!node.push ||
+           (node.common.body === undefined && node.common.itemsMap === undefined);
+  }
+
+  // What the dirty index needs to know about a node that is about to be
+  // stored (null if it is removed)
+  function describeNode(node) {
+    if (node === undefined) {
+      return null;
+    }
+    var hasCommon = typeof(node) === 'object' && node !== null &&
+                    typeof(node.common) === 'object' && node.common !== null;
+    return {
+      dirty: isDirty(node),
+      timestamp: hasCommon ? (node.common.timestamp || 0) : undefined
+    };
+  }
+
+  // Applies the changes of one setNodes call to the dirty index, which keeps
+  // the time of the oldest fetch for each folder, of the folder itself or of
+  // an item in it. As the listing of a folder contains the ETags of its
+  // items, fetching it again counts as a fetch of all of them.
+  // Returns whether the index changed.
+  function updateDirtyIndex(index, changes) {
+    var changed = false;
+    var path, change;
+
+    function due(folder, timestamp) {
+      if (!index.refresh.hasOwnProperty(folder) || index.refresh[folder] > timestamp) {
+        index.refresh[folder] = timestamp;
+        changed = true;
+      }
+    }
+
+    for (path in changes) {
+      change = changes[path];
+      if (change && isFolder(path) && change.timestamp &&
+          index.refresh[path] < change.timestamp) {
+        index.refresh[path] = change.timestamp;
+        changed = true;
+      }
+    }
+
+    for (path in changes) {
+      change = changes[path];
+
+      if (!change) {
+        if (index.dirty[path] || index.refresh.hasOwnProperty(path)) {
+          delete index.dirty[path];
+          delete index.refresh[path];
+          changed = true;
+        }
+        continue;
+      }
+
+      if (change.dirty && !index.dirty[path]) {
+        index.dirty[path] = true;
+        changed = true;
+      } else if (!change.dirty && index.dirty[path]) {
+        delete index.dirty[path];
+        changed = true;
+      }
+
+      if (change.timestamp !== undefined) {
+        due(path === '/' ? '/' : RemoteStorage.util.containingFolder(path), change.timestamp);
+        if (isFolder(path)) {
+          due(path, change.timestamp);
+        }
+      }
+    }
+    return changed;
+  }
+
+  function dirtyIndexNode(index) {
+    return {
+      path: DIRTY_INDEX_KEY,
+      dirty: deepClone(index.dirty),
+      refresh: deepClone(index.refresh)
+    };
+  }
+
+  // Keeps the dirty index up to date with every change of the nodes, and
+  // stores it together with them. Changes made before the stored index has
+  // been read (or while there is none) are kept in memory until then.
+  function trackDirtyNodes(object) {
+    var setNodes = object.setNodes;
+    var forAllNodes = object.forAllNodes;
+
+    object._dirtyIndexChanges = {};
+
+    object.setNodes = function (nodes) {
+      var changes = {};
+      var path;
+
+      for (path in nodes) {
+        if (path !== DIRTY_INDEX_KEY) {
+          changes[path] = describeNode(nodes[path]);
+        }
+      }
+
+      if (this._dirtyIndex) {
+        if (updateDirtyIndex(this._dirtyIndex, changes)) {
+          var batch = {};
+          for (path in nodes) {
+            batch[path] = nodes[path];
+          }
+          batch[DIRTY_INDEX_KEY] = dirtyIndexNode(this._dirtyIndex);
+          nodes = batch;
+        }
+      } else {
+        for (path in changes) {
+          this._dirtyIndexChanges[path] = changes[path];
+        }
+        this._readDirtyIndex();
+      }
+
+      return setNodes.call(this, nodes);
+    };
+
+    object.forAllNodes = function (cb) {
+      return forAllNodes.call(this, function (node) {
+        if (!node || node.path !== DIRTY_INDEX_KEY) {
+          cb(node);
+        }
+      });
+    };
+
+    object._storeDirtyIndex = function () {
+      var batch = {};
+      batch[DIRTY_INDEX_KEY] = dirtyIndexNode(this._dirtyIndex);
+      return setNodes.call(this, batch);
+    };
+
+    if (typeof(object.clear) === 'function') {
+      var clear = object.clear;
+
+      object.clear = function () {
+        return Promise.resolve(clear.apply(this, arguments)).then(function (result) {
+          this._dirtyIndex = { dirty: {}, refresh: {} };
+          this._dirtyIndexChanges = {};
+          return result;
+        }.bind(this));
+      };
+    }
+  }
+
   var methods = {
 
     // TODO: improve our code structure so that this function
@@ -136,78 +465,50 @@
     },
 
     put: function (path, body, contentType) {
-      var paths = pathsFromRoot(path);
-      var self = this;
+      return this._updateNodes(pathsFromRoot(path), function (paths, nodes) {
+        return putNodes(paths, nodes, body, contentType);
+      });
+    },
 
-      function _processNodes(paths, nodes) {
-        try {
-          for (var i = 0, len = paths.length; i < len; i++) {
-            var path = paths[i];
-            var node = nodes[path];
-            var previous;
+    delete: function (path) {
+      return this._updateNodes(pathsFromRoot(path), deleteNodes);
+    },
 
-            if (!node) {
-              nodes[path] = node = makeNode(path);
-            }
+    /**
+     * Method: batch
+     *
+     * Apply several puts and deletes at once. All nodes are stored with a
+     * single <setNodes> call, and change events are only emitted after that,
+     * so either all of the operations are applied or none of them.
+     *
+     * Parameters:
+     *   operations - Array of operations, each either
+     *                `{method: 'put', path: ..., body: ..., contentType: ...}`
+     *                or `{method: 'delete', path: ...}`
+     */
+    batch: function (operations) {
+      var paths = [];
 
-            // Document
-            if (i === 0) {
-              previous = getLatest(node);
-              node.local = {
-                body:                body,
-                contentType:         contentType,
-                previousBody:        (previous ? previous.body : undefined),
-                previousContentType: (previous ? previous.contentType : undefined),
-              };
-            }
-            // Folder
-            else {
-              var itemName = paths[i-1].substring(path.length);
-              node = updateFolderNodeWithItemName(node, itemName);
-            }
+      operations.forEach(function (operation) {
+        pathsFromRoot(operation.path).forEach(function (path) {
+          if (paths.indexOf(path) === -1) {
+            paths.push(path);
           }
-          return nodes;
-        } catch (e) {
-          RemoteStorage.log('[Cachinglayer] Error during PUT', nodes, i, e);
-          throw e;
-        }
-      }
-      return this._updateNodes(paths, _processNodes);
-    },
-
-    delete: function (path) {
-      var paths = pathsFromRoot(path);
+        });
+      });
 
       return this._updateNodes(paths, function (paths, nodes) {
-        for (var i = 0, len = paths.length; i < len; i++) {
-          var path = paths[i];
-          var node = nodes[path];
-          if (!node) {
-            throw new Error('Cannot delete non-existing node '+path);
-          }
+        operations.forEach(function (operation) {
+          var operationPaths = pathsFromRoot(operation.path);
 
-          if (i === 0) {
-          // Document
-            previous = getLatest(node);
-            node.local = {
-              body:                false,
-              previousBody:        (previous ? previous.body : undefined),
-              previousContentType: (previous ? previous.contentType : undefined),
-            };
+          if (operation.method === 'put') {
+            putNodes(operationPaths, nodes, operation.body, operation.contentType);
+          } else if (operation.method === 'delete') {
+            deleteNodes(operationPaths, nodes);
           } else {
-          // Folder
-            if (!node.local) {
-              node.local = deepClone(node.common);
-            }
-            var itemName = paths[i-1].substring(path.length);
-            delete node.local.itemsMap[itemName];
-
-            if (Object.getOwnPropertyNames(node.local.itemsMap).length > 0) {
-              // This folder still contains other items, don't remove any further ancestors
-              break;
-            }
+            throw new Error('Unknown batch operation: ' + operation.method);
           }
-        }
+        });
         return nodes;
       });
     },
@@ -234,6 +535,364 @@
       });
     },
 
+    /**
+     * Method: getPendingChanges
+     *
+     * Get the local changes to documents that haven't been pushed to the
+     * remote yet.
+     *
+     * Returns a promise for an array of changes, sorted by path, each with
+     * the following properties:
+     *
+     *   path           - Path of the document
+     *   action         - 'put' or 'delete'
+     *   newValue       - Local body (undefined for deletions)
+     *   newContentType - Local content type
+     *   oldValue       - Body of the last synced version, if any
+     *   oldContentType - Content type of the last synced version
+     *   pushing        - Whether the change is currently being pushed
+     */
+    getPendingChanges: function () {
+      var changes = [];
+
+      return this.forAllNodes(function (node) {
+        if (node && typeof(node.path) === 'string' && isDocument(node.path) && node.local) {
+          changes.push({
+            path:           node.path,
+            action:         (node.local.body === false ? 'delete' : 'put'),
+            newValue:       (node.local.body === false ? undefined : node.local.body),
+            newContentType: node.local.contentType,
+            oldValue:       (node.common && node.common.body !== false ? node.common.body : undefined),
+            oldContentType: (node.common ? node.common.contentType : undefined),
+            pushing:        !!node.push
+          });
+        }
+      }).then(function () {
+        return changes.sort(function (a, b) {
+          return a.path < b.path ? -1 : (a.path > b.path ? 1 : 0);
+        });
+      });
+    },
+
+    /**
+     * Method: discardPendingChange
+     *
+     * Revert an unpushed local change to a document, restoring the last
+     * synced version (or removing the document if it has never been synced).
+     * Fails if the change is currently being pushed.
+     *
+     * Parameters:
+     *   path - Path of the document
+     */
+    discardPendingChange: function (path) {
+      if (!isDocument(path)) {
+        return Promise.reject(new Error('Cannot discard changes to a folder: ' + path));
+      }
+      var paths = pathsFromRoot(path);
+
+      return this._updateNodes(paths, function (paths, nodes) {
+        var node = nodes[path];
+        var exists, folder, itemName;
+
+        if (!node || !node.local) {
+          return nodes;
+        }
+        if (node.push) {
+          throw new Error('Cannot discard change to ' + path + ' while it is being pushed');
+        }
+
+        delete node.local;
+        exists = !!(node.common && (node.common.revision ||
+                                    (node.common.body !== undefined && node.common.body !== false)));
+        if (!exists) {
+          nodes[path] = undefined;
+        }
+
+        // Restore the item in its ancestors' local listings:
+        for (var i = 1, len = paths.length; i < len; i++) {
+          folder = nodes[paths[i]];
+          if (!folder) {
+            break;
+          }
+          itemName = paths[i-1].substring(paths[i].length);
+
+          if (exists) {
+            if (!folder.local) {
+              folder.local = deepClone(folder.common);
+            }
+            if (!folder.local.itemsMap) {
+              folder.local.itemsMap = {};
+            }
+            folder.local.itemsMap[itemName] = true;
+          } else if (folder.local && folder.local.itemsMap) {
+            delete folder.local.itemsMap[itemName];
+          }
+
+          if (folder.local && folder.common &&
+              equal(folder.local.itemsMap, folder.common.itemsMap || {})) {
+            delete folder.local;
+          }
+
+          var latest = getLatest(folder);
+          exists = !!(folder.common && folder.common.revision) ||
+                   !!(latest && Object.keys(latest.itemsMap).length > 0);
+        }
+        return nodes;
+      });
+    },
+
+    /**
+     * Method: pushNow
+     *
+     * Push local changes to the remote right away, instead of waiting for
+     * the next sync cycle.
+     *
+     * Parameters:
+     *   path - (optional) Path of the document to push. Pushes all pending
+     *          changes by default.
+     *
+     * Returns a promise that is fulfilled once the changes have been synced,
+     * and rejected when syncing one of them fails, or sync is stopped (see
+     * <RemoteStorage.Sync.pushNow>).
+     */
+    pushNow: function (path) {
+      var self = this;
+
+      if (!self.pushHandler) {
+        return Promise.reject(new Error('Cannot push changes: sync is not running'));
+      }
+      if (path) {
+        return self.pushHandler(path);
+      }
+      return self.getPendingChanges().then(function (changes) {
+        return Promise.all(changes.map(function (change) {
+          return self.pushHandler(change.path);
+        }));
+      });
+    },
+
+    onPush: function (pushHandler) {
+      this.pushHandler = pushHandler;
+    },
+
+    /**
+     * Method: query
+     *
+     * Find the JSON objects directly below a folder that match the given
+     * criteria. Backends that can look up a subtree efficiently (like
+     * IndexedDB and SQLite) implement `forAllNodesBelow`; the others are scanned
+     * completely.
+     *
+     * Parameters:
+     *   path    - Path of the folder
+     *   options - (optional) Object with the properties:
+     *               where  - Function called with each object, or an object
+     *                        mapping property names to values (or predicate
+     *                        functions) that matching objects must have
+     *               sort   - Property name to sort by (prefixed with '-' for
+     *                        descending order), or a compare function
+     *               offset - Number of matching objects to skip
+     *               limit  - Maximum number of objects to return
+     *
+     * Returns a promise for an object with the properties:
+     *   objects  - Array of the matching objects
+     *   paths    - Array of the paths of the matching objects, in the same order
+     *   outdated - Paths of documents in the folder listing whose latest
+     *              version has not been fetched yet
+     */
+    query: function (path, options) {
+      var self = this;
+      var matches = [];
+      var found = {};
+      var outdated = [];
+      var listing;
+
+      options = options || {};
+
+      function checkNode(node) {
+        if (!node || typeof(node.path) !== 'string' || !isDocument(node.path) ||
+            node.path.indexOf(path) !== 0 || node.path.substring(path.length).indexOf('/') !== -1) {
+          return;
+        }
+        var version = visibleVersion(node);
+        var object = parseObject(version);
+
+        found[node.path] = true;
+        if (node.remote || (!version && !node.local)) {
+          outdated.push(node.path);
+        }
+        if (object && matchesWhere(object, options.where)) {
+          matches.push({ path: node.path, object: object });
+        }
+      }
+
+      return this.getNodes([path]).then(function (nodes) {
+        var folder = getLatest(nodes[path]);
+        listing = folder ? folder.itemsMap : {};
+
+        if (typeof(self.forAllNodesBelow) === 'function') {
+          return self.forAllNodesBelow(path, checkNode);
+        } else {
+          return self.forAllNodes(checkNode);
+        }
+      }).then(function () {
+        for (var itemName in listing) {
+          if (listing[itemName] && isDocument(itemName) && !found[path + itemName]) {
+            outdated.push(path + itemName);
+          }
+        }
+
+        if (options.sort) {
+          var compare = comparator(options.sort);
+          matches.sort(function (a, b) {
+            return compare(a.object, b.object);
+          });
+        }
+        var offset = options.offset || 0;
+        var end = (typeof(options.limit) === 'number') ? offset + options.limit : undefined;
+        var page = matches.slice(offset, end);
+
+        return {
+          objects: page.map(function (match) { return match.object; }),
+          paths: page.map(function (match) { return match.path; }),
+          outdated: outdated
+        };
+      });
+    },
+
+    /**
+     * Method: indexTerms
+     *
+     * Get the index terms of a document node, for the fields declared as
+     * indexes of the type of its object. See <findBy>.
+     */
+    indexTerms: function (node) {
+      if (!node || typeof(node.path) !== 'string' || !isDocument(node.path)) {
+        return [];
+      }
+      var object = parseObject(visibleVersion(node));
+      if (!object || typeof(object['@context']) !== 'string') {
+        return [];
+      }
+      var context = object['@context'];
+
+      return declaredIndexes(context).filter(function (field) {
+        return object[field] !== undefined;
+      }).map(function (field) {
+        return indexTerm(context, field, object[field]);
+      });
+    },
+
+    /**
+     * Method: findBy
+     *
+     * Find the objects of a type whose field has the given value. Backends
+     * that maintain indexes (like IndexedDB) implement `findPathsByIndex`,
+     * returning the candidate paths for indexed fields; otherwise all nodes
+     * are scanned.
+     *
+     * Parameters:
+     *   context - The @context (type URI) of the objects
+     *   field   - Name of a top-level property
+     *   value   - Value the property must have
+     *   path    - (optional) Only find objects below this folder
+     *
+     * Returns a promise for an array of the matching objects, ordered by path.
+     */
+    findBy: function (context, field, value, path) {
+      var self = this;
+      var matches = {};
+
+      path = path || '/';
+
+      function checkNode(node) {
+        if (!node || typeof(node.path) !== 'string' || !isDocument(node.path) ||
+            node.path.indexOf(path) !== 0) {
+          return;
+        }
+        var object = parseObject(visibleVersion(node));
+        if (object && object['@context'] === context && equal(object[field], value)) {
+          matches[node.path] = object;
+        }
+      }
+
+      var lookup;
+      if (typeof(this.findPathsByIndex) === 'function' &&
+          declaredIndexes(context).indexOf(field) !== -1) {
+        lookup = this.findPathsByIndex(indexTerm(context, field, value)).then(function (paths) {
+          return self.getNodes(paths);
+        }).then(function (nodes) {
+          for (var nodePath in nodes) {
+            checkNode(nodes[nodePath]);
+          }
+        });
+      } else {
+        lookup = this.forAllNodes(checkNode);
+      }
+
+      return lookup.then(function () {
+        return Object.keys(matches).sort().map(function (nodePath) {
+          return matches[nodePath];
+        });
+      });
+    },
+
+    onHistoryDepth: function (historyDepthHandler) {
+      this.historyDepthHandler = historyDepthHandler;
+    },
+
+    /**
+     * Method: recordHistory
+     *
+     * Add a version of a document that is about to be replaced to the
+     * node's history, if history is enabled for its path. Versions without a
+     * body, and versions equal to the most recent entry, are skipped.
+     *
+     * Parameters:
+     *   node    - The document node, which is modified in place
+     *   version - The version to record, e.g. node.common or node.local
+     */
+    recordHistory: function (node, version) {
+      var depth = this.historyDepthHandler ? this.historyDepthHandler(node.path) : 0;
+
+      if (!depth || !version || version.body === undefined || version.body === false) {
+        return;
+      }
+
+      var history = node.history || [];
+      if (history.length > 0 &&
+          equal(history[0].body, version.body) &&
+          history[0].contentType === version.contentType) {
+        return;
+      }
+
+      history.unshift(historyEntry(version));
+      node.history = history.slice(0, depth);
+    },
+
+    /**
+     * Method: getHistory
+     *
+     * Get the previous versions of a document that have been kept in the
+     * local store, most recent first. See <RemoteStorage.Caching.setHistoryDepth>.
+     *
+     * Parameters:
+     *   path - Path of the document
+     *
+     * Returns a promise for an array of objects with the properties:
+     *   revision    - Revision of the version. Versions that were never
+     *                 synced have a local revision of the form 'local-<timestamp>'
+     *   timestamp   - When the version was written or fetched
+     *   body        - Body of the version
+     *   contentType - Content type of the version
+     */
+    getHistory: function (path) {
+      return this.getNodes([path]).then(function (nodes) {
+        var node = nodes[path];
+        return (node && node.history) ? deepClone(node.history) : [];
+      });
+    },
+
     _emitChange: function (obj) {
       if (RemoteStorage.config.changeEvents[obj.origin]) {
         this._emit('change', obj);
@@ -322,25 +981,51 @@
 
         for (var path in nodes) {
           node = nodes[path];
+          if (node && existingNodes[path] && isDocument(path)) {
+            var replaced = getLatest(existingNodes[path]);
+            var current = visibleVersion(node);
+            if (replaced && !(current && equal(current.body, replaced.body))) {
+              self.recordHistory(node, replaced);
+            }
+          }
           if (equal(node, existingNodes[path])) {
             delete nodes[path];
           }
           else if (isDocument(path)) {
-            changeEvents.push({
-              path:           path,
-              origin:         'window',
-              oldValue:       node.local.previousBody,
-              newValue:       node.local.body === false ? undefined : node.local.body,
-              oldContentType: node.local.previousContentType,
-              newContentType: node.local.contentType
-            });
-            delete node.local.previousBody;
-            delete node.local.previousContentType;
+            if (node && node.local) {
+              changeEvents.push({
+                path:           path,
+                origin:         'window',
+                oldValue:       node.local.previousBody,
+                newValue:       node.local.body === false ? undefined : node.local.body,
+                oldContentType: node.local.previousContentType,
+                newContentType: node.local.contentType
+              });
+              delete node.local.previousBody;
+              delete node.local.previousContentType;
+            } else {
+              // The local version has been discarded
+              var previous = existingNodes[path].local;
+              var latest = getLatest(node);
+              changeEvents.push({
+                path:           path,
+                origin:         'window',
+                oldValue:       previous.body === false ? undefined : previous.body,
+                newValue:       latest ? latest.body : undefined,
+                oldContentType: previous.contentType,
+                newContentType: latest ? latest.contentType : undefined
+              });
+            }
           }
         }
 
         self.setNodes(nodes).then(function () {
           self._emitChangeEvents(changeEvents);
+          if (changeEvents.length > 0) {
+            self._emit('pending-changes', changeEvents.map(function (event) {
+              return event.path;
+            }));
+          }
           promise.resolve({statusCode: 200});
         });
       }).then(function () {
@@ -365,9 +1050,13 @@
       }
     },
 
+    // Backends that can look up a subtree efficiently (like SQLite) implement
+    // `findDescendentPaths`; otherwise the folder listings are walked.
     _getAllDescendentPaths: function (path) {
       var self = this;
-      if (isFolder(path)) {
+      if (isFolder(path) && typeof(self.findDescendentPaths) === 'function') {
+        return self.findDescendentPaths(path);
+      } else if (isFolder(path)) {
         return self.getNodes([path]).then(function (nodes) {
           var allPaths = [path];
           var latest = getLatest(nodes[path]);
@@ -389,6 +1078,132 @@
       }
     },
 
+    /**
+     * Method: getDirtyPaths
+     *
+     * Get the paths of all nodes that sync has to look at: nodes with local
+     * changes to push, nodes whose remote version still has to be fetched,
+     * and corrupt nodes. They are kept in an index that is updated whenever
+     * nodes are stored, so the cache doesn't have to be scanned for them.
+     *
+     * Returns a promise for an array of paths.
+     */
+    getDirtyPaths: function () {
+      return this._loadDirtyIndex().then(function (index) {
+        return Object.keys(index.dirty);
+      });
+    },
+
+    /**
+     * Method: getFoldersDueForRefresh
+     *
+     * Get the folders containing a node (or, for the root folder, being a
+     * node) that was last fetched before the given time.
+     *
+     * Parameters:
+     *   before - Time in milliseconds since the epoch
+     *
+     * Returns a promise for an array of folder paths.
+     */
+    getFoldersDueForRefresh: function (before) {
+      return this._loadDirtyIndex().then(function (index) {
+        return Object.keys(index.refresh).filter(function (folder) {
+          return index.refresh[folder] < before;
+        });
+      });
+    },
+
+    /**
+     * Method: markFresh
+     *
+     * Record that the given folders and everything below them are up to
+     * date as of the given time, e.g. because the ETag of a folder hasn't
+     * changed, which means that nothing below it has.
+     *
+     * Parameters:
+     *   paths     - Array of folder paths
+     *   timestamp - Time in milliseconds since the epoch
+     */
+    markFresh: function (paths, timestamp) {
+      var self = this;
+
+      return this._loadDirtyIndex().then(function (index) {
+        var changed = false;
+
+        Object.keys(index.refresh).forEach(function (folder) {
+          var below = paths.some(function (path) {
+            return folder.indexOf(path) === 0;
+          });
+          if (below && index.refresh[folder] < timestamp) {
+            index.refresh[folder] = timestamp;
+            changed = true;
+          }
+        });
+
+        if (changed) {
+          return self._storeDirtyIndex();
+        }
+      });
+    },
+
+    // Reads the stored dirty index (once), and applies the changes made
+    // before it was read
+    _readDirtyIndex: function () {
+      var self = this;
+
+      if (!self._dirtyIndexRead) {
+        self._dirtyIndexRead = self.getNodes([DIRTY_INDEX_KEY]).then(function (nodes) {
+          var stored = nodes[DIRTY_INDEX_KEY];
+          if (self._dirtyIndex || !stored || !stored.dirty || !stored.refresh) {
+            return;
+          }
+          self._dirtyIndex = { dirty: stored.dirty, refresh: stored.refresh };
+          if (updateDirtyIndex(self._dirtyIndex, self._dirtyIndexChanges)) {
+            self._dirtyIndexChanges = {};
+            return self._storeDirtyIndex();
+          }
+          self._dirtyIndexChanges = {};
+        });
+      }
+      return self._dirtyIndexRead;
+    },
+
+    // Loads the dirty index, building it from all nodes if none is stored
+    // (i.e. for caches from older versions)
+    _loadDirtyIndex: function () {
+      var self = this;
+
+      return self._readDirtyIndex().then(function () {
+        if (self._dirtyIndex) {
+          return self._dirtyIndex;
+        }
+        if (self._dirtyIndexBuilding) {
+          return self._dirtyIndexBuilding;
+        }
+
+        RemoteStorage.log('[Cachinglayer] Building the dirty index');
+        var index = { dirty: {}, refresh: {} };
+
+        self._dirtyIndexBuilding = self.forAllNodes(function (node) {
+          var change = {};
+          if (node && typeof(node.path) === 'string') {
+            change[node.path] = describeNode(node);
+            updateDirtyIndex(index, change);
+          }
+        }).then(function () {
+          updateDirtyIndex(index, self._dirtyIndexChanges);
+          self._dirtyIndexChanges = {};
+          self._dirtyIndex = index;
+          delete self._dirtyIndexBuilding;
+          return self._storeDirtyIndex();
+        }).then(function () {
+          return index;
+        });
+
+        return self._dirtyIndexBuilding;
+      });
+    },
+
     _getInternals: function () {
       return {
         getLatest: getLatest,
@@ -416,5 +1231,6 @@
     for (var key in methods) {
       object[key] = methods[key];
     }
+    trackDirtyNodes(object);
   };
 })();
@@ -147,8 +147,6 @@
     }
   };
 
-  var onErrorCb;
-
   /**
    * Class: RemoteStorage.Dropbox
    */
@@ -157,9 +155,10 @@
     this.rs = rs;
     this.connected = false;
     this.rs = rs;
+    this._settingsKey = RS.util.settingsKey(SETTINGS_KEY, rs.accountName);
     var self = this;
 
-    onErrorCb = function (error){
+    this._onErrorCb = function (error){
       if (error instanceof RemoteStorage.Unauthorized) {
         // Delete all the settings - see the documentation of wireclient.configure
         self.configure({
@@ -172,8 +171,8 @@
       }
     };
 
-    RS.eventHandling(this, 'change', 'connected', 'wire-busy', 'wire-done', 'not-connected');
-    rs.on('error', onErrorCb);
+    RS.eventHandling(this, 'change', 'connected', 'wire-busy', 'wire-done', 'wire-progress', 'not-connected');
+    rs.on('error', this._onErrorCb);
 
     this.clientId = rs.apiKeys.dropbox.appKey;
     this._revCache = new LowerCaseCache('rev');
@@ -183,13 +182,13 @@
     if (hasLocalStorage){
       var settings;
       try {
-        settings = JSON.parse(localStorage[SETTINGS_KEY]);
+        settings = JSON.parse(localStorage[this._settingsKey]);
       } catch(e){}
       if (settings) {
         this.configure(settings);
       }
       try {
-        this._itemRefs = JSON.parse(localStorage[ SETTINGS_KEY+':shares' ]);
+        this._itemRefs = JSON.parse(localStorage[ this._settingsKey+':shares' ]);
       } catch(e) {  }
     }
     if (this.connected) {
@@ -212,7 +211,7 @@
       if (this.token){
         hookIt(this.rs);
       } else {
-        RS.Authorize(AUTH_URL, '', String(RS.Authorize.getLocation()), this.clientId);
+        RS.Authorize(this.rs, AUTH_URL, '', String(RS.Authorize.getLocation()), this.clientId);
       }
     },
 
@@ -240,7 +239,7 @@
         this.connected = false;
       }
       if (hasLocalStorage){
-        localStorage[SETTINGS_KEY] = JSON.stringify({
+        localStorage[this._settingsKey] = JSON.stringify({
           userAddress: this.userAddress,
           token: this.token
         });
@@ -281,7 +280,7 @@
       var revCache = this._revCache;
       var self = this;
 
-      return this._request('GET', url, {}).then(function (resp) {
+      return this._request('GET', url, RS.WireClient.requestOptions({}, options)).then(function (resp) {
         var status = resp.status;
         if (status === 304) {
           return Promise.resolve({statusCode: status});
@@ -338,7 +337,9 @@
       //use _getFolder for folders
       if (path.substr(-1) === '/') { return this._getFolder(path, options); }
 
-      return this._request('GET', url, {}).then(function (resp) {
+      return this._request('GET', url, RS.WireClient.requestOptions({
+        onProgress: RS.WireClient.progressEmitter(this, 'GET', path)
+      }, options)).then(function (resp) {
         var status = resp.status;
         var meta, body, mime, rev;
         if (status !== 200) {
@@ -431,11 +432,12 @@
       var uploadParams = {
         body: body,
         contentType: contentType,
-        path: path
+        path: path,
+        options: options
       };
 
       if (needsMetadata) {
-        result = this._getMetadata(path).then(function (metadata) {
+        result = this._getMetadata(path, options).then(function (metadata) {
           if (options && (options.ifNoneMatch === '*') && metadata) {
             // if !!metadata === true, the file exists
             return Promise.resolve({
@@ -487,7 +489,7 @@
       }
 
       if (options && options.ifMatch) {
-        return this._getMetadata(path).then(function (metadata) {
+        return this._getMetadata(path, options).then(function (metadata) {
           if (options && options.ifMatch && metadata && (metadata.rev !== options.ifMatch)) {
             return Promise.resolve({
               statusCode: 412,
@@ -495,11 +497,11 @@
             });
           }
 
-          return self._deleteSimple(path);
+          return self._deleteSimple(path, options);
         });
       }
 
-      return self._deleteSimple(path);
+      return self._deleteSimple(path, options);
     },
 
     /**
@@ -541,7 +543,7 @@
         self._itemRefs[path] = response.url;
 
         if (hasLocalStorage) {
-          localStorage[SETTINGS_KEY + ':shares'] = JSON.stringify(self._itemRefs);
+          localStorage[self._settingsKey + ':shares'] = JSON.stringify(self._itemRefs);
         }
 
         return Promise.resolve(url);
@@ -709,7 +711,7 @@
       if (cached && cached.hash) {
         url += '&hash=' + encodeURIComponent(cached.hash);
       }
-      return this._request('GET', url, {}).then(function (resp) {
+      return this._request('GET', url, RS.WireClient.requestOptions({}, options)).then(function (resp) {
         if (resp.status === 304) {
           return Promise.resolve(cached);
         } else if (resp.status === 200) {
@@ -734,6 +736,7 @@
      *   path - path of the file
      *   body - contents of the file to upload
      *   contentType - mime type of the file
+     *   options - timeout and abortHandle options, as for put
      *
      * Returns:
      *
@@ -748,12 +751,13 @@
         url += "parent_rev=" + encodeURIComponent(params.ifMatch);
       }
 
-      return self._request('PUT', url, {
+      return self._request('PUT', url, RS.WireClient.requestOptions({
         body: params.body,
         headers: {
           'Content-Type': params.contentType
-        }
-      }).then(function (resp) {
+        },
+        onProgress: RS.WireClient.progressEmitter(self, 'PUT', params.path)
+      }, params.options)).then(function (resp) {
         if (resp.status !== 200) {
           return Promise.resolve({ statusCode: resp.status });
         }
@@ -794,16 +798,17 @@
      * Parameters:
      *
      *   path - the path to delete
+     *   options - timeout and abortHandle options, as for delete
      *
      * Returns:
      *
      *   statusCode - HTTP status code
      */
-    _deleteSimple: function (path) {
+    _deleteSimple: function (path, options) {
       var self = this;
       var url = 'https://api.dropbox.com/1/fileops/delete?root=auto&path=' + encodeURIComponent(path);
 
-      return self._request('POST', url, {}).then(function (resp) {
+      return self._request('POST', url, RS.WireClient.requestOptions({}, options)).then(function (resp) {
         if (resp.status === 406) {
           // Too many files would be involved in the operation for it to
           // complete successfully.
@@ -901,9 +906,11 @@
   RS.Dropbox._rs_cleanup = function (rs) {
     unHookIt(rs);
     if (hasLocalStorage){
-      delete localStorage[SETTINGS_KEY];
+      delete localStorage[RS.util.settingsKey(SETTINGS_KEY, rs.accountName)];
+    }
+    if (rs.dropbox) {
+      rs.removeEventListener('error', rs.dropbox._onErrorCb);
     }
-    rs.removeEventListener('error', onErrorCb);
     rs.setBackend(undefined);
   };
 })(this);
@@ -0,0 +1,399 @@
+(function (global) {
+
+  /**
+   * Class: RemoteStorage.Encryption
+   *
+   * Client-side encryption of document bodies.
+   *
+   * Once a secret key has been set (usually through the cipher form of the
+   * widget), the bodies of all documents are encrypted right before they are
+   * sent to the remote, and decrypted as soon as they come back from it. The
+   * local cache only ever holds plaintext, while the remote only ever sees
+   * ciphertext.
+   *
+   * Paths, folder listings and revisions are left untouched, so that sync
+   * keeps working as usual. Documents below /public/ are never encrypted, as
+   * they are meant to be readable by others.
+   *
+   * Encrypted documents are stored as JSON objects of the following form:
+   *
+   *   (start code)
+   *   {
+   *     "@context": "http://remotestorage.io/spec/encrypted-document",
+   *     "cipher": "aes-256-gcm",
+   *     "kdf": "pbkdf2-sha256",
+   *     "iterations": 10000,
+   *     "salt": "<base64>",
+   *     "iv": "<base64>",
+   *     "contentType": "<content type of the plaintext>",
+   *     "binary": false,
+   *     "data": "<base64 of ciphertext and authentication tag>"
+   *   }
+   *   (end code)
+   *
+   * A document that cannot be decrypted with the current key (or without any
+   * key) is reported to sync with the status 'invalid-key', which makes it
+   * emit a <RemoteStorage.InvalidKeyError>. The widget shows this as a wrong
+   * key in its cipher form.
+   *
+   * Example:
+   *
+   *   (start code)
+   *   remoteStorage.encryption.setKey('correct horse battery staple');
+   *   (end code)
+   **/
+
+  var ENCRYPTED_CONTEXT = 'http://remotestorage.io/spec/encrypted-document';
+  var ENCRYPTED_CONTENT_TYPE = 'application/json; charset=UTF-8';
+  var CIPHER = 'aes-256-gcm';
+  var KDF = 'pbkdf2-sha256';
+  var ITERATIONS = 10000;
+  var SALT_LENGTH = 16;
+  var IV_LENGTH = 12;
+  var TAG_LENGTH = 16;
+
+  var isFolder      = RemoteStorage.util.isFolder;
+  var stringToBytes = RemoteStorage.util.stringToBytes;
+  var bytesToString = RemoteStorage.util.bytesToString;
+  var toBase64      = RemoteStorage.util.toBase64;
+  var fromBase64    = RemoteStorage.util.fromBase64;
+
+  function isPublic(path) {
+    return path.match(/^\/public\//);
+  }
+
+  // Binary bodies as they are, strings encoded as UTF-8
+  function toBytes(body) {
+    return RemoteStorage.util.toBytes(body) || stringToBytes(unescape(encodeURIComponent(body)));
+  }
+
+  function fromBytes(bytes, binary) {
+    if (binary) {
+      return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+    } else {
+      return decodeURIComponent(escape(bytesToString(bytes)));
+    }
+  }
+
+
+  function parseEnvelope(body) {
+    var envelope = body;
+    if (typeof(body) === 'string') {
+      if (body.indexOf(ENCRYPTED_CONTEXT) === -1) {
+        return;
+      }
+      try {
+        envelope = JSON.parse(body);
+      } catch(e) {
+        return;
+      }
+    }
+    if (typeof(envelope) === 'object' && envelope !== null &&
+        envelope['@context'] === ENCRYPTED_CONTEXT) {
+      return envelope;
+    }
+  }
+
+  // Crypto implementation using the WebCrypto API (browsers)
+  var webCrypto = {
+    randomBytes: function (length) {
+      return global.crypto.getRandomValues(new Uint8Array(length));
+    },
+
+    deriveKey: function (secret, salt, iterations) {
+      var subtle = global.crypto.subtle;
+      return Promise.resolve(subtle.importKey('raw', toBytes(secret), { name: 'PBKDF2' }, false, ['deriveKey']))
+        .then(function (baseKey) {
+          return subtle.deriveKey(
+            { name: 'PBKDF2', salt: salt, iterations: iterations, hash: 'SHA-256' },
+            baseKey, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']
+          );
+        });
+    },
+
+    encrypt: function (key, iv, data) {
+      return Promise.resolve(global.crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, data))
+        .then(function (result) {
+          return new Uint8Array(result);
+        });
+    },
+
+    decrypt: function (key, iv, data) {
+      return Promise.resolve(global.crypto.subtle.decrypt({ name: 'AES-GCM', iv: iv }, key, data))
+        .then(function (result) {
+          return new Uint8Array(result);
+        });
+    }
+  };
+
+  // Crypto implementation using the crypto module of node.js
+  var nodeCrypto = {
+    randomBytes: function (length) {
+      return new Uint8Array(require('crypto').randomBytes(length));
+    },
+
+    // Runs in the thread pool, so that deriving a key for every document
+    // doesn't block the event loop
+    deriveKey: function (secret, salt, iterations) {
+      var pending = Promise.defer();
+
+      require('crypto').pbkdf2(secret, Buffer.from(salt), iterations, 32, 'sha256', function (err, key) {
+        if (err) {
+          pending.reject(err);
+        } else {
+          pending.resolve(key);
+        }
+      });
+
+      return pending.promise;
+    },
+
+    encrypt: function (key, iv, data) {
+      var cipher = require('crypto').createCipheriv(CIPHER, key, Buffer.from(iv));
+      return Promise.resolve(new Uint8Array(Buffer.concat([
+        cipher.update(Buffer.from(data)), cipher.final(), cipher.getAuthTag()
+      ])));
+    },
+
+    decrypt: function (key, iv, data) {
+      var decipher = require('crypto').createDecipheriv(CIPHER, key, Buffer.from(iv));
+      var buffer = Buffer.from(data);
+      decipher.setAuthTag(buffer.slice(buffer.length - TAG_LENGTH));
+      try {
+        return Promise.resolve(new Uint8Array(Buffer.concat([
+          decipher.update(buffer.slice(0, buffer.length - TAG_LENGTH)), decipher.final()
+        ])));
+      } catch(e) {
+        return Promise.reject(e);
+      }
+    }
+  };
+
+  function detectCrypto() {
+    if (global.crypto && global.crypto.subtle &&
+        typeof(global.crypto.getRandomValues) === 'function') {
+      return webCrypto;
+    } else if (RemoteStorage.Env && RemoteStorage.Env.isNode()) {
+      try {
+        if (typeof(require('crypto').createCipheriv) === 'function') {
+          return nodeCrypto;
+        }
+      } catch(e) {
+        // no crypto module available
+      }
+    }
+  }
+
+  var InvalidKeyError = function (path) {
+    this.path = path;
+    this.message = 'Could not decrypt ' + path + ' with the given secret key';
+  };
+
+  InvalidKeyError.prototype = new Error();
+  InvalidKeyError.prototype.constructor = InvalidKeyError;
+
+  /**
+   * Class: RemoteStorage.InvalidKeyError
+   *
+   * Emitted as an 'error' event when sync fetches a document that cannot be
+   * decrypted with the current secret key.
+   **/
+  RemoteStorage.InvalidKeyError = InvalidKeyError;
+
+  RemoteStorage.Encryption = function (remoteStorage, implementation) {
+    this.rs = remoteStorage;
+    this._crypto = implementation || detectCrypto();
+    this._hooks = [];
+  };
+
+  RemoteStorage.Encryption.prototype = {
+
+    /**
+     * Method: setKey
+     *
+     * Set the secret key used to encrypt and decrypt documents. The key is
+     * kept in memory only and has to be set again after a page reload.
+     *
+     * Parameters:
+     *   secret - The secret key (a non-empty string)
+     */
+    setKey: function (secret) {
+      if (typeof(secret) !== 'string' || secret.length === 0) {
+        throw new Error('Secret key must be a non-empty string');
+      }
+      this._secret = secret;
+    },
+
+    /**
+     * Method: clearKey
+     *
+     * Forget the secret key. Documents will be sent unencrypted afterwards.
+     */
+    clearKey: function () {
+      delete this._secret;
+    },
+
+    /**
+     * Method: hasKey
+     *
+     * Returns true if a secret key has been set.
+     */
+    hasKey: function () {
+      return typeof(this._secret) === 'string';
+    },
+
+    /**
+     * Method: encrypt
+     *
+     * Encrypt a document body.
+     *
+     * Parameters:
+     *   body        - String, ArrayBuffer or ArrayBufferView
+     *   contentType - Content type of the body
+     *
+     * Returns:
+     *   A promise for the JSON string of the encrypted document
+     */
+    encrypt: function (body, contentType) {
+      var salt = this._crypto.randomBytes(SALT_LENGTH);
+      var iv = this._crypto.randomBytes(IV_LENGTH);
+      var binary = typeof(body) !== 'string';
+      var self = this;
+
+      return this._crypto.deriveKey(this._secret, salt, ITERATIONS).then(function (key) {
+        return self._crypto.encrypt(key, iv, toBytes(body));
+      }).then(function (data) {
+        return JSON.stringify({
+          '@context':  ENCRYPTED_CONTEXT,
+          cipher:      CIPHER,
+          kdf:         KDF,
+          iterations:  ITERATIONS,
+          salt:        toBase64(salt),
+          iv:          toBase64(iv),
+          contentType: contentType,
+          binary:      binary,
+          data:        toBase64(data)
+        });
+      });
+    },
+
+    /**
+     * Method: decrypt
+     *
+     * Decrypt an encrypted document.
+     *
+     * Parameters:
+     *   envelope - The encrypted document, either as parsed object or as
+     *              JSON string
+     *
+     * Returns:
+     *   A promise for an object with the fields body and contentType. It is
+     *   rejected if no key has been set or the key is wrong.
+     */
+    decrypt: function (envelope) {
+      var self = this;
+      envelope = parseEnvelope(envelope);
+
+      if (!envelope) {
+        return Promise.reject(new Error('Not an encrypted document'));
+      }
+      if (!this.hasKey()) {
+        return Promise.reject(new Error('No secret key set'));
+      }
+      if (envelope.cipher !== CIPHER || envelope.kdf !== KDF) {
+        return Promise.reject(new Error('Unsupported cipher: ' + envelope.cipher));
+      }
+
+      return this._crypto.deriveKey(this._secret, fromBase64(envelope.salt), envelope.iterations).then(function (key) {
+        return self._crypto.decrypt(key, fromBase64(envelope.iv), fromBase64(envelope.data));
+      }).then(function (bytes) {
+        return {
+          body: fromBytes(bytes, envelope.binary),
+          contentType: envelope.contentType
+        };
+      });
+    },
+
+    /**
+     * Method: isEncrypted
+     *
+     * Returns true if the given body is an encrypted document.
+     */
+    isEncrypted: function (body) {
+      return !!parseEnvelope(body);
+    },
+
+    _shouldEncrypt: function (path) {
+      return this.hasKey() && !isFolder(path) && !isPublic(path);
+    },
+
+    _hookRemote: function (remote) {
+      var self = this;
+      var origGet = remote.get;
+      var origPut = remote.put;
+
+      if (this._hooks.some(function (hook) { return hook.remote === remote; })) {
+        return;
+      }
+      this._hooks.push({ remote: remote, get: origGet, put: origPut });
+
+      remote.get = function (path) {
+        return origGet.apply(remote, arguments).then(function (r) {
+          if (isFolder(path) || !r || r.statusCode !== 200 || !parseEnvelope(r.body)) {
+            return r;
+          }
+          return self.decrypt(r.body).then(function (plain) {
+            r.body = plain.body;
+            r.contentType = plain.contentType;
+            return r;
+          }, function (err) {
+            RemoteStorage.log('[Encryption] Failed to decrypt ' + path, err);
+            return { statusCode: 'invalid-key', revision: r.revision };
+          });
+        });
+      };
+
+      remote.put = function (path, body, contentType, options) {
+        if (!self._shouldEncrypt(path)) {
+          return origPut.apply(remote, arguments);
+        }
+        return self.encrypt(body, contentType).then(function (encrypted) {
+          return origPut.call(remote, path, encrypted, ENCRYPTED_CONTENT_TYPE, options);
+        });
+      };
+    },
+
+    _unhookRemotes: function () {
+      this._hooks.forEach(function (hook) {
+        hook.remote.get = hook.get;
+        hook.remote.put = hook.put;
+      });
+      this._hooks = [];
+    }
+  };
+
+  RemoteStorage.Encryption._rs_init = function (remoteStorage) {
+    var encryption = remoteStorage.encryption = new RemoteStorage.Encryption(remoteStorage);
+
+    // Dropbox and Google Drive replace the remote once they get connected,
+    // so every backend the instance may switch to is hooked right away
+    [remoteStorage.remote, remoteStorage._origRemote,
+     remoteStorage.dropbox, remoteStorage.googledrive].forEach(function (remote) {
+      if (remote) {
+        encryption._hookRemote(remote);
+      }
+    });
+  };
+
+  RemoteStorage.Encryption._rs_supported = function () {
+    return !!detectCrypto();
+  };
+
+  RemoteStorage.Encryption._rs_cleanup = function (remoteStorage) {
+    if (remoteStorage.encryption) {
+      remoteStorage.encryption.clearKey();
+      remoteStorage.encryption._unhookRemotes();
+    }
+  };
+
+})(typeof(window) !== 'undefined' ? window : global);
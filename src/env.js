@@ -2,13 +2,24 @@
 
   var mode = pMode,
       env = {},
-      isBackground = false;
+      isBackground = false,
+      isOnline = true,
+      isMetered = false,
+      networkWatchers = 0,
+      networkTimer;
 
+  // How often network interfaces are checked in node.js, which has no
+  // online/offline events
+  var NETWORK_CHECK_INTERVAL = 5000;
 
   RemoteStorage.Env = function () {
     return env;
   };
 
+  // Set up once, as _rs_init runs for every RemoteStorage instance
+  RemoteStorage.eventHandling(RemoteStorage.Env, "background", "foreground",
+                              "online", "offline", "metered", "unmetered");
+
   RemoteStorage.Env.isBrowser = function () {
     return mode === "browser";
   };
@@ -27,9 +38,76 @@
     RemoteStorage.Env._emit("foreground");
   };
 
-  RemoteStorage.Env._rs_init = function (remoteStorage) {
-    RemoteStorage.eventHandling(RemoteStorage.Env, "background", "foreground");
+  RemoteStorage.Env.isOnline = function () {
+    return isOnline;
+  };
+
+  RemoteStorage.Env.goOnline = function () {
+    if (!isOnline) {
+      isOnline = true;
+      RemoteStorage.Env._emit("online");
+    }
+  };
+
+  RemoteStorage.Env.goOffline = function () {
+    if (isOnline) {
+      isOnline = false;
+      RemoteStorage.Env._emit("offline");
+    }
+  };
+
+  RemoteStorage.Env.isMetered = function () {
+    return isMetered;
+  };
+
+  /**
+   * Method: RemoteStorage.Env.setMetered
+   *
+   * Switch metered mode on or off, e.g. when the app knows that the user is
+   * on a mobile data plan. While it is on, sync only pushes local changes,
+   * and doesn't fetch remote changes, prefetch documents or download binary
+   * files, except when they are requested directly.
+   *
+   * In browsers supporting the Network Information API, metered mode is
+   * switched on and off automatically for cellular connections and when
+   * data saving is enabled.
+   *
+   * Parameters:
+   *   metered - Boolean
+   */
+  RemoteStorage.Env.setMetered = function (metered) {
+    metered = !!metered;
+    if (metered !== isMetered) {
+      isMetered = metered;
+      RemoteStorage.Env._emit(metered ? "metered" : "unmetered");
+    }
+  };
 
+  function connectionChange() {
+    var connection = navigator.connection;
+    RemoteStorage.Env.setMetered(connection.saveData || connection.type === 'cellular');
+  }
+
+  // Node.js has no events for network changes. With the
+  // watchNetworkInterfaces option, the machine is considered offline while it
+  // doesn't have any external network interface. Otherwise it is considered
+  // online, and failing requests mark the remote as offline.
+  RemoteStorage.Env._checkNetwork = function () {
+    var interfaces = require('os').networkInterfaces();
+    var external = Object.keys(interfaces).some(function (name) {
+      return interfaces[name].some(function (address) {
+        return !address.internal;
+      });
+    });
+
+    if (external) {
+      RemoteStorage.Env.goOnline();
+    } else {
+      RemoteStorage.Env.goOffline();
+    }
+  };
+
+  RemoteStorage.Env._rs_init = function (remoteStorage) {
     function visibility() {
       if (document[env.hiddenProperty]) {
         RemoteStorage.Env.goBackground();
@@ -54,10 +132,42 @@
       }
       document.addEventListener(env.visibilityChangeEvent, visibility, false);
       visibility();
+
+      if (typeof(navigator.onLine) === 'boolean') {
+        window.addEventListener("online", RemoteStorage.Env.goOnline, false);
+        window.addEventListener("offline", RemoteStorage.Env.goOffline, false);
+        if (navigator.onLine) {
+          RemoteStorage.Env.goOnline();
+        } else {
+          RemoteStorage.Env.goOffline();
+        }
+      }
+
+      if (navigator.connection && typeof(navigator.connection.addEventListener) === 'function') {
+        navigator.connection.addEventListener("change", connectionChange, false);
+        connectionChange();
+      }
+    } else if (mode === 'node' && RemoteStorage.config.watchNetworkInterfaces) {
+      networkWatchers++;
+      if (!networkTimer) {
+        RemoteStorage.Env._checkNetwork();
+        networkTimer = setInterval(RemoteStorage.Env._checkNetwork, NETWORK_CHECK_INTERVAL);
+        // Don't keep the process alive just for this
+        if (typeof(networkTimer.unref) === 'function') {
+          networkTimer.unref();
+        }
+      }
     }
   };
 
   RemoteStorage.Env._rs_cleanup = function (remoteStorage) {
+    if (mode === 'node' && networkWatchers > 0) {
+      networkWatchers--;
+      if (networkWatchers === 0) {
+        clearInterval(networkTimer);
+        networkTimer = undefined;
+      }
+    }
   };
 
 })(typeof(window) !== 'undefined' ? 'browser' : 'node');
@@ -0,0 +1,315 @@
+(function (global) {
+  /**
+   * Class: RemoteStorage.FileSystemStorage
+   *
+   * File system caching adapter for node.js. Every node is stored as a JSON
+   * file in a cache directory (~/.<cache name>, by default ~/.remotestorage),
+   * named after the SHA-1 hash of its path, so the cache survives restarts of
+   * the process.
+   *
+   * Writes are atomic: a node is written to a temporary file, flushed to disk
+   * and then renamed over the old one. When <setNodes> changes more than one
+   * node, the whole change set is first written to a journal file, which is
+   * replayed when the storage is opened again after a crash. That way a
+   * batch of node updates is either applied completely or not at all.
+   *
+   * Binary bodies (ArrayBuffers and typed arrays) are stored base64-encoded
+   * and read back as ArrayBuffers.
+   **/
+
+  var isNode = typeof(process) !== 'undefined' && !!process.versions &&
+               !!process.versions.node && typeof(require) === 'function';
+
+  var fs       = isNode && require('fs');
+  var nodePath = isNode && require('path');
+  var os       = isNode && require('os');
+  var crypto   = isNode && require('crypto');
+
+  var DEFAULT_NAME = 'remotestorage';
+  var JOURNAL_FILE = 'journal.json';
+  var NODE_FILE_PATTERN = /^[0-9a-f]{40}\.json$/;
+  var TMP_FILE_PATTERN = /\.tmp$/;
+  var DIRECTORY_MODE = parseInt('0700', 8);
+  var FILE_MODE = parseInt('0600', 8);
+
+  function noop() {}
+
+  // Absolute paths are used as they are, names are turned into a directory
+  // in the home directory
+  function cacheDirectory(directory) {
+    if (directory && nodePath.isAbsolute(directory)) {
+      return directory;
+    }
+    return nodePath.join(os.homedir(), '.' + (directory || DEFAULT_NAME));
+  }
+
+  // Calls fs[method] with the given arguments, returning a promise
+  function fsCall(method) {
+    var args = Array.prototype.slice.call(arguments, 1);
+    var pending = Promise.defer();
+
+    fs[method].apply(fs, args.concat(function (err, result) {
+      if (err) {
+        pending.reject(err);
+      } else {
+        pending.resolve(result);
+      }
+    }));
+
+    return pending.promise;
+  }
+
+  function ignoreMissing(err) {
+    if (err.code !== 'ENOENT') {
+      throw err;
+    }
+  }
+
+  function makeDirectory(directory) {
+    return fsCall('mkdir', directory, DIRECTORY_MODE).then(undefined, function (err) {
+      if (err.code === 'EEXIST') {
+        return;
+      }
+      if (err.code === 'ENOENT' && nodePath.dirname(directory) !== directory) {
+        return makeDirectory(nodePath.dirname(directory)).then(function () {
+          return makeDirectory(directory);
+        });
+      }
+      throw err;
+    });
+  }
+
+  // Makes renames and unlinks in the directory durable. Not every platform
+  // can fsync a directory, so failures are ignored.
+  function syncDirectory(directory) {
+    return fsCall('open', directory, 'r').then(function (fd) {
+      return fsCall('fsync', fd).then(undefined, noop).then(function () {
+        return fsCall('close', fd);
+      });
+    }).then(undefined, noop);
+  }
+
+  function writeAtomic(filename, data) {
+    var tmpFilename = filename + '.' + process.pid + '.tmp';
+
+    return fsCall('open', tmpFilename, 'w', FILE_MODE).then(function (fd) {
+      return fsCall('writeFile', fd, data, 'utf8').then(function () {
+        return fsCall('fsync', fd);
+      }).then(function () {
+        return fsCall('close', fd);
+      }, function (err) {
+        return fsCall('close', fd).then(function () { throw err; });
+      });
+    }).then(function () {
+      return fsCall('rename', tmpFilename, filename);
+    });
+  }
+
+  function encodeBinary(key, value) {
+    var original = this[key];
+
+    if (original instanceof ArrayBuffer) {
+      return { '@binary': Buffer.from(original).toString('base64') };
+    }
+    if (ArrayBuffer.isView(original)) {
+      return {
+        '@binary': Buffer.from(original.buffer, original.byteOffset,
+                               original.byteLength).toString('base64')
+      };
+    }
+    return value;
+  }
+
+  function decodeBinary(key, value) {
+    if (value && typeof(value) === 'object' && typeof(value['@binary']) === 'string' &&
+        Object.keys(value).length === 1) {
+      var buffer = Buffer.from(value['@binary'], 'base64');
+      return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length);
+    }
+    return value;
+  }
+
+  function serialize(node) {
+    return JSON.stringify(node, encodeBinary);
+  }
+
+  function deserialize(data) {
+    return JSON.parse(data, decodeBinary);
+  }
+
+  RemoteStorage.FileSystemStorage = function (directory) {
+    RemoteStorage.cachingLayer(this);
+    RemoteStorage.log('[FileSystemStorage] Registering events');
+    RemoteStorage.eventHandling(this, 'change', 'local-events-done', 'pending-changes');
+
+    this.directory = cacheDirectory(directory);
+    this._queue = Promise.resolve();
+    this._opened = this._enqueue(this._open.bind(this));
+  };
+
+  RemoteStorage.FileSystemStorage.prototype = {
+
+    getNodes: function (paths) {
+      var self = this;
+
+      return this._enqueue(function () {
+        var nodes = {};
+
+        return Promise.all(paths.map(function (path) {
+          return self._readNode(path).then(function (node) {
+            nodes[path] = node;
+          });
+        })).then(function () {
+          return nodes;
+        });
+      });
+    },
+
+    setNodes: function (nodes) {
+      var self = this;
+      var changes = {};
+      var paths = Object.keys(nodes);
+
+      // Serialize right away, so later changes to the node objects don't
+      // end up in the cache
+      paths.forEach(function (path) {
+        changes[path] = nodes[path] === undefined ? null : serialize(nodes[path]);
+      });
+
+      return this._enqueue(function () {
+        if (paths.length === 1) {
+          // A single rename is atomic already
+          return self._applyChanges(changes);
+        }
+
+        var journal = self._filename(JOURNAL_FILE);
+
+        return writeAtomic(journal, JSON.stringify(changes)).then(function () {
+          return self._applyChanges(changes);
+        }).then(function () {
+          return fsCall('unlink', journal);
+        });
+      });
+    },
+
+    forAllNodes: function (cb) {
+      var self = this;
+
+      return this._enqueue(function () {
+        return fsCall('readdir', self.directory).then(function (filenames) {
+          filenames = filenames.filter(function (filename) {
+            return NODE_FILE_PATTERN.test(filename);
+          });
+
+          // Read the files one by one, to not open too many at once
+          return filenames.reduce(function (previous, filename) {
+            return previous.then(function () {
+              return fsCall('readFile', self._filename(filename), 'utf8').then(function (data) {
+                cb(self.migrate(deserialize(data)));
+              }, ignoreMissing);
+            });
+          }, Promise.resolve());
+        });
+      });
+    },
+
+    /**
+     * Method: clear
+     *
+     * Remove all cached nodes (as well as a pending journal and temporary
+     * files left over by a crash) from the cache directory.
+     **/
+    clear: function () {
+      var self = this;
+
+      return this._enqueue(function () {
+        return fsCall('readdir', self.directory).then(function (filenames) {
+          return Promise.all(filenames.filter(function (filename) {
+            return NODE_FILE_PATTERN.test(filename) || TMP_FILE_PATTERN.test(filename) ||
+                   filename === JOURNAL_FILE;
+          }).map(function (filename) {
+            return fsCall('unlink', self._filename(filename)).then(undefined, ignoreMissing);
+          }));
+        }, ignoreMissing);
+      });
+    },
+
+    // Runs the given job after all previously queued ones have finished
+    _enqueue: function (job) {
+      var opened = this._opened;
+      var result = this._queue.then(function () {
+        return opened ? opened.then(job) : job();
+      });
+
+      this._queue = result.then(noop, noop);
+      return result;
+    },
+
+    // Creates the directory and replays a journal left over by a crash
+    _open: function () {
+      var self = this;
+      var journal = this._filename(JOURNAL_FILE);
+
+      return makeDirectory(this.directory).then(function () {
+        return fsCall('readFile', journal, 'utf8');
+      }).then(function (data) {
+        var changes;
+        try {
+          changes = JSON.parse(data);
+        } catch (e) {
+          RemoteStorage.log('[FileSystemStorage] Discarding unreadable journal', e);
+        }
+
+        RemoteStorage.log('[FileSystemStorage] Replaying journal');
+        return (changes ? self._applyChanges(changes) : Promise.resolve()).then(function () {
+          return fsCall('unlink', journal);
+        });
+      }, ignoreMissing);
+    },
+
+    _applyChanges: function (changes) {
+      var self = this;
+
+      return Promise.all(Object.keys(changes).map(function (path) {
+        var filename = self._nodeFilename(path);
+
+        if (changes[path] === null) {
+          return fsCall('unlink', filename).then(undefined, ignoreMissing);
+        } else {
+          return writeAtomic(filename, changes[path]);
+        }
+      })).then(function () {
+        return syncDirectory(self.directory);
+      });
+    },
+
+    _readNode: function (path) {
+      return fsCall('readFile', this._nodeFilename(path), 'utf8').then(function (data) {
+        return deserialize(data);
+      }, ignoreMissing);
+    },
+
+    _nodeFilename: function (path) {
+      return this._filename(crypto.createHash('sha1').update(path, 'utf8').digest('hex') + '.json');
+    },
+
+    _filename: function (name) {
+      return nodePath.join(this.directory, name);
+    }
+
+  };
+
+  // The cache directory is created when the storage is opened, so nothing
+  // is written to disk when another caching layer is used
+  RemoteStorage.FileSystemStorage._rs_init = function () {};
+
+  RemoteStorage.FileSystemStorage._rs_supported = function () {
+    return isNode;
+  };
+
+  RemoteStorage.FileSystemStorage._rs_cleanup = function (remoteStorage) {
+    if (remoteStorage.local instanceof RemoteStorage.FileSystemStorage) {
+      return remoteStorage.local.clear();
+    }
+  };
+})(typeof(window) !== 'undefined' ? window : global);
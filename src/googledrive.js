@@ -25,6 +25,7 @@
   var BASE_URL = 'https://www.googleapis.com';
   var AUTH_URL = 'https://accounts.google.com/o/oauth2/auth';
   var AUTH_SCOPE = 'https://www.googleapis.com/auth/drive';
+  var SETTINGS_KEY = 'remotestorage:googledrive:token';
 
   var GD_DIR_MIME_TYPE = 'application/vnd.google-apps.folder';
   var RS_DIR_MIME_TYPE = 'application/json; charset=UTF-8';
@@ -81,7 +82,7 @@
 
   RS.GoogleDrive = function (remoteStorage, clientId) {
 
-    RS.eventHandling(this, 'change', 'connected', 'wire-busy', 'wire-done', 'not-connected');
+    RS.eventHandling(this, 'change', 'connected', 'wire-busy', 'wire-done', 'wire-progress', 'not-connected');
 
     this.rs = remoteStorage;
     this.clientId = clientId;
@@ -95,20 +96,20 @@
 
     configure: function (settings) { // Settings parameter compatible with WireClient
       if (settings.token) {
-        localStorage['remotestorage:googledrive:token'] = settings.token;
+        localStorage[RS.util.settingsKey(SETTINGS_KEY, this.rs.accountName)] = settings.token;
         this.token = settings.token;
         this.connected = true;
         this._emit('connected');
       } else {
         this.connected = false;
         delete this.token;
-        delete localStorage['remotestorage:googledrive:token'];
+        delete localStorage[RS.util.settingsKey(SETTINGS_KEY, this.rs.accountName)];
       }
     },
 
     connect: function () {
       this.rs.setBackend('googledrive');
-      RS.Authorize(AUTH_URL, AUTH_SCOPE, String(RS.Authorize.getLocation()), this.clientId);
+      RS.Authorize(this.rs, AUTH_URL, AUTH_SCOPE, String(RS.Authorize.getLocation()), this.clientId);
     },
 
     stopWaitingForToken: function () {
@@ -138,7 +139,7 @@
           return Promise.reject("PUT failed with status " + response.status + " (" + response.responseText + ")");
         }
       }
-      return self._getFileId(path).then(function (id) {
+      return self._getFileId(path, options).then(function (id) {
         if (id) {
           if (options && (options.ifNoneMatch === '*')) {
             return putDone({ status: 412 });
@@ -152,13 +153,13 @@
 
     'delete': function (path, options) {
       var self = this;
-      return self._getFileId(path).then(function (id) {
+      return self._getFileId(path, options).then(function (id) {
         if (!id) {
           // File doesn't exist. Ignore.
           return Promise.resolve({statusCode: 200});
         }
 
-        return self._getMeta(id).then(function (meta) {
+        return self._getMeta(id, options).then(function (meta) {
           var etagWithoutQuotes;
           if ((typeof meta === 'object') && (typeof meta.etag === 'string')) {
             etagWithoutQuotes = meta.etag.substring(1, meta.etag.length-1);
@@ -167,7 +168,7 @@
             return {statusCode: 412, revision: etagWithoutQuotes};
           }
 
-          return self._request('DELETE', BASE_URL + '/drive/v2/files/' + id, {}).then(function (response) {
+          return self._request('DELETE', BASE_URL + '/drive/v2/files/' + id, RS.WireClient.requestOptions({}, options)).then(function (response) {
             if (response.status === 200 || response.status === 204) {
               return {statusCode: 200};
             } else {
@@ -191,23 +192,24 @@
         headers['If-Match'] = '"' + options.ifMatch + '"';
       }
 
-      return self._request('PUT', BASE_URL + '/upload/drive/v2/files/' + id + '?uploadType=resumable', {
+      return self._request('PUT', BASE_URL + '/upload/drive/v2/files/' + id + '?uploadType=resumable', RS.WireClient.requestOptions({
         body: JSON.stringify(metadata),
         headers: headers
-      }).then(function (response) {
+      }, options)).then(function (response) {
         if (response.status === 412) {
           return (response);
         } else {
-          return self._request('PUT', response.getResponseHeader('Location'), {
-            body: contentType.match(/^application\/json/) ? JSON.stringify(body) : body
-          });
+          return self._request('PUT', response.getResponseHeader('Location'), RS.WireClient.requestOptions({
+            body: contentType.match(/^application\/json/) ? JSON.stringify(body) : body,
+            onProgress: RS.WireClient.progressEmitter(self, 'PUT', path)
+          }, options));
         }
       });
     },
 
     _createFile: function (path, body, contentType, options) {
       var self = this;
-      return self._getParentId(path).then(function (parentId) {
+      return self._getParentId(path, options).then(function (parentId) {
         var fileName = baseName(path);
         var metadata = {
           title: metaTitleFromFileName(fileName),
@@ -217,23 +219,24 @@
             id: parentId
           }]
         };
-        return self._request('POST', BASE_URL + '/upload/drive/v2/files?uploadType=resumable', {
+        return self._request('POST', BASE_URL + '/upload/drive/v2/files?uploadType=resumable', RS.WireClient.requestOptions({
           body: JSON.stringify(metadata),
           headers: {
             'Content-Type': 'application/json; charset=UTF-8'
           }
-        }).then(function (response) {
-          return self._request('POST', response.getResponseHeader('Location'), {
-            body: contentType.match(/^application\/json/) ? JSON.stringify(body) : body
-          });
+        }, options)).then(function (response) {
+          return self._request('POST', response.getResponseHeader('Location'), RS.WireClient.requestOptions({
+            body: contentType.match(/^application\/json/) ? JSON.stringify(body) : body,
+            onProgress: RS.WireClient.progressEmitter(self, 'PUT', path)
+          }, options));
         });
       });
     },
 
     _getFile: function (path, options) {
       var self = this;
-      return self._getFileId(path).then(function (id) {
-        return self._getMeta(id).then(function (meta) {
+      return self._getFileId(path, options).then(function (id) {
+        return self._getMeta(id, options).then(function (meta) {
           var etagWithoutQuotes;
           if (typeof(meta) === 'object' && typeof(meta.etag) === 'string') {
             etagWithoutQuotes = meta.etag.substring(1, meta.etag.length-1);
@@ -243,7 +246,9 @@
             return Promise.resolve({statusCode: 304});
           }
 
-          var options2 = {};
+          var options2 = {
+            onProgress: RS.WireClient.progressEmitter(self, 'GET', path)
+          };
           if (!meta.downloadUrl) {
             if (meta.exportLinks && meta.exportLinks['text/html']) {
               // Documents that were generated inside GoogleDocs have no
@@ -259,7 +264,7 @@
           if (meta.mimeType.match(/charset=binary/)) {
             options2.responseType = 'blob';
           }
-          return self._request('GET', meta.downloadUrl, options2).then(function (response) {
+          return self._request('GET', meta.downloadUrl, RS.WireClient.requestOptions(options2, options)).then(function (response) {
             var body = response.response;
             if (meta.mimeType.match(/^application\/json/)) {
               try {
@@ -274,7 +279,7 @@
 
     _getFolder: function (path, options) {
       var self = this;
-      return self._getFileId(path).then(function (id) {
+      return self._getFileId(path, options).then(function (id) {
         var query, fields, data, i, etagWithoutQuotes, itemsMap;
         if (! id) {
           return Promise.resolve({statusCode: 404});
@@ -286,7 +291,7 @@
             + 'q=' + encodeURIComponent(query)
             + '&fields=' + encodeURIComponent(fields)
             + '&maxResults=1000',
-            {})
+            RS.WireClient.requestOptions({}, options))
         .then(function (response) {
           if (response.status !== 200) {
             return Promise.reject('request failed or something: ' + response.status);
@@ -321,22 +326,22 @@
       });
     },
 
-    _getParentId: function (path) {
+    _getParentId: function (path, options) {
       var foldername = parentPath(path);
       var self = this;
-      return self._getFileId(foldername).then(function (parentId) {
+      return self._getFileId(foldername, options).then(function (parentId) {
         if (parentId) {
           return Promise.resolve(parentId);
         } else {
-          return self._createFolder(foldername);
+          return self._createFolder(foldername, options);
         }
       });
     },
 
-    _createFolder: function (path) {
+    _createFolder: function (path, options) {
       var self = this;
-      return self._getParentId(path).then(function (parentId) {
-        return self._request('POST', BASE_URL + '/drive/v2/files', {
+      return self._getParentId(path, options).then(function (parentId) {
+        return self._request('POST', BASE_URL + '/drive/v2/files', RS.WireClient.requestOptions({
           body: JSON.stringify({
             title: metaTitleFromFileName(baseName(path)),
             mimeType: GD_DIR_MIME_TYPE,
@@ -347,14 +352,14 @@
           headers: {
             'Content-Type': 'application/json; charset=UTF-8'
           }
-        }).then(function (response) {
+        }, options)).then(function (response) {
           var meta = JSON.parse(response.responseText);
           return Promise.resolve(meta.id);
         });
       });
     },
 
-    _getFileId: function (path) {
+    _getFileId: function (path, options) {
       var self = this;
       var id;
       if (path === '/') {
@@ -366,12 +371,12 @@
       }
       // id is not cached (or file doesn't exist).
       // load parent folder listing to propagate / update id cache.
-      return self._getFolder(parentPath(path)).then(function () {
+      return self._getFolder(parentPath(path), options).then(function () {
         id = self._fileIdCache.get(path);
         if (!id) {
           if (path.substr(-1) === '/') {
-            return self._createFolder(path).then(function () {
-              return self._getFileId(path);
+            return self._createFolder(path, options).then(function () {
+              return self._getFileId(path, options);
             });
           } else {
             return Promise.resolve();
@@ -382,8 +387,8 @@
       });
     },
 
-    _getMeta: function (id) {
-      return this._request('GET', BASE_URL + '/drive/v2/files/' + id, {}).then(function (response) {
+    _getMeta: function (id, options) {
+      return this._request('GET', BASE_URL + '/drive/v2/files/' + id, RS.WireClient.requestOptions({}, options)).then(function (response) {
         if (response.status === 200) {
           return Promise.resolve(JSON.parse(response.responseText));
         } else {
@@ -37,17 +37,41 @@
    *     - #getNodes([paths]) returns the requested nodes in a promise.
    *     - #setNodes(map) stores all the nodes given in the (path -> node) map.
    *
+   *   Indexes:
+   *     - The "index" object store holds the index terms of each document
+   *       (see cachinglayer#indexTerms), with a multi-entry index on them.
+   *       They are updated together with the nodes, and rebuilt when the
+   *       declared indexes change.
+   *
    */
 
   var RS = RemoteStorage;
 
-  var DB_VERSION = 2;
+  var DB_VERSION = 3;
+
+  // Key of the record in the "index" store that holds the index
+  // declarations the stored terms were computed for
+  var INDEX_META_KEY = '';
 
   var DEFAULT_DB_NAME = 'remotestorage';
-  var DEFAULT_DB;
+
+  // Databases opened by _rs_init, by name
+  var OPEN_DBS = {};
+
+  function indexDeclarations() {
+    var Types = RS.BaseClient && RS.BaseClient.Types;
+    return (Types && Types.indexes) ? JSON.stringify(Types.indexes) : '{}';
+  }
+
+  function hasIndexes() {
+    return indexDeclarations() !== '{}';
+  }
 
   RS.IndexedDB = function (database) {
-    this.db = database || DEFAULT_DB;
+    if (!database || typeof(database) === 'string') {
+      database = OPEN_DBS[database || DEFAULT_DB_NAME];
+    }
+    this.db = database;
 
     if (!this.db) {
       RemoteStorage.log("[IndexedDB] Failed to open DB");
@@ -55,7 +79,7 @@
     }
 
     RS.cachingLayer(this);
-    RS.eventHandling(this, 'change', 'local-events-done');
+    RS.eventHandling(this, 'change', 'local-events-done', 'pending-changes');
 
     this.getsRunning = 0;
     this.putsRunning = 0;
@@ -173,8 +197,10 @@
 
     setNodesInDb: function (nodes) {
       var pending = Promise.defer();
-      var transaction = this.db.transaction(['nodes'], 'readwrite');
+      var indexing = hasIndexes();
+      var transaction = this.db.transaction(indexing ? ['nodes', 'index'] : ['nodes'], 'readwrite');
       var nodesStore = transaction.objectStore('nodes');
+      var indexStore = indexing && transaction.objectStore('index');
       var startTime = new Date().getTime();
 
       this.putsRunning++;
@@ -186,6 +212,9 @@
         if(typeof(node) === 'object') {
           try {
             nodesStore.put(node);
+            if (indexing) {
+              this.putIndexTerms(indexStore, path, this.indexTerms(node));
+            }
           } catch(e) {
             RemoteStorage.log('[IndexedDB] Error while putting', node, e);
             throw e;
@@ -193,6 +222,9 @@
         } else {
           try {
             nodesStore.delete(path);
+            if (indexing) {
+              indexStore.delete(path);
+            }
           } catch(e) {
             RemoteStorage.log('[IndexedDB] Error while removing', nodesStore, node, e);
             throw e;
@@ -257,6 +289,168 @@
       return pending.promise;
     },
 
+    forAllNodesBelow: function (path, cb) {
+      var pending = Promise.defer();
+      var transaction = this.db.transaction(['nodes'], 'readonly');
+      var range = IDBKeyRange.bound(path, path + '\uffff', true, false);
+      var cursorReq = transaction.objectStore('nodes').openCursor(range);
+      var changes = {};
+      var changedPath;
+
+      // Changes that haven't been committed yet take precedence over the database
+      for (changedPath in this.changesRunning) {
+        changes[changedPath] = this.changesRunning[changedPath];
+      }
+      for (changedPath in this.changesQueued) {
+        changes[changedPath] = this.changesQueued[changedPath];
+      }
+
+      cursorReq.onsuccess = function (evt) {
+        var cursor = evt.target.result;
+
+        if (cursor) {
+          if (changes[cursor.value.path] === undefined) {
+            cb(this.migrate(cursor.value));
+          }
+          cursor.continue();
+        } else {
+          for (changedPath in changes) {
+            if (changes[changedPath] && changedPath !== path && changedPath.indexOf(path) === 0) {
+              cb(this.migrate(RemoteStorage.util.deepClone(changes[changedPath])));
+            }
+          }
+          pending.resolve();
+        }
+      }.bind(this);
+
+      cursorReq.onerror = function () {
+        pending.reject('cursor error');
+      };
+
+      return pending.promise;
+    },
+
+    putIndexTerms: function (indexStore, path, terms) {
+      if (terms.length > 0) {
+        indexStore.put({ path: path, terms: terms });
+      } else {
+        indexStore.delete(path);
+      }
+    },
+
+    /**
+     * Method: findPathsByIndex
+     *
+     * Look up the paths of the documents with the given index term, including
+     * uncommitted changes as candidates. Used by cachinglayer#findBy, which
+     * checks the candidates against the actual nodes.
+     *
+     * Returns a promise for an array of paths.
+     */
+    findPathsByIndex: function (term) {
+      return this.ensureIndex().then(function () {
+        var pending = Promise.defer();
+        var transaction = this.db.transaction(['index'], 'readonly');
+        var cursorReq = transaction.objectStore('index').index('terms').openCursor(IDBKeyRange.only(term));
+        var paths = Object.keys(this.changesRunning).concat(Object.keys(this.changesQueued));
+
+        cursorReq.onsuccess = function (evt) {
+          var cursor = evt.target.result;
+
+          if (cursor) {
+            if (paths.indexOf(cursor.value.path) === -1) {
+              paths.push(cursor.value.path);
+            }
+            cursor.continue();
+          } else {
+            pending.resolve(paths);
+          }
+        };
+
+        cursorReq.onerror = function () {
+          pending.reject('index cursor error');
+        };
+
+        return pending.promise;
+      }.bind(this));
+    },
+
+    /**
+     * Method: ensureIndex
+     *
+     * Rebuild the index terms of all nodes if they were computed for other
+     * index declarations than the current ones.
+     */
+    ensureIndex: function () {
+      var declarations = indexDeclarations();
+
+      if (this.indexedDeclarations === declarations) {
+        return Promise.resolve();
+      }
+
+      return this.getIndexMeta().then(function (meta) {
+        if (meta && meta.declarations === declarations) {
+          this.indexedDeclarations = declarations;
+          return;
+        }
+        return this.rebuildIndex(declarations);
+      }.bind(this));
+    },
+
+    getIndexMeta: function () {
+      var pending = Promise.defer();
+      var transaction = this.db.transaction(['index'], 'readonly');
+      var meta;
+
+      transaction.objectStore('index').get(INDEX_META_KEY).onsuccess = function (evt) {
+        meta = evt.target.result;
+      };
+
+      transaction.oncomplete = function () {
+        pending.resolve(meta);
+      };
+
+      transaction.onerror = transaction.onabort = function () {
+        pending.reject('index transaction error/abort');
+      };
+
+      return pending.promise;
+    },
+
+    rebuildIndex: function (declarations) {
+      var records = [];
+
+      RemoteStorage.log('[IndexedDB] Rebuilding index');
+
+      return this.forAllNodes(function (node) {
+        var terms = this.indexTerms(node);
+        if (terms.length > 0) {
+          records.push({ path: node.path, terms: terms });
+        }
+      }.bind(this)).then(function () {
+        var pending = Promise.defer();
+        var transaction = this.db.transaction(['index'], 'readwrite');
+        var indexStore = transaction.objectStore('index');
+
+        indexStore.clear();
+        records.forEach(function (record) {
+          indexStore.put(record);
+        });
+        indexStore.put({ path: INDEX_META_KEY, terms: [], declarations: declarations });
+
+        transaction.oncomplete = function () {
+          this.indexedDeclarations = declarations;
+          pending.resolve();
+        }.bind(this);
+
+        transaction.onerror = transaction.onabort = function () {
+          pending.reject('index transaction error/abort');
+        };
+
+        return pending.promise;
+      }.bind(this));
+    },
+
     closeDB: function () {
       this.db.close();
     }
@@ -283,14 +477,21 @@
 
         RemoteStorage.log("[IndexedDB] Upgrade: from ", event.oldVersion, " to ", event.newVersion);
 
-        if (event.oldVersion !== 1) {
+        if (!db.objectStoreNames.contains('nodes')) {
           RemoteStorage.log("[IndexedDB] Creating object store: nodes");
           db.createObjectStore('nodes', { keyPath: 'path' });
         }
 
-        RemoteStorage.log("[IndexedDB] Creating object store: changes");
+        if (!db.objectStoreNames.contains('changes')) {
+          RemoteStorage.log("[IndexedDB] Creating object store: changes");
+          db.createObjectStore('changes', { keyPath: 'path' });
+        }
 
-        db.createObjectStore('changes', { keyPath: 'path' });
+        if (!db.objectStoreNames.contains('index')) {
+          RemoteStorage.log("[IndexedDB] Creating object store: index");
+          var indexStore = db.createObjectStore('index', { keyPath: 'path' });
+          indexStore.createIndex('terms', 'terms', { multiEntry: true });
+        }
       };
 
       req.onsuccess = function () {
@@ -298,7 +499,8 @@
 
         // check if all object stores exist
         var db = req.result;
-        if(!db.objectStoreNames.contains('nodes') || !db.objectStoreNames.contains('changes')) {
+        if(!db.objectStoreNames.contains('nodes') || !db.objectStoreNames.contains('changes') ||
+           !db.objectStoreNames.contains('index')) {
           RemoteStorage.log("[IndexedDB] Missing object store. Resetting the database.");
           RS.IndexedDB.clean(name, function() {
             RS.IndexedDB.open(name, callback);
@@ -335,12 +537,13 @@
 
   RS.IndexedDB._rs_init = function (remoteStorage) {
     var pending = Promise.defer();
+    var name = remoteStorage.cacheName || DEFAULT_DB_NAME;
 
-    RS.IndexedDB.open(DEFAULT_DB_NAME, function (err, db) {
+    RS.IndexedDB.open(name, function (err, db) {
       if (err) {
         pending.reject(err);
       } else {
-        DEFAULT_DB = db;
+        OPEN_DBS[name] = db;
         db.onerror = function () { remoteStorage._emit('error', err); };
         pending.resolve();
       }
@@ -389,11 +592,11 @@
   RS.IndexedDB._rs_cleanup = function (remoteStorage) {
     var pending = Promise.defer();
 
-    if (remoteStorage.local) {
+    if (remoteStorage.local instanceof RS.IndexedDB) {
       remoteStorage.local.closeDB();
     }
 
-    RS.IndexedDB.clean(DEFAULT_DB_NAME, function () {
+    RS.IndexedDB.clean(remoteStorage.cacheName || DEFAULT_DB_NAME, function () {
       pending.resolve();
     });
 
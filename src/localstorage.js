@@ -3,15 +3,27 @@
    * Class: RemoteStorage.LocalStorage
    *
    * localStorage caching adapter. Used when no IndexedDB available.
+   *
+   * Nodes are stored under keys like "remotestorage:cache:nodes:/foo/bar",
+   * where the first part is the cache name (see <RemoteStorage>).
    **/
 
-  var NODES_PREFIX = "remotestorage:cache:nodes:";
-  var CHANGES_PREFIX = "remotestorage:cache:changes:";
+  var DEFAULT_NAME = "remotestorage";
+
+  function nodesPrefix(name) {
+    return (name || DEFAULT_NAME) + ":cache:nodes:";
+  }
+
+  function changesPrefix(name) {
+    return (name || DEFAULT_NAME) + ":cache:changes:";
+  }
 
-  RemoteStorage.LocalStorage = function () {
+  RemoteStorage.LocalStorage = function (name) {
     RemoteStorage.cachingLayer(this);
     RemoteStorage.log('[LocalStorage] Registering events');
-    RemoteStorage.eventHandling(this, 'change', 'local-events-done');
+    RemoteStorage.eventHandling(this, 'change', 'local-events-done', 'pending-changes');
+
+    this.nodesPrefix = nodesPrefix(name);
   };
 
   function b64ToUint6(nChr) {
@@ -33,13 +45,8 @@
     return node.match(/charset=binary/);
   }
 
-  function isRemoteStorageKey(key) {
-    return key.substr(0, NODES_PREFIX.length) === NODES_PREFIX ||
-           key.substr(0, CHANGES_PREFIX.length) === CHANGES_PREFIX;
-  }
-
-  function isNodeKey(key) {
-    return key.substr(0, NODES_PREFIX.length) === NODES_PREFIX;
+  function hasPrefix(key, prefix) {
+    return key.substr(0, prefix.length) === prefix;
   }
 
   RemoteStorage.LocalStorage.prototype = {
@@ -49,7 +56,7 @@
 
       for(var i = 0, len = paths.length; i < len; i++) {
         try {
-          nodes[paths[i]] = JSON.parse(localStorage[NODES_PREFIX+paths[i]]);
+          nodes[paths[i]] = JSON.parse(localStorage[this.nodesPrefix+paths[i]]);
         } catch(e) {
           nodes[paths[i]] = undefined;
         }
@@ -61,7 +68,7 @@
     setNodes: function (nodes) {
       for (var path in nodes) {
         // TODO shouldn't we use getItem/setItem?
-        localStorage[NODES_PREFIX+path] = JSON.stringify(nodes[path]);
+        localStorage[this.nodesPrefix+path] = JSON.stringify(nodes[path]);
       }
 
       return Promise.resolve();
@@ -71,7 +78,7 @@
       var node;
 
       for(var i = 0, len = localStorage.length; i < len; i++) {
-        if (isNodeKey(localStorage.key(i))) {
+        if (hasPrefix(localStorage.key(i), this.nodesPrefix)) {
           try {
             node = this.migrate(JSON.parse(localStorage[localStorage.key(i)]));
           } catch(e) {
@@ -94,12 +101,13 @@
   };
 
   // TODO tests missing!
-  RemoteStorage.LocalStorage._rs_cleanup = function () {
+  RemoteStorage.LocalStorage._rs_cleanup = function (remoteStorage) {
     var keys = [];
+    var name = remoteStorage && remoteStorage.cacheName;
 
     for (var i = 0, len = localStorage.length; i < len; i++) {
       var key = localStorage.key(i);
-      if (isRemoteStorageKey(key)) {
+      if (hasPrefix(key, nodesPrefix(name)) || hasPrefix(key, changesPrefix(name))) {
         keys.push(key);
       }
     }
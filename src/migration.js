@@ -0,0 +1,347 @@
+(function (global) {
+  /**
+   * Class: RemoteStorage.Migration
+   *
+   * Copies a tree of documents from one backend to another, e.g. from a
+   * remoteStorage server to Dropbox or Google Drive, when a user switches
+   * providers. See <RemoteStorage.migrate>.
+   *
+   * The tree is walked folder by folder. Documents are copied with their
+   * content type, and afterwards the folder listing of the target is fetched
+   * again, to verify that every copied document has the ETag that was
+   * returned for it when it was stored.
+   *
+   * For every verified document, the ETags on both sides are recorded (in
+   * localStorage, or in memory where there is none). When a migration of the
+   * same paths between the same backends is started again after an
+   * interruption, documents whose ETags on both sides still match the
+   * recorded ones are skipped. The record is removed once a migration has
+   * completed without failures.
+   **/
+
+  var SETTINGS_KEY = 'remotestorage:migration';
+
+  // Migration states by settings key, where localStorage isn't available
+  var memoryStates = {};
+
+  var isFolder = RemoteStorage.util.isFolder;
+  var containingFolder = RemoteStorage.util.containingFolder;
+
+  // RemoteStorage instances (and accounts) can be given instead of backends
+  function backendOf(storage) {
+    if (storage && storage.remote && typeof(storage.remote.get) === 'function') {
+      return storage.remote;
+    }
+    return storage;
+  }
+
+  function identify(backend) {
+    return backend.href || backend.userAddress;
+  }
+
+  function isSuccess(statusCode) {
+    return statusCode >= 200 && statusCode < 300;
+  }
+
+  RemoteStorage.Migration = function (remoteStorage, options) {
+    this.from = backendOf(options.from);
+    this.to = backendOf(options.to);
+    this.paths = options.paths || ['/'];
+    this.onProgress = options.onProgress;
+
+    this._hasLocalStorage = remoteStorage.localStorageAvailable();
+    this._key = RemoteStorage.util.settingsKey(SETTINGS_KEY, remoteStorage.accountName);
+  };
+
+  RemoteStorage.Migration.prototype = {
+
+    /**
+     * Method: run
+     *
+     * Run the migration. Returns a promise, which is resolved with the
+     * numbers of copied and skipped documents, and the paths of the
+     * documents that couldn't be copied or verified:
+     *
+     *   (start code)
+     *   { copied: 42, skipped: 0, failed: ['/notes/broken'] }
+     *   (end code)
+     */
+    run: function () {
+      var self = this;
+      var groups = [];
+      var result = { copied: 0, skipped: 0, failed: [] };
+      var total = 0;
+
+      if (!this.from || !this.from.connected) {
+        return Promise.reject(new Error('Source backend is not connected'));
+      }
+      if (!this.to || !this.to.connected) {
+        return Promise.reject(new Error('Target backend is not connected'));
+      }
+
+      this._loadState();
+
+      return this.paths.reduce(function (previous, path) {
+        return previous.then(function () {
+          return self._collect(path, groups);
+        });
+      }, Promise.resolve()).then(function () {
+        groups.forEach(function (group) {
+          total += group.documents.length;
+        });
+
+        return groups.reduce(function (previous, group) {
+          return previous.then(function () {
+            return self._migrateFolder(group);
+          }).then(function (actions) {
+            self._saveState();
+            group.documents.forEach(function (document) {
+              var action = actions[document.path];
+              if (action === 'failed') {
+                result.failed.push(document.path);
+              } else {
+                result[action]++;
+              }
+              if (self.onProgress) {
+                self.onProgress({
+                  path: document.path,
+                  action: action,
+                  done: result.copied + result.skipped + result.failed.length,
+                  total: total
+                });
+              }
+            });
+          });
+        }, Promise.resolve());
+      }).then(function () {
+        if (result.failed.length === 0) {
+          self._clearState();
+        }
+        return result;
+      });
+    },
+
+    // Collects the documents below the given path (or the document itself),
+    // grouped by folder, with their ETags on the source
+    _collect: function (path, groups) {
+      var self = this;
+      var folder = isFolder(path) ? path : containingFolder(path);
+
+      return this.from.get(folder).then(function (r) {
+        var documents = [];
+        var subfolders = [];
+
+        if (r.statusCode === 404) {
+          return;
+        }
+        if (r.statusCode !== 200) {
+          throw new Error('Could not list ' + folder + ' (status ' + r.statusCode + ')');
+        }
+
+        Object.keys(r.body).forEach(function (item) {
+          if (isFolder(path)) {
+            if (isFolder(item)) {
+              subfolders.push(folder + item);
+            } else {
+              documents.push({ path: folder + item, revision: r.body[item].ETag });
+            }
+          } else if (folder + item === path) {
+            documents.push({ path: path, revision: r.body[item].ETag });
+          }
+        });
+
+        if (documents.length > 0) {
+          groups.push({ folder: folder, documents: documents });
+        }
+
+        return subfolders.reduce(function (previous, subfolder) {
+          return previous.then(function () {
+            return self._collect(subfolder, groups);
+          });
+        }, Promise.resolve());
+      });
+    },
+
+    // Copies the documents of one folder, and verifies them against the
+    // folder listing of the target. Resolves with the action taken for each
+    // document ('copied', 'skipped' or 'failed').
+    _migrateFolder: function (group) {
+      var self = this;
+      var actions = {};
+      var stored = {};
+
+      return this._targetListing(group.folder).then(function (listing) {
+        return group.documents.reduce(function (previous, document) {
+          return previous.then(function () {
+            var done = self._state.done[document.path];
+
+            if (done && done.from === document.revision && listing[document.path] &&
+                listing[document.path] === done.to) {
+              actions[document.path] = 'skipped';
+              return;
+            }
+
+            delete self._state.done[document.path];
+
+            return self._copy(document).then(function (copy) {
+              if (copy) {
+                stored[document.path] = copy;
+                actions[document.path] = 'copied';
+              } else {
+                // Deleted on the source in the meantime
+                actions[document.path] = 'skipped';
+              }
+            }, function (err) {
+              RemoteStorage.log('[Migration] Copying ' + document.path + ' failed', err);
+              actions[document.path] = 'failed';
+            });
+          });
+        }, Promise.resolve());
+      }).then(function () {
+        if (Object.keys(stored).length === 0) {
+          return actions;
+        }
+
+        return self._targetListing(group.folder).then(function (listing) {
+          Object.keys(stored).forEach(function (path) {
+            var copy = stored[path];
+            var verified = (typeof(copy.to) === 'undefined') ? path in listing : listing[path] === copy.to;
+
+            if (verified) {
+              self._state.done[path] = { from: copy.from, to: listing[path] };
+            } else {
+              RemoteStorage.log('[Migration] ETag of ' + path + ' on the target does not match');
+              actions[path] = 'failed';
+            }
+          });
+          return actions;
+        }, function (err) {
+          RemoteStorage.log('[Migration] Verifying ' + group.folder + ' failed', err);
+          Object.keys(stored).forEach(function (path) {
+            actions[path] = 'failed';
+          });
+          return actions;
+        });
+      });
+    },
+
+    // Resolves with the source and target revision of the copied document,
+    // or undefined if it doesn't exist anymore
+    _copy: function (document) {
+      var self = this;
+
+      return this.from.get(document.path).then(function (r) {
+        if (r.statusCode === 404) {
+          return;
+        }
+        if (r.statusCode !== 200) {
+          throw new Error('Could not get ' + document.path + ' (status ' + r.statusCode + ')');
+        }
+
+        return self.to.put(document.path, r.body, r.contentType).then(function (response) {
+          if (!isSuccess(response.statusCode)) {
+            throw new Error('Could not put ' + document.path + ' (status ' + response.statusCode + ')');
+          }
+          return { from: r.revision || document.revision, to: response.revision };
+        });
+      });
+    },
+
+    // Resolves with the ETags of the documents in a folder of the target, by
+    // path
+    _targetListing: function (folder) {
+      return this.to.get(folder).then(function (r) {
+        var listing = {};
+
+        if (r.statusCode === 200) {
+          Object.keys(r.body).forEach(function (item) {
+            if (!isFolder(item)) {
+              listing[folder + item] = r.body[item].ETag;
+            }
+          });
+        } else if (r.statusCode !== 404) {
+          throw new Error('Could not list ' + folder + ' on the target (status ' + r.statusCode + ')');
+        }
+        return listing;
+      });
+    },
+
+    _loadState: function () {
+      var id = JSON.stringify([identify(this.from), identify(this.to), this.paths]);
+      var state;
+
+      if (this._hasLocalStorage) {
+        try { state = JSON.parse(localStorage[this._key]); } catch(e) {}
+      } else {
+        state = memoryStates[this._key];
+      }
+
+      // A different migration can't be resumed
+      this._state = (state && state.id === id) ? state : { id: id, done: {} };
+    },
+
+    _saveState: function () {
+      if (this._hasLocalStorage) {
+        localStorage[this._key] = JSON.stringify(this._state);
+      } else {
+        memoryStates[this._key] = this._state;
+      }
+    },
+
+    _clearState: function () {
+      if (this._hasLocalStorage) {
+        delete localStorage[this._key];
+      } else {
+        delete memoryStates[this._key];
+      }
+    }
+  };
+
+  /**
+   * Method: RemoteStorage.migrate
+   *
+   * Copy all documents below the given paths from one backend to another,
+   * for example from the connected remoteStorage server to Dropbox. See
+   * <RemoteStorage.Migration> for how the copies are verified, and how an
+   * interrupted migration is resumed by calling this method again with the
+   * same options.
+   *
+   * Parameters:
+   *   options - An object with the following properties:
+   *
+   *     from       - Backend to copy from: a connected
+   *                  <RemoteStorage.WireClient>, <RemoteStorage.Dropbox> or
+   *                  <RemoteStorage.GoogleDrive>, or a RemoteStorage instance
+   *                  (such as an account added with <addAccount>), whose
+   *                  remote is used
+   *     to         - Backend to copy to, like "from"
+   *     paths      - (optional) Array of folder and document paths to copy.
+   *                  Defaults to ['/'].
+   *     onProgress - (optional) Function called after each document with an
+   *                  object containing its path, the action taken ('copied',
+   *                  'skipped' or 'failed'), and the number of documents done
+   *                  so far and in total
+   *
+   * Returns a promise, see <RemoteStorage.Migration.run>.
+   *
+   * Example:
+   *   (start code)
+   *   var dropbox = remoteStorage.addAccount('dropbox');
+   *   // ... after connecting the account to Dropbox
+   *   remoteStorage.migrate({
+   *     from: remoteStorage,
+   *     to: dropbox,
+   *     paths: ['/notes/', '/pictures/'],
+   *     onProgress: function (progress) {
+   *       console.log(progress.done + ' of ' + progress.total);
+   *     }
+   *   }).then(function (result) {
+   *     console.log(result.copied + ' documents copied');
+   *   });
+   *   (end code)
+   */
+  RemoteStorage.prototype.migrate = function (options) {
+    return new RemoteStorage.Migration(this, options).run();
+  };
+
+})(typeof(window) !== 'undefined' ? window : global);
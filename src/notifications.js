@@ -0,0 +1,310 @@
+(function (global) {
+
+  /**
+   * Class: RemoteStorage.Notifications
+   *
+   * An optional channel over which the server announces changes, so that
+   * they are synced right away instead of with the next poll.
+   *
+   * Servers advertise the channel in the properties of their WebFinger link
+   * (see <RemoteStorage.Discover>), with the URL of either a WebSocket
+   * (ws:// or wss://) or a Server-Sent Events stream (http:// or https://):
+   *
+   *   (start code)
+   *   "properties": {
+   *     "http://remotestorage.io/spec/version": "draft-dejong-remotestorage-02",
+   *     "http://remotestorage.io/spec/notifications": "wss://example.com/notifications"
+   *   }
+   *   (end code)
+   *
+   * The bearer token is passed as the access_token query parameter, as
+   * neither WebSockets nor EventSource allow setting headers. Every message
+   * is a JSON object with the absolute path of a changed document:
+   *
+   *   (start code)
+   *   {"path": "/notes/todo"}
+   *   (end code)
+   *
+   * For every announced path that is readable and cached, a sync task is
+   * queued for the document, if it is in the local cache, and for its
+   * closest cached folder, whose listing reveals new and deleted documents.
+   * In metered mode (see <RemoteStorage.Env.setMetered>), announced changes
+   * are left for later.
+   *
+   * While the channel is open, the sync interval backs off to
+   * <syncInterval>, unless the regular interval is longer anyway. When the
+   * channel fails, sync runs right away and the regular interval applies
+   * again until the channel is reopened.
+   **/
+
+  var PROPERTY = 'http://remotestorage.io/spec/notifications';
+
+  // Delays between attempts to reopen a failed channel
+  var RECONNECT_DELAY = 1000;
+  var MAX_RECONNECT_DELAY = 60000;
+
+  var containingFolder = RemoteStorage.util.containingFolder;
+
+  // The path itself, followed by its containing folders up to the root
+  function pathsToRoot(path) {
+    var paths = [path];
+    while (path !== '/') {
+      path = containingFolder(path);
+      paths.push(path);
+    }
+    return paths;
+  }
+
+  function withToken(url, token) {
+    if (!token) {
+      return url;
+    }
+    return url + (url.indexOf('?') === -1 ? '?' : '&') + 'access_token=' + encodeURIComponent(token);
+  }
+
+  RemoteStorage.Notifications = function (remoteStorage, implementations) {
+    implementations = implementations || {};
+    this.rs = remoteStorage;
+
+    /**
+     * Property: WebSocket
+     *
+     * Constructor used for ws:// and wss:// channels. Defaults to the global
+     * WebSocket, and can be set to a compatible implementation where there is
+     * none, e.g. in node.js.
+     **/
+    this.WebSocket = implementations.WebSocket || global.WebSocket;
+
+    /**
+     * Property: EventSource
+     *
+     * Constructor used for http:// and https:// channels. Defaults to the
+     * global EventSource.
+     **/
+    this.EventSource = implementations.EventSource || global.EventSource;
+
+    /**
+     * Property: syncInterval
+     *
+     * Sync interval in milliseconds while the channel is open. Defaults to
+     * five minutes.
+     **/
+    this.syncInterval = 300000;
+
+    this._healthy = false;
+    this._failures = 0;
+  };
+
+  RemoteStorage.Notifications.prototype = {
+
+    /**
+     * Method: isHealthy
+     *
+     * Returns true if the channel is open.
+     **/
+    isHealthy: function () {
+      return this._healthy;
+    },
+
+    /**
+     * Method: connect
+     *
+     * Open the channel advertised by the connected remote, if any. Called
+     * automatically whenever the remote gets connected.
+     **/
+    connect: function () {
+      var remote = this.rs.remote;
+      var url = remote && remote.connected && remote.properties && remote.properties[PROPERTY];
+      var Channel;
+
+      if (typeof(url) !== 'string') {
+        this.close();
+        return;
+      }
+      if (this._channel && this._url === url) {
+        return;
+      }
+      this.close();
+
+      if (url.match(/^wss?:\/\//)) {
+        Channel = this.WebSocket;
+      } else if (url.match(/^https?:\/\//)) {
+        Channel = this.EventSource;
+      }
+      if (typeof(Channel) !== 'function') {
+        RemoteStorage.log('[Notifications] No implementation available for ' + url);
+        return;
+      }
+
+      RemoteStorage.log('[Notifications] Opening ' + url);
+      this._url = url;
+      this._open(Channel, withToken(url, remote.token));
+    },
+
+    /**
+     * Method: close
+     *
+     * Close the channel, and stop trying to reopen it.
+     **/
+    close: function () {
+      clearTimeout(this._reconnectTimer);
+      delete this._reconnectTimer;
+      delete this._url;
+      this._failures = 0;
+
+      if (this._channel) {
+        this._closeChannel();
+        this._setHealthy(false);
+      }
+    },
+
+    _open: function (Channel, url) {
+      var channel = this._channel = new Channel(url);
+
+      channel.onopen = function () {
+        if (channel !== this._channel) { return; }
+        this._failures = 0;
+        this._setHealthy(true);
+      }.bind(this);
+
+      channel.onmessage = function (event) {
+        if (channel !== this._channel) { return; }
+        this.handleMessage(event.data);
+      }.bind(this);
+
+      // EventSource reconnects by itself after errors, which WebSockets don't
+      // do, so both are closed and reopened with the same delays here
+      channel.onerror = channel.onclose = function () {
+        if (channel !== this._channel) { return; }
+        this._fail(Channel, url);
+      }.bind(this);
+    },
+
+    _closeChannel: function () {
+      var channel = this._channel;
+      delete this._channel;
+      try {
+        channel.close();
+      } catch (e) {
+        RemoteStorage.log('[Notifications] Closing the channel failed', e);
+      }
+    },
+
+    _fail: function (Channel, url) {
+      var delay = Math.min(RECONNECT_DELAY * Math.pow(2, this._failures), MAX_RECONNECT_DELAY);
+
+      RemoteStorage.log('[Notifications] Channel failed, reopening in ' + delay + 'ms');
+      this._closeChannel();
+      this._failures++;
+      this._setHealthy(false);
+
+      // Changes may have been missed while the channel was down
+      if (this.rs.sync && !this.rs.sync.stopped) {
+        this.rs.sync.sync();
+      }
+
+      this._reconnectTimer = setTimeout(function () {
+        delete this._reconnectTimer;
+        this._open(Channel, url);
+      }.bind(this), delay);
+    },
+
+    _setHealthy: function (healthy) {
+      var oldValue, newValue;
+
+      if (healthy === this._healthy) {
+        return;
+      }
+      oldValue = this.rs.getCurrentSyncInterval();
+      this._healthy = healthy;
+      newValue = this.rs.getCurrentSyncInterval();
+      if (oldValue !== newValue) {
+        this.rs._emit('sync-interval-change', {oldValue: oldValue, newValue: newValue});
+      }
+    },
+
+    /**
+     * Method: handleMessage
+     *
+     * Queue sync tasks for a change announced by the server.
+     *
+     * Parameters:
+     *   data - The message, as a JSON string
+     *
+     * Returns a promise that is fulfilled once the tasks have been queued.
+     **/
+    handleMessage: function (data) {
+      var message;
+
+      try {
+        message = JSON.parse(data);
+      } catch (e) {
+        RemoteStorage.log('[Notifications] Ignoring invalid message', data);
+        return Promise.resolve();
+      }
+      if (!message || typeof(message.path) !== 'string' || message.path[0] !== '/') {
+        RemoteStorage.log('[Notifications] Ignoring message without a path', data);
+        return Promise.resolve();
+      }
+
+      return this._queueChange(message.path);
+    },
+
+    _queueChange: function (path) {
+      var rs = this.rs;
+      var sync = rs.sync;
+
+      // Nothing is fetched in metered mode without being asked for
+      if (!sync || sync.stopped || sync.metered || !rs.local ||
+          !rs.access.checkPathPermission(path, 'r') || rs.caching.checkPath(path) === 'FLUSH') {
+        return Promise.resolve();
+      }
+
+      var paths = pathsToRoot(path).filter(function (p) {
+        return rs.access.checkPathPermission(p, 'r') && !sync.hasGivenUp(p);
+      });
+
+      return rs.local.getNodes(paths).then(function (nodes) {
+        var queued = paths.filter(function (p) {
+          return !!nodes[p];
+        });
+
+        // Only the closest cached folder is fetched, as the folders above it
+        // haven't been synced yet anyway
+        if (queued[0] === path) {
+          queued = queued.slice(0, 2);
+        } else {
+          queued = queued.slice(0, 1);
+        }
+        if (queued.length === 0) {
+          return;
+        }
+
+        RemoteStorage.log('[Notifications] Change of ' + path + ', syncing', queued);
+        queued.forEach(function (p) {
+          sync.addTask(p, undefined, 'refresh');
+        });
+        sync.doTasks();
+      });
+    }
+  };
+
+  RemoteStorage.Notifications._rs_init = function (remoteStorage) {
+    var notifications = remoteStorage.notifications = new RemoteStorage.Notifications(remoteStorage);
+
+    // The instance emits 'connected' for whichever remote is in use, so the
+    // channel follows switches to Dropbox or Google Drive and reconnects
+    notifications._onConnected = notifications.connect.bind(notifications);
+    remoteStorage.on('connected', notifications._onConnected);
+  };
+
+  RemoteStorage.Notifications._rs_cleanup = function (remoteStorage) {
+    var notifications = remoteStorage.notifications;
+
+    if (notifications) {
+      notifications.close();
+      remoteStorage.removeEventListener('connected', notifications._onConnected);
+    }
+  };
+
+})(typeof(window) !== 'undefined' ? window : global);
@@ -34,6 +34,50 @@
              path.match(/^\/public\/.*[^\/]$/) );
   }
 
+  function isSuccess(operation, r) {
+    return (r.statusCode >= 200 && r.statusCode < 300) ||
+           (operation.method === 'delete' && r.statusCode === 404);
+  }
+
+  // Batches can only be applied atomically by the local cache. Without one,
+  // the operations are sent one after the other, stopping at the first
+  // failure.
+  function batchOneByOne(operations) {
+    var self = this;
+
+    return operations.reduce(function (previous, operation) {
+      return previous.then(function (r) {
+        if (r.statusCode !== 200) {
+          return r;
+        }
+        var request = (operation.method === 'put') ?
+                      self.put(operation.path, operation.body, operation.contentType) :
+                      self.delete(operation.path);
+        return request.then(function (r) {
+          return isSuccess(operation, r) ? { statusCode: 200 } : r;
+        });
+      });
+    }, Promise.resolve({ statusCode: 200 }));
+  }
+
+  var BACKEND_KEY = 'remotestorage:backend';
+  var DEFAULT_CACHE_NAME = 'remotestorage';
+
+  // The built-in caching backends, in order of preference
+  var CACHING_BACKENDS = [
+    'IndexedDB',
+    'SQLiteStorage',
+    'FileSystemStorage',
+    'LocalStorage',
+    'InMemoryStorage'
+  ];
+
+  // localStorage key of the chosen backend. The default account keeps the
+  // plain key, without going through RemoteStorage.util.
+  function backendKey(accountName) {
+    return accountName ? RemoteStorage.util.settingsKey(BACKEND_KEY, accountName) : BACKEND_KEY;
+  }
+
   var SyncedGetPutDelete = {
     get: function (path, maxAge) {
       var self = this;
@@ -79,6 +123,19 @@
       }
     },
 
+    batch: function (operations) {
+      var self = this;
+      var sharesFirst = operations.some(function (operation) {
+        return shareFirst.bind(self)(operation.path);
+      });
+
+      if (this.local && !sharesFirst) {
+        return this.local.batch(operations);
+      } else {
+        return batchOneByOne.call(this, operations);
+      }
+    },
+
     _wrapBusyDone: function (result) {
       var self = this;
       this._emit('wire-busy');
@@ -107,9 +164,26 @@
    *  (start code)
    *  var remoteStorage = new RemoteStorage({
    *    logging: true,  // defaults to false
-   *    cordovaRedirectUri: 'https://app.mygreatapp.com' // defaults to undefined
+   *    cordovaRedirectUri: 'https://app.mygreatapp.com', // defaults to undefined
+   *    cacheBackend: 'LocalStorage', // defaults to the best one available
+   *    cacheName: 'mygreatapp' // defaults to 'remotestorage'
    *  });
    *  (end code)
+   *
+   * The local cache (remoteStorage.local) is normally the first available of
+   * IndexedDB, SQLiteStorage, FileSystemStorage, LocalStorage and
+   * InMemoryStorage. With "cacheBackend" you can choose one of them by name
+   * (if it isn't available, the default order is used), or pass your own
+   * implementation: an object with getNodes, setNodes and forAllNodes
+   * methods (see <RemoteStorage.InMemoryStorage> for a simple example), into
+   * which the caching layer is mixed. If it has a clear method, it is called
+   * on disconnect.
+   *
+   * "cacheName" is the name of the IndexedDB database, the prefix of the
+   * localStorage keys, the name of the cache directory (~/.<cacheName>) or
+   * of the Cordova SQLite database. Apps that share an origin (or several
+   * RemoteStorage instances in one app) can use different names to keep
+   * their caches apart.
    */
   var RemoteStorage = function (cfg) {
     /**
@@ -165,17 +239,28 @@
      *
      * Fired when a wire request completes
      **/
+    /**
+     * Event: sync-progress
+     *
+     * Fired when a sync task starts or finishes
+     *
+     * Arguments:
+     * the sync status, see <getSyncStatus>
+     **/
 
     // Initial configuration property settings.
     if (typeof cfg === 'object') {
       RemoteStorage.config.logging = !!cfg.logging;
       RemoteStorage.config.cordovaRedirectUri = cfg.cordovaRedirectUri;
+      this.cacheBackend = cfg.cacheBackend;
+      this.cacheName = cfg.cacheName;
+      this.accountName = cfg.accountName;
     }
 
     RemoteStorage.eventHandling(
       this, 'ready', 'connected', 'disconnected', 'not-connected', 'conflict',
             'error', 'features-loaded', 'connecting', 'authing', 'wire-busy',
-            'wire-done', 'sync-interval-change'
+            'wire-done', 'sync-interval-change', 'sync-progress'
     );
 
     // pending get/put/delete calls.
@@ -184,7 +269,8 @@
     this._setGPD({
       get: this._pendingGPD('get'),
       put: this._pendingGPD('put'),
-      delete: this._pendingGPD('delete')
+      delete: this._pendingGPD('delete'),
+      batch: this._pendingGPD('batch')
     });
 
     this._cleanups = [];
@@ -193,13 +279,16 @@
 
     this.apiKeys = {};
 
+    this.accounts = {};
+
     if (this.localStorageAvailable()) {
       try {
         this.apiKeys = JSON.parse(localStorage['remotestorage:api-keys']);
       } catch(exc) {
         // ignored
       }
-      this.setBackend(localStorage['remotestorage:backend'] || 'remotestorage');
+      this.setBackend(localStorage[backendKey(this.accountName)] ||
+                      'remotestorage');
     }
 
     var origOn = this.on;
@@ -226,6 +315,16 @@
 
   RemoteStorage.SyncedGetPutDelete = SyncedGetPutDelete;
 
+  // Mixes the caching layer into a cache implementation passed as the
+  // cacheBackend option, unless that already happened
+  function customCachingLayer(local) {
+    if (typeof(local.onHistoryDepth) !== 'function' || typeof(local._updateNodes) !== 'function') {
+      RemoteStorage.cachingLayer(local);
+      RemoteStorage.eventHandling(local, 'change', 'local-events-done', 'pending-changes');
+    }
+    return local;
+  }
+
   RemoteStorage.DiscoveryError = function (message) {
     Error.apply(this, arguments);
     this.message = message;
@@ -261,7 +360,11 @@
       conflict: true
     },
     discoveryTimeout: 10000,
-    cordovaRedirectUri: undefined
+    cordovaRedirectUri: undefined,
+    // binary files larger than this (in bytes) are stored in chunks, see BaseClient#storeFile
+    chunkSize: 524288,
+    // in node.js, pause sync while there is no external network interface, see RemoteStorage.Env
+    watchNetworkInterfaces: false
   };
 
   RemoteStorage.prototype = {
@@ -392,6 +495,7 @@
           }
         }
       }.bind(this), function(err) {
+        clearTimeout(discoveryTimeout);
         this._emit('error', new RemoteStorage.DiscoveryError("Failed to contact storage server."));
       }.bind(this));
     },
@@ -416,7 +520,8 @@
       this._setGPD({
         get: this._pendingGPD('get'),
         put: this._pendingGPD('put'),
-        delete: this._pendingGPD('delete')
+        delete: this._pendingGPD('delete'),
+        batch: this._pendingGPD('batch')
       });
       var n = this._cleanups.length, i = 0;
 
@@ -444,16 +549,92 @@
     },
 
     setBackend: function (what) {
+      var key = backendKey(this.accountName);
+
       this.backend = what;
       if (this.localStorageAvailable()) {
         if (what) {
-          localStorage['remotestorage:backend'] = what;
+          localStorage[key] = what;
         } else {
-          delete localStorage['remotestorage:backend'];
+          delete localStorage[key];
         }
       }
     },
 
+    /**
+     * Method: addAccount
+     *
+     * Add a named account, to connect to another storage at the same time.
+     * The account is a RemoteStorage instance of its own, with its own
+     * remote (WireClient, Dropbox or GoogleDrive), access claims, local
+     * cache and sync loop. Its settings are stored under their own
+     * localStorage keys, so it stays connected across page loads, as long
+     * as the app adds it again on every page load.
+     *
+     * Data modules and BaseClients of an account work with that account's
+     * storage only.
+     *
+     * Parameters:
+     *   name    - Name of the account. Only letters, digits, '-' and '_'
+     *             are allowed.
+     *   options - (optional) An object with cacheBackend and cacheName for
+     *             the local cache of the account (see <RemoteStorage>). By
+     *             default the same kind of caching backend is used, with
+     *             "<cacheName>-<name>" (e.g. "remotestorage-work") as the
+     *             cache name.
+     *
+     * Returns:
+     *   The RemoteStorage instance of the account. If an account with that
+     *   name exists already, it is returned instead.
+     *
+     * Example:
+     *   (start code)
+     *   var work = remoteStorage.addAccount('work');
+     *   work.access.claim('contacts', 'rw');
+     *   work.connect('me@work.example.com');
+     *   work.contacts.add(...);
+     *   work.scope('/contacts/').getListing('');
+     *   (end code)
+     */
+    addAccount: function (name, options) {
+      if (typeof(name) !== 'string' || !name.match(/^[a-zA-Z0-9_\-]+$/)) {
+        throw new Error("Account name must only consist of letters, digits, '-' and '_'");
+      }
+      if (this.accounts[name]) {
+        return this.accounts[name];
+      }
+      options = options || {};
+
+      this.accounts[name] = new RemoteStorage({
+        logging: RemoteStorage.config.logging,
+        cordovaRedirectUri: RemoteStorage.config.cordovaRedirectUri,
+        accountName: name,
+        // A custom cache implementation can't be shared between accounts
+        cacheBackend: options.cacheBackend ||
+                      (typeof(this.cacheBackend) === 'string' ? this.cacheBackend : undefined),
+        cacheName: options.cacheName || (this.cacheName || DEFAULT_CACHE_NAME) + '-' + name
+      });
+      return this.accounts[name];
+    },
+
+    /**
+     * Method: removeAccount
+     *
+     * Disconnect an account added with <addAccount> (deleting its settings
+     * and local cache) and remove it from <accounts>.
+     *
+     * Parameters:
+     *   name - Name of the account
+     */
+    removeAccount: function (name) {
+      var account = this.accounts[name];
+      if (!account) {
+        return;
+      }
+      delete this.accounts[name];
+      account.disconnect();
+    },
+
     /**
      * Method: onChange
      *
@@ -476,6 +657,29 @@
       this._pathHandlers.change[path].push(handler);
     },
 
+    /**
+     * Method: removeChangeHandler
+     *
+     * Remove a "change" event handler that was added with <onChange>.
+     *
+     * Parameters:
+     *   path    - Absolute path the handler was attached to.
+     *   handler - Handler function.
+     */
+    removeChangeHandler: function (path, handler) {
+      var handlers = this._pathHandlers.change[path];
+      if (!handlers) {
+        return;
+      }
+      var index = handlers.indexOf(handler);
+      if (index !== -1) {
+        handlers.splice(index, 1);
+      }
+      if (handlers.length === 0) {
+        delete this._pathHandlers.change[path];
+      }
+    },
+
     /**
      * Method: enableLog
      *
@@ -565,7 +769,14 @@
 
       this._loadFeatures(function (features) {
         this.log('[RemoteStorage] All features loaded');
-        this.local = features.local && new features.local();
+        if (this.cacheBackend && typeof(this.cacheBackend) === 'object') {
+          this.local = customCachingLayer(this.cacheBackend);
+        } else {
+          this.local = features.local && new features.local(this.cacheName);
+        }
+        if (this.local) {
+          this.local.onHistoryDepth(this.caching.historyDepth.bind(this.caching));
+        }
         // this.remote set by WireClient._rs_init as lazy property on
         // RS.prototype
 
@@ -609,12 +820,24 @@
     },
 
     _collectCleanupFunctions: function () {
+      var customCache = !!this.local && this.local === this.cacheBackend;
+
       for (var i=0; i < this.features.length; i++) {
         var cleanup = this.features[i].cleanup;
+        // The built-in caching backends would clear the default cache, which
+        // may belong to another app, instead of the custom one
+        if (customCache && CACHING_BACKENDS.indexOf(this.features[i].name) !== -1) {
+          continue;
+        }
         if (typeof(cleanup) === 'function') {
           this._cleanups.push(cleanup);
         }
       }
+      if (customCache && typeof(this.local.clear) === 'function') {
+        this._cleanups.push(function (remoteStorage) {
+          return remoteStorage.local.clear();
+        });
+      }
     },
 
     /**
@@ -626,15 +849,19 @@
         'I18n',
         'Dropbox',
         'GoogleDrive',
+        'Encryption',
         'Access',
         'Caching',
         'Discover',
         'Authorize',
         'Widget',
         'IndexedDB',
+        'SQLiteStorage',
+        'FileSystemStorage',
         'LocalStorage',
         'InMemoryStorage',
         'Sync',
+        'Notifications',
         'BaseClient',
         'Env'
       ];
@@ -648,11 +875,16 @@
           setTimeout(function () {
             features.caching = !!RemoteStorage.Caching;
             features.sync = !!RemoteStorage.Sync;
-            [
-              'IndexedDB',
-              'LocalStorage',
-              'InMemoryStorage'
-            ].some(function (cachingLayer) {
+            var cachingLayers = CACHING_BACKENDS;
+            if (typeof(self.cacheBackend) === 'string') {
+              if (cachingLayers.indexOf(self.cacheBackend) !== -1 &&
+                  features.some(function (feature) { return feature.name === self.cacheBackend; })) {
+                cachingLayers = [self.cacheBackend];
+              } else {
+                self.log('[RemoteStorage] Caching backend ' + self.cacheBackend + ' not available');
+              }
+            }
+            cachingLayers.some(function (cachingLayer) {
               if (features.some(function (feature) { return feature.name === cachingLayer; })) {
                 features.local = RemoteStorage[cachingLayer];
                 return true;
@@ -783,6 +1015,7 @@
       this.get = wrap(impl.get);
       this.put = wrap(impl.put);
       this.delete = wrap(impl.delete);
+      this.batch = wrap(impl.batch || batchOneByOne);
     },
 
     _pendingGPD: function (methodName) {
@@ -872,6 +1105,16 @@
    * <RemoteStorage.IndexedDB> or <RemoteStorage.LocalStorage> instance.
    *
    * Not available in no-cache builds.
+   *
+   *
+   * Property: accounts
+   *
+   * The accounts added with <addAccount>, by name.
+   *
+   *
+   * Property: accountName
+   *
+   * The name of the account, for instances returned by <addAccount>.
    */
 
   if ((typeof module === 'object') && (typeof module.exports !== undefined)){
@@ -0,0 +1,375 @@
+(function (global) {
+  /**
+   * Class: RemoteStorage.SQLiteStorage
+   *
+   * SQLite caching adapter, for headless (node.js) and Cordova apps. Nodes
+   * are stored in a "nodes" table, together with the path of their parent
+   * folder:
+   *
+   *   (start code)
+   *   CREATE TABLE nodes (path TEXT PRIMARY KEY, parent TEXT, node TEXT NOT NULL)
+   *   CREATE INDEX nodes_parent ON nodes (parent)
+   *   (end code)
+   *
+   * so that walking a subtree (<forAllNodesBelow>, and <findDescendentPaths>
+   * when flushing a folder from the cache) uses the indexes instead of
+   * scanning all nodes.
+   *
+   * remoteStorage.js doesn't ship an SQLite library. Instead, a driver object
+   * has to be assigned to RemoteStorage.SQLiteStorage.driver before the
+   * RemoteStorage instance is created. The feature is only supported when a
+   * driver is set, or when the Cordova SQLite plugin (window.sqlitePlugin) is
+   * available, in which case a database called "<cache name>.db" (by default
+   * "remotestorage.db") is opened. A driver that is set explicitly decides
+   * itself which database to use, so all caches share it. The nodes of a
+   * cache other than the default one (e.g. of an account added with
+   * <RemoteStorage.addAccount>) are then kept in a table of their own, named
+   * "nodes_<cache name>", with an index "nodes_<cache name>_parent".
+   *
+   * A driver has two methods, both returning promises:
+   *
+   *   query(sql, params)      - Run a single statement, resolving with an array
+   *                             of row objects (column name -> value)
+   *   transaction(statements) - Run all statements (an array of [sql, params]
+   *                             pairs) in a single transaction
+   *
+   * Example (for the better-sqlite3 npm module):
+   *
+   *   (start code)
+   *   var db = new Database('cache.db');
+   *
+   *   RemoteStorage.SQLiteStorage.driver = {
+   *     query: function (sql, params) {
+   *       return new Promise(function (resolve) {
+   *         resolve(db.prepare(sql).all(params));
+   *       });
+   *     },
+   *     transaction: function (statements) {
+   *       return new Promise(function (resolve) {
+   *         resolve(db.transaction(function () {
+   *           statements.forEach(function (statement) {
+   *             db.prepare(statement[0]).run(statement[1]);
+   *           });
+   *         })());
+   *       });
+   *     }
+   *   };
+   *   (end code)
+   **/
+
+  var DEFAULT_NAME = 'remotestorage';
+
+  // Drivers for the databases opened with the Cordova plugin, by cache name
+  var cordovaDrivers = {};
+
+  // SQLite doesn't allow more than 999 parameters per statement
+  var MAX_PARAMETERS = 500;
+
+  // Cache names may contain characters that aren't allowed in identifiers
+  function quote(identifier) {
+    if (/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(identifier)) {
+      return identifier;
+    }
+    return '"' + identifier.replace(/"/g, '""') + '"';
+  }
+
+  function schema(table) {
+    return [
+      ['CREATE TABLE IF NOT EXISTS ' + quote(table) + ' (path TEXT PRIMARY KEY, parent TEXT, node TEXT NOT NULL)', []],
+      ['CREATE INDEX IF NOT EXISTS ' + quote(table + '_parent') + ' ON ' + quote(table) + ' (parent)', []]
+    ];
+  }
+
+  var toBase64   = RemoteStorage.util.toBase64;
+  var fromBase64 = RemoteStorage.util.fromBase64;
+
+  function noop() {}
+
+  function encodeBinary(key, value) {
+    var original = this[key];
+
+    if (original instanceof ArrayBuffer) {
+      return { '@binary': toBase64(new Uint8Array(original)) };
+    }
+    if (ArrayBuffer.isView(original)) {
+      return { '@binary': toBase64(new Uint8Array(original.buffer, original.byteOffset, original.byteLength)) };
+    }
+    return value;
+  }
+
+  function decodeBinary(key, value) {
+    if (value && typeof(value) === 'object' && typeof(value['@binary']) === 'string' &&
+        Object.keys(value).length === 1) {
+      var bytes = fromBase64(value['@binary']);
+      return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+    }
+    return value;
+  }
+
+  function serialize(node) {
+    return JSON.stringify(node, encodeBinary);
+  }
+
+  function deserialize(data) {
+    return JSON.parse(data, decodeBinary);
+  }
+
+  function parentPath(path) {
+    return path === '/' ? null : RemoteStorage.util.containingFolder(path);
+  }
+
+  function placeholders(count) {
+    return new Array(count + 1).join('?, ').slice(0, -2);
+  }
+
+  // Adapts a database of the Cordova SQLite plugin to the driver interface
+  function cordovaDriver(db) {
+    return {
+      query: function (sql, params) {
+        var pending = Promise.defer();
+
+        db.executeSql(sql, params, function (result) {
+          var rows = [];
+          for (var i = 0; i < result.rows.length; i++) {
+            rows.push(result.rows.item(i));
+          }
+          pending.resolve(rows);
+        }, function (err) {
+          pending.reject(err);
+        });
+
+        return pending.promise;
+      },
+
+      transaction: function (statements) {
+        var pending = Promise.defer();
+
+        db.transaction(function (tx) {
+          statements.forEach(function (statement) {
+            tx.executeSql(statement[0], statement[1]);
+          });
+        }, function (err) {
+          pending.reject(err);
+        }, function () {
+          pending.resolve();
+        });
+
+        return pending.promise;
+      }
+    };
+  }
+
+  // The driver and table of the cache with the given name
+  function defaultDatabase(name) {
+    name = name || DEFAULT_NAME;
+
+    if (RemoteStorage.SQLiteStorage.driver) {
+      return {
+        driver: RemoteStorage.SQLiteStorage.driver,
+        table: name === DEFAULT_NAME ? 'nodes' : 'nodes_' + name
+      };
+    }
+    if (!cordovaDrivers[name] && global.sqlitePlugin) {
+      cordovaDrivers[name] = cordovaDriver(global.sqlitePlugin.openDatabase({
+        name: name + '.db',
+        location: 'default'
+      }));
+    }
+    return { driver: cordovaDrivers[name], table: 'nodes' };
+  }
+
+  RemoteStorage.SQLiteStorage = function (driver) {
+    RemoteStorage.cachingLayer(this);
+    RemoteStorage.log('[SQLiteStorage] Registering events');
+    RemoteStorage.eventHandling(this, 'change', 'local-events-done', 'pending-changes');
+
+    // A cache name can be given instead of a driver
+    var database = (driver && typeof(driver) === 'object') ? { driver: driver, table: 'nodes' } : defaultDatabase(driver);
+    this.driver = database.driver;
+    if (!this.driver) {
+      throw new Error('No SQLite driver available');
+    }
+    this._table = quote(database.table);
+    this._queue = Promise.resolve();
+    this._opened = this._enqueue(this.driver.transaction.bind(this.driver, schema(database.table)));
+  };
+
+  /**
+   * Property: driver
+   *
+   * The driver used by instances that aren't given one. See the class
+   * description for its interface.
+   **/
+  RemoteStorage.SQLiteStorage.driver = null;
+
+  /**
+   * Function: cordovaDriver
+   *
+   * Create a driver for a database opened with the Cordova SQLite plugin
+   * (for example to pass options other than the name to openDatabase).
+   *
+   * Parameters:
+   *   db - The database returned by sqlitePlugin.openDatabase
+   **/
+  RemoteStorage.SQLiteStorage.cordovaDriver = cordovaDriver;
+
+  RemoteStorage.SQLiteStorage.prototype = {
+
+    getNodes: function (paths) {
+      var self = this;
+
+      return this._enqueue(function () {
+        var nodes = {};
+        var batches = [];
+
+        paths.forEach(function (path) {
+          nodes[path] = undefined;
+        });
+        for (var i = 0; i < paths.length; i += MAX_PARAMETERS) {
+          batches.push(paths.slice(i, i + MAX_PARAMETERS));
+        }
+
+        return Promise.all(batches.map(function (batch) {
+          return self.driver.query('SELECT path, node FROM ' + self._table + ' WHERE path IN (' +
+                                   placeholders(batch.length) + ')', batch);
+        })).then(function (results) {
+          results.forEach(function (rows) {
+            rows.forEach(function (row) {
+              nodes[row.path] = deserialize(row.node);
+            });
+          });
+          return nodes;
+        });
+      });
+    },
+
+    setNodes: function (nodes) {
+      var self = this;
+      var statements = [];
+
+      // Serialize right away, so later changes to the node objects don't
+      // end up in the cache
+      for (var path in nodes) {
+        if (nodes[path] === undefined) {
+          statements.push(['DELETE FROM ' + this._table + ' WHERE path = ?', [path]]);
+        } else {
+          statements.push(['INSERT OR REPLACE INTO ' + this._table + ' (path, parent, node) VALUES (?, ?, ?)',
+                           [path, parentPath(path), serialize(nodes[path])]]);
+        }
+      }
+
+      return this._enqueue(function () {
+        if (statements.length === 0) {
+          return;
+        }
+        return self.driver.transaction(statements);
+      });
+    },
+
+    forAllNodes: function (cb) {
+      var self = this;
+
+      return this._enqueue(function () {
+        return self.driver.query('SELECT node FROM ' + self._table, []).then(function (rows) {
+          rows.forEach(function (row) {
+            cb(self.migrate(deserialize(row.node)));
+          });
+        });
+      });
+    },
+
+    /**
+     * Method: forAllNodesBelow
+     *
+     * Like forAllNodes, but only for the nodes below the given folder (a
+     * range query on the primary key).
+     *
+     * Parameters:
+     *   path - Path of the folder
+     *   cb   - Function called with each node
+     **/
+    forAllNodesBelow: function (path, cb) {
+      var self = this;
+      // '0' is the character following '/'
+      var end = path.slice(0, -1) + '0';
+
+      return this._enqueue(function () {
+        return self.driver.query('SELECT node FROM ' + self._table + ' WHERE path > ? AND path < ?',
+                                 [path, end]).then(function (rows) {
+          rows.forEach(function (row) {
+            cb(self.migrate(deserialize(row.node)));
+          });
+        });
+      });
+    },
+
+    /**
+     * Method: clear
+     *
+     * Remove all nodes of the cache from the database.
+     **/
+    clear: function () {
+      var self = this;
+
+      return this._enqueue(function () {
+        return self.driver.transaction([['DELETE FROM ' + self._table, []]]);
+      });
+    },
+
+    /**
+     * Method: findDescendentPaths
+     *
+     * Get the paths of a folder and of all nodes below it, walking down the
+     * tree along the parent index (instead of fetching every folder node to
+     * read its items).
+     *
+     * Parameters:
+     *   path - Path of the folder
+     **/
+    findDescendentPaths: function (path) {
+      var self = this;
+
+      return this._enqueue(function () {
+        return self.driver.query(
+          'WITH RECURSIVE tree(path) AS (' +
+            'SELECT ? UNION ' +
+            'SELECT nodes.path FROM ' + self._table + ' AS nodes JOIN tree ON nodes.parent = tree.path' +
+          ') SELECT path FROM tree', [path]
+        ).then(function (rows) {
+          return rows.map(function (row) { return row.path; });
+        });
+      });
+    },
+
+    // Runs the given job after all previously queued ones have finished
+    _enqueue: function (job) {
+      var opened = this._opened;
+      var result = this._queue.then(function () {
+        return opened ? opened.then(job) : job();
+      });
+
+      this._queue = result.then(noop, noop);
+      return result;
+    }
+
+  };
+
+  RemoteStorage.SQLiteStorage._rs_init = function (remoteStorage) {
+    var database = defaultDatabase(remoteStorage.cacheName);
+    return database.driver.transaction(schema(database.table));
+  };
+
+  RemoteStorage.SQLiteStorage._rs_supported = function () {
+    return !!(RemoteStorage.SQLiteStorage.driver || global.sqlitePlugin);
+  };
+
+  RemoteStorage.SQLiteStorage._rs_cleanup = function (remoteStorage) {
+    var local = remoteStorage.local;
+
+    if (!(local instanceof RemoteStorage.SQLiteStorage)) {
+      local = new RemoteStorage.SQLiteStorage(remoteStorage.cacheName);
+    }
+
+    return local.clear();
+  };
+})(typeof(window) !== 'undefined' ? window : global);
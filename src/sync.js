@@ -9,23 +9,202 @@
   var equal = RemoteStorage.util.equal;
   var deepClone = RemoteStorage.util.deepClone;
   var pathsFromRoot = RemoteStorage.util.pathsFromRoot;
+  var containingFolder = RemoteStorage.util.containingFolder;
 
-  function taskFor(action, path, promise) {
+  function taskFor(action, path, promise, bytesSent) {
     return {
-      action:  action,
-      path:    path,
-      promise: promise
+      action:    action,
+      path:      path,
+      promise:   promise,
+      bytesSent: bytesSent || 0
     };
   }
 
+  function byteLength(body) {
+    if (typeof(body) === 'string') {
+      try {
+        return unescape(encodeURIComponent(body)).length;
+      } catch(e) {
+        return body.length;
+      }
+    } else if (body && typeof(body.byteLength) === 'number') {
+      return body.byteLength;
+    } else if (typeof(body) === 'object' && body !== null) {
+      return JSON.stringify(body).length;
+    }
+    return 0;
+  }
+
   function isStaleChild(node) {
     return node.remote && node.remote.revision && !node.remote.itemsMap && !node.remote.body;
   }
 
+  function isBinary(node) {
+    var version = node.remote || node.common || {};
+    return !!(version.contentType && version.contentType.match(/charset=binary/));
+  }
+
   function hasCommonRevision(node) {
     return node.common && node.common.revision;
   }
 
+  function hasNoRemoteChanges(node) {
+    if (node.remote && node.remote.revision && node.remote.revision !== node.common.revision) {
+      return false;
+    }
+    return (node.common.body === undefined && node.remote.body === false) ||
+           (node.remote.body === node.common.body &&
+            node.remote.contentType === node.common.contentType);
+  }
+
+  function versionOf(nodeVersion) {
+    return {
+      body:         nodeVersion.body,
+      contentType:  nodeVersion.contentType,
+      revision:     nodeVersion.revision,
+      lastModified: nodeVersion.lastModified
+    };
+  }
+
+  function isPlainObject(value) {
+    return typeof(value) === 'object' && value !== null && !(value instanceof Array);
+  }
+
+  function sameValue(a, b) {
+    if (a === b) {
+      return true;
+    }
+    if (a === undefined || b === undefined || a === null || b === null) {
+      return false;
+    }
+    return equal(a, b);
+  }
+
+  function parseJSONVersion(version) {
+    if (typeof(version.body) !== 'string' ||
+        !(/^application\/(.*)json(.*)/.exec(version.contentType))) {
+      return undefined;
+    }
+    try {
+      return JSON.parse(version.body);
+    } catch(e) {
+      return undefined;
+    }
+  }
+
+  /**
+   * Three-way merge of two JSON values against their last common value.
+   * Object properties are merged recursively, everything else (including
+   * arrays) is compared as a whole. Values that were changed differently on
+   * both sides are taken from the remote version, and their key paths are
+   * added to `conflicts`.
+   */
+  function mergeJSON(base, local, remote, conflicts, keyPath) {
+    var merged, key, value;
+    keyPath = keyPath || [];
+
+    if (sameValue(local, remote) || sameValue(base, remote)) {
+      return local;
+    }
+    if (sameValue(base, local)) {
+      return remote;
+    }
+
+    if (isPlainObject(local) && isPlainObject(remote)) {
+      base = isPlainObject(base) ? base : {};
+      merged = {};
+      for (key in local) {
+        if (local.hasOwnProperty(key)) {
+          value = mergeJSON(base[key], local[key], remote[key], conflicts, keyPath.concat(key));
+          if (value !== undefined) {
+            merged[key] = value;
+          }
+        }
+      }
+      for (key in remote) {
+        if (remote.hasOwnProperty(key) && !local.hasOwnProperty(key)) {
+          value = mergeJSON(base[key], undefined, remote[key], conflicts, keyPath.concat(key));
+          if (value !== undefined) {
+            merged[key] = value;
+          }
+        }
+      }
+      return merged;
+    }
+
+    conflicts.push(keyPath);
+    return remote;
+  }
+
+  function isValidObject(object) {
+    var Types = RemoteStorage.BaseClient && RemoteStorage.BaseClient.Types;
+    var schema = Types && Types.getSchema(object['@context']);
+    if (!schema || typeof(tv4) === 'undefined') {
+      return true;
+    }
+    return tv4.validateResult(object, schema).valid;
+  }
+
+  // Built-in conflict resolvers. They return a resolution ({ body, clean }),
+  // or undefined for keeping the remote version.
+  var conflictStrategies = {
+    'remote-wins': function () {
+      return undefined;
+    },
+
+    'local-wins': function (conflict) {
+      return { body: conflict.local.body };
+    },
+
+    'last-timestamp-wins': function (conflict) {
+      if (conflict.local.lastModified > conflict.remote.lastModified) {
+        return { body: conflict.local.body };
+      }
+    },
+
+    'json-merge': function (conflict) {
+      var local = parseJSONVersion(conflict.local);
+      var remote = parseJSONVersion(conflict.remote);
+      var conflicts = [];
+      var merged;
+
+      if (!isPlainObject(local) || !isPlainObject(remote)) {
+        return undefined;
+      }
+
+      merged = mergeJSON(parseJSONVersion(conflict.common), local, remote, conflicts);
+
+      if (!isValidObject(merged)) {
+        RemoteStorage.log('[Sync] Merged version of ' + conflict.path + ' does not validate against its schema');
+        return undefined;
+      }
+      if (conflicts.length > 0) {
+        RemoteStorage.log('[Sync] Conflicting changes in ' + conflict.path + ', remote wins for:',
+                          conflicts.map(function (keyPath) { return keyPath.join('.'); }));
+      }
+
+      return {
+        body:  JSON.stringify(merged),
+        clean: conflicts.length === 0
+      };
+    }
+  };
+
+  // Priority classes of sync tasks, from highest to lowest (see
+  // <RemoteStorage.Sync.addTask>)
+  var priorities = ['interactive', 'push', 'refresh', 'prefetch'];
+  var defaultPriority = 'refresh';
+
+  function retryReason(status) {
+    if (status.timeout) {
+      return 'timeout';
+    } else if (status.rateLimited) {
+      return 'rate-limited';
+    } else if (status.serverError) {
+      return 'server-error';
+    }
+  }
+
   function handleVisibility() {
     var hidden,
         visibilityChange,
@@ -39,13 +218,56 @@
       rs._emit('sync-interval-change', {oldValue: oldValue, newValue: newValue});
     }
 
-    RemoteStorage.Env.on("background", function () {
-      handleVisibilityChange(false);
-    });
+    // Called on every ready event, so the handlers are kept on the instance
+    // to not add them more than once
+    var handlers = rs._visibilityHandlers = rs._visibilityHandlers || {
+      background: function () {
+        handleVisibilityChange(false);
+      },
+      foreground: function () {
+        handleVisibilityChange(true);
+      }
+    };
 
-    RemoteStorage.Env.on("foreground", function () {
-      handleVisibilityChange(true);
-    });
+    for (var eventName in handlers) {
+      RemoteStorage.Env.removeEventListener(eventName, handlers[eventName]);
+      RemoteStorage.Env.on(eventName, handlers[eventName]);
+    }
+  }
+
+  // Pauses sync while the network is down, and switches metered mode on and
+  // off along with RemoteStorage.Env
+  function handleNetwork() {
+    var rs = this;
+    var handlers = rs._networkHandlers = rs._networkHandlers || {
+      offline: function () {
+        RemoteStorage.log('[Sync] Offline, pausing sync');
+        rs.remote.online = false;
+        if (rs._syncTimer) {
+          clearTimeout(rs._syncTimer);
+          delete rs._syncTimer;
+        }
+      },
+      online: function () {
+        RemoteStorage.log('[Sync] Online again, syncing');
+        rs.remote.online = true;
+        if (rs.sync && !rs.sync.stopped) {
+          rs.sync.sync();
+        }
+      },
+      metered: function () {
+        rs.sync.metered = true;
+      },
+      unmetered: function () {
+        rs.sync.metered = false;
+      }
+    };
+
+    for (var eventName in handlers) {
+      RemoteStorage.Env.removeEventListener(eventName, handlers[eventName]);
+      RemoteStorage.Env.on(eventName, handlers[eventName]);
+    }
+    rs.sync.metered = RemoteStorage.Env.isMetered();
   }
 
   /**
@@ -78,16 +300,23 @@
   RemoteStorage.Sync = function (setLocal, setRemote, setAccess, setCaching) {
     this.local = setLocal;
     this.local.onDiff(function (path) {
-      this.addTask(path);
+      this.addTask(path, undefined, 'push');
       this.doTasks();
     }.bind(this));
+    this.local.onPush(this.pushNow.bind(this));
     this.remote = setRemote;
     this.access = setAccess;
     this.caching = setCaching;
     this._tasks = {};
+    this._priorities = {};
     this._running = {};
     this._timeStarted = {};
-    RemoteStorage.eventHandling(this, 'done', 'req-done');
+    this._errors = {};
+    this._retries = {};
+    this.metered = false;
+    this.resetProgress();
+    this.conflictResolvers = {};
+    RemoteStorage.eventHandling(this, 'done', 'req-done', 'progress');
     this.caching.onActivate(function (path) {
       this.addTask(path);
       this.doTasks();
@@ -100,6 +329,37 @@
       return new Date().getTime();
     },
 
+    /**
+     * Method: pushNow
+     *
+     * Sync a path right away, pushing its local changes if there are any.
+     * Called through <remoteStorage.local.pushNow>.
+     *
+     * Returns a promise that is fulfilled once the path has been synced. It
+     * is rejected when syncing the path fails for a reason that isn't retried,
+     * when sync gives up on it, or when sync is stopped.
+     **/
+    pushNow: function (path) {
+      var pending = Promise.defer();
+
+      if (!this.remote.connected) {
+        pending.reject(new Error('Cannot push changes: remote is not connected'));
+      } else if (this.stopped) {
+        pending.reject(new Error('Cannot push changes: sync is stopped'));
+      } else {
+        this.addTask(path, function (error) {
+          if (error) {
+            pending.reject(error);
+          } else {
+            pending.resolve();
+          }
+        }, 'interactive');
+        this.doTasks();
+      }
+
+      return pending.promise;
+    },
+
     queueGetRequest: function (path) {
       var pending = Promise.defer();
 
@@ -112,7 +372,7 @@
           this.local.get(path).then(function (r) {
             return pending.resolve(r);
           });
-        }.bind(this));
+        }.bind(this), 'interactive');
 
         this.doTasks();
       }
@@ -156,29 +416,8 @@
       return false;
     },
 
-    corruptItemsMap: function (itemsMap) {
-      if ((typeof(itemsMap) !== 'object') || (Array.isArray(itemsMap))) {
-        return true;
-      }
-
-      for (var itemName in itemsMap) {
-        if (typeof(itemsMap[itemName]) !== 'boolean') {
-          return true;
-        }
-      }
-
-      return false;
-    },
-
     corruptRevision: function (rev) {
-      return ((typeof(rev) !== 'object') ||
-              (Array.isArray(rev)) ||
-              (rev.revision && typeof(rev.revision) !== 'string') ||
-              (rev.body && typeof(rev.body) !== 'string' && typeof(rev.body) !== 'object') ||
-              (rev.contentType && typeof(rev.contentType) !== 'string') ||
-              (rev.contentLength && typeof(rev.contentLength) !== 'number') ||
-              (rev.timestamp && typeof(rev.timestamp) !== 'number') ||
-              (rev.itemsMap && this.corruptItemsMap(rev.itemsMap)));
+      return RemoteStorage.util.isCorruptRevision(rev);
     },
 
     isCorrupt: function (node) {
@@ -198,29 +437,47 @@
     collectDiffTasks: function () {
       var num = 0;
 
-      return this.local.forAllNodes(function (node) {
+      return this.local.getDirtyPaths().then(function (paths) {
+        paths = paths.filter(function (path) {
+          return !this.hasGivenUp(path);
+        }.bind(this));
+        return this.local.getNodes(paths);
+      }.bind(this)).then(function (nodes) {
+        for (var path in nodes) {
+          var node = nodes[path];
 
-        if (num > 100) {
-          return;
-        }
+          if (typeof(node) === 'undefined') {
+            continue;
+          }
 
-        if (this.isCorrupt(node)) {
-          RemoteStorage.log('[Sync] WARNING: corrupt node in local cache', node);
-          if (typeof(node) === 'object' && node.path) {
-            this.addTask(node.path);
+          if (this.isCorrupt(node)) {
+            RemoteStorage.log('[Sync] WARNING: corrupt node in local cache', node);
+            if (typeof(node) === 'object' && node.path) {
+              this.addTask(node.path);
+              num++;
+            }
+          } else if (this.needsFetch(node) && this.access.checkPathPermission(node.path, 'r')) {
+            // Conflicts hold back local changes, and changed folders have to
+            // be fetched to find the changes below them; documents are
+            // fetched for caching only. In metered mode, only conflicts are
+            // fetched, and only if they aren't binary.
+            if (this.inConflict(node)) {
+              if (!this.metered || !isBinary(node)) {
+                this.addTask(node.path, undefined, 'push');
+                num++;
+              }
+            } else if (!this.metered) {
+              this.addTask(node.path, undefined, isFolder(node.path) ? 'refresh' : 'prefetch');
+              num++;
+            }
+          } else if (isDocument(node.path) && this.needsPush(node) &&
+                     this.access.checkPathPermission(node.path, 'rw')) {
+            this.addTask(node.path, undefined, 'push');
             num++;
           }
-        } else if (this.needsFetch(node) && this.access.checkPathPermission(node.path, 'r')) {
-          this.addTask(node.path);
-          num++;
-        } else if (isDocument(node.path) && this.needsPush(node) &&
-                   this.access.checkPathPermission(node.path, 'rw')) {
-          this.addTask(node.path);
-          num++;
         }
-      }.bind(this)).then(function () {
         return num;
-      }, function (err) {
+      }.bind(this), function (err) {
         throw err;
       });
     },
@@ -287,27 +544,40 @@
         for (var i=1; i<paths.length; i++) {
           if (this._tasks[paths[i]]) {
             delete this._tasks[path];
+            delete this._priorities[path];
           }
         }
       }
     },
 
+    // Returns the outermost caching root containing the folder that can be
+    // synced, if any
+    refreshRootFor: function (folder) {
+      var roots = this.caching.cachedRootPaths().filter(function (root) {
+        return folder.indexOf(root) === 0 && this.access.checkPathPermission(root, 'r') &&
+               !this.hasGivenUp(root);
+      }, this);
+
+      return roots.sort(function (a, b) {
+        return a.length - b.length;
+      })[0];
+    },
+
+    // Folders below a caching root are refreshed through a conditional GET
+    // of the root. If its ETag hasn't changed, nothing below it has either,
+    // so the whole subtree is up to date after a single request (see
+    // <handleGetResponse>). Otherwise, only the folders whose ETags changed
+    // are fetched next (see <markChildren>).
     collectRefreshTasks: function () {
-      return this.local.forAllNodes(function (node) {
-        var parentPath;
-        if (this.needsRefresh(node)) {
-          try {
-            parentPath = this.getParentPath(node.path);
-          } catch(e) {
-            // node.path is already '/', can't take parentPath
+      return this.local.getFoldersDueForRefresh(this.now() - syncInterval).then(function (folders) {
+        folders.forEach(function (folder) {
+          var root = this.refreshRootFor(folder);
+          if (root) {
+            this.addTask(root, undefined, 'refresh');
+          } else if (this.access.checkPathPermission(folder, 'r') && !this.hasGivenUp(folder)) {
+            this.addTask(folder, undefined, 'refresh');
           }
-          if (parentPath && this.access.checkPathPermission(parentPath, 'r')) {
-            this.addTask(parentPath);
-          } else if (this.access.checkPathPermission(node.path, 'r')) {
-            this.addTask(node.path);
-          }
-        }
-      }.bind(this)).then(function () {
+        }, this);
         this.deleteChildPathsFromTasks();
       }.bind(this), function (err) {
         throw err;
@@ -325,16 +595,44 @@
       return nodes;
     },
 
+    /**
+     * Method: requestOptions
+     *
+     * Adds the abort handle of sync to the given options for a remote
+     * request, so that <abortRequests> can abort it.
+     **/
+    requestOptions: function (options) {
+      if (!this._abortHandle || (this._abortHandle.aborted && !this.stopped)) {
+        this._abortHandle = new RemoteStorage.WireClient.AbortHandle();
+      }
+      options = options || {};
+      options.abortHandle = this._abortHandle;
+      return options;
+    },
+
+    /**
+     * Method: abortRequests
+     *
+     * Aborts all remote requests of sync that are still pending. Their tasks
+     * are kept, and run again once sync is started again. Until then, new
+     * requests are aborted right away.
+     **/
+    abortRequests: function () {
+      if (this._abortHandle) {
+        this._abortHandle.abort();
+      }
+    },
+
     doTask: function (path) {
       return this.local.getNodes([path]).then(function (nodes) {
         var node = nodes[path];
         // First fetch:
         if (typeof(node) === 'undefined') {
-          return taskFor('get', path, this.remote.get(path));
+          return taskFor('get', path, this.remote.get(path, this.requestOptions()));
         }
         // Fetch known-stale child:
         else if (isStaleChild(node)) {
-          return taskFor('get', path, this.remote.get(path));
+          return taskFor('get', path, this.remote.get(path, this.requestOptions()));
         }
         // Push PUT:
         else if (this.needsRemotePut(node)) {
@@ -351,7 +649,8 @@
             }
 
             return taskFor('put', path,
-              this.remote.put(path, node.push.body, node.push.contentType, options)
+              this.remote.put(path, node.push.body, node.push.contentType, this.requestOptions(options)),
+              byteLength(node.push.body)
             );
           }.bind(this));
         }
@@ -362,21 +661,21 @@
           return this.local.setNodes(this.flush(nodes)).then(function () {
             if (hasCommonRevision(node)) {
               return taskFor('delete', path,
-                this.remote.delete(path, { ifMatch: node.common.revision })
+                this.remote.delete(path, this.requestOptions({ ifMatch: node.common.revision }))
               );
             } else { // Ascertain current common or remote revision first
-              return taskFor('get', path, this.remote.get(path));
+              return taskFor('get', path, this.remote.get(path, this.requestOptions()));
             }
           }.bind(this));
         }
         // Conditional refresh:
         else if (hasCommonRevision(node)) {
           return taskFor('get', path,
-            this.remote.get(path, { ifNoneMatch: node.common.revision })
+            this.remote.get(path, this.requestOptions({ ifNoneMatch: node.common.revision }))
           );
         }
         else {
-          return taskFor('get', path, this.remote.get(path));
+          return taskFor('get', path, this.remote.get(path, this.requestOptions()));
         }
       }.bind(this));
     },
@@ -405,15 +704,7 @@
       return node;
     },
 
-    autoMergeDocument: function (node) {
-      hasNoRemoteChanges = function (node) {
-        if (node.remote && node.remote.revision && node.remote.revision !== node.common.revision) {
-          return false;
-        }
-        return (node.common.body === undefined && node.remote.body === false) ||
-               (node.remote.body === node.common.body &&
-                node.remote.contentType === node.common.contentType);
-      };
+    autoMergeDocument: function (node, resolution) {
       mergeMutualDeletion = function (node) {
         if (node.remote && node.remote.body === false
             && node.local && node.local.body === false) {
@@ -425,6 +716,39 @@
       if (hasNoRemoteChanges(node)) {
         node = mergeMutualDeletion(node);
         delete node.remote;
+      } else if (node.remote.body !== undefined && resolution &&
+                 !(equal(resolution.body, node.remote.body) &&
+                   resolution.contentType === node.remote.contentType)) {
+        // keep the resolved version on top of the remote one, so it gets pushed:
+        RemoteStorage.log('[Sync] Emitting conflict resolution for', node.path);
+
+        this.local._emitChange({
+          origin:         resolution.clean ? 'remote' : 'conflict',
+          path:           node.path,
+          oldValue:       node.local.body,
+          newValue:       resolution.body,
+          lastCommonValue: node.common.body,
+          oldContentType: node.local.contentType,
+          newContentType: resolution.contentType,
+          lastCommonContentType: node.common.contentType
+        });
+
+        this.local.recordHistory(node, node.common);
+        if (!equal(resolution.body, node.local.body)) {
+          this.local.recordHistory(node, node.local);
+        }
+
+        if (node.remote.body) {
+          node.common = node.remote;
+        } else {
+          node.common = {};
+        }
+        node.local = {
+          body:        resolution.body,
+          contentType: resolution.contentType
+        };
+        delete node.remote;
+        delete node.push;
       } else if (node.remote.body !== undefined) {
         // keep/revert:
         RemoteStorage.log('[Sync] Emitting keep/revert');
@@ -440,6 +764,9 @@
           lastCommonContentType: node.common.contentType
         });
 
+        this.local.recordHistory(node, node.common);
+        this.local.recordHistory(node, node.local);
+
         if (node.remote.body) {
           node.common = node.remote;
         } else {
@@ -451,13 +778,13 @@
       return node;
     },
 
-    autoMerge: function (node) {
+    autoMerge: function (node, resolution) {
       if (node.remote) {
         if (node.local) {
           if (isFolder(node.path)) {
             return this.autoMergeFolder(node);
           } else {
-            return this.autoMergeDocument(node);
+            return this.autoMergeDocument(node, resolution);
           }
         } else { // no local changes
           if (isFolder(node.path)) {
@@ -483,6 +810,7 @@
                 return;
               }
 
+              this.local.recordHistory(node, node.common);
               node.common = node.remote;
               delete node.remote;
             }
@@ -505,6 +833,74 @@
       return node;
     },
 
+    /**
+     * Method: getConflictResolver
+     *
+     * Retrieve the conflict resolver for a given path, or its next parent
+     * with a resolver set. Defaults to 'json-merge'.
+     *
+     * Parameters:
+     *   path - Path to retrieve the resolver for
+     **/
+    getConflictResolver: function (path) {
+      if (this.conflictResolvers[path] !== undefined) {
+        return this.conflictResolvers[path];
+      } else if (path === '/') {
+        return 'json-merge';
+      } else {
+        return this.getConflictResolver(containingFolder(path));
+      }
+    },
+
+    /**
+     * Method: resolveConflict
+     *
+     * Run the conflict resolver configured for a document whose local and
+     * remote versions both changed, before the remote version would replace
+     * the local one.
+     *
+     * Returns a promise for the resolved version (with body and contentType),
+     * or for undefined if the remote version wins.
+     **/
+    resolveConflict: function (node) {
+      if (!isDocument(node.path) || !node.local || !node.remote ||
+          node.remote.body === undefined || hasNoRemoteChanges(node)) {
+        return Promise.resolve();
+      }
+
+      var resolver = this.getConflictResolver(node.path);
+      var conflict = {
+        path:   node.path,
+        local:  versionOf(node.local),
+        remote: versionOf(node.remote),
+        common: versionOf(node.common)
+      };
+      var resolving;
+
+      if (typeof(resolver) === 'string') {
+        resolving = Promise.resolve(conflictStrategies[resolver](conflict));
+      } else {
+        resolving = Promise.resolve(resolver(conflict)).then(function (body) {
+          return body === undefined ? undefined : { body: body };
+        });
+      }
+
+      return resolving.then(function (resolution) {
+        if (resolution === undefined) {
+          return undefined;
+        }
+        resolution.contentType = resolution.body === false ? undefined :
+                                 (node.local.contentType || node.remote.contentType);
+        return resolution;
+      });
+    },
+
+    mergeNode: function (node) {
+      return this.resolveConflict(node).then(function (resolution) {
+        return this.autoMerge(node, resolution);
+      }.bind(this));
+    },
+
     updateCommonTimestamp: function (path, revision) {
       return this.local.getNodes([path]).then(function (nodes) {
         if (nodes[path] && nodes[path].common && nodes[path].common.revision === revision) {
@@ -530,6 +926,7 @@
       return this.local.getNodes(paths).then(function (nodes) {
         var cachingStrategy;
         var node;
+        var unchangedFolders = [];
 
         var nodeChanged = function (node, etag) {
           return node.common.revision !== etag && (!node.remote || node.remote.revision !== etag);
@@ -538,6 +935,11 @@
         for (var nodePath in nodes) {
           node = nodes[nodePath];
 
+          if (meta[nodePath] && isFolder(nodePath) && node && node.common &&
+              node.common.revision === meta[nodePath].ETag) {
+            unchangedFolders.push(nodePath);
+          }
+
           if (meta[nodePath]) {
             if (node && node.common) {
               if (nodeChanged(node, meta[nodePath].ETag)) {
@@ -607,6 +1009,11 @@
 
         return this.deleteRemoteTrees(Object.keys(recurse), changedNodes).then(function (changedObjs2) {
           return this.local.setNodes(this.flush(changedObjs2));
+        }.bind(this)).then(function () {
+          // Nothing below folders with the same ETag as before has changed
+          if (unchangedFolders.length > 0) {
+            return this.local.markFresh(unchangedFolders, this.now());
+          }
         }.bind(this));
       }.bind(this));
     },
@@ -627,6 +1034,14 @@
           }
         };
 
+        var merges = [];
+
+        var mergeDeletion = function (path) {
+          merges.push(this.mergeNode(changedNodes[path]).then(function (node) {
+            changedNodes[path] = node;
+          }));
+        }.bind(this);
+
         for (var path in nodes) {
           var node = nodes[path];
 
@@ -645,19 +1060,21 @@
                 body:      false,
                 timestamp: this.now()
               };
-              changedNodes[path] = this.autoMerge(changedNodes[path]);
+              mergeDeletion(path);
             }
           }
         }
 
-        // Recurse whole tree depth levels at once:
-        return this.deleteRemoteTrees(Object.keys(subPaths), changedNodes).then(function (changedNodes2) {
-          return this.local.setNodes(this.flush(changedNodes2));
+        return Promise.all(merges).then(function () {
+          // Recurse whole tree depth levels at once:
+          return this.deleteRemoteTrees(Object.keys(subPaths), changedNodes).then(function (changedNodes2) {
+            return this.local.setNodes(this.flush(changedNodes2));
+          }.bind(this));
         }.bind(this));
       }.bind(this));
     },
 
-    completeFetch: function (path, bodyOrItemsMap, contentType, revision) {
+    completeFetch: function (path, bodyOrItemsMap, contentType, revision, lastModified) {
       var paths;
       var parentPath;
       var pathsFromRootArr = pathsFromRoot(path);
@@ -699,6 +1116,10 @@
           timestamp: this.now()
         };
 
+        if (lastModified) {
+          node.remote.lastModified = lastModified;
+        }
+
         if (isFolder(path)) {
           collectMissingChildren(node.common);
           collectMissingChildren(node.remote);
@@ -721,11 +1142,13 @@
           }
         }
 
-        nodes[path] = this.autoMerge(node);
-        return {
-          toBeSaved:       nodes,
-          missingChildren: missingChildren
-        };
+        return this.mergeNode(node).then(function (node) {
+          nodes[path] = node;
+          return {
+            toBeSaved:       nodes,
+            missingChildren: missingChildren
+          };
+        });
       }.bind(this));
     },
 
@@ -775,7 +1198,9 @@
           }
         }
 
-        return this.local.setNodes(this.flush(nodes));
+        return Promise.resolve(this.local.setNodes(this.flush(nodes))).then(function () {
+          this.local._emit('pending-changes', Object.keys(nodes));
+        }.bind(this));
       }.bind(this));
     },
 
@@ -796,6 +1221,15 @@
         return {
           successful:      false,
           networkProblems: true,
+          timeout:         (statusCode === 'timeout'),
+          statusCode: statusCode
+        };
+      }
+
+      if (statusCode === 'invalid-key') {
+        return {
+          successful: false,
+          invalidKey: true,
           statusCode: statusCode
         };
       }
@@ -809,11 +1243,13 @@
                      statusCode === 402 || statusCode === 403),
         notFound:   (statusCode === 404),
         changed:    (statusCode !== 304),
+        rateLimited: (statusCode === 429),
+        serverError: (series === 5),
         statusCode: statusCode
       };
     },
 
-    handleGetResponse: function (path, status, bodyOrItemsMap, contentType, revision) {
+    handleGetResponse: function (path, status, bodyOrItemsMap, contentType, revision, lastModified) {
       if (status.notFound) {
         if (isFolder(path)) {
           bodyOrItemsMap = {};
@@ -823,7 +1259,7 @@
       }
 
       if (status.changed) {
-        return this.completeFetch(path, bodyOrItemsMap, contentType, revision).then(function (dataFromFetch) {
+        return this.completeFetch(path, bodyOrItemsMap, contentType, revision, lastModified).then(function (dataFromFetch) {
           if (isFolder(path)) {
             if (this.corruptServerItemsMap(bodyOrItemsMap)) {
               RemoteStorage.log('[Sync] WARNING: Discarding corrupt folder description from server for ' + path);
@@ -841,6 +1277,11 @@
         }.bind(this));
       } else {
         return this.updateCommonTimestamp(path, revision).then(function () {
+          // Nothing below a folder with the same ETag as before has changed
+          if (isFolder(path)) {
+            return this.local.markFresh([path], this.now());
+          }
+        }.bind(this)).then(function () {
           return true;
         });
       }
@@ -850,7 +1291,7 @@
       var status = this.interpretStatus(r.statusCode);
       if (status.successful) {
         if (action === 'get') {
-          return this.handleGetResponse(path, status, r.body, r.contentType, r.revision);
+          return this.handleGetResponse(path, status, r.body, r.contentType, r.revision, r.lastModified);
         } else if (action === 'put' || action === 'delete') {
           return this.completePush(path, action, status.conflict, r.revision).then(function () {
             return true;
@@ -866,36 +1307,199 @@
         } else if (status.networkProblems) {
           error = new RemoteStorage.SyncError('Network request failed.');
           this.remote.online = false;
+        } else if (status.invalidKey) {
+          error = new RemoteStorage.InvalidKeyError(path);
         } else {
           error = new Error('HTTP response code ' + status.statusCode + ' received.');
         }
 
         return this.dealWithFailure(path, action, status).then(function () {
+          this.scheduleRetry(path, status, r.retryAfter);
           remoteStorage._emit('error', error);
           throw error;
-        });
+        }.bind(this));
       }
     },
 
     numThreads: 10,
 
+    // Maximum number of requests in flight for each priority class, within
+    // numThreads. Classes that aren't listed can use all of them. Limiting
+    // prefetching keeps threads free for requests the user is waiting for.
+    numThreadsPerPriority: {
+      prefetch: 5
+    },
+
+    // Failed tasks are retried with exponential backoff, starting from a
+    // base delay (in ms) that depends on the kind of failure:
+    maxAttempts: 5,
+    maxRetryDelay: 300000,
+    retryDelays: {
+      'timeout':      10000,
+      'rate-limited': 5000,
+      'server-error': 2000
+    },
+
+    /**
+     * Method: scheduleRetry
+     *
+     * Schedule another attempt for a path whose task failed with a timeout,
+     * a 5xx response, or a 429 response (after the delay given in its
+     * Retry-After header, if any). Other failures are left to the next sync
+     * cycle. After <maxAttempts> failed attempts, sync gives up on the path
+     * until <retry> is called for it.
+     **/
+    scheduleRetry: function (path, status, retryAfter) {
+      var reason = retryReason(status);
+      var retry, delay;
+
+      if (!reason) {
+        return;
+      }
+
+      retry = this._retries[path] || { attempts: 0 };
+      retry.attempts++;
+      retry.reason = reason;
+      this._retries[path] = retry;
+
+      if (retry.attempts >= this.maxAttempts) {
+        RemoteStorage.log('[Sync] Giving up on ' + path + ' after ' + retry.attempts + ' attempts');
+        retry.gaveUp = true;
+        delete retry.retryAt;
+        this.giveUp(path, new RemoteStorage.SyncError('Gave up on ' + path + ' after ' + retry.attempts + ' attempts.'));
+        return;
+      }
+
+      if (reason === 'rate-limited' && typeof(retryAfter) === 'number') {
+        delay = retryAfter;
+      } else {
+        delay = Math.min(this.maxRetryDelay,
+                         this.retryDelays[reason] * Math.pow(2, retry.attempts - 1));
+        // Add jitter, so that clients don't retry in lockstep:
+        delay = delay / 2 + Math.random() * delay / 2;
+      }
+
+      retry.retryAt = this.now() + delay;
+      RemoteStorage.log('[Sync] Retrying ' + path + ' in ' + Math.round(delay) + 'ms');
+      this.scheduleRetryTimer();
+    },
+
+    giveUp: function (path, error) {
+      this.failCallbacks(path, error);
+      delete this._tasks[path];
+      delete this._priorities[path];
+    },
+
+    // Calls the callbacks waiting for a path with the error that kept it from
+    // being synced, letting requests fall back to the local version. The task
+    // itself stays queued.
+    failCallbacks: function (path, error) {
+      var callbacks = this._tasks[path];
+
+      if (callbacks) {
+        this._tasks[path] = [];
+        for (var i=0; i<callbacks.length; i++) {
+          callbacks[i](error);
+        }
+      }
+    },
+
+    scheduleRetryTimer: function () {
+      var next, path, retryAt;
+      var now = this.now();
+
+      this.cancelRetryTimer();
+      if (this.stopped) {
+        return;
+      }
+
+      for (path in this._retries) {
+        retryAt = this._retries[path].retryAt;
+        if (retryAt > now && (next === undefined || retryAt < next)) {
+          next = retryAt;
+        }
+      }
+
+      if (next !== undefined) {
+        this._retryTimer = setTimeout(function () {
+          delete this._retryTimer;
+          this.doTasks();
+          this.scheduleRetryTimer();
+        }.bind(this), next - now);
+      }
+    },
+
+    cancelRetryTimer: function () {
+      if (this._retryTimer) {
+        clearTimeout(this._retryTimer);
+        delete this._retryTimer;
+      }
+    },
+
+    isWaitingForRetry: function (path) {
+      return !!(this._retries[path] && this._retries[path].retryAt > this.now());
+    },
+
+    hasGivenUp: function (path) {
+      return !!(this._retries[path] && this._retries[path].gaveUp);
+    },
+
+    /**
+     * Method: retry
+     *
+     * Sync paths again that sync has given up on after too many failed
+     * attempts.
+     *
+     * Parameters:
+     *   path - (optional) Path to retry. Retries all given up paths by default.
+     **/
+    retry: function (path) {
+      var paths = path ? [path] : Object.keys(this._retries).filter(this.hasGivenUp.bind(this));
+
+      paths.forEach(function (path) {
+        delete this._retries[path];
+        this.addTask(path);
+      }.bind(this));
+
+      this.doTasks();
+    },
+
     finishTask: function (task) {
       if (task.action === undefined) {
         delete this._running[task.path];
         return;
       }
       var self = this;
+      var aborted = false;
 
       return task.promise.then(function (r) {
+        self._progress.bytesTransferred += task.bytesSent + byteLength(r.body);
         return self.handleResponse(task.path, task.action, r);
       }, function (err) {
+        if (err === 'aborted') {
+          // Sync has been stopped; leave the task and the cache alone
+          RemoteStorage.log('[Sync] Request aborted', task.path, task.action);
+          aborted = true;
+          return false;
+        }
         RemoteStorage.log('[Sync] wireclient rejects its promise!', task.path, task.action, err);
-        return self.handleResponse(task.path, task.action, {statusCode: 'offline'});
+        return self.handleResponse(task.path, task.action, {statusCode: err === 'timeout' ? 'timeout' : 'offline'});
       })
 
       .then(function (completed) {
         delete self._timeStarted[task.path];
         delete self._running[task.path];
+
+        // An aborted request says nothing about the remote, and no more
+        // tasks are started, so sync is done once the last one is gone
+        if (aborted) {
+          if (!self.done && Object.getOwnPropertyNames(self._running).length === 0) {
+            self.done = true;
+            self._emit('done');
+          }
+          return;
+        }
+
         self.remote.online = true;
 
         if (completed) {
@@ -904,10 +1508,15 @@
               self._tasks[task.path][i]();
             }
             delete self._tasks[task.path];
+            delete self._priorities[task.path];
           }
+          delete self._errors[task.path];
+          delete self._retries[task.path];
+          self._progress.completed++;
         }
 
         self._emit('req-done');
+        self._emit('progress', self.getStatus());
 
         self.collectTasks(false).then(function () {
           // See if there are any more tasks that are not refresh tasks
@@ -915,6 +1524,9 @@
             RemoteStorage.log('[Sync] Sync is done! Reschedule?', Object.getOwnPropertyNames(self._tasks).length, self.stopped);
             if (!self.done) {
               self.done = true;
+              if (self._progress.failed === 0 && !self.hasTasks()) {
+                self.lastSyncedAt = self.now();
+              }
               self._emit('done');
             }
           } else {
@@ -930,7 +1542,17 @@
         console.error('[Sync] Error', err);
         delete self._timeStarted[task.path];
         delete self._running[task.path];
+        self._errors[task.path] = {
+          action: task.action,
+          error:  err,
+          time:   self.now()
+        };
+        self._progress.failed++;
+        if (!self.isWaitingForRetry(task.path)) {
+          self.failCallbacks(task.path, err);
+        }
         self._emit('req-done');
+        self._emit('progress', self.getStatus());
         if (!self.done) {
           self.done = true;
           self._emit('done');
@@ -939,7 +1561,9 @@
     },
 
     doTasks: function () {
-      var numToHave, numAdded = 0, numToAdd, path;
+      var numToHave, numAdded = 0, numToAdd, path, priority, i;
+      var runningPerPriority = {};
+
       if (this.remote.connected) {
         if (this.remote.online) {
           numToHave = this.numThreads;
@@ -953,27 +1577,54 @@
       if (numToAdd <= 0) {
         return true;
       }
-      for (path in this._tasks) {
-        if (!this._running[path]) {
-          this._timeStarted = this.now();
-          this._running[path] = this.doTask(path);
-          this._running[path].then(this.finishTask.bind(this));
-          numAdded++;
-          if (numAdded >= numToAdd) {
-            return true;
+      for (path in this._running) {
+        priority = this.getPriority(path);
+        runningPerPriority[priority] = (runningPerPriority[priority] || 0) + 1;
+      }
+
+      // Start the queued tasks by priority, and within the same priority in
+      // the order in which they were added
+      for (i = 0; i < priorities.length && numAdded < numToAdd; i++) {
+        priority = priorities[i];
+        runningPerPriority[priority] = runningPerPriority[priority] || 0;
+
+        for (path in this._tasks) {
+          if (runningPerPriority[priority] >= this.threadsFor(priority)) {
+            break;
+          }
+          if (this.getPriority(path) === priority &&
+              !this._running[path] && !this.isWaitingForRetry(path)) {
+            this._timeStarted[path] = this.now();
+            this._running[path] = this.doTask(path);
+            this._running[path].then(this.finishTask.bind(this));
+            runningPerPriority[priority]++;
+            numAdded++;
+            if (numAdded >= numToAdd) {
+              break;
+            }
           }
         }
       }
+      if (numAdded > 0) {
+        this._emit('progress', this.getStatus());
+      }
       return (numAdded >= numToAdd);
     },
 
+    threadsFor: function (priority) {
+      if (typeof(this.numThreadsPerPriority[priority]) === 'number') {
+        return this.numThreadsPerPriority[priority];
+      }
+      return this.numThreads;
+    },
+
     collectTasks: function (alsoCheckRefresh) {
       if (this.hasTasks() || this.stopped) {
         return Promise.resolve();
       }
 
       return this.collectDiffTasks().then(function (numDiffs) {
-        if (numDiffs || alsoCheckRefresh === false) {
+        if (numDiffs || alsoCheckRefresh === false || this.metered) {
           return Promise.resolve();
         } else {
           return this.collectRefreshTasks();
@@ -983,20 +1634,119 @@
       });
     },
 
-    addTask: function (path, cb) {
+    /**
+     * Method: addTask
+     *
+     * Queue a path for syncing.
+     *
+     * Parameters:
+     *   path     - Path to sync
+     *   cb       - (optional) Function called once the path has been synced
+     *   priority - (optional) One of the priority classes, from highest to
+     *              lowest:
+     *
+     *     interactive - Requests the user is waiting for, like a get with
+     *                   maxAge, or <pushNow>
+     *     push        - Local changes to push out
+     *     refresh     - Checking for remote changes (the default)
+     *     prefetch    - Downloading documents for caching
+     *
+     * Queued tasks are started in the order of their priority. A path that
+     * is already queued keeps the higher one of its priorities.
+     **/
+    addTask: function (path, cb, priority) {
       if (!this._tasks[path]) {
         this._tasks[path] = [];
+        delete this._priorities[path];
+        if (priority) {
+          this._priorities[path] = priority;
+        }
+      } else if (priority && priorities.indexOf(priority) < priorities.indexOf(this.getPriority(path))) {
+        this._priorities[path] = priority;
       }
       if (typeof(cb) === 'function') {
         this._tasks[path].push(cb);
       }
     },
 
+    getPriority: function (path) {
+      return this._priorities[path] || defaultPriority;
+    },
+
+    /**
+     * Method: getStatus
+     *
+     * Get the current state of synchronization.
+     *
+     * The counters for completed and failed tasks and for transferred bytes
+     * are reset at the start of each sync cycle.
+     *
+     * Returns:
+     *
+     *   An object with the following properties:
+     *
+     *   queued           - Number of paths waiting to be synced
+     *   running          - Number of requests in flight
+     *   runningSince     - Start time of each request in flight, by path
+     *   completed        - Number of tasks completed in the current cycle
+     *   failed           - Number of tasks that failed in the current cycle
+     *   bytesTransferred - Size of bodies sent and received in the current cycle
+     *   lastSyncedAt     - Time at which the last cycle finished without
+     *                      errors, or undefined
+     *   errors           - Last error of each path that hasn't been synced
+     *                      successfully since, as { action, error, time }
+     *   retrying         - Paths waiting for another attempt, as
+     *                      { attempts, reason, retryAt }
+     *   gaveUp           - Paths that sync has given up on (see <retry>)
+     **/
+    getStatus: function () {
+      var queued = 0, running = 0, runningSince = {}, retrying = {}, gaveUp = [], path;
+
+      for (path in this._tasks) {
+        if (!this._running[path]) {
+          queued++;
+        }
+      }
+      for (path in this._running) {
+        running++;
+        runningSince[path] = this._timeStarted[path];
+      }
+      for (path in this._retries) {
+        if (this._retries[path].gaveUp) {
+          gaveUp.push(path);
+        } else {
+          retrying[path] = RemoteStorage.util.extend({}, this._retries[path]);
+        }
+      }
+
+      return {
+        queued:           queued,
+        running:          running,
+        runningSince:     runningSince,
+        completed:        this._progress.completed,
+        failed:           this._progress.failed,
+        bytesTransferred: this._progress.bytesTransferred,
+        lastSyncedAt:     this.lastSyncedAt,
+        errors:           RemoteStorage.util.extend({}, this._errors),
+        retrying:         retrying,
+        gaveUp:           gaveUp
+      };
+    },
+
+    resetProgress: function () {
+      this._progress = {
+        completed:        0,
+        failed:           0,
+        bytesTransferred: 0
+      };
+    },
+
     /**
      * Method: sync
      **/
     sync: function () {
       this.done = false;
+      this.resetProgress();
 
       if (!this.doTasks()) {
         return this.collectTasks().then(function () {
@@ -1005,6 +1755,11 @@
           } catch(e) {
             console.error('[Sync] doTasks error', e);
           }
+          // Nothing to do, e.g. in metered mode without local changes
+          if (!this.hasTasks() && !this.done) {
+            this.done = true;
+            this._emit('done');
+          }
         }.bind(this), function (e) {
           console.error('[Sync] Sync error', e);
           throw new Error('Local cache unavailable');
@@ -1078,13 +1833,136 @@
   /**
    * Method: getCurrentSyncInterval
    *
-   * Get the value of the current sync interval
+   * Get the value of the current sync interval. While a notification channel
+   * is open (see <RemoteStorage.Notifications>), this is at least the
+   * interval configured for it.
    *
    * Returns a number of milliseconds
    *
    */
   RemoteStorage.prototype.getCurrentSyncInterval = function () {
-    return isBackground ? backgroundSyncInterval : syncInterval;
+    var interval = isBackground ? backgroundSyncInterval : syncInterval;
+    if (this.notifications && this.notifications.isHealthy()) {
+      interval = Math.max(interval, this.notifications.syncInterval);
+    }
+    return interval;
+  };
+
+  /**
+   * Method: setConflictResolver
+   *
+   * Choose how conflicts are resolved for documents under a given path,
+   * i.e. when a document was changed both locally and remotely since the
+   * last sync.
+   *
+   * The resolver is either one of the built-in strategies, or a function
+   * that receives an object with the path and the local, remote, and
+   * common (last synced) versions of the document, each having a body,
+   * contentType, revision and lastModified timestamp if known. It returns
+   * the body that should be kept (or a promise for it), false for
+   * deleting the document, or undefined for keeping the remote version.
+   *
+   * If the resolved version differs from the remote one, it is stored
+   * locally on top of the remote version and pushed out with the next sync.
+   *
+   * Strategies:
+   *
+   *   - 'json-merge' (default) merges JSON documents (see <storeObject>)
+   *         property by property, against their last common version. Changes
+   *         to different properties are combined, and only properties changed
+   *         on both sides are a conflict, which the remote version wins. If
+   *         the merged object doesn't validate against its declared type, or
+   *         the document isn't a JSON object, the remote version wins.
+   *         Clean merges are announced with a change event of origin 'remote'.
+   *   - 'remote-wins' discards the local changes
+   *   - 'local-wins' overwrites the remote changes
+   *   - 'last-timestamp-wins' keeps the local version if it was changed after
+   *         the remote one. If the remote storage doesn't report modification
+   *         times, the remote version wins.
+   *
+   * Parameters:
+   *   path     - Path (document or folder) to set the resolver for
+   *   resolver - Strategy name or resolver function
+   *
+   * Example:
+   *   (start code)
+   *   remoteStorage.setConflictResolver('/notes/', function (conflict) {
+   *     return conflict.local.body + '\n' + conflict.remote.body;
+   *   });
+   *   (end code)
+   */
+  RemoteStorage.prototype.setConflictResolver = function (path, resolver) {
+    if (typeof(path) !== 'string') {
+      throw new Error('path should be a string');
+    }
+    if (typeof(resolver) !== 'function' && !conflictStrategies.hasOwnProperty(resolver)) {
+      throw new Error("resolver should be a function, or one of 'json-merge', 'remote-wins', 'local-wins', or 'last-timestamp-wins'");
+    }
+    if (!this._conflictResolvers) {
+      this._conflictResolvers = {};
+    }
+    this._conflictResolvers[path] = resolver;
+    if (this.sync) {
+      this.sync.conflictResolvers = this._conflictResolvers;
+    }
+  };
+
+  /**
+   * Method: getSyncStatus
+   *
+   * Get the current state of synchronization, e.g. for showing a progress
+   * bar or the time of the last successful sync. See
+   * <RemoteStorage.Sync.getStatus> for the properties of the returned object.
+   *
+   * Returns undefined if sync hasn't been started yet.
+   */
+  RemoteStorage.prototype.getSyncStatus = function () {
+    if (this.sync) {
+      return this.sync.getStatus();
+    }
+  };
+
+  /**
+   * Method: retrySync
+   *
+   * Sync paths again that sync has given up on after too many failed
+   * attempts (listed as `gaveUp` in <getSyncStatus>).
+   *
+   * Parameters:
+   *   path - (optional) Path to retry. Retries all given up paths by default.
+   */
+  RemoteStorage.prototype.retrySync = function (path) {
+    if (this.sync) {
+      this.sync.retry(path);
+    }
+  };
+
+  /**
+   * Method: prioritizeSync
+   *
+   * Sync a path before other queued paths, e.g. when the user opens a
+   * document that hasn't been downloaded yet. If the path isn't queued for
+   * syncing yet, it is added to the queue.
+   *
+   * Parameters:
+   *   path     - Path to sync
+   *   priority - (optional) Priority class, one of 'interactive' (default),
+   *              'push', 'refresh' or 'prefetch' (see
+   *              <RemoteStorage.Sync.addTask>). A path that is already
+   *              queued with a higher priority keeps it.
+   */
+  RemoteStorage.prototype.prioritizeSync = function (path, priority) {
+    priority = priority || 'interactive';
+    if (typeof(path) !== 'string') {
+      throw new Error('path should be a string');
+    }
+    if (priorities.indexOf(priority) === -1) {
+      throw new Error("priority should be one of '" + priorities.join("', '") + "'");
+    }
+    if (this.sync) {
+      this.sync.addTask(path, undefined, priority);
+      this.sync.doTasks();
+    }
   };
 
   var SyncError = function (originalError) {
@@ -1110,7 +1988,7 @@
 
     this.sync.on('done', function () {
       RemoteStorage.log('[Sync] Sync done. Setting timer to', this.getCurrentSyncInterval());
-      if (!this.sync.stopped) {
+      if (!this.sync.stopped && RemoteStorage.Env.isOnline()) {
         if (this._syncTimer) {
           clearTimeout(this._syncTimer);
         }
@@ -1118,6 +1996,12 @@
       }
     }.bind(this));
 
+    // Resumed when the network comes back, see handleNetwork
+    if (!RemoteStorage.Env.isOnline()) {
+      RemoteStorage.log('[Sync] Offline, not syncing');
+      return;
+    }
+
     this.sync.sync();
   };
 
@@ -1125,6 +2009,11 @@
     if (this.sync) {
       RemoteStorage.log('[Sync] Stopping sync');
       this.sync.stopped = true;
+      this.sync.cancelRetryTimer();
+      this.sync.abortRequests();
+      Object.keys(this.sync._tasks).forEach(function (path) {
+        this.sync.failCallbacks(path, new RemoteStorage.SyncError('Sync was stopped.'));
+      }.bind(this));
     } else {
       // TODO When is this ever the case and what is syncStopped for then?
       RemoteStorage.log('[Sync] Will instantiate sync stopped');
@@ -1135,13 +2024,13 @@
   RemoteStorage.prototype.startSync = function () {
     this.sync.stopped = false;
     this.syncStopped = false;
+    this.sync.scheduleRetryTimer();
     this.sync.sync();
   };
 
-  var syncCycleCb;
-
   RemoteStorage.Sync._rs_init = function (remoteStorage) {
-    syncCycleCb = function () {
+    // Kept on the instance, as every account has its own sync loop
+    var syncCycleCb = remoteStorage._syncCycleCb = function () {
       RemoteStorage.log('[Sync] syncCycleCb calling syncCycle');
       if (RemoteStorage.Env.isBrowser()) {
         handleVisibility.bind(remoteStorage)();
@@ -1152,6 +2041,14 @@
             remoteStorage.local, remoteStorage.remote, remoteStorage.access,
             remoteStorage.caching);
 
+        if (remoteStorage._conflictResolvers) {
+          remoteStorage.sync.conflictResolvers = remoteStorage._conflictResolvers;
+        }
+
+        remoteStorage.sync.on('progress', function (status) {
+          remoteStorage._emit('sync-progress', status);
+        });
+
         if (remoteStorage.syncStopped) {
           RemoteStorage.log('[Sync] Instantiating sync stopped');
           remoteStorage.sync.stopped = true;
@@ -1159,6 +2056,8 @@
         }
       }
 
+      handleNetwork.bind(remoteStorage)();
+
       RemoteStorage.log('[Sync] syncCycleCb calling syncCycle');
       remoteStorage.syncCycle();
     };
@@ -1168,7 +2067,13 @@
 
   RemoteStorage.Sync._rs_cleanup = function (remoteStorage) {
     remoteStorage.stopSync();
-    remoteStorage.removeEventListener('ready', syncCycleCb);
+    remoteStorage.removeEventListener('ready', remoteStorage._syncCycleCb);
+    for (var eventName in remoteStorage._networkHandlers) {
+      RemoteStorage.Env.removeEventListener(eventName, remoteStorage._networkHandlers[eventName]);
+    }
+    for (eventName in remoteStorage._visibilityHandlers) {
+      RemoteStorage.Env.removeEventListener(eventName, remoteStorage._visibilityHandlers[eventName]);
+    }
   };
 
 })(typeof(window) !== 'undefined' ? window : global);
@@ -34,6 +34,23 @@
     }
   }
 
+  // Strings with one character per byte, as used by btoa and atob
+  function bytesToString(bytes) {
+    var str = '';
+    for (var i = 0; i < bytes.length; i++) {
+      str += String.fromCharCode(bytes[i]);
+    }
+    return str;
+  }
+
+  function stringToBytes(str) {
+    var bytes = new Uint8Array(str.length);
+    for (var i = 0; i < str.length; i++) {
+      bytes[i] = str.charCodeAt(i);
+    }
+    return bytes;
+  }
+
   RemoteStorage.util = {
     getEventEmitter: function () {
       var object = {};
@@ -235,6 +252,81 @@
       return paths;
     },
 
+    // localStorage key for the settings of the given account (see
+    // RemoteStorage#addAccount). The default account uses the key as it is.
+    settingsKey: function (key, accountName) {
+      return accountName ? key + '@' + accountName : key;
+    },
+
+    // Whether a revision of a cached node (its common, local, remote or push
+    // version) is malformed. Used by both the caching layer and sync.
+    isCorruptRevision: function (rev) {
+      if (typeof(rev) !== 'object' || rev === null || Array.isArray(rev) ||
+          (rev.revision && typeof(rev.revision) !== 'string') ||
+          (rev.body && typeof(rev.body) !== 'string' && typeof(rev.body) !== 'object') ||
+          (rev.contentType && typeof(rev.contentType) !== 'string') ||
+          (rev.contentLength && typeof(rev.contentLength) !== 'number') ||
+          (rev.timestamp && typeof(rev.timestamp) !== 'number')) {
+        return true;
+      }
+      if (rev.itemsMap) {
+        if (typeof(rev.itemsMap) !== 'object' || Array.isArray(rev.itemsMap)) {
+          return true;
+        }
+        for (var itemName in rev.itemsMap) {
+          if (typeof(rev.itemsMap[itemName]) !== 'boolean') {
+            return true;
+          }
+        }
+      }
+      return false;
+    },
+
+    /**
+     * Function: toBytes
+     *
+     * Returns the bytes of a binary body (an ArrayBuffer or ArrayBufferView)
+     * as a Uint8Array, or undefined for anything else.
+     */
+    toBytes: function (body) {
+      if (body instanceof ArrayBuffer) {
+        return new Uint8Array(body);
+      } else if (body && ArrayBuffer.isView(body)) {
+        return new Uint8Array(body.buffer, body.byteOffset, body.byteLength);
+      }
+    },
+
+    bytesToString: bytesToString,
+
+    stringToBytes: stringToBytes,
+
+    /**
+     * Function: toBase64
+     *
+     * Encodes a Uint8Array as base64, with btoa in browsers and Buffer in
+     * node.js.
+     */
+    toBase64: function (bytes) {
+      if (typeof(btoa) === 'function') {
+        return btoa(bytesToString(bytes));
+      } else {
+        return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength).toString('base64');
+      }
+    },
+
+    /**
+     * Function: fromBase64
+     *
+     * Decodes a base64 string into a Uint8Array.
+     */
+    fromBase64: function (str) {
+      if (typeof(atob) === 'function') {
+        return stringToBytes(atob(str));
+      } else {
+        return new Uint8Array(Buffer.from(str, 'base64'));
+      }
+    },
+
     /* jshint ignore:start */
     md5sum: function(str) {
       //
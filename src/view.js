@@ -100,6 +100,15 @@
       this.userSecretKey = secretKey;
     },
 
+    /**
+     * Method: setUserSecretKeyError
+     *
+     * Set whether the user secret key failed to decrypt data
+     **/
+    setUserSecretKeyError: function (hasError) {
+      this.userSecretKeyError = !!hasError;
+    },
+
     /**
     * Method: toggleBubble
     *
@@ -268,6 +277,7 @@
         if (this.userSecretKey) {
           delete this.userSecretKey;
         }
+        this.userSecretKeyError = false;
 
         // Google Drive and Dropbox icons
         var backends = 1;
@@ -25,7 +25,8 @@
    * - authing      ->  authing
    * - wire-busy    ->  busy
    * - wire-done    ->  connected
-   * - error        ->  one of initial, offline, unauthorized, or error
+   * - error        ->  one of initial, offline, unauthorized, connected (with
+   *                    invalid secret key) or error
    **/
   RemoteStorage.Widget = function (remoteStorage) {
     var self = this;
@@ -118,10 +119,17 @@
 
       this.view.on('secret-entered', function (secretKey) {
         this.view.setUserSecretKey(secretKey);
+        this.view.setUserSecretKeyError(false);
+        if (this.rs.encryption) {
+          this.rs.encryption.setKey(secretKey);
+        }
         stateSetter(this, 'ciphered')();
       }.bind(this));
 
       this.view.on('secret-cancelled', function () {
+        if (this.rs.encryption) {
+          this.rs.encryption.clearKey();
+        }
         stateSetter(this, 'notciphered')();
       }.bind(this));
 
@@ -195,6 +203,11 @@
         s = stateSetter(widget, 'offline', []);
       } else if (error instanceof RemoteStorage.Unauthorized) {
         s = stateSetter(widget, 'unauthorized');
+      } else if (RemoteStorage.InvalidKeyError && error instanceof RemoteStorage.InvalidKeyError) {
+        if (widget.view) {
+          widget.view.setUserSecretKeyError(true);
+        }
+        s = stateSetter(widget, 'connected');
       } else {
         RemoteStorage.log('[Widget] Unknown error');
         s = stateSetter(widget, 'error', [error]);
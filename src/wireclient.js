@@ -30,6 +30,11 @@
    *   - #delete() takes a path and the ifMatch option as well. It returns a promise
    *     fulfilled with the same values as the one for #get().
    *
+   * All three also accept a timeout option (in milliseconds, defaulting to
+   * <REQUEST_TIMEOUT>) and an abortHandle option, see <AbortHandle>. A request
+   * that times out is rejected with 'timeout', one that is aborted with
+   * 'aborted'.
+   *
    * In addition to this, the WireClient has some compatibility features to work with
    * remotestorage 2012.04 compatible storages. For example it will cache revisions
    * from folder listings in-memory and return them accordingly as the "revision"
@@ -92,6 +97,31 @@
     return str.replace(/^["']|["']$/g, '');
   }
 
+  function parseRetryAfter(value) {
+    if (typeof(value) !== 'string' || value === '') {
+      return undefined;
+    }
+    if (/^\d+$/.test(value)) {
+      return parseInt(value, 10) * 1000;
+    }
+    var date = Date.parse(value);
+    if (!isNaN(date)) {
+      return Math.max(0, date - new Date().getTime());
+    }
+  }
+
+  function addResponseHeaders(result, response) {
+    var lastModified = Date.parse(response.getResponseHeader('Last-Modified'));
+    var retryAfter = parseRetryAfter(response.getResponseHeader('Retry-After'));
+    if (!isNaN(lastModified)) {
+      result.lastModified = lastModified;
+    }
+    if (retryAfter !== undefined) {
+      result.retryAfter = retryAfter;
+    }
+    return result;
+  }
+
   function readBinaryData(content, mimeType, callback) {
     var blob;
     global.BlobBuilder = global.BlobBuilder || global.WebKitBlobBuilder;
@@ -173,13 +203,12 @@
     return [401, 403, 404, 412].indexOf(status) >= 0;
   }
 
-  var onErrorCb;
-
   /**
    * Class : RemoteStorage.WireClient
    **/
   RS.WireClient = function (rs) {
     this.connected = false;
+    this._settingsKey = RS.util.settingsKey(SETTINGS_KEY, rs.accountName);
 
     /**
      * Event: change
@@ -189,18 +218,25 @@
      * Event: connected
      *   Fired when the wireclient connect method realizes that it is in
      *   possession of a token and href
+     *
+     * Event: wire-progress
+     *   Fired while the body of a request is being uploaded or the body of a
+     *   response downloaded. The event object has the fields method ('GET'
+     *   or 'PUT'), path, direction ('upload' or 'download'), loaded and total (the number of
+     *   bytes transferred so far and in total; total is undefined if the
+     *   size is not known)
      **/
-    RS.eventHandling(this, 'change', 'connected', 'wire-busy', 'wire-done', 'not-connected');
+    RS.eventHandling(this, 'change', 'connected', 'wire-busy', 'wire-done', 'wire-progress', 'not-connected');
 
-    onErrorCb = function (error){
+    this._onErrorCb = function (error){
       if (error instanceof RemoteStorage.Unauthorized) {
         this.configure({token: null});
       }
     }.bind(this);
-    rs.on('error', onErrorCb);
+    rs.on('error', this._onErrorCb);
     if (hasLocalStorage) {
       var settings;
-      try { settings = JSON.parse(localStorage[SETTINGS_KEY]); } catch(e) {}
+      try { settings = JSON.parse(localStorage[this._settingsKey]); } catch(e) {}
       if (settings) {
         setTimeout(function () {
           this.configure(settings);
@@ -215,6 +251,12 @@
     }
   };
 
+  /**
+   * Property: REQUEST_TIMEOUT
+   *
+   * Time in milliseconds after which requests are rejected with 'timeout',
+   * unless a timeout option is given for them.
+   */
   RS.WireClient.REQUEST_TIMEOUT = 30000;
 
   RS.WireClient.prototype = {
@@ -254,7 +296,7 @@
      *   // -> 'draft-dejong-remotestorage-01'
      */
 
-    _request: function (method, uri, token, headers, body, getEtag, fakeRevision) {
+    _request: function (method, uri, token, headers, body, getEtag, fakeRevision, options) {
       if ((method === 'PUT' || method === 'DELETE') && uri[uri.length - 1] === '/') {
         return Promise.reject('Don\'t ' + method + ' on directories!');
       }
@@ -272,11 +314,12 @@
         isFolder: isFolder(uri)
       });
 
-      return RS.WireClient.request(method, uri, {
+      return RS.WireClient.request(method, uri, RS.WireClient.requestOptions({
         body: body,
         headers: headers,
-        responseType: 'arraybuffer'
-      }).then(function (response) {
+        responseType: 'arraybuffer',
+        onProgress: RS.WireClient.progressEmitter(this, method, options.path)
+      }, options)).then(function (response) {
         self._emit('wire-done', {
           method: method,
           isFolder: isFolder(uri),
@@ -309,11 +352,11 @@
 
           if ((!mimeType) || charset === 'binary') {
             RemoteStorage.log('[WireClient] Successful request with unknown or binary mime-type', revision);
-            return Promise.resolve({statusCode: response.status, body: response.response, contentType: mimeType, revision: revision});
+            return Promise.resolve(addResponseHeaders({statusCode: response.status, body: response.response, contentType: mimeType, revision: revision}, response));
           } else {
             return getTextFromArrayBuffer(response.response, charset).then(function (body) {
               RemoteStorage.log('[WireClient] Successful request', revision);
-              return Promise.resolve({statusCode: response.status, body: body, contentType: mimeType, revision: revision});
+              return Promise.resolve(addResponseHeaders({statusCode: response.status, body: body, contentType: mimeType, revision: revision}, response));
             });
           }
         }
@@ -380,7 +423,7 @@
         this.connected = false;
       }
       if (hasLocalStorage) {
-        localStorage[SETTINGS_KEY] = JSON.stringify({
+        localStorage[this._settingsKey] = JSON.stringify({
           userAddress: this.userAddress,
           href: this.href,
           storageApi: this.storageApi,
@@ -413,7 +456,8 @@
 
 
       return this._request('GET', this.href + cleanPath(path), this.token, headers,
-                            undefined, this.supportsRevs, this._revisionCache[path])
+                            undefined, this.supportsRevs, this._revisionCache[path],
+                            RS.WireClient.requestOptions({ path: path }, options))
       .then(function (r) {
         if (!isFolder(path)) {
           return Promise.resolve(r);
@@ -471,7 +515,8 @@
         }
       }
       return this._request('PUT', this.href + cleanPath(path), this.token,
-                     headers, body, this.supportsRevs);
+                     headers, body, this.supportsRevs, undefined,
+                     RS.WireClient.requestOptions({ path: path }, options));
     },
 
     'delete': function (path, options) {
@@ -487,7 +532,8 @@
       }
       return this._request('DELETE', this.href + cleanPath(path), this.token,
                      headers,
-                     undefined, this.supportsRevs);
+                     undefined, this.supportsRevs, undefined,
+                     RS.WireClient.requestOptions({ path: path }, options));
     }
   };
 
@@ -499,17 +545,128 @@
 
   RS.WireClient.readBinaryData = readBinaryData;
 
+  // Shared by WireClient, GoogleDrive and Dropbox: copies the timeout and
+  // abortHandle options of a get/put/delete call to the options of a request
+  // made for it
+  RS.WireClient.requestOptions = function (requestOptions, callOptions) {
+    if (callOptions) {
+      if (typeof(callOptions.timeout) === 'number') {
+        requestOptions.timeout = callOptions.timeout;
+      }
+      if (callOptions.abortHandle) {
+        requestOptions.abortHandle = callOptions.abortHandle;
+      }
+    }
+    return requestOptions;
+  };
+
+  /**
+   * Class: RemoteStorage.WireClient.AbortHandle
+   *
+   * Lets requests be aborted. Pass it as the abortHandle option to the
+   * get/put/delete methods of <remoteStorage.remote>, then call <abort> to
+   * reject all of these requests that are still pending with 'aborted'.
+   *
+   * A handle can be shared by any number of requests. Once aborted, it stays
+   * aborted, and requests made with it are rejected right away.
+   *
+   * Example:
+   *   (start code)
+   *   var handle = new RemoteStorage.WireClient.AbortHandle();
+   *   remoteStorage.remote.get('/photos/big.jpg', { abortHandle: handle, timeout: 120000 })
+   *     .then(undefined, function (error) {
+   *       // error === 'aborted'
+   *     });
+   *   handle.abort();
+   *   (end code)
+   */
+  RS.WireClient.AbortHandle = function () {
+    /**
+     * Property: aborted
+     *
+     * Whether <abort> has been called
+     */
+    this.aborted = false;
+    this._listeners = [];
+  };
+
+  RS.WireClient.AbortHandle.prototype = {
+    /**
+     * Method: abort
+     *
+     * Aborts all pending requests made with this handle.
+     */
+    abort: function () {
+      if (this.aborted) { return; }
+      this.aborted = true;
+      var listeners = this._listeners;
+      this._listeners = [];
+      listeners.forEach(function (listener) {
+        listener();
+      });
+    },
+
+    // Calls listener once the handle is aborted. Returns a function that
+    // removes the listener again.
+    _onAbort: function (listener) {
+      var handle = this;
+      this._listeners.push(listener);
+      return function () {
+        var index = handle._listeners.indexOf(listener);
+        if (index !== -1) {
+          handle._listeners.splice(index, 1);
+        }
+      };
+    }
+  };
+
+  // Returns an onProgress option for RS.WireClient.request, which makes the
+  // given client emit 'wire-progress' events for the item at the given path.
+  // Shared by WireClient, GoogleDrive and Dropbox.
+  RS.WireClient.progressEmitter = function (client, method, path) {
+    return function (direction, event) {
+      client._emit('wire-progress', {
+        method: method,
+        path: path,
+        direction: direction,
+        loaded: event.loaded,
+        total: event.lengthComputable ? event.total : undefined
+      });
+    };
+  };
+
   // Shared request function used by WireClient, GoogleDrive and Dropbox.
+  //
+  // If options.onProgress is given, it is called with the direction
+  // ('upload' or 'download') and the XHR progress event while the request
+  // body is being sent and the response body received.
+  //
+  // options.timeout overrides REQUEST_TIMEOUT for this request, and
+  // options.abortHandle lets it be aborted (see AbortHandle).
   RS.WireClient.request = function (method, url, options) {
+    if (options.abortHandle && options.abortHandle.aborted) {
+      return Promise.reject('aborted');
+    }
+
     var pending = Promise.defer();
     RemoteStorage.log('[WireClient]', method, url);
 
-    var timedOut = false;
+    var settled = false;
+    var stopListening = function () {};
+
+    function settle() {
+      settled = true;
+      clearTimeout(timer);
+      stopListening();
+    }
+
+    var timeout = typeof(options.timeout) === 'number' ? options.timeout : RS.WireClient.REQUEST_TIMEOUT;
 
     var timer = setTimeout(function () {
-      timedOut = true;
+      if (settled) { return; }
+      settle();
       pending.reject('timeout');
-    }, RS.WireClient.REQUEST_TIMEOUT);
+    }, timeout);
 
     var xhr = new XMLHttpRequest();
     xhr.open(method, url, true);
@@ -525,19 +682,39 @@
     }
 
     xhr.onload = function () {
-      if (timedOut) { return; }
-      clearTimeout(timer);
+      if (settled) { return; }
+      settle();
       pending.resolve(xhr);
     };
 
     xhr.onerror = function (error) {
-      if (timedOut) { return; }
-      clearTimeout(timer);
+      if (settled) { return; }
+      settle();
       pending.reject(error);
     };
 
+    if (options.abortHandle) {
+      stopListening = options.abortHandle._onAbort(function () {
+        if (settled) { return; }
+        settle();
+        xhr.abort();
+        pending.reject('aborted');
+      });
+    }
+
     var body = options.body;
 
+    if (options.onProgress) {
+      xhr.onprogress = function (event) {
+        options.onProgress('download', event);
+      };
+      if (xhr.upload && typeof(body) !== 'undefined') {
+        xhr.upload.onprogress = function (event) {
+          options.onProgress('upload', event);
+        };
+      }
+    }
+
     if (typeof(body) === 'object' && !isArrayBufferView(body) && body instanceof ArrayBuffer) {
       body = new Uint8Array(body);
     }
@@ -566,10 +743,15 @@
   };
 
   RS.WireClient._rs_cleanup = function (remoteStorage){
+    // Dropbox and GoogleDrive keep the WireClient in _origRemote
+    var wireClient = remoteStorage._origRemote || remoteStorage.remote;
+
     if (hasLocalStorage){
-      delete localStorage[SETTINGS_KEY];
+      delete localStorage[RS.util.settingsKey(SETTINGS_KEY, remoteStorage.accountName)];
+    }
+    if (wireClient) {
+      remoteStorage.removeEventListener('error', wireClient._onErrorCb);
     }
-    remoteStorage.removeEventListener('error', onErrorCb);
   };
 
 })(typeof(window) !== 'undefined' ? window : global);
@@ -36,6 +36,9 @@ define([], function() {
           }
           return this._responses[path];
         };
+        this.cachedRootPaths = function() {
+          return [];
+        };
         this.onActivate = function() {};
       };
 
@@ -73,10 +76,29 @@ define([], function() {
         };
       };
 
+      // Sync passes its abort handle along with the options of each request,
+      // which is not part of what is being requested
+      function withoutAbortHandle(args) {
+        var options = args[args.length - 1];
+        if (options && typeof(options) === 'object' && options.abortHandle) {
+          var rest = {};
+          for (var key in options) {
+            if (key !== 'abortHandle') {
+              rest[key] = options[key];
+            }
+          }
+          args = args.slice(0, -1);
+          if (Object.keys(rest).length > 0) {
+            args.push(rest);
+          }
+        }
+        return args;
+      }
+
       global.FakeRemote = function(){
         function GPD(target, path, body, contentType, options) {
-          var args = Array.prototype.slice.call(arguments);
-          this['_'+target+'s'].push([path, body, contentType, options]);
+          var args = withoutAbortHandle(Array.prototype.slice.call(arguments));
+          this['_'+target+'s'].push(args.slice(1).concat([undefined, undefined, undefined, undefined]).slice(0, 4));
           if (typeof(this._responses[args]) === 'undefined') {
             throw new Error('no FakeRemote response for args ' + JSON.stringify(args));
           }
@@ -0,0 +1,118 @@
+define(['bluebird', 'http', 'url'], function (Promise, http, url) {
+
+  // A minimal EventSource for node.js, which only supports unnamed events
+  // with single-line data
+  function EventSource(href) {
+    var self = this;
+    var buffer = '';
+
+    this.url = href;
+    this.readyState = 0;
+
+    this._request = http.get(href, function (res) {
+      if (res.statusCode !== 200) {
+        self.readyState = 2;
+        res.resume();
+        if (self.onerror) { self.onerror({}); }
+        return;
+      }
+
+      self.readyState = 1;
+      if (self.onopen) { self.onopen({}); }
+
+      res.setEncoding('utf8');
+      res.on('data', function (chunk) {
+        var events;
+        buffer += chunk;
+        events = buffer.split('\n\n');
+        buffer = events.pop();
+        events.forEach(function (event) {
+          var match = event.match(/^data: (.*)$/m);
+          if (match && self.readyState === 1 && self.onmessage) {
+            self.onmessage({ data: match[1] });
+          }
+        });
+      });
+      res.on('end', function () {
+        if (self.readyState === 1) {
+          self.readyState = 2;
+          if (self.onerror) { self.onerror({}); }
+        }
+      });
+    });
+
+    this._request.on('error', function () {
+      if (self.readyState !== 2) {
+        self.readyState = 2;
+        if (self.onerror) { self.onerror({}); }
+      }
+    });
+  }
+
+  EventSource.prototype.close = function () {
+    this.readyState = 2;
+    this._request.abort();
+  };
+
+  return {
+    EventSource: EventSource,
+
+    // Starts a Server-Sent Events server on a free local port, which only
+    // accepts connections with the given token. Resolves with an object
+    // containing the URL of the stream, and functions to announce a change
+    // to all connected clients, to drop all connections, and to stop the
+    // server.
+    start: function (token) {
+      var clients = [];
+      var server = http.createServer(function (req, res) {
+        var query = url.parse(req.url, true).query;
+
+        if (query.access_token !== token) {
+          res.writeHead(401);
+          res.end();
+          return;
+        }
+
+        res.writeHead(200, {
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache'
+        });
+        res.write(': connected\n\n');
+        clients.push(res);
+        req.on('close', function () {
+          if (clients.indexOf(res) !== -1) {
+            clients.splice(clients.indexOf(res), 1);
+          }
+        });
+      });
+
+      return new Promise(function (resolve) {
+        server.listen(0, '127.0.0.1', function () {
+          resolve({
+            url: 'http://127.0.0.1:' + server.address().port + '/notifications',
+            clients: clients,
+
+            notify: function (path) {
+              clients.forEach(function (res) {
+                res.write('data: ' + JSON.stringify({ path: path }) + '\n\n');
+              });
+            },
+
+            drop: function () {
+              clients.splice(0, clients.length).forEach(function (res) {
+                res.end();
+              });
+            },
+
+            close: function () {
+              this.drop();
+              return new Promise(function (resolve) {
+                server.close(resolve);
+              });
+            }
+          });
+        });
+      });
+    }
+  };
+});
@@ -0,0 +1,54 @@
+define(['bluebird', 'sql.js'], function (Promise, initSqlJs) {
+  var loading;
+
+  return {
+    // Creates an SQLiteStorage driver for an in-memory sql.js database. The
+    // executed statements are recorded in driver.statements, and the
+    // database itself is available as driver.db.
+    createDriver: function () {
+      loading = loading || Promise.resolve(initSqlJs());
+
+      return loading.then(function (SQL) {
+        var db = new SQL.Database();
+        var driver = {
+          db: db,
+          statements: [],
+
+          query: function (sql, params) {
+            return new Promise(function (resolve) {
+              var statement = db.prepare(sql);
+              var rows = [];
+
+              driver.statements.push(sql);
+              statement.bind(params);
+              while (statement.step()) {
+                rows.push(statement.getAsObject());
+              }
+              statement.free();
+              resolve(rows);
+            });
+          },
+
+          transaction: function (statements) {
+            return new Promise(function (resolve) {
+              db.run('BEGIN');
+              try {
+                statements.forEach(function (statement) {
+                  driver.statements.push(statement[0]);
+                  db.run(statement[0], statement[1]);
+                });
+              } catch (e) {
+                db.run('ROLLBACK');
+                throw e;
+              }
+              db.run('COMMIT');
+              resolve();
+            });
+          }
+        };
+
+        return driver;
+      });
+    }
+  };
+});
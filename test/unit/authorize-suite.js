@@ -92,6 +92,21 @@ define(['requirejs', 'fs'], function(requirejs, fs, undefined) {
         }
       },
     
+      {
+        desc: "Authorize adds the name of the account to the state",
+        run: function(env, test) {
+          var authUrl = 'http://storage.provider.com/oauth';
+          var scope = 'contacts:r';
+          var redirectUri = 'http://awesome.app.com/#custom/path';
+          var clientId = 'http://awesome.app.com/';
+
+          RemoteStorage.Authorize({ accountName: 'work' }, authUrl, scope, redirectUri, clientId);
+
+          var expectedUrl = 'http://storage.provider.com/oauth?redirect_uri=http%3A%2F%2Fawesome.app.com%2F&scope=contacts%3Ar&client_id=http%3A%2F%2Fawesome.app.com%2F&state=remotestorage-account%3Awork%23custom%2Fpath&response_type=token';
+          test.assert(document.location.href, expectedUrl);
+        }
+      },
+
       {
         desc: "document.location getter",
         run: function(env, test) {
@@ -155,6 +170,33 @@ define(['requirejs', 'fs'], function(requirejs, fs, undefined) {
         }
       },
 
+      {
+        desc: "the 'features-loaded' handler leaves an access token for another account to that account",
+        run: function(env, test) {
+          var storage = new RemoteStorage();
+          var account = new RemoteStorage();
+          account.accountName = 'work';
+          document.location.href = 'http://foo/bar#access_token=my-token&state=remotestorage-account%3Awork%23custom%2Fpath';
+          RemoteStorage.Authorize._rs_init(storage);
+          RemoteStorage.Authorize._rs_init(account);
+          storage.remote = {
+            configure: function(settings) {
+              test.result(false, 'the token is not for the default account');
+            },
+            stopWaitingForToken: function() {}
+          };
+          account.remote = {
+            configure: function(settings) {
+              test.assertAnd(settings.token, 'my-token');
+            }
+          };
+          storage._handlers['features-loaded'][0]();
+          account._handlers['features-loaded'][1]();
+
+          test.assert(document.location.href, '#custom/path');
+        }
+      },
+
       {
         desc: "the 'features-loaded' handler initiates a connection attempt, when it sees a user address",
         run: function(env, test) {
@@ -8,13 +8,67 @@ define(['bluebird', 'requirejs', 'test/helpers/mocks', 'tv4'], function (Promise
 
   var suites = [];
 
+  // Lets a storage keep documents in memory, answering folder requests with
+  // listings derived from them
+  function storeDocuments(storage) {
+    var documents = {};
+    storage.requests = [];
+    storage.get = function(path) {
+      storage.requests.push(['get', path]);
+      if (path[path.length - 1] === '/') {
+        var listing = {};
+        Object.keys(documents).forEach(function(docPath) {
+          if (docPath.indexOf(path) === 0) {
+            listing[docPath.substr(path.length).replace(/\/.*/, '/')] = true;
+          }
+        });
+        return Promise.resolve(Object.keys(listing).length > 0 ? { statusCode: 200, body: listing } : { statusCode: 404 });
+      }
+      return Promise.resolve(documents[path] ? {
+        statusCode: 200,
+        body: documents[path].body,
+        contentType: documents[path].contentType,
+        revision: documents[path].revision
+      } : { statusCode: 404 });
+    };
+    storage.put = function(path, body, contentType) {
+      storage.requests.push(['put', path]);
+      documents[path] = { body: body, contentType: contentType, revision: 'rev-' + storage.requests.length };
+      return Promise.resolve({ statusCode: 200, revision: documents[path].revision });
+    };
+    storage.delete = function(path) {
+      storage.requests.push(['delete', path]);
+      delete documents[path];
+      return Promise.resolve({ statusCode: 200 });
+    };
+    storage.batch = function(operations) {
+      return operations.reduce(function(promise, operation) {
+        return promise.then(function(r) {
+          if (r.statusCode !== 200) { return r; }
+          return operation.method === 'put' ?
+            storage.put(operation.path, operation.body, operation.contentType) :
+            storage.delete(operation.path);
+        });
+      }, Promise.resolve({ statusCode: 200 })).then(function(r) {
+        return { statusCode: r.statusCode };
+      });
+    };
+    return documents;
+  }
+
+  function bytes(array) {
+    return new Uint8Array(array).buffer;
+  }
+
   suites.push({
     name: "BaseClient",
     desc: "High-level client, scoped to a path",
     setup: function(env, test) {
       mocks.defineMocks(env);
 
-      global.RemoteStorage = function() {};
+      global.RemoteStorage = function() {
+        RemoteStorage.eventHandling(this, 'features-loaded');
+      };
       RemoteStorage.log = function() {};
       RemoteStorage.prototype = {
         onChange: function(basePath, handler) {
@@ -24,6 +78,10 @@ define(['bluebird', 'requirejs', 'test/helpers/mocks', 'tv4'], function (Promise
           _rootPaths: {},
           set: function(path, value) {
             this._rootPaths[path] = value;
+          },
+          _historyDepths: {},
+          setHistoryDepth: function(path, depth) {
+            this._historyDepths[path] = depth;
           }
         }
       };
@@ -319,6 +377,212 @@ define(['bluebird', 'requirejs', 'test/helpers/mocks', 'tv4'], function (Promise
         }
       },
 
+      {
+        desc: "#query refreshes the folder and queries the local store",
+        run: function(env, test) {
+          var gets = [];
+          env.storage.get = function(path, maxAge) {
+            gets.push([path, maxAge]);
+            return Promise.resolve({statusCode: 200, body: {}});
+          };
+          env.storage.local = {
+            query: function(path, options) {
+              test.assertAnd(path, '/foo/todos/');
+              test.assertAnd(options, { where: { done: false } });
+              return Promise.resolve({ objects: [{ done: false }], outdated: ['/foo/todos/a'] });
+            }
+          };
+          env.client.query('todos/', { where: { done: false } }, false).then(function(objects) {
+            test.assertAnd(objects, [{ done: false }]);
+            test.assert(gets, [['/foo/todos/', false]]);
+          });
+        }
+      },
+
+      {
+        desc: "#query fetches outdated documents and queries again when connected",
+        run: function(env, test) {
+          var gets = [];
+          var queries = 0;
+          env.storage.remote = { connected: true, online: true };
+          env.storage.get = function(path, maxAge) {
+            gets.push([path, maxAge]);
+            return Promise.resolve({statusCode: 200, body: {}});
+          };
+          env.storage.local = {
+            query: function(path, options) {
+              queries++;
+              return Promise.resolve({
+                objects: [{ version: queries }],
+                outdated: queries === 1 ? ['/foo/todos/a', '/foo/todos/b'] : []
+              });
+            }
+          };
+          env.client.query('todos/', {}, 5000).then(function(objects) {
+            test.assertAnd(objects, [{ version: 2 }]);
+            test.assert(gets, [['/foo/todos/', 5000], ['/foo/todos/a', 5000], ['/foo/todos/b', 5000]]);
+          });
+        }
+      },
+
+      {
+        desc: "#query fails when it gets a document path",
+        run: function(env, test) {
+          env.client.query('todos/a').then(function() {
+            test.result(false, 'should have rejected');
+          }, function(err) {
+            test.assert(err, 'Not a folder: todos/a');
+          });
+        }
+      },
+
+      {
+        desc: "#observe emits the current results, then diffs on changes to the folder",
+        run: function(env, test) {
+          var changeHandlers = {};
+          var local = {
+            result: {
+              objects: [{ id: 'a', v: 1 }, { id: 'b', v: 1 }],
+              paths: ['/foo/todos/a', '/foo/todos/b'],
+              outdated: []
+            },
+            queries: 0,
+            query: function(path, options) {
+              this.queries++;
+              test.assertAnd(path, '/foo/todos/');
+              test.assertAnd(options, { where: { done: false } });
+              return Promise.resolve(this.result);
+            }
+          };
+          RemoteStorage.eventHandling(local, 'pending-changes');
+          env.storage.local = local;
+          env.storage.onChange = function(path, handler) {
+            changeHandlers[path] = handler;
+          };
+
+          var subscription = env.client.observe('todos/', { where: { done: false } });
+          env.storage._emit('features-loaded');
+          subscription.on('results', function(results) {
+            test.assertAnd(results, [{ id: 'a', v: 1 }, { id: 'b', v: 1 }]);
+
+            // changes in subfolders don't affect the results
+            changeHandlers['/foo/todos/']({ path: '/foo/todos/sub/x', relativePath: 'sub/x' });
+            test.assertAnd(local.queries, 1);
+
+            local.result = {
+              objects: [{ id: 'b', v: 2 }, { id: 'c', v: 1 }],
+              paths: ['/foo/todos/b', '/foo/todos/c'],
+              outdated: []
+            };
+            changeHandlers['/foo/todos/']({ path: '/foo/todos/b', relativePath: 'b' });
+          });
+          subscription.on('diff', function(diff) {
+            test.assertAnd(diff.added, { 'todos/c': { id: 'c', v: 1 } });
+            test.assertAnd(diff.updated, { 'todos/b': { id: 'b', v: 2 } });
+            test.assertAnd(diff.removed, { 'todos/a': { id: 'a', v: 1 } });
+            test.assert(diff.results, [{ id: 'b', v: 2 }, { id: 'c', v: 1 }]);
+          });
+        }
+      },
+
+      {
+        desc: "#observe refreshes on local writes and stops after unsubscribe",
+        run: function(env, test) {
+          var removed = [];
+          var local = {
+            queries: 0,
+            query: function() {
+              this.queries++;
+              return Promise.resolve({
+                objects: [{ n: this.queries }],
+                paths: ['/foo/a'],
+                outdated: []
+              });
+            }
+          };
+          RemoteStorage.eventHandling(local, 'pending-changes');
+          env.storage.local = local;
+          env.storage.removeChangeHandler = function(path, handler) {
+            removed.push(path);
+          };
+
+          var subscription = env.client.observe('');
+          env.storage._emit('features-loaded');
+          subscription.on('results', function() {
+            local._emit('pending-changes', ['/foo/a']);
+          });
+          subscription.on('diff', function(diff) {
+            test.assertAnd(diff.updated, { 'a': { n: 2 } });
+            subscription.unsubscribe();
+            local._emit('pending-changes', ['/foo/a']);
+            setTimeout(function() {
+              test.assertAnd(removed, ['/foo/']);
+              test.assert(local.queries, 2);
+            }, 10);
+          });
+        }
+      },
+
+      {
+        desc: "#observe waits for the features to load before querying the local store",
+        run: function(env, test) {
+          var errors = [];
+          var local = {
+            queries: 0,
+            query: function() {
+              this.queries++;
+              return Promise.resolve({ objects: [{ n: 1 }], paths: ['/foo/a'], outdated: [] });
+            }
+          };
+          RemoteStorage.eventHandling(local, 'pending-changes');
+
+          var subscription = env.client.observe('');
+          subscription.on('error', function(error) {
+            errors.push(error);
+          });
+          env.storage._emit('features-loaded');
+          test.assertAnd(errors, ['Queries require a local store']);
+
+          env.storage.local = local;
+          env.storage._emit('features-loaded');
+          subscription.on('results', function(results) {
+            test.assertAnd(results, [{ n: 1 }]);
+            local._emit('pending-changes', ['/foo/a']);
+            setTimeout(function() {
+              test.assert(local.queries, 2);
+            }, 10);
+          });
+        }
+      },
+
+      {
+        desc: "#observe ignores pending changes outside of the folder",
+        run: function(env, test) {
+          var local = {
+            queries: 0,
+            query: function() {
+              this.queries++;
+              return Promise.resolve({ objects: [], paths: [], outdated: [] });
+            }
+          };
+          RemoteStorage.eventHandling(local, 'pending-changes');
+          env.storage.local = local;
+
+          var subscription = env.client.observe('todos/');
+          env.storage._emit('features-loaded');
+          subscription.on('results', function() {
+            local._emit('pending-changes', ['/foo/todos/sub/x', '/foo/other', '/bar/todos/a']);
+            setTimeout(function() {
+              test.assertAnd(local.queries, 1);
+              local._emit('pending-changes', ['/foo/other', '/foo/todos/a']);
+              setTimeout(function() {
+                test.assert(local.queries, 2);
+              }, 10);
+            }, 10);
+          });
+        }
+      },
+
       {
         desc: "#scope returns a new BaseClient, scoped to the given sub-path",
         run: function(env, test) {
@@ -380,6 +644,296 @@ define(['bluebird', 'requirejs', 'test/helpers/mocks', 'tv4'], function (Promise
         }
       },
 
+      {
+        desc: "#storeFile stores large binary files in chunks, which #getFile reassembles",
+        run: function(env, test) {
+          RemoteStorage.config.chunkSize = 4;
+          var documents = storeDocuments(env.storage);
+
+          env.client.storeFile('image/png', 'photos/a.png', new Uint8Array([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]).subarray(1)).then(function(revision) {
+            var manifest = JSON.parse(documents['/foo/photos/a.png'].body);
+            test.assertAnd(revision, documents['/foo/photos/a.png'].revision);
+            test.assertAnd(documents['/foo/photos/a.png'].contentType, 'application/json; charset=UTF-8');
+            test.assertAnd(manifest['@context'], 'http://remotestorage.io/spec/chunked-file');
+            test.assertAnd(manifest.contentType, 'image/png');
+            test.assertAnd(manifest.size, 9);
+            test.assertAnd(manifest.chunks.map(function(chunk) { return chunk.size; }), [4, 4, 1]);
+            manifest.chunks.forEach(function(chunk) {
+              test.assertAnd(documents['/foo/photos/.chunks/a.png/' + chunk.name].contentType, 'application/octet-stream');
+            });
+            // the manifest is written after all chunks
+            test.assertAnd(env.storage.requests.filter(function(request) {
+              return request[0] === 'put';
+            }).pop(), ['put', '/foo/photos/a.png']);
+
+            return env.client.getFile('photos/a.png');
+          }).then(function(file) {
+            delete RemoteStorage.config.chunkSize;
+            test.assertAnd(file.contentType, 'image/png');
+            test.assertAnd(file.revision, documents['/foo/photos/a.png'].revision);
+            test.assert(file.data, bytes([1, 2, 3, 4, 5, 6, 7, 8, 9]));
+          }, function(err) {
+            delete RemoteStorage.config.chunkSize;
+            test.result(false, err);
+          });
+        }
+      },
+
+      {
+        desc: "#storeFile only stores missing chunks when resuming an interrupted upload",
+        run: function(env, test) {
+          RemoteStorage.config.chunkSize = 2;
+          var documents = storeDocuments(env.storage);
+          var put = env.storage.put;
+          var failures = 1;
+
+          env.storage.put = function(path) {
+            if (path.indexOf('/foo/.chunks/big/') === 0 &&
+                Object.keys(documents).length === 1 && failures-- > 0) {
+              return Promise.resolve({ statusCode: 500 });
+            }
+            return put.apply(this, arguments);
+          };
+
+          var data = bytes([1, 2, 3, 4, 5]);
+          env.client.storeFile('application/octet-stream', 'big', data).then(function() {
+            test.result(false, 'should have rejected');
+          }, function(err) {
+            test.assertAnd(err, 'Storing chunks of /foo/big failed with status: 500');
+            test.assertAnd(Object.keys(documents).length, 1);
+            test.assertAnd(documents['/foo/big'], undefined);
+            env.storage.requests = [];
+
+            return env.client.storeFile('application/octet-stream', 'big', data);
+          }).then(function() {
+            test.assertAnd(env.storage.requests.filter(function(request) {
+              return request[0] === 'put';
+            }).length, 3);
+            return env.client.getFile('big');
+          }).then(function(file) {
+            delete RemoteStorage.config.chunkSize;
+            test.assert(file.data, data);
+          }, function(err) {
+            delete RemoteStorage.config.chunkSize;
+            test.result(false, err);
+          });
+        }
+      },
+
+      {
+        desc: "#storeFile removes chunks that are no longer used",
+        run: function(env, test) {
+          RemoteStorage.config.chunkSize = 2;
+          var documents = storeDocuments(env.storage);
+
+          env.client.storeFile('image/png', 'a.png', bytes([1, 2, 3, 4, 5])).then(function() {
+            return env.client.storeFile('image/png', 'a.png', bytes([1, 2, 9]));
+          }).then(function() {
+            delete RemoteStorage.config.chunkSize;
+            var chunks = Object.keys(documents).filter(function(path) {
+              return path.indexOf('/foo/.chunks/a.png/') === 0;
+            });
+            test.assert(chunks.sort(), JSON.parse(documents['/foo/a.png'].body).chunks.map(function(chunk) {
+              return '/foo/.chunks/a.png/' + chunk.name;
+            }).sort());
+          }, function(err) {
+            delete RemoteStorage.config.chunkSize;
+            test.result(false, err);
+          });
+        }
+      },
+
+      {
+        desc: "#remove removes the chunks of a file when there is a local store",
+        run: function(env, test) {
+          RemoteStorage.config.chunkSize = 2;
+          var documents = storeDocuments(env.storage);
+          env.storage.local = {};
+
+          env.client.storeFile('image/png', 'a.png', bytes([1, 2, 3])).then(function() {
+            delete RemoteStorage.config.chunkSize;
+            test.assertAnd(Object.keys(documents).length, 3);
+            return env.client.remove('a.png');
+          }).then(function(r) {
+            test.assertAnd(r.statusCode, 200);
+            test.assert(documents, {});
+          });
+        }
+      },
+
+      {
+        desc: "#getListing and #getAll leave out the chunks of large files",
+        run: function(env, test) {
+          RemoteStorage.config.chunkSize = 2;
+          storeDocuments(env.storage);
+
+          env.client.storeFile('image/png', 'a.png', bytes([1, 2, 3])).then(function() {
+            delete RemoteStorage.config.chunkSize;
+            return env.client.getListing('');
+          }).then(function(listing) {
+            test.assertAnd(listing, { 'a.png': true });
+            return env.client.getAll('');
+          }).then(function(objects) {
+            test.assert(Object.keys(objects), ['a.png']);
+          });
+        }
+      },
+
+      {
+        desc: "#storeObject removes the chunks of a file it overwrites",
+        run: function(env, test) {
+          RemoteStorage.config.chunkSize = 2;
+          var documents = storeDocuments(env.storage);
+          env.storage.local = {};
+          env.client.declareType('test', {});
+
+          env.client.storeFile('image/png', 'a.png', bytes([1, 2, 3])).then(function() {
+            delete RemoteStorage.config.chunkSize;
+            return env.client.storeObject('test', 'a.png', { test: 1 });
+          }).then(function() {
+            test.assert(Object.keys(documents), ['/foo/a.png']);
+          });
+        }
+      },
+
+      {
+        desc: "#storeFile only looks up the manifest when overwriting a file with a local store",
+        run: function(env, test) {
+          storeDocuments(env.storage);
+          env.storage.local = {};
+
+          env.client.storeFile('text/plain', 'a.txt', 'abc').then(function() {
+            return env.client.storeFile('text/plain', 'a.txt', 'def');
+          }).then(function() {
+            test.assert(env.storage.requests, [
+              ['get', '/foo/a.txt'], ['put', '/foo/a.txt'],
+              ['get', '/foo/a.txt'], ['put', '/foo/a.txt']
+            ]);
+          });
+        }
+      },
+
+      {
+        desc: "writes don't request anything first without a local store",
+        run: function(env, test) {
+          storeDocuments(env.storage);
+          env.client.declareType('test', {});
+
+          env.client.storeFile('text/plain', 'a.txt', 'abc').then(function() {
+            return env.client.storeObject('test', 'a.txt', { test: 1 });
+          }).then(function() {
+            return env.client.batch(function(batch) {
+              batch.storeFile('text/plain', 'b.txt', 'def');
+            });
+          }).then(function() {
+            return env.client.remove('a.txt');
+          }).then(function() {
+            test.assert(env.storage.requests, [
+              ['put', '/foo/a.txt'], ['put', '/foo/a.txt'],
+              ['put', '/foo/b.txt'], ['delete', '/foo/a.txt']
+            ]);
+          });
+        }
+      },
+
+      {
+        desc: "#storeFile and #batch remove the chunks of files they overwrite without a local store",
+        run: function(env, test) {
+          RemoteStorage.config.chunkSize = 2;
+          var documents = storeDocuments(env.storage);
+
+          Promise.all([
+            env.client.storeFile('image/png', 'a.png', bytes([1, 2, 3])),
+            env.client.storeFile('image/png', 'b.png', bytes([1, 2, 3]))
+          ]).then(function() {
+            delete RemoteStorage.config.chunkSize;
+            return env.client.storeFile('image/png', 'a.png', bytes([1]));
+          }).then(function() {
+            return env.client.batch(function(batch) {
+              batch.remove('b.png');
+            });
+          }).then(function() {
+            test.assert(Object.keys(documents), ['/foo/a.png']);
+          });
+        }
+      },
+
+      {
+        desc: "#storeFile reports the upload progress of a file",
+        run: function(env, test) {
+          var remote = env.storage.remote = {};
+          RemoteStorage.eventHandling(remote, 'wire-progress');
+          var reports = [];
+
+          env.storage.put = function(path) {
+            remote._emit('wire-progress', { method: 'PUT', path: path, direction: 'upload', loaded: 2, total: 3 });
+            remote._emit('wire-progress', { method: 'PUT', path: '/foo/other', direction: 'upload', loaded: 1, total: 1 });
+            remote._emit('wire-progress', { method: 'PUT', path: path, direction: 'upload', loaded: 3, total: 3 });
+            return Promise.resolve({ statusCode: 200, revision: '123' });
+          };
+
+          env.client.storeFile('text/plain', 'a.txt', 'abc', function(progress) {
+            reports.push(progress);
+          }).then(function() {
+            test.assertAnd(remote._handlers['wire-progress'], []);
+            test.assert(reports, [
+              { path: '/foo/a.txt', method: 'PUT', loaded: 2, total: 3 },
+              { path: '/foo/a.txt', method: 'PUT', loaded: 3, total: 3 }
+            ]);
+          });
+        }
+      },
+
+      {
+        desc: "#getFile reports the download progress of the chunks of a file",
+        run: function(env, test) {
+          RemoteStorage.config.chunkSize = 2;
+          var remote = env.storage.remote = {};
+          RemoteStorage.eventHandling(remote, 'wire-progress');
+          storeDocuments(env.storage);
+          var reports = [];
+
+          env.client.storeFile('image/png', 'a.png', bytes([1, 2, 3])).then(function() {
+            delete RemoteStorage.config.chunkSize;
+            var get = env.storage.get;
+            env.storage.get = function(path) {
+              var size = path === '/foo/a.png' ? 200 : (path.match(/\/0-/) ? 2 : 1);
+              remote._emit('wire-progress', { method: 'GET', path: path, direction: 'download', loaded: size, total: size });
+              return get.apply(this, arguments);
+            };
+            return env.client.getFile('a.png', false, function(progress) {
+              reports.push(progress);
+            });
+          }).then(function(file) {
+            test.assertAnd(file.data, bytes([1, 2, 3]));
+            test.assert(reports, [
+              { path: '/foo/a.png', method: 'GET', loaded: 200, total: 200 },
+              { path: '/foo/a.png', method: 'GET', loaded: 2, total: 3 },
+              { path: '/foo/a.png', method: 'GET', loaded: 3, total: 3 }
+            ]);
+          });
+        }
+      },
+
+      {
+        desc: "#getFile rejects when a chunk is corrupted",
+        run: function(env, test) {
+          RemoteStorage.config.chunkSize = 2;
+          var documents = storeDocuments(env.storage);
+
+          env.client.storeFile('image/png', 'a.png', bytes([1, 2, 3])).then(function() {
+            delete RemoteStorage.config.chunkSize;
+            var name = JSON.parse(documents['/foo/a.png'].body).chunks[1].name;
+            documents['/foo/.chunks/a.png/' + name].body = bytes([4]);
+            return env.client.getFile('a.png');
+          }).then(function() {
+            test.result(false, 'should have rejected');
+          }, function(err) {
+            test.assert(err, 'Chunk 1 of /foo/a.png is corrupted');
+          });
+        }
+      },
+
       {
         desc: "storeObject rejects promise with tv4 validation result when object invalid",
         run: function(env, test) {
@@ -434,6 +988,91 @@ define(['bluebird', 'requirejs', 'test/helpers/mocks', 'tv4'], function (Promise
         }
       },
 
+      {
+        desc: "#batch commits all operations with a single storage call",
+        run: function(env, test) {
+          env.client.declareType('test', {});
+          env.storage.put = function() {
+            test.result(false, 'put should not be called');
+          };
+          env.storage.batch = function(operations) {
+            test.assertAnd(operations, [
+              { method: 'put', path: '/foo/notes/1',
+                body: JSON.stringify({ title: 'a', '@context': 'http://remotestorage.io/spec/modules/foo/test' }),
+                contentType: 'application/json; charset=UTF-8' },
+              { method: 'put', path: '/foo/index', body: 'abc', contentType: 'text/plain' },
+              { method: 'delete', path: '/foo/drafts/1' }
+            ]);
+            return Promise.resolve({statusCode: 200});
+          };
+          env.client.batch(function(batch) {
+            batch.storeObject('test', 'notes/1', { title: 'a' })
+                 .storeFile('text/plain', 'index', 'abc')
+                 .remove('drafts/1');
+          }).then(function() {
+            test.done();
+          });
+        }
+      },
+
+      {
+        desc: "#batch stores nothing when an operation is invalid",
+        run: function(env, test) {
+          env.client.declareType('todo-item', 'http://to.do/spec/item', {
+            type: 'object',
+            required: ['locale']
+          });
+          env.storage.batch = function() {
+            test.result(false, 'batch should not be committed');
+          };
+          env.client.batch(function(batch) {
+            batch.storeFile('text/plain', 'index', 'abc');
+            batch.storeObject('todo-item', 'foo/bar', { test: 1 });
+          }).then(function() {
+            test.result(false, 'should have rejected');
+          }, function(err) {
+            test.assertAnd(err.error.message, "Missing required property: locale");
+            test.assert(err.valid, false);
+          });
+        }
+      },
+
+      {
+        desc: "#keepHistory sets the history depth for the given path",
+        run: function(env, test) {
+          env.client.keepHistory('notes/', 3);
+          test.assert(env.storage.caching._historyDepths, {'/foo/notes/': 3});
+        }
+      },
+
+      {
+        desc: "#restoreVersion stores a version from the history as a new local change",
+        run: function(env, test) {
+          env.storage.local = {
+            getHistory: function(path) {
+              test.assertAnd(path, '/foo/bar');
+              return Promise.resolve([
+                { revision: '456', timestamp: 1, body: 'new', contentType: 'text/plain' },
+                { revision: '123', timestamp: 2, body: 'old', contentType: 'text/html' }
+              ]);
+            }
+          };
+          env.storage.put = function(path, body, contentType) {
+            test.assertAnd(path, '/foo/bar');
+            test.assertAnd(body, 'old');
+            test.assertAnd(contentType, 'text/html');
+            return Promise.resolve({statusCode: 200});
+          };
+          env.client.restoreVersion('bar', '123').then(function() {
+            return env.client.restoreVersion('bar', '789');
+          }).then(function() {
+            test.result(false, 'unknown revision should have been rejected');
+          }, function(err) {
+            test.assert(err, 'No version 789 in the history of /foo/bar');
+          });
+        }
+      },
+
       {
         desc: "#storeFile doesn't encode the filename",
         run: function(env, test) {
@@ -0,0 +1,262 @@
+if (typeof(define) !== 'function') {
+  var define = require('amdefine')(module);
+}
+define(['bluebird', 'requirejs'], function(Promise, requirejs) {
+  global.Promise = Promise;
+
+  var suites = [];
+
+  // Lets a storage keep documents in memory, answering folder requests with
+  // listings derived from them
+  function storeDocuments(storage) {
+    var documents = {};
+    var revision = 0;
+    storage.requests = [];
+    storage.get = function(path) {
+      storage.requests.push(['get', path]);
+      if (path[path.length - 1] === '/') {
+        var listing = {};
+        Object.keys(documents).forEach(function(docPath) {
+          if (docPath.indexOf(path) === 0) {
+            listing[docPath.substr(path.length).replace(/\/.*/, '/')] = true;
+          }
+        });
+        return Promise.resolve(Object.keys(listing).length > 0 ? { statusCode: 200, body: listing } : { statusCode: 404 });
+      }
+      return Promise.resolve(documents[path] ? {
+        statusCode: 200,
+        body: documents[path].body,
+        contentType: documents[path].contentType,
+        revision: documents[path].revision
+      } : { statusCode: 404 });
+    };
+    storage.put = function(path, body, contentType) {
+      storage.requests.push(['put', path]);
+      documents[path] = { body: body, contentType: contentType, revision: 'rev-' + (++revision) };
+      return Promise.resolve({ statusCode: 200, revision: documents[path].revision });
+    };
+    return documents;
+  }
+
+  function lines(archive) {
+    return archive.split('\n').filter(function(line) {
+      return line !== '';
+    }).map(function(line) {
+      return JSON.parse(line);
+    });
+  }
+
+  suites.push({
+    name: "BaseClient archives",
+    desc: "Export and import of a storage subtree",
+    setup: function(env, test) {
+      global.RemoteStorage = function() {};
+      RemoteStorage.log = function() {};
+      RemoteStorage.prototype = {
+        onChange: function() {},
+        caching: {
+          _rootPaths: {},
+          set: function(path, value) {
+            this._rootPaths[path] = value;
+          }
+        }
+      };
+      RemoteStorage.config = {
+        changeEvents: { remote: true }
+      };
+
+      require('src/util');
+      if (global.rs_util) {
+        RemoteStorage.util = global.rs_util;
+      } else {
+        global.rs_util = RemoteStorage.util;
+      }
+
+      require('src/eventhandling');
+      if (global.rs_eventhandling) {
+        RemoteStorage.eventHandling = global.rs_eventhandling;
+      } else {
+        global.rs_eventhandling = RemoteStorage.eventHandling;
+      }
+
+      require('src/wireclient');
+      if (global.rs_wireclient) {
+        RemoteStorage.WireClient = global.rs_wireclient;
+      } else {
+        global.rs_wireclient = RemoteStorage.WireClient;
+      }
+
+      require('src/baseclient.js');
+      require('src/baseclient/types');
+      if (global.rs_baseclient_with_types) {
+        RemoteStorage.BaseClient = global.rs_baseclient_with_types;
+      } else {
+        global.rs_baseclient_with_types = RemoteStorage.BaseClient;
+      }
+
+      require('src/baseclient/archive');
+      if (global.rs_archive) {
+        RemoteStorage.prototype.exportTree = global.rs_archive.exportTree;
+        RemoteStorage.prototype.importTree = global.rs_archive.importTree;
+      } else {
+        global.rs_archive = {
+          exportTree: RemoteStorage.prototype.exportTree,
+          importTree: RemoteStorage.prototype.importTree
+        };
+      }
+      test.done();
+    },
+
+    beforeEach: function(env, test) {
+      env.storage = new RemoteStorage();
+      env.storage.access = { checkPathPermission: function() { return true; } };
+      env.documents = storeDocuments(env.storage);
+      test.done();
+    },
+
+    tests: [
+      {
+        desc: "#exportTree writes a header and a line for every document below the folder",
+        run: function(env, test) {
+          env.storage.put('/notes/todo', '{"done":false}', 'application/json; charset=UTF-8');
+          env.storage.put('/notes/archived/old', 'old', 'text/plain; charset=UTF-8');
+          env.storage.put('/other/thing', 'thing', 'text/plain; charset=UTF-8');
+
+          env.storage.exportTree('/notes/').then(function(archive) {
+            var entries = lines(archive);
+            test.assertAnd(entries[0]['@context'], 'http://remotestorage.io/spec/archive');
+            test.assertAnd(entries[0].path, '/notes/');
+            test.assertTypeAnd(entries[0].exportedAt, 'string');
+            test.assert(entries.slice(1), [
+              { path: 'archived/old', contentType: 'text/plain; charset=UTF-8', revision: 'rev-2', body: 'old' },
+              { path: 'todo', contentType: 'application/json; charset=UTF-8', revision: 'rev-1', body: '{"done":false}' }
+            ]);
+          });
+        }
+      },
+
+      {
+        desc: "#exportTree encodes binary bodies as base64",
+        run: function(env, test) {
+          env.storage.put('/pictures/cat.png', new Uint8Array([137, 80, 78, 71]).buffer, 'image/png');
+
+          env.storage.exportTree('/').then(function(archive) {
+            var entry = lines(archive)[1];
+            test.assertAnd(entry.path, 'pictures/cat.png');
+            test.assertAnd(entry.encoding, 'base64');
+            test.assert(entry.body, 'iVBORw==');
+          });
+        }
+      },
+
+      {
+        desc: "#exportTree leaves out the chunks of large files",
+        run: function(env, test) {
+          env.storage.put('/videos/.chunks/cat.mp4/0-12345678', 'chunk', 'application/octet-stream');
+          env.storage.put('/videos/clip', 'clip', 'text/plain');
+
+          env.storage.exportTree('/videos/').then(function(archive) {
+            test.assert(lines(archive).slice(1).map(function(entry) {
+              return entry.path;
+            }), ['clip']);
+          });
+        }
+      },
+
+      {
+        desc: "#exportTree only accepts absolute folder paths",
+        run: function(env, test) {
+          env.storage.exportTree('/notes/todo').then(function() {
+            test.result(false, 'exportTree should have failed');
+          }, function(err) {
+            test.assert(err, 'Argument \'path\' of exportTree must be an absolute folder path');
+          });
+        }
+      },
+
+      {
+        desc: "#importTree stores the documents of an archive with their content types",
+        run: function(env, test) {
+          var target = new RemoteStorage();
+          target.access = env.storage.access;
+          var documents = storeDocuments(target);
+
+          env.storage.put('/notes/todo', '{"done":false}', 'application/json; charset=UTF-8');
+          env.storage.put('/notes/pictures/cat.png', new Uint8Array([1, 2, 255]).buffer, 'image/png');
+
+          env.storage.exportTree('/notes/').then(function(archive) {
+            return target.importTree(archive);
+          }).then(function(result) {
+            test.assertAnd(result, { imported: 2, skipped: 0 });
+            test.assertAnd(documents['/notes/todo'].body, '{"done":false}');
+            test.assertAnd(documents['/notes/todo'].contentType, 'application/json; charset=UTF-8');
+            test.assertAnd(documents['/notes/pictures/cat.png'].body instanceof ArrayBuffer, true);
+            test.assertAnd(Array.prototype.slice.call(new Uint8Array(documents['/notes/pictures/cat.png'].body)), [1, 2, 255]);
+            test.assert(documents['/notes/pictures/cat.png'].contentType, 'image/png');
+          });
+        }
+      },
+
+      {
+        desc: "#importTree imports into the given folder",
+        run: function(env, test) {
+          env.storage.put('/notes/todo', 'todo', 'text/plain');
+
+          env.storage.exportTree('/notes/').then(function(archive) {
+            return env.storage.importTree(archive, '/restored/');
+          }).then(function() {
+            test.assert(env.documents['/restored/todo'].body, 'todo');
+          });
+        }
+      },
+
+      {
+        desc: "#importTree keeps existing documents unless told to overwrite them",
+        run: function(env, test) {
+          var archive;
+
+          env.storage.put('/notes/one', 'one', 'text/plain');
+          env.storage.put('/notes/two', 'two', 'text/plain');
+
+          env.storage.exportTree('/notes/').then(function(result) {
+            archive = result;
+            env.storage.put('/notes/one', 'changed', 'text/plain');
+            delete env.documents['/notes/two'];
+            return env.storage.importTree(archive);
+          }).then(function(result) {
+            test.assertAnd(result, { imported: 1, skipped: 1 });
+            test.assertAnd(env.documents['/notes/one'].body, 'changed');
+            test.assertAnd(env.documents['/notes/two'].body, 'two');
+            return env.storage.importTree(archive, '/notes/', { overwrite: true });
+          }).then(function(result) {
+            test.assertAnd(result, { imported: 2, skipped: 0 });
+            test.assert(env.documents['/notes/one'].body, 'one');
+          });
+        }
+      },
+
+      {
+        desc: "#importTree rejects invalid archives without storing anything",
+        run: function(env, test) {
+          var archive = '{"@context":"http://remotestorage.io/spec/archive","path":"/notes/"}\n' +
+                        '{"path":"one","contentType":"text/plain","body":"one"}\n' +
+                        '{"path":"two",\n';
+
+          env.storage.importTree(archive).then(function() {
+            test.result(false, 'importTree should have failed');
+          }, function(err) {
+            test.assertAnd(err, 'Invalid archive: line 3 is not JSON');
+            test.assertAnd(env.storage.requests, []);
+            return env.storage.importTree('{"path":"one"}\n');
+          }).then(function() {
+            test.result(false, 'importTree should have failed');
+          }, function(err) {
+            test.assert(err, 'Invalid archive: missing header');
+          });
+        }
+      }
+    ]
+  });
+
+  return suites;
+});
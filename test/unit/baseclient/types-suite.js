@@ -75,6 +75,47 @@ define(['requirejs'], function(requirejs) {
         }
       },
 
+      {
+        desc: "#declareType stores the indexes given in its options",
+        run: function(env, test) {
+          var Types = RemoteStorage.BaseClient.Types;
+          env.storage = new RemoteStorage();
+          env.client = new RemoteStorage.BaseClient(env.storage, '/foo/');
+
+          env.client.declareType('contact', { type: 'object' }, { indexes: ['email'] });
+          env.client.declareType('note', 'http://notes/note', { type: 'object' }, { indexes: ['tag', 'date'] });
+          env.client.declareType('plain', { type: 'object' });
+
+          test.assertAnd(Types.getIndexes('http://remotestorage.io/spec/modules/foo/contact'), ['email']);
+          test.assertAnd(Types.getSchema('http://remotestorage.io/spec/modules/foo/contact'), { type: 'object' });
+          test.assertAnd(Types.getIndexes('http://notes/note'), ['tag', 'date']);
+          test.assert(Types.getIndexes('http://remotestorage.io/spec/modules/foo/plain'), []);
+          Types.indexes = {};
+        }
+      },
+
+      {
+        desc: "#findBy looks up objects of the resolved type below the client's path",
+        run: function(env, test) {
+          env.storage = new RemoteStorage();
+          env.storage.local = {
+            findBy: function(uri, field, value, path) {
+              test.assertAnd(uri, 'http://notes/note');
+              test.assertAnd(field, 'tag');
+              test.assertAnd(value, 'work');
+              test.assertAnd(path, '/foo/');
+              return Promise.resolve([{ tag: 'work' }]);
+            }
+          };
+          env.client = new RemoteStorage.BaseClient(env.storage, '/foo/');
+          env.client.declareType('note', 'http://notes/note', { type: 'object' });
+
+          env.client.findBy('note', 'tag', 'work').then(function(objects) {
+            test.assert(objects, [{ tag: 'work' }]);
+          });
+        }
+      },
+
       {
         desc: "_attachType attaches default context to objects",
         run: function(env, test) {
@@ -129,6 +129,16 @@ define(['requirejs', 'fs'], function(requirejs, fs, undefined) {
         }
       },
 
+      {
+        desc: "#cachedRootPaths returns the configured paths that are not flushed",
+        run: function(env, test) {
+          env.caching.set('/foo/', 'ALL');
+          env.caching.set('/bar/', 'FLUSH');
+          env.caching.set('/baz/', 'SEEN');
+          test.assert(env.caching.cachedRootPaths(), ['/foo/', '/baz/']);
+        }
+      },
+
       {
         desc: "#checkPath returns value of tightest fitting rootPath",
         run: function(env, test) {
@@ -159,6 +169,37 @@ define(['requirejs', 'fs'], function(requirejs, fs, undefined) {
         }
       },
 
+      {
+        desc: "#historyDepth returns the depth of the tightest fitting path, 0 by default",
+        run: function(env, test) {
+          env.caching.setHistoryDepth('/foo/', 5);
+          env.caching.setHistoryDepth('/foo/bar/', 0);
+          test.assertAnd(env.caching.historyDepth('/'), 0);
+          test.assertAnd(env.caching.historyDepth('/foo/baz'), 5);
+          test.assertAnd(env.caching.historyDepth('/foo/baz/qux'), 5);
+          test.assertAnd(env.caching.historyDepth('/foo/bar/baz'), 0);
+          test.assert(env.caching.historyDepth('/bar/baz'), 0);
+        }
+      },
+
+      {
+        desc: "#setHistoryDepth() with invalid arguments throws an error",
+        run: function(env, test) {
+          try {
+            env.caching.setHistoryDepth('/foo', 5);
+            test.result(false, 'document path should have been rejected');
+          } catch(e) {
+            test.assertAnd(e.message, 'path should be a folder');
+          }
+          try {
+            env.caching.setHistoryDepth('/foo/', -1);
+            test.result(false, 'negative depth should have been rejected');
+          } catch(e) {
+            test.assert(e.message, 'depth should be a non-negative integer');
+          }
+        }
+      },
+
       {
         desc: "#reset resets the state",
         run: function(env, test) {
@@ -1,45 +1,49 @@
 if (typeof(define) !== 'function') {
   var define = require('amdefine')(module);
 }
-define(['bluebird', 'requirejs'], function (Promise, requirejs) {
+define(['bluebird', 'requirejs', 'fs', 'path', 'os', 'test/helpers/sqlite'], function (Promise, requirejs, fs, path, os, sqlite) {
   global.Promise = Promise;
   var suites = [];
 
+  function loadCachingLayer() {
+    global.RemoteStorage = function() {};
+    global.RemoteStorage.log = function() {};
+    global.RemoteStorage.config = {
+      changeEvents: { local: true, window: false, remote: true, conflict: true }
+    };
+
+    require('src/util.js');
+    if (global.rs_util) {
+      RemoteStorage.util = global.rs_util;
+    } else {
+      global.rs_util = RemoteStorage.util;
+    }
+
+    require('src/eventhandling');
+    if ( global.rs_eventhandling ) {
+      RemoteStorage.eventHandling = global.rs_eventhandling;
+    } else {
+      global.rs_eventhandling = RemoteStorage.eventHandling;
+    }
+    require('src/cachinglayer.js');
+    if (global.rs_cachinglayer) {
+      RemoteStorage.cachingLayer = global.rs_cachinglayer;
+    } else {
+      global.rs_cachinglayer = RemoteStorage.cachingLayer;
+    }
+    require('src/inmemorystorage');
+    if (global.rs_ims) {
+      RemoteStorage.InMemoryStorage = global.rs_ims;
+    } else {
+      global.rs_ims = RemoteStorage.InMemoryStorage;
+    }
+  }
+
   suites.push({
     name: 'CachingLayer',
     desc: 'CachingLayer that is mixed into all local storage implementations',
     setup: function (env, test) {
-      global.RemoteStorage = function() {};
-      global.RemoteStorage.log = function() {};
-      global.RemoteStorage.config = {
-        changeEvents: { local: true, window: false, remote: true, conflict: true }
-      };
-
-      require('src/util.js');
-      if (global.rs_util) {
-        RemoteStorage.util = global.rs_util;
-      } else {
-        global.rs_util = RemoteStorage.util;
-      }
-
-      require('src/eventhandling');
-      if ( global.rs_eventhandling ) {
-        RemoteStorage.eventHandling = global.rs_eventhandling;
-      } else {
-        global.rs_eventhandling = RemoteStorage.eventHandling;
-      }
-      require('src/cachinglayer.js');
-      if (global.rs_cachinglayer) {
-        RemoteStorage.cachingLayer = global.rs_cachinglayer;
-      } else {
-        global.rs_cachinglayer = RemoteStorage.cachingLayer;
-      }
-      require('src/inmemorystorage');
-      if (global.rs_ims) {
-        RemoteStorage.InMemoryStorage = global.rs_ims;
-      } else {
-        global.rs_ims = RemoteStorage.InMemoryStorage;
-      }
+      loadCachingLayer();
       test.done();
     },
 
@@ -274,5 +278,63 @@ define(['bluebird', 'requirejs'], function (Promise, requirejs) {
     ]
   });
 
+  suites.push({
+    name: 'CachingLayer (FileSystemStorage)',
+    desc: 'The CachingLayer tests, run against the node.js file system storage',
+    setup: function (env, test) {
+      loadCachingLayer();
+      require('src/filesystemstorage');
+      if (global.rs_fss) {
+        RemoteStorage.FileSystemStorage = global.rs_fss;
+      } else {
+        global.rs_fss = RemoteStorage.FileSystemStorage;
+      }
+      test.done();
+    },
+
+    beforeEach: function (env, test) {
+      env.directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rs-cachinglayer-'));
+      env.ims = new RemoteStorage.FileSystemStorage(env.directory);
+      test.done();
+    },
+
+    afterEach: function (env, test) {
+      // Wait for pending writes before removing the directory
+      env.ims.forAllNodes(function () {}).then(function () {
+        fs.readdirSync(env.directory).forEach(function (filename) {
+          fs.unlinkSync(path.join(env.directory, filename));
+        });
+        fs.rmdirSync(env.directory);
+        test.done();
+      });
+    },
+
+    tests: suites[0].tests
+  });
+
+  suites.push({
+    name: 'CachingLayer (SQLiteStorage)',
+    desc: 'The CachingLayer tests, run against the SQLite storage',
+    setup: function (env, test) {
+      loadCachingLayer();
+      require('src/sqlitestorage');
+      if (global.rs_sqlite) {
+        RemoteStorage.SQLiteStorage = global.rs_sqlite;
+      } else {
+        global.rs_sqlite = RemoteStorage.SQLiteStorage;
+      }
+      test.done();
+    },
+
+    beforeEach: function (env, test) {
+      sqlite.createDriver().then(function (driver) {
+        env.ims = new RemoteStorage.SQLiteStorage(driver);
+        test.done();
+      });
+    },
+
+    tests: suites[0].tests
+  });
+
   return suites;
 });
@@ -293,6 +293,30 @@ define(['bluebird', 'requirejs', 'test/behavior/backend', 'test/helpers/mocks'],
         }
       },
 
+      {
+        desc: "#get emits wire-progress events while the file is downloaded",
+        run: function (env, test) {
+          var events = [];
+          env.connectedClient.on('wire-progress', function (event) {
+            events.push(event);
+          });
+          env.connectedClient.get('/foo/bar').then(function () {
+            test.assert(events, [
+              { method: 'GET', path: '/foo/bar', direction: 'download', loaded: 5, total: 13 }
+            ]);
+          });
+          var req = XMLHttpRequest.instances.shift();
+          req.onprogress({ lengthComputable: true, loaded: 5, total: 13 });
+          req._responseHeaders['x-dropbox-metadata'] = JSON.stringify({
+            mime_type: 'text/plain; charset=UTF-8',
+            rev: 'rev'
+          });
+          req.status = 200;
+          req.responseText = 'response-body';
+          req._onload();
+        }
+      },
+
       {
         desc: "#get unpacks JSON responses",
         run: function (env, test) {
@@ -581,6 +605,42 @@ define(['bluebird', 'requirejs', 'test/behavior/backend', 'test/helpers/mocks'],
         }
       },
 
+      {
+        desc: "#get passes its timeout option on to the request",
+        run: function (env, test) {
+          RemoteStorage.WireClient.REQUEST_TIMEOUT = 10000;
+          env.connectedClient.get('/foo', { timeout: 20 }).then(function () {
+            test.result(false);
+          }, function (error) {
+            test.assert(error, 'timeout');
+          });
+        }
+      },
+
+      {
+        desc: "#put and #delete are aborted through their abort handle",
+        run: function (env, test) {
+          var handle = new RemoteStorage.WireClient.AbortHandle();
+          XMLHttpRequest.prototype.abort = function () {};
+
+          var put = env.connectedClient.put('/foo/bar', 'body', 'text/plain', { abortHandle: handle });
+          var del = env.connectedClient.delete('/foo/baz', { abortHandle: handle });
+          test.assertAnd(XMLHttpRequest.instances.length, 2);
+          handle.abort();
+
+          put.then(function () {
+            test.result(false);
+          }, function (error) {
+            test.assertAnd(error, 'aborted');
+            return del;
+          }).then(function () {
+            test.result(false);
+          }, function (error) {
+            test.assert(error, 'aborted');
+          });
+        }
+      },
+
       {
         desc: "responses with the charset set to 'binary' are read using a FileReader, after constructing a Blob",
         run: function (env, test) {
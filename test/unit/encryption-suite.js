@@ -0,0 +1,305 @@
+if (typeof(define) !== 'function') {
+  var define = require('amdefine')(module);
+}
+define(['bluebird', 'requirejs'], function (Promise, requirejs) {
+  global.Promise = Promise;
+
+  var suites = [];
+
+  function FakeRemote() {
+    this._puts = [];
+    this._documents = {};
+  }
+
+  FakeRemote.prototype = {
+    get: function (path) {
+      var doc = this._documents[path];
+      if (doc) {
+        return Promise.resolve({ statusCode: 200, body: doc.body, contentType: doc.contentType, revision: 'rev' });
+      } else {
+        return Promise.resolve({ statusCode: 404 });
+      }
+    },
+
+    put: function (path, body, contentType, options) {
+      this._puts.push([path, body, contentType, options]);
+      this._documents[path] = { body: body, contentType: contentType };
+      return Promise.resolve({ statusCode: 200, revision: 'rev' });
+    }
+  };
+
+  suites.push({
+    name: "Encryption",
+    desc: "Client-side encryption of document bodies",
+
+    setup: function (env, test) {
+      global.RemoteStorage = function () {};
+      RemoteStorage.log = function () {};
+      RemoteStorage.config = {
+        changeEvents: { local: true, window: false, remote: true, conflict: true }
+      };
+
+      require('./src/util');
+      if (global.rs_util) {
+        RemoteStorage.util = global.rs_util;
+      } else {
+        global.rs_util = RemoteStorage.util;
+      }
+
+      require('./src/eventhandling');
+      if (global.rs_eventhandling) {
+        RemoteStorage.eventHandling = global.rs_eventhandling;
+      } else {
+        global.rs_eventhandling = RemoteStorage.eventHandling;
+      }
+
+      require('./src/wireclient');
+      if (global.rs_wireclient) {
+        RemoteStorage.WireClient = global.rs_wireclient;
+      } else {
+        global.rs_wireclient = RemoteStorage.WireClient;
+      }
+
+      require('./src/dropbox');
+      if (global.rs_dropbox) {
+        RemoteStorage.Dropbox = global.rs_dropbox;
+      } else {
+        global.rs_dropbox = RemoteStorage.Dropbox;
+      }
+
+      require('./src/env');
+      if (global.rs_env) {
+        RemoteStorage.Env = global.rs_env;
+      } else {
+        global.rs_env = RemoteStorage.Env;
+      }
+
+      require('./src/encryption');
+      if (global.rs_encryption) {
+        RemoteStorage.Encryption = global.rs_encryption;
+        RemoteStorage.InvalidKeyError = global.rs_invalid_key_error;
+      } else {
+        global.rs_encryption = RemoteStorage.Encryption;
+        global.rs_invalid_key_error = RemoteStorage.InvalidKeyError;
+      }
+
+      test.done();
+    },
+
+    beforeEach: function (env, test) {
+      env.rs = new RemoteStorage();
+      env.rs.remote = new FakeRemote();
+      RemoteStorage.Encryption._rs_init(env.rs);
+      env.encryption = env.rs.encryption;
+      env.encryption.setKey('secret');
+      test.done();
+    },
+
+    afterEach: function (env, test) {
+      RemoteStorage.Encryption._rs_cleanup(env.rs);
+      test.done();
+    },
+
+    tests: [
+      {
+        desc: "#setKey only accepts non-empty strings",
+        run: function (env, test) {
+          try {
+            env.encryption.setKey('');
+            test.result(false, 'setKey accepted an empty string');
+          } catch(e) {
+            test.assert(env.encryption.hasKey(), true);
+          }
+        }
+      },
+
+      {
+        desc: "#clearKey removes the key",
+        run: function (env, test) {
+          env.encryption.clearKey();
+          test.assert(env.encryption.hasKey(), false);
+        }
+      },
+
+      {
+        desc: "#encrypt produces an encrypted document that #decrypt reverts",
+        run: function (env, test) {
+          env.encryption.encrypt('bäz', 'text/plain').then(function (encrypted) {
+            var envelope = JSON.parse(encrypted);
+            test.assertAnd(envelope['@context'], 'http://remotestorage.io/spec/encrypted-document');
+            test.assertAnd(envelope.contentType, 'text/plain');
+            test.assertAnd(encrypted.indexOf('bäz'), -1);
+            test.assertAnd(env.encryption.isEncrypted(encrypted), true);
+            return env.encryption.decrypt(encrypted);
+          }).then(function (plain) {
+            test.assertAnd(plain.body, 'bäz');
+            test.assertAnd(plain.contentType, 'text/plain');
+            test.done();
+          }, function (err) {
+            test.result(false, err);
+          });
+        }
+      },
+
+      {
+        desc: "#encrypt and #decrypt handle binary data",
+        run: function (env, test) {
+          var bytes = new Uint8Array([0, 1, 2, 253, 254, 255]);
+
+          env.encryption.encrypt(bytes.buffer, 'image/png').then(function (encrypted) {
+            return env.encryption.decrypt(JSON.parse(encrypted));
+          }).then(function (plain) {
+            test.assertAnd(plain.body instanceof ArrayBuffer, true);
+            test.assertAnd(Array.prototype.slice.call(new Uint8Array(plain.body)), [0, 1, 2, 253, 254, 255]);
+            test.done();
+          }, function (err) {
+            test.result(false, err);
+          });
+        }
+      },
+
+      {
+        desc: "#decrypt rejects when the key is wrong",
+        run: function (env, test) {
+          env.encryption.encrypt('foo', 'text/plain').then(function (encrypted) {
+            env.encryption.setKey('wrong');
+            return env.encryption.decrypt(encrypted);
+          }).then(function () {
+            test.result(false, 'decrypt succeeded with the wrong key');
+          }, function () {
+            test.done();
+          });
+        }
+      },
+
+      {
+        desc: "#decrypt rejects when no key is set",
+        run: function (env, test) {
+          env.encryption.encrypt('foo', 'text/plain').then(function (encrypted) {
+            env.encryption.clearKey();
+            return env.encryption.decrypt(encrypted);
+          }).then(function () {
+            test.result(false, 'decrypt succeeded without a key');
+          }, function () {
+            test.done();
+          });
+        }
+      },
+
+      {
+        desc: "the hooked remote encrypts documents on PUT and decrypts them on GET",
+        run: function (env, test) {
+          env.rs.remote.put('/foo/bar', 'baz', 'text/plain', { ifNoneMatch: '*' }).then(function () {
+            var put = env.rs.remote._puts[0];
+            test.assertAnd(put[0], '/foo/bar');
+            test.assertAnd(put[2], 'application/json; charset=UTF-8');
+            test.assertAnd(put[3], { ifNoneMatch: '*' });
+            test.assertAnd(env.encryption.isEncrypted(put[1]), true);
+            return env.rs.remote.get('/foo/bar');
+          }).then(function (r) {
+            test.assertAnd(r.statusCode, 200);
+            test.assertAnd(r.body, 'baz');
+            test.assertAnd(r.contentType, 'text/plain');
+            test.assertAnd(r.revision, 'rev');
+            test.done();
+          });
+        }
+      },
+
+      {
+        desc: "the hooked remote doesn't encrypt public documents",
+        run: function (env, test) {
+          env.rs.remote.put('/public/foo/bar', 'baz', 'text/plain').then(function () {
+            test.assert(env.rs.remote._puts[0].slice(0, 3), ['/public/foo/bar', 'baz', 'text/plain']);
+          });
+        }
+      },
+
+      {
+        desc: "the hooked remote doesn't encrypt anything without a key",
+        run: function (env, test) {
+          env.encryption.clearKey();
+          env.rs.remote.put('/foo/bar', 'baz', 'text/plain').then(function () {
+            test.assert(env.rs.remote._puts[0].slice(0, 3), ['/foo/bar', 'baz', 'text/plain']);
+          });
+        }
+      },
+
+      {
+        desc: "the hooked remote passes unencrypted documents through",
+        run: function (env, test) {
+          env.rs.remote._documents['/foo/bar'] = { body: '{"foo":"bar"}', contentType: 'application/json' };
+          env.rs.remote.get('/foo/bar').then(function (r) {
+            test.assertAnd(r.body, '{"foo":"bar"}');
+            test.assertAnd(r.contentType, 'application/json');
+            test.done();
+          });
+        }
+      },
+
+      {
+        desc: "the hooked remote reports documents it cannot decrypt with status 'invalid-key'",
+        run: function (env, test) {
+          env.rs.remote.put('/foo/bar', 'baz', 'text/plain').then(function () {
+            env.encryption.setKey('wrong');
+            return env.rs.remote.get('/foo/bar');
+          }).then(function (r) {
+            test.assertAnd(r.statusCode, 'invalid-key');
+            test.assertAnd(r.revision, 'rev');
+            test.assertAnd(r.body, undefined);
+            test.done();
+          });
+        }
+      },
+
+      {
+        desc: "documents are encrypted when Dropbox gets connected after the key is set",
+        run: function (env, test) {
+          var rs = new RemoteStorage();
+          var uploads = [];
+          RemoteStorage.eventHandling(rs, 'error');
+          rs.apiKeys = { dropbox: { appKey: 'key' } };
+          rs.remote = new FakeRemote();
+          rs.setBackend = function (backend) { this.backend = backend; };
+          rs.localStorageAvailable = function () { return false; };
+          // Keeps Dropbox from hooking BaseClient#getItemURL, which isn't
+          // loaded here
+          rs._origBaseClientGetItemURL = function () {};
+
+          RemoteStorage.Dropbox._rs_init(rs);
+          RemoteStorage.Encryption._rs_init(rs);
+          rs.encryption.setKey('secret');
+          rs.dropbox._uploadSimple = function (params) {
+            uploads.push(params);
+            return Promise.resolve({ statusCode: 200 });
+          };
+          rs.dropbox.configure({ userAddress: 'me@dropbox', token: 'dropbox-token' });
+          rs.dropbox.connect();
+
+          rs.remote.put('/foo/bar', 'baz', 'text/plain').then(function () {
+            test.assertAnd(rs.remote === rs.dropbox, true);
+            test.assertAnd(uploads[0].contentType, 'application/json; charset=UTF-8');
+            test.assertAnd(rs.encryption.isEncrypted(uploads[0].body), true);
+
+            RemoteStorage.Encryption._rs_cleanup(rs);
+            delete rs._origBaseClientGetItemURL;
+            RemoteStorage.Dropbox._rs_cleanup(rs);
+            test.assert(rs.dropbox.put === RemoteStorage.Dropbox.prototype.put, true);
+          });
+        }
+      },
+
+      {
+        desc: "_rs_cleanup restores the original remote methods",
+        run: function (env, test) {
+          RemoteStorage.Encryption._rs_cleanup(env.rs);
+          test.assertAnd(env.rs.remote.get, FakeRemote.prototype.get);
+          test.assertAnd(env.rs.remote.put, FakeRemote.prototype.put);
+          test.assert(env.encryption.hasKey(), false);
+        }
+      }
+    ]
+  });
+
+  return suites;
+});
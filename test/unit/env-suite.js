@@ -0,0 +1,139 @@
+if (typeof(define) !== 'function') {
+  var define = require('amdefine')(module);
+}
+define(['bluebird', 'requirejs', 'os'], function (Promise, requirejs, os) {
+  global.Promise = Promise;
+
+  var suites = [];
+
+  suites.push({
+    name: "Env",
+    desc: "Environment specific state, like visibility and network",
+
+    setup: function (env, test) {
+      global.RemoteStorage = function () {};
+      RemoteStorage.log = function () {};
+      RemoteStorage.config = { watchNetworkInterfaces: false };
+
+      require('./src/eventhandling');
+      if (global.rs_eventhandling) {
+        RemoteStorage.eventHandling = global.rs_eventhandling;
+      } else {
+        global.rs_eventhandling = RemoteStorage.eventHandling;
+      }
+
+      require('./src/env');
+      if (global.rs_env) {
+        RemoteStorage.Env = global.rs_env;
+      } else {
+        global.rs_env = RemoteStorage.Env;
+      }
+
+      env.networkInterfaces = os.networkInterfaces;
+      ['online', 'offline', 'metered', 'unmetered'].forEach(function (eventName) {
+        RemoteStorage.Env.on(eventName, function () {
+          env.events.push(eventName);
+        });
+      });
+      test.done();
+    },
+
+    beforeEach: function (env, test) {
+      env.events = [];
+      RemoteStorage.Env._rs_init(new RemoteStorage());
+      test.done();
+    },
+
+    afterEach: function (env, test) {
+      os.networkInterfaces = env.networkInterfaces;
+      RemoteStorage.config.watchNetworkInterfaces = false;
+      RemoteStorage.Env.goOnline();
+      RemoteStorage.Env.setMetered(false);
+      RemoteStorage.Env._rs_cleanup(new RemoteStorage());
+      test.done();
+    },
+
+    tests: [
+      {
+        desc: "online and offline are only emitted when the state changes",
+        run: function (env, test) {
+          test.assertAnd(RemoteStorage.Env.isOnline(), true);
+
+          RemoteStorage.Env.goOffline();
+          RemoteStorage.Env.goOffline();
+          test.assertAnd(RemoteStorage.Env.isOnline(), false);
+
+          RemoteStorage.Env.goOnline();
+          test.assertAnd(RemoteStorage.Env.isOnline(), true);
+          test.assert(env.events, ['offline', 'online']);
+        }
+      },
+
+      {
+        desc: "#setMetered switches metered mode on and off",
+        run: function (env, test) {
+          test.assertAnd(RemoteStorage.Env.isMetered(), false);
+
+          RemoteStorage.Env.setMetered(true);
+          RemoteStorage.Env.setMetered(true);
+          test.assertAnd(RemoteStorage.Env.isMetered(), true);
+
+          RemoteStorage.Env.setMetered(false);
+          test.assertAnd(RemoteStorage.Env.isMetered(), false);
+          test.assert(env.events, ['metered', 'unmetered']);
+        }
+      },
+
+      {
+        desc: "initializing another instance keeps the event handlers",
+        run: function (env, test) {
+          RemoteStorage.Env._rs_init(new RemoteStorage());
+          RemoteStorage.Env.goOffline();
+          RemoteStorage.Env._rs_cleanup(new RemoteStorage());
+          test.assert(env.events, ['offline']);
+        }
+      },
+
+      {
+        desc: "node.js is offline while there is no external network interface",
+        run: function (env, test) {
+          os.networkInterfaces = function () {
+            return { lo: [{ address: '127.0.0.1', family: 'IPv4', internal: true }] };
+          };
+          RemoteStorage.Env._checkNetwork();
+          test.assertAnd(RemoteStorage.Env.isOnline(), false);
+
+          os.networkInterfaces = function () {
+            return {
+              lo: [{ address: '127.0.0.1', family: 'IPv4', internal: true }],
+              eth0: [{ address: '192.0.2.2', family: 'IPv4', internal: false }]
+            };
+          };
+          RemoteStorage.Env._checkNetwork();
+          test.assertAnd(RemoteStorage.Env.isOnline(), true);
+          test.assert(env.events, ['offline', 'online']);
+        }
+      },
+
+      {
+        desc: "node.js only watches the network interfaces with the watchNetworkInterfaces option",
+        run: function (env, test) {
+          os.networkInterfaces = function () {
+            return { lo: [{ address: '127.0.0.1', family: 'IPv4', internal: true }] };
+          };
+          RemoteStorage.Env._rs_init(new RemoteStorage());
+          test.assertAnd(RemoteStorage.Env.isOnline(), true);
+          RemoteStorage.Env._rs_cleanup(new RemoteStorage());
+
+          RemoteStorage.config.watchNetworkInterfaces = true;
+          RemoteStorage.Env._rs_init(new RemoteStorage());
+          test.assertAnd(RemoteStorage.Env.isOnline(), false);
+          RemoteStorage.Env._rs_cleanup(new RemoteStorage());
+          test.assert(env.events, ['offline']);
+        }
+      }
+    ]
+  });
+
+  return suites;
+});
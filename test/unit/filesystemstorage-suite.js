@@ -0,0 +1,270 @@
+if (typeof(define) !== 'function') {
+  var define = require('amdefine')(module);
+}
+define(['bluebird', 'requirejs', 'fs', 'path', 'os'], function (Promise, requirejs, fs, path, os) {
+  global.Promise = Promise;
+
+  var suites = [];
+
+  function removeDirectory(directory) {
+    fs.readdirSync(directory).forEach(function (filename) {
+      fs.unlinkSync(path.join(directory, filename));
+    });
+    fs.rmdirSync(directory);
+  }
+
+  suites.push({
+    name: 'FileSystemStorage',
+    desc: 'File system caching layer for node.js',
+
+    setup: function (env, test) {
+      global.RemoteStorage = function () {};
+      global.RemoteStorage.log = function () {};
+      global.RemoteStorage.config = {
+        changeEvents: { local: true, window: false, remote: true, conflict: true }
+      };
+
+      require('src/util');
+      if (global.rs_util) {
+        RemoteStorage.util = global.rs_util;
+      } else {
+        global.rs_util = RemoteStorage.util;
+      }
+
+      require('src/eventhandling.js');
+      if ( global.rs_eventhandling ) {
+        RemoteStorage.eventHandling = global.rs_eventhandling;
+      } else {
+        global.rs_eventhandling = RemoteStorage.eventHandling;
+      }
+
+      require('src/cachinglayer.js');
+      if (global.rs_cachinglayer) {
+        RemoteStorage.cachingLayer = global.rs_cachinglayer;
+      } else {
+        global.rs_cachinglayer = RemoteStorage.cachingLayer;
+      }
+
+      require('src/filesystemstorage.js');
+      if (global.rs_fss) {
+        RemoteStorage.FileSystemStorage = global.rs_fss;
+      } else {
+        global.rs_fss = RemoteStorage.FileSystemStorage;
+      }
+
+      test.done();
+    },
+
+    beforeEach: function (env, test) {
+      env.directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rs-filesystemstorage-'));
+      env.fss = new RemoteStorage.FileSystemStorage(env.directory);
+      test.done();
+    },
+
+    afterEach: function (env, test) {
+      env.fss.forAllNodes(function () {}).then(function () {
+        removeDirectory(env.directory);
+        test.done();
+      });
+    },
+
+    tests: [
+      {
+        desc: "_rs_supported is true on node.js",
+        run: function (env, test) {
+          test.assert(RemoteStorage.FileSystemStorage._rs_supported(), true);
+        }
+      },
+
+      {
+        desc: "creates the cache directory if it doesn't exist",
+        run: function (env, test) {
+          var directory = path.join(env.directory, 'nested', 'cache');
+          var fss = new RemoteStorage.FileSystemStorage(directory);
+
+          fss.setNodes({ '/foo': { path: '/foo', local: { body: 'bar' } } }).then(function () {
+            test.assertAnd(fs.readdirSync(directory).length, 1);
+            removeDirectory(directory);
+            fs.rmdirSync(path.join(env.directory, 'nested'));
+            test.done();
+          });
+        }
+      },
+
+      {
+        desc: "a cache name is turned into a directory in the home directory",
+        run: function (env, test) {
+          var home = process.env.HOME;
+          process.env.HOME = env.directory;
+          var fss = new RemoteStorage.FileSystemStorage('otherapp');
+          process.env.HOME = home;
+
+          test.assertAnd(fss.directory, path.join(env.directory, '.otherapp'));
+          fss.forAllNodes(function () {}).then(function () {
+            fs.rmdirSync(fss.directory);
+            test.done();
+          });
+        }
+      },
+
+      {
+        desc: "nodes are kept across instances",
+        run: function (env, test) {
+          var node = { path: '/foo/bar', local: { body: 'baz', contentType: 'text/plain' } };
+
+          env.fss.setNodes({ '/foo/bar': node }).then(function () {
+            var fss = new RemoteStorage.FileSystemStorage(env.directory);
+            return fss.getNodes(['/foo/bar', '/foo/baz']);
+          }).then(function (nodes) {
+            test.assert(nodes, { '/foo/bar': node, '/foo/baz': undefined });
+          });
+        }
+      },
+
+      {
+        desc: "#setNodes deletes nodes that are undefined",
+        run: function (env, test) {
+          env.fss.setNodes({
+            '/foo': { path: '/foo', local: { body: 'one' } },
+            '/bar': { path: '/bar', local: { body: 'two' } }
+          }).then(function () {
+            return env.fss.setNodes({ '/foo': undefined });
+          }).then(function () {
+            test.assertAnd(fs.readdirSync(env.directory).length, 1);
+            return env.fss.getNodes(['/foo', '/bar']);
+          }).then(function (nodes) {
+            test.assert(nodes, { '/foo': undefined, '/bar': { path: '/bar', local: { body: 'two' } } });
+          });
+        }
+      },
+
+      {
+        desc: "#setNodes stores the nodes as they were when it was called",
+        run: function (env, test) {
+          var node = { path: '/foo', local: { body: 'before' } };
+
+          env.fss.setNodes({ '/foo': node });
+          node.local.body = 'after';
+
+          env.fss.getNodes(['/foo']).then(function (nodes) {
+            test.assert(nodes['/foo'].local.body, 'before');
+          });
+        }
+      },
+
+      {
+        desc: "#setNodes leaves neither a journal nor temporary files behind",
+        run: function (env, test) {
+          env.fss.setNodes({
+            '/a': { path: '/a', local: { body: 'a' } },
+            '/b': { path: '/b', local: { body: 'b' } },
+            '/c': { path: '/c', local: { body: 'c' } }
+          }).then(function () {
+            var filenames = fs.readdirSync(env.directory);
+            test.assertAnd(filenames.length, 3);
+            test.assert(filenames.every(function (filename) {
+              return (/^[0-9a-f]{40}\.json$/).test(filename);
+            }), true);
+          });
+        }
+      },
+
+      {
+        desc: "binary bodies are read back as ArrayBuffers",
+        run: function (env, test) {
+          var buffer = new Uint8Array([1, 2, 3, 255]).buffer;
+          var view = new Uint8Array([0, 4, 5, 6, 0]).subarray(1, 4);
+
+          env.fss.setNodes({
+            '/buffer': { path: '/buffer', local: { body: buffer, contentType: 'image/png' } },
+            '/view': { path: '/view', local: { body: view, contentType: 'image/png' } }
+          }).then(function () {
+            var fss = new RemoteStorage.FileSystemStorage(env.directory);
+            return fss.getNodes(['/buffer', '/view']);
+          }).then(function (nodes) {
+            test.assertAnd(nodes['/buffer'].local.body instanceof ArrayBuffer, true);
+            test.assertAnd(Array.prototype.slice.call(new Uint8Array(nodes['/buffer'].local.body)), [1, 2, 3, 255]);
+            test.assertAnd(nodes['/view'].local.body instanceof ArrayBuffer, true);
+            test.assertAnd(Array.prototype.slice.call(new Uint8Array(nodes['/view'].local.body)), [4, 5, 6]);
+            test.assert(nodes['/view'].local.contentType, 'image/png');
+          });
+        }
+      },
+
+      {
+        desc: "a journal left over by a crash is replayed when opening the cache",
+        run: function (env, test) {
+          env.fss.setNodes({
+            '/old': { path: '/old', local: { body: 'old' } }
+          }).then(function () {
+            fs.writeFileSync(path.join(env.directory, 'journal.json'), JSON.stringify({
+              '/old': null,
+              '/new': JSON.stringify({ path: '/new', local: { body: 'new' } })
+            }));
+
+            var fss = new RemoteStorage.FileSystemStorage(env.directory);
+            return fss.getNodes(['/old', '/new']);
+          }).then(function (nodes) {
+            test.assertAnd(nodes, { '/old': undefined, '/new': { path: '/new', local: { body: 'new' } } });
+            test.assert(fs.existsSync(path.join(env.directory, 'journal.json')), false);
+          });
+        }
+      },
+
+      {
+        desc: "#forAllNodes calls the callback with every migrated node",
+        run: function (env, test) {
+          var paths = [];
+
+          env.fss.setNodes({
+            '/foo': { path: '/foo', body: 'legacy', contentType: 'text/plain' },
+            '/bar/': { path: '/bar/', common: { itemsMap: {} } }
+          }).then(function () {
+            return env.fss.forAllNodes(function (node) {
+              paths.push(node.path);
+              if (node.path === '/foo') {
+                test.assertAnd(node.common, {});
+              }
+            });
+          }).then(function () {
+            test.assert(paths.sort(), ['/bar/', '/foo']);
+          });
+        }
+      },
+
+      {
+        desc: "the cache directory is left alone when another caching layer is used",
+        run: function (env, test) {
+          var home = process.env.HOME;
+          process.env.HOME = env.directory;
+
+          RemoteStorage.FileSystemStorage._rs_init({ cacheName: 'otherapp' });
+          Promise.resolve(RemoteStorage.FileSystemStorage._rs_cleanup({
+            cacheName: 'otherapp',
+            local: {}
+          })).then(function () {
+            process.env.HOME = home;
+            test.assert(fs.existsSync(path.join(env.directory, '.otherapp')), false);
+          });
+        }
+      },
+
+      {
+        desc: "_rs_cleanup removes all cached nodes",
+        run: function (env, test) {
+          env.fss.setNodes({
+            '/foo': { path: '/foo', local: { body: 'one' } },
+            '/bar': { path: '/bar', local: { body: 'two' } }
+          }).then(function () {
+            fs.writeFileSync(path.join(env.directory, 'stale.1234.tmp'), '{');
+            return RemoteStorage.FileSystemStorage._rs_cleanup({ local: env.fss });
+          }).then(function () {
+            test.assert(fs.readdirSync(env.directory), []);
+          });
+        }
+      }
+    ]
+  });
+
+  return suites;
+});
@@ -148,6 +148,37 @@ define(['bluebird', 'requirejs', 'test/behavior/backend', 'test/helpers/mocks'],
         }
       },
 
+      {
+        desc: "#get passes its abort handle on to its requests",
+        run: function (env, test) {
+          var handle = new RemoteStorage.WireClient.AbortHandle();
+          XMLHttpRequest.prototype.abort = function () {};
+          env.connectedClient.get('/foo/bar', { abortHandle: handle }).then(function () {
+            test.result(false, 'get call should not return successful');
+          }, function (err) {
+            test.assert(err, 'aborted');
+          });
+          setTimeout(function () {
+            test.assertAnd(XMLHttpRequest.instances.length, 1);
+            handle.abort();
+          }, 10);
+        }
+      },
+
+      {
+        desc: "#put with an aborted handle is rejected without sending requests",
+        run: function (env, test) {
+          var handle = new RemoteStorage.WireClient.AbortHandle();
+          handle.abort();
+          env.connectedClient.put('/foo/bar', 'body', 'text/plain', { abortHandle: handle }).then(function () {
+            test.result(false, 'put call should not return successful');
+          }, function (err) {
+            test.assertAnd(err, 'aborted');
+            test.assert(XMLHttpRequest.instances, []);
+          });
+        }
+      },
+
       {
         desc: "#get sends the request",
         run: function (env, test) {
@@ -274,6 +305,42 @@ define(['bluebird', 'requirejs', 'test/behavior/backend', 'test/helpers/mocks'],
         }
       },
 
+      {
+        desc: "#get emits wire-progress events while the file is downloaded",
+        run: function (env, test) {
+          var events = [];
+          env.connectedClient._fileIdCache.set('/foo', 'foo_id');
+          env.connectedClient.on('wire-progress', function (event) {
+            events.push(event);
+          });
+          env.connectedClient.get('/foo').then(function (r) {
+            test.assertAnd(r.body, 'foo body');
+            test.assert(events, [
+              { method: 'GET', path: '/foo', direction: 'download', loaded: 8, total: 8 }
+            ]);
+          });
+
+          setTimeout(function () {
+            var req = XMLHttpRequest.instances.shift();
+            req.status = 200;
+            req.responseText = JSON.stringify({
+              etag: '"foo"',
+              mimeType: 'text/plain; charset=UTF-8',
+              downloadUrl: 'https://example.com/foo'
+            });
+            req._onload();
+
+            setTimeout(function () {
+              var req = XMLHttpRequest.instances.shift();
+              req.onprogress({ lengthComputable: true, loaded: 8, total: 8 });
+              req.status = 200;
+              req.response = 'foo body';
+              req._onload();
+            }, 10);
+          }, 10);
+        }
+      },
+
       {
         desc: "#get to 404 document results in error",
         run: function (env, test) {
@@ -172,7 +172,147 @@ define(['bluebird', 'requirejs'], function (Promise, requirejs) {
           test.assertAnd(env.idb.changesQueued, {});
           test.assertAnd(env.idb.changesRunning, {foo: {path: 'foo'}});
         }
+      },
+
+      {
+        desc: "setNodesInDb stores the index terms of nodes when indexes are declared",
+        run: function(env, test) {
+          var indexRecords = [], indexDeletes = [], storeNames;
+          RemoteStorage.BaseClient = { Types: {
+            indexes: { 'http://contacts/contact': ['email'] },
+            getIndexes: function(context) { return this.indexes[context] || []; }
+          } };
+          env.idb.db = {
+            transaction: function(names) {
+              storeNames = names;
+              var transaction = {
+                objectStore: function(name) {
+                  return {
+                    put: function(record) {
+                      if (name === 'index') { indexRecords.push(record); }
+                    },
+                    delete: function(path) {
+                      if (name === 'index') { indexDeletes.push(path); }
+                    }
+                  };
+                }
+              };
+              setTimeout(function() { transaction.oncomplete(); }, 0);
+              return transaction;
+            }
+          };
+
+          env.idb.setNodesInDb({
+            '/contacts/alice': {
+              path: '/contacts/alice',
+              common: { body: JSON.stringify({ '@context': 'http://contacts/contact', email: 'a@example.com' }), contentType: 'application/json' }
+            },
+            '/contacts/file': { path: '/contacts/file', common: { body: 'abc', contentType: 'text/plain' } },
+            '/contacts/bob': false
+          }).then(function() {
+            delete RemoteStorage.BaseClient;
+            test.assertAnd(storeNames, ['nodes', 'index']);
+            test.assertAnd(indexRecords, [{
+              path: '/contacts/alice',
+              terms: [JSON.stringify(['http://contacts/contact', 'email', 'a@example.com'])]
+            }]);
+            test.assert(indexDeletes, ['/contacts/file', '/contacts/bob']);
+          });
+        }
+      },
+
+      {
+        desc: "findPathsByIndex returns indexed paths and uncommitted changes as candidates",
+        run: function(env, test) {
+          var onlyTerm;
+          global.IDBKeyRange = {
+            only: function(term) {
+              onlyTerm = term;
+              return term;
+            }
+          };
+          var cursorReq = {};
+          env.idb.indexedDeclarations = '{}';
+          env.idb.db = {
+            transaction: function() {
+              return {
+                objectStore: function() {
+                  return {
+                    index: function(name) {
+                      test.assertAnd(name, 'terms');
+                      return {
+                        openCursor: function() {
+                          var values = [{ path: '/contacts/alice' }, { path: '/contacts/carol' }];
+                          var next = function() {
+                            var value = values.shift();
+                            cursorReq.onsuccess({ target: { result: value && { value: value, continue: next } } });
+                          };
+                          setTimeout(next, 0);
+                          return cursorReq;
+                        }
+                      };
+                    }
+                  };
+                }
+              };
+            }
+          };
+          env.idb.changesRunning = { '/contacts/bob': false };
+          env.idb.changesQueued = { '/contacts/alice': { path: '/contacts/alice' } };
+
+          env.idb.findPathsByIndex('term').then(function(paths) {
+            test.assertAnd(onlyTerm, 'term');
+            test.assert(paths, ['/contacts/bob', '/contacts/alice', '/contacts/carol']);
+          });
+        }
+      },
+
+      {
+        desc: "forAllNodesBelow opens a cursor on the subtree and includes uncommitted changes",
+        run: function(env, test) {
+          var range;
+          global.IDBKeyRange = {
+            bound: function(lower, upper, lowerOpen, upperOpen) {
+              return { lower: lower, upper: upper, lowerOpen: lowerOpen, upperOpen: upperOpen };
+            }
+          };
+          var cursorReq = {};
+          env.idb.db = {
+            transaction: function() {
+              return {
+                objectStore: function() {
+                  return {
+                    openCursor: function(r) {
+                      range = r;
+                      var values = [
+                        { path: '/foo/a', common: { body: 'db' } },
+                        { path: '/foo/b', common: { body: 'db' } }
+                      ];
+                      var next = function() {
+                        var value = values.shift();
+                        cursorReq.onsuccess({ target: { result: value && { value: value, continue: next } } });
+                      };
+                      setTimeout(next, 0);
+                      return cursorReq;
+                    }
+                  };
+                }
+              };
+            }
+          };
+          env.idb.changesRunning = { '/foo/b': { path: '/foo/b', common: { body: 'running' } } };
+          env.idb.changesQueued = { '/foo/b': false, '/foo/c': { path: '/foo/c', common: { body: 'queued' } }, '/bar/d': { path: '/bar/d', common: {} } };
+
+          var nodes = {};
+          env.idb.forAllNodesBelow('/foo/', function(node) {
+            nodes[node.path] = node.common.body;
+          }).then(function() {
+            test.assertAnd(range, { lower: '/foo/', upper: '/foo/\uffff', lowerOpen: true, upperOpen: false });
+            test.assert(nodes, { '/foo/a': 'db', '/foo/c': 'queued' });
+          });
+        }
       }
+
 /* TODO: mock indexeddb with some nodejs library
       {
         desc: "getNodes, setNodes",
@@ -400,6 +400,463 @@ define(['bluebird', 'requirejs'], function (Promise, requirejs) {
         }
       },
 
+      {
+        desc: "#batch stores all nodes with a single setNodes call",
+        run: function (env, test) {
+          var setNodesCalls = 0;
+          var setNodes = env.ims.setNodes;
+          env.ims.setNodes = function (nodes) {
+            setNodesCalls++;
+            return setNodes.call(env.ims, nodes);
+          };
+
+          return env.ims.put('/foo/old', 'bla', 'text/plain').then(function () {
+            setNodesCalls = 0;
+            return env.ims.batch([
+              { method: 'put', path: '/foo/bar', body: 'one', contentType: 'text/plain' },
+              { method: 'put', path: '/baz/qux', body: 'two', contentType: 'text/plain' },
+              { method: 'delete', path: '/foo/old' }
+            ]);
+          }).then(function (r) {
+            var getLatest = env.ims._getInternals().getLatest;
+            test.assertAnd(r.statusCode, 200);
+            test.assertAnd(setNodesCalls, 1);
+            test.assertAnd(getLatest(env.ims._storage['/foo/bar']).body, 'one');
+            test.assertAnd(getLatest(env.ims._storage['/baz/qux']).body, 'two');
+            test.assertAnd(env.ims._storage['/foo/old'].local.body, false);
+            test.assertAnd(getLatest(env.ims._storage['/foo/']).itemsMap, { 'bar': true });
+            test.assert(getLatest(env.ims._storage['/']).itemsMap, { 'foo/': true, 'baz/': true });
+          });
+        }
+      },
+
+      {
+        desc: "#batch emits change events only after the batch is stored",
+        run: function (env, test) {
+          var events = [];
+          env.ims.on('change', function (event) {
+            test.assertAnd(env.ims._storage[event.path].local.body, event.newValue);
+            events.push(event);
+          });
+
+          return env.ims.batch([
+            { method: 'put', path: '/foo/bar', body: 'one', contentType: 'text/plain' },
+            { method: 'put', path: '/foo/bar', body: 'two', contentType: 'text/plain' },
+            { method: 'put', path: '/foo/baz', body: 'three', contentType: 'text/plain' }
+          ]).then(function () {
+            test.assertAnd(events.length, 2);
+            test.assertAnd(events[0].oldValue, undefined);
+            test.assert(events[0].newValue, 'two');
+          });
+        }
+      },
+
+      {
+        desc: "#batch stores nothing if one of the operations fails",
+        run: function (env, test) {
+          return env.ims.batch([
+            { method: 'put', path: '/foo/bar', body: 'one', contentType: 'text/plain' },
+            { method: 'delete', path: '/foo/missing' }
+          ]).then(function () {
+            test.result(false, 'batch should have failed');
+          }, function (err) {
+            test.assertAnd(err.message, 'Cannot delete non-existing node /foo/missing');
+            test.assert(env.ims._storage, {});
+          });
+        }
+      },
+
+      {
+        desc: "#query returns the matching JSON objects directly below a folder",
+        run: function (env, test) {
+          var json = 'application/json';
+          return env.ims.batch([
+            { method: 'put', path: '/todos/a', body: JSON.stringify({ id: 'a', done: false, priority: 3 }), contentType: json },
+            { method: 'put', path: '/todos/b', body: JSON.stringify({ id: 'b', done: true, priority: 5 }), contentType: json },
+            { method: 'put', path: '/todos/c', body: JSON.stringify({ id: 'c', done: false, priority: 1 }), contentType: json },
+            { method: 'put', path: '/todos/d', body: JSON.stringify({ id: 'd', done: false }), contentType: json },
+            { method: 'put', path: '/todos/e', body: JSON.stringify({ id: 'e', done: false, priority: 4 }), contentType: json },
+            { method: 'put', path: '/todos/notes.txt', body: 'not an object', contentType: 'text/plain' },
+            { method: 'put', path: '/todos/archive/f', body: JSON.stringify({ id: 'f', done: false }), contentType: json },
+            { method: 'put', path: '/todosx/g', body: JSON.stringify({ id: 'g', done: false }), contentType: json }
+          ]).then(function () {
+            return env.ims.delete('/todos/e');
+          }).then(function () {
+            return env.ims.query('/todos/', { where: { done: false }, sort: 'priority' });
+          }).then(function (result) {
+            test.assertAnd(result.objects.map(function (o) { return o.id; }), ['c', 'a', 'd']);
+            test.assertAnd(result.outdated, []);
+            return env.ims.query('/todos/', {
+              where: function (todo) { return todo.priority > 0; },
+              sort: '-priority',
+              offset: 1,
+              limit: 1
+            });
+          }).then(function (result) {
+            test.assert(result.objects, [{ id: 'a', done: false, priority: 3 }]);
+          });
+        }
+      },
+
+      {
+        desc: "#query reports documents that haven't been fetched or changed remotely as outdated",
+        run: function (env, test) {
+          return env.ims.setNodes({
+            '/todos/': { path: '/todos/', common: { itemsMap: { 'a': true, 'b': true, 'c': true, 'sub/': true } } },
+            '/todos/a': { path: '/todos/a', common: { body: '{"id":"a"}', contentType: 'application/json' } },
+            '/todos/b': { path: '/todos/b', common: { body: '{"id":"b"}', contentType: 'application/json' }, remote: { revision: '2' } }
+          }).then(function () {
+            return env.ims.query('/todos/');
+          }).then(function (result) {
+            test.assertAnd(result.objects.length, 2);
+            test.assert(result.outdated.sort(), ['/todos/b', '/todos/c']);
+          });
+        }
+      },
+
+      {
+        desc: "#indexTerms returns terms for the declared indexes of the object's type",
+        run: function (env, test) {
+          var BaseClient = RemoteStorage.BaseClient;
+          RemoteStorage.BaseClient = { Types: { getIndexes: function (context) {
+            return context === 'http://contacts/contact' ? ['email', 'phone'] : [];
+          } } };
+
+          var terms = env.ims.indexTerms({
+            path: '/contacts/alice',
+            common: {
+              body: JSON.stringify({ '@context': 'http://contacts/contact', email: 'alice@example.com' }),
+              contentType: 'application/json'
+            }
+          });
+          test.assertAnd(terms, [JSON.stringify(['http://contacts/contact', 'email', 'alice@example.com'])]);
+          test.assertAnd(env.ims.indexTerms({
+            path: '/contacts/bob',
+            common: { body: JSON.stringify({ '@context': 'http://contacts/contact', email: 'bob@example.com' }), contentType: 'application/json' },
+            local: { body: false }
+          }), []);
+          RemoteStorage.BaseClient = BaseClient;
+          test.done();
+        }
+      },
+
+      {
+        desc: "#findBy scans for objects of a type with a field value",
+        run: function (env, test) {
+          var json = 'application/json';
+          return env.ims.batch([
+            { method: 'put', path: '/contacts/alice', body: JSON.stringify({ '@context': 'http://contacts/contact', email: 'a@example.com', name: 'Alice' }), contentType: json },
+            { method: 'put', path: '/contacts/alice2', body: JSON.stringify({ '@context': 'http://contacts/contact', email: 'a@example.com', name: 'Alice 2' }), contentType: json },
+            { method: 'put', path: '/contacts/bob', body: JSON.stringify({ '@context': 'http://contacts/contact', email: 'b@example.com' }), contentType: json },
+            { method: 'put', path: '/contacts/other', body: JSON.stringify({ '@context': 'http://other/type', email: 'a@example.com' }), contentType: json },
+            { method: 'put', path: '/archive/alice', body: JSON.stringify({ '@context': 'http://contacts/contact', email: 'a@example.com' }), contentType: json }
+          ]).then(function () {
+            return env.ims.findBy('http://contacts/contact', 'email', 'a@example.com', '/contacts/');
+          }).then(function (objects) {
+            test.assert(objects.map(function (o) { return o.name; }), ['Alice', 'Alice 2']);
+          });
+        }
+      },
+
+      {
+        desc: "#put keeps previous versions in the history, up to the configured depth",
+        run: function (env, test) {
+          env.ims.onHistoryDepth(function (path) {
+            test.assertAnd(path, '/foo/bar');
+            return 2;
+          });
+
+          return env.ims.put('/foo/bar', 'one', 'text/plain').then(function () {
+            return env.ims.put('/foo/bar', 'two', 'text/plain');
+          }).then(function () {
+            return env.ims.put('/foo/bar', 'two', 'text/plain');
+          }).then(function () {
+            return env.ims.put('/foo/bar', 'three', 'text/plain');
+          }).then(function () {
+            return env.ims.put('/foo/bar', 'four', 'text/plain');
+          }).then(function () {
+            return env.ims.getHistory('/foo/bar');
+          }).then(function (history) {
+            test.assertAnd(history.length, 2);
+            test.assertAnd(history[0].body, 'three');
+            test.assertAnd(history[0].contentType, 'text/plain');
+            test.assertAnd(history[0].revision, 'local-' + history[0].timestamp);
+            test.assert(history[1].body, 'two');
+          });
+        }
+      },
+
+      {
+        desc: "#delete keeps the deleted version in the history",
+        run: function (env, test) {
+          env.ims.onHistoryDepth(function () { return 5; });
+
+          return env.ims.setNodes({
+            '/': { path: '/', common: { itemsMap: { 'foo/': true } } },
+            '/foo/': { path: '/foo/', common: { itemsMap: { 'bar': true } } },
+            '/foo/bar': { path: '/foo/bar', common: { body: 'bla', contentType: 'text/plain', revision: '123', timestamp: 1234567891000 } }
+          }).then(function () {
+            return env.ims.delete('/foo/bar');
+          }).then(function () {
+            return env.ims.getHistory('/foo/bar');
+          }).then(function (history) {
+            test.assert(history, [{
+              revision: '123',
+              timestamp: 1234567891000,
+              body: 'bla',
+              contentType: 'text/plain'
+            }]);
+          });
+        }
+      },
+
+      {
+        desc: "#getHistory returns an empty list without history",
+        run: function (env, test) {
+          return env.ims.put('/foo/bar', 'one', 'text/plain').then(function () {
+            return env.ims.put('/foo/bar', 'two', 'text/plain');
+          }).then(function () {
+            return env.ims.getHistory('/foo/bar');
+          }).then(function (history) {
+            test.assertAnd(history, []);
+            test.assert(env.ims._storage['/foo/bar'].history, undefined);
+          });
+        }
+      },
+
+      {
+        desc: "#getPendingChanges lists unpushed puts and deletes",
+        run: function (env, test) {
+          return env.ims.setNodes({
+            '/foo/': { path: '/foo/', common: { itemsMap: { 'old': true } } },
+            '/foo/old': { path: '/foo/old', common: { body: 'gone', contentType: 'text/plain', revision: '123' } }
+          }).then(function () {
+            return env.ims.put('/foo/new', 'bla', 'text/plain');
+          }).then(function () {
+            return env.ims.delete('/foo/old');
+          }).then(function () {
+            return env.ims.getPendingChanges();
+          }).then(function (changes) {
+            test.assertAnd(changes.length, 2);
+            test.assertAnd(changes[0], {
+              path: '/foo/new',
+              action: 'put',
+              newValue: 'bla',
+              newContentType: 'text/plain',
+              oldValue: undefined,
+              oldContentType: undefined,
+              pushing: false
+            });
+            test.assertAnd(changes[1].path, '/foo/old');
+            test.assertAnd(changes[1].action, 'delete');
+            test.assertAnd(changes[1].newValue, undefined);
+            test.assertAnd(changes[1].oldValue, 'gone');
+            test.done();
+          });
+        }
+      },
+
+      {
+        desc: "#put and #delete emit pending-changes with the changed paths",
+        run: function (env, test) {
+          var count = 0;
+          env.ims.on('pending-changes', function (paths) {
+            test.assertAnd(paths, ['/foo/bar']);
+            count++;
+            if (count === 2) {
+              test.done();
+            }
+          });
+          return env.ims.put('/foo/bar', 'bla', 'text/plain').then(function () {
+            return env.ims.delete('/foo/bar');
+          });
+        }
+      },
+
+      {
+        desc: "#discardPendingChange removes documents that were never synced",
+        run: function (env, test) {
+          var storage = env.ims._storage;
+
+          return env.ims.put('/foo/bar/baz', 'bla', 'text/plain').then(function () {
+            env.ims.on('change', function (event) {
+              test.assertAnd(event.oldValue, 'bla');
+              test.assertAnd(event.newValue, undefined);
+            });
+            return env.ims.discardPendingChange('/foo/bar/baz');
+          }).then(function () {
+            test.assertAnd(storage['/foo/bar/baz'], undefined);
+            test.assertAnd(storage['/foo/bar/'].local, undefined);
+            test.assertAnd(storage['/foo/'].local, undefined);
+            test.assertAnd(storage['/'].local, undefined);
+            return env.ims.getPendingChanges();
+          }).then(function (changes) {
+            test.assert(changes, []);
+          });
+        }
+      },
+
+      {
+        desc: "#discardPendingChange restores the synced version of a deleted document",
+        run: function (env, test) {
+          var storage = env.ims._storage;
+          var getLatest = env.ims._getInternals().getLatest;
+
+          return env.ims.setNodes({
+            '/': { path: '/', common: { itemsMap: { 'foo/': true } } },
+            '/foo/': { path: '/foo/', common: { itemsMap: { 'bar': true } } },
+            '/foo/bar': { path: '/foo/bar', common: { body: 'bla', contentType: 'text/plain', revision: '123' } }
+          }).then(function () {
+            return env.ims.delete('/foo/bar');
+          }).then(function () {
+            test.assertAnd(getLatest(storage['/foo/']).itemsMap, {});
+            return env.ims.discardPendingChange('/foo/bar');
+          }).then(function () {
+            test.assertAnd(storage['/foo/bar'].local, undefined);
+            test.assertAnd(getLatest(storage['/foo/bar']).body, 'bla');
+            test.assertAnd(storage['/foo/'].local, undefined);
+            test.assertAnd(storage['/'].local, undefined);
+            test.done();
+          });
+        }
+      },
+
+      {
+        desc: "#discardPendingChange fails while the change is being pushed",
+        run: function (env, test) {
+          return env.ims.put('/foo/bar', 'bla', 'text/plain').then(function () {
+            env.ims._storage['/foo/bar'].push = { body: 'bla', contentType: 'text/plain' };
+            return env.ims.discardPendingChange('/foo/bar');
+          }).then(function () {
+            test.result(false, 'discarding should have failed');
+          }, function (err) {
+            test.assertAnd(err.message, 'Cannot discard change to /foo/bar while it is being pushed');
+            test.assert(env.ims._storage['/foo/bar'].local.body, 'bla');
+          });
+        }
+      },
+
+      {
+        desc: "#pushNow hands pending paths to the push handler",
+        run: function (env, test) {
+          var pushed = [];
+          env.ims.onPush(function (path) {
+            pushed.push(path);
+            return Promise.resolve();
+          });
+          return env.ims.put('/foo/bar', 'bla', 'text/plain').then(function () {
+            return env.ims.put('/foo/baz', 'bla', 'text/plain');
+          }).then(function () {
+            return env.ims.pushNow();
+          }).then(function () {
+            test.assertAnd(pushed, ['/foo/bar', '/foo/baz']);
+            return env.ims.pushNow('/foo/bar');
+          }).then(function () {
+            test.assert(pushed, ['/foo/bar', '/foo/baz', '/foo/bar']);
+          });
+        }
+      },
+
+      {
+        desc: "#pushNow rejects when there is no push handler",
+        run: function (env, test) {
+          return env.ims.pushNow('/foo/bar').then(function () {
+            test.result(false, 'pushNow should have failed');
+          }, function () {
+            test.done();
+          });
+        }
+      },
+
+      {
+        desc: "#getDirtyPaths returns the paths of nodes with pending changes",
+        run: function (env, test) {
+          return env.ims.put('/foo/bar', 'bla', 'text/plain').then(function () {
+            return env.ims.getDirtyPaths();
+          }).then(function (paths) {
+            test.assertAnd(paths.sort(), ['/', '/foo/', '/foo/bar']);
+            return env.ims.setNodes({
+              '/foo/bar': {
+                path: '/foo/bar',
+                common: { body: 'bla', contentType: 'text/plain', revision: '123', timestamp: 1234567890123 }
+              }
+            });
+          }).then(function () {
+            return env.ims.getDirtyPaths();
+          }).then(function (paths) {
+            test.assert(paths.sort(), ['/', '/foo/']);
+          });
+        }
+      },
+
+      {
+        desc: "#getDirtyPaths builds the index from the cached nodes once, and keeps it in the cache",
+        run: function (env, test) {
+          env.ims._storage = {
+            '/synced': { path: '/synced', common: { body: 'a', revision: '1', timestamp: 1234567890123 } },
+            '/unsynced': { path: '/unsynced', common: { timestamp: 1234567890123 }, local: { body: 'b' } },
+            '/unfetched': { path: '/unfetched', common: { timestamp: 1234567890123 }, remote: { revision: '2' } },
+            '/corrupt': { path: '/corrupt', common: { revision: 3, timestamp: 1234567890123 } }
+          };
+
+          return env.ims.getDirtyPaths().then(function (paths) {
+            var copy = new RemoteStorage.InMemoryStorage();
+            copy._storage = env.ims._storage;
+            copy.forAllNodes = function () {
+              test.result(false, 'the index should not have been built again');
+            };
+
+            test.assertAnd(paths.sort(), ['/corrupt', '/unfetched', '/unsynced']);
+            test.assertTypeAnd(env.ims._storage['remotestorage:dirty-index'], 'object');
+            return copy.getDirtyPaths();
+          }).then(function (paths) {
+            test.assert(paths.sort(), ['/corrupt', '/unfetched', '/unsynced']);
+          });
+        }
+      },
+
+      {
+        desc: "#forAllNodes leaves out the dirty index",
+        run: function (env, test) {
+          var paths = [];
+
+          return env.ims.put('/foo', 'bla', 'text/plain').then(function () {
+            return env.ims.getDirtyPaths();
+          }).then(function () {
+            return env.ims.forAllNodes(function (node) {
+              paths.push(node.path);
+            });
+          }).then(function () {
+            test.assert(paths.sort(), ['/', '/foo']);
+          });
+        }
+      },
+
+      {
+        desc: "#getFoldersDueForRefresh returns the folders of nodes fetched before the given time",
+        run: function (env, test) {
+          return env.ims.setNodes({
+            '/': { path: '/', common: { itemsMap: { 'foo/': true, 'bar/': true }, timestamp: 1000 } },
+            '/foo/': { path: '/foo/', common: { itemsMap: { 'a': true }, timestamp: 1000 } },
+            '/foo/a': { path: '/foo/a', common: { body: 'a', timestamp: 1000 } },
+            '/bar/': { path: '/bar/', common: { itemsMap: { 'b': true }, timestamp: 3000 } },
+            '/bar/b': { path: '/bar/b', common: { body: 'b', timestamp: 3000 } }
+          }).then(function () {
+            return env.ims.getFoldersDueForRefresh(2000);
+          }).then(function (folders) {
+            test.assertAnd(folders.sort(), ['/', '/foo/']);
+            // Fetching a listing again refreshes all of its items
+            return env.ims.setNodes({
+              '/foo/': { path: '/foo/', common: { itemsMap: { 'a': true }, timestamp: 4000 } }
+            });
+          }).then(function () {
+            return env.ims.getFoldersDueForRefresh(2000);
+          }).then(function (folders) {
+            test.assert(folders, ['/']);
+          });
+        }
+      },
+
       {
         // TODO belongs in separate examples; missing description
         desc: "getNodes, setNodes",
@@ -15,6 +15,9 @@ define(['bluebird', 'requirejs'], function (Promise, requirejs) {
     if (node && node.local && node.local.timestamp) {
       delete node.local.timestamp;
     }
+    if (node && node.local && node.local.lastModified) {
+      delete node.local.lastModified;
+    }
     if (node && node.common && node.common.timestamp) {
       delete node.common.timestamp;
     }
@@ -273,6 +276,24 @@ define(['bluebird', 'requirejs'], function (Promise, requirejs) {
             test.done();
           });
         }
+      },
+
+      {
+        desc: "nodes are stored under the prefix of the cache name",
+        run: function(env, test) {
+          var ls = new RemoteStorage.LocalStorage('otherapp');
+
+          ls.setNodes({
+            '/foo': { path: '/foo', common: { body: 'bar' } }
+          }).then(function() {
+            test.assertAnd(JSON.parse(global.localStorage['otherapp:cache:nodes:/foo']),
+                           { path: '/foo', common: { body: 'bar' } });
+            test.assertTypeAnd(global.localStorage[NODES_PREFIX + '/foo'], 'undefined');
+            return env.ls.getNodes(['/foo']);
+          }).then(function(objs) {
+            test.assert(objs, { '/foo': undefined });
+          });
+        }
       }
     ]
   });
@@ -0,0 +1,298 @@
+if (typeof(define) !== 'function') {
+  var define = require('amdefine')(module);
+}
+define(['bluebird', 'requirejs'], function (Promise, requirejs) {
+  global.Promise = Promise;
+
+  var suites = [];
+  var backendCount = 0;
+
+  // A backend keeping its documents in memory, with the interface of
+  // RemoteStorage.WireClient
+  function FakeBackend(documents) {
+    this.href = 'https://example.com/storage/' + (backendCount++);
+    this.connected = true;
+    this.documents = {};
+    this.puts = [];
+    this.revision = 0;
+
+    for (var path in documents) {
+      this.store(path, documents[path].body, documents[path].contentType);
+    }
+  }
+
+  FakeBackend.prototype = {
+    store: function (path, body, contentType) {
+      this.revision++;
+      this.documents[path] = { body: body, contentType: contentType, revision: 'rev' + this.revision };
+      return this.documents[path].revision;
+    },
+
+    get: function (path) {
+      var itemsMap = {};
+      var found = false;
+
+      if (!RemoteStorage.util.isFolder(path)) {
+        var document = this.documents[path];
+        if (!document) {
+          return Promise.resolve({ statusCode: 404 });
+        }
+        return Promise.resolve({
+          statusCode: 200,
+          body: document.body,
+          contentType: document.contentType,
+          revision: document.revision
+        });
+      }
+
+      for (var documentPath in this.documents) {
+        if (documentPath.indexOf(path) === 0) {
+          var rest = documentPath.slice(path.length);
+          var slash = rest.indexOf('/');
+          found = true;
+          if (slash === -1) {
+            itemsMap[rest] = { ETag: this.documents[documentPath].revision };
+          } else {
+            itemsMap[rest.slice(0, slash + 1)] = { ETag: 'folder' };
+          }
+        }
+      }
+      return Promise.resolve(found ? { statusCode: 200, body: itemsMap } : { statusCode: 404 });
+    },
+
+    put: function (path, body, contentType) {
+      this.puts.push(path);
+      return Promise.resolve({ statusCode: 200, revision: this.store(path, body, contentType) });
+    }
+  };
+
+  suites.push({
+    name: 'Migration',
+    desc: 'Copying data from one backend to another',
+
+    setup: function (env, test) {
+      global.RemoteStorage = function () {};
+      global.RemoteStorage.log = function () {};
+      global.RemoteStorage.prototype.localStorageAvailable = function () { return false; };
+
+      require('src/util');
+      if (global.rs_util) {
+        RemoteStorage.util = global.rs_util;
+      } else {
+        global.rs_util = RemoteStorage.util;
+      }
+
+      require('src/migration');
+      if (global.rs_migration) {
+        RemoteStorage.Migration = global.rs_migration;
+        RemoteStorage.prototype.migrate = global.rs_migrate;
+      } else {
+        global.rs_migration = RemoteStorage.Migration;
+        global.rs_migrate = RemoteStorage.prototype.migrate;
+      }
+
+      test.done();
+    },
+
+    beforeEach: function (env, test) {
+      env.rs = new RemoteStorage();
+      env.from = new FakeBackend({
+        '/notes/one': { body: '{"text":"one"}', contentType: 'application/json; charset=UTF-8' },
+        '/notes/two': { body: 'two', contentType: 'text/plain; charset=UTF-8' },
+        '/notes/old/three': { body: 'three', contentType: 'text/plain; charset=UTF-8' },
+        '/pictures/cat.png': { body: new Uint8Array([1, 2, 3]).buffer, contentType: 'image/png' }
+      });
+      env.to = new FakeBackend({});
+      test.done();
+    },
+
+    afterEach: function (env, test) {
+      delete global.localStorage;
+      test.done();
+    },
+
+    tests: [
+      {
+        desc: "#migrate copies all documents with their content types",
+        run: function (env, test) {
+          env.rs.migrate({ from: env.from, to: env.to }).then(function (result) {
+            test.assertAnd(result, { copied: 4, skipped: 0, failed: [] });
+            test.assertAnd(Object.keys(env.to.documents).sort(),
+                           ['/notes/old/three', '/notes/one', '/notes/two', '/pictures/cat.png']);
+            test.assertAnd(env.to.documents['/notes/one'].contentType, 'application/json; charset=UTF-8');
+            test.assertAnd(env.to.documents['/pictures/cat.png'].contentType, 'image/png');
+            test.assert(env.to.documents['/pictures/cat.png'].body, env.from.documents['/pictures/cat.png'].body);
+          });
+        }
+      },
+
+      {
+        desc: "#migrate uses the remote of RemoteStorage instances",
+        run: function (env, test) {
+          var account = new RemoteStorage();
+          account.remote = env.to;
+
+          env.rs.migrate({ from: { remote: env.from }, to: account }).then(function (result) {
+            test.assert(result.copied, 4);
+          });
+        }
+      },
+
+      {
+        desc: "#migrate only copies the given paths",
+        run: function (env, test) {
+          env.rs.migrate({
+            from: env.from,
+            to: env.to,
+            paths: ['/notes/old/', '/pictures/cat.png', '/missing/']
+          }).then(function (result) {
+            test.assertAnd(result.copied, 2);
+            test.assert(Object.keys(env.to.documents).sort(), ['/notes/old/three', '/pictures/cat.png']);
+          });
+        }
+      },
+
+      {
+        desc: "#migrate fails when a backend isn't connected",
+        run: function (env, test) {
+          env.to.connected = false;
+
+          env.rs.migrate({ from: env.from, to: env.to }).then(function () {
+            test.result(false, 'migrate should have failed');
+          }, function (err) {
+            test.assertAnd(err.message, 'Target backend is not connected');
+            test.assert(env.to.puts, []);
+          });
+        }
+      },
+
+      {
+        desc: "#migrate reports the progress after each document",
+        run: function (env, test) {
+          var progress = [];
+
+          env.rs.migrate({
+            from: env.from,
+            to: env.to,
+            onProgress: function (status) { progress.push(status); }
+          }).then(function () {
+            test.assertAnd(progress.length, 4);
+            test.assertAnd(progress[0].action, 'copied');
+            test.assertAnd(progress[0].done, 1);
+            test.assertAnd(progress[0].total, 4);
+            test.assert(progress[3].done, 4);
+          });
+        }
+      },
+
+      {
+        desc: "an interrupted migration skips the documents that were already copied",
+        run: function (env, test) {
+          var put = env.to.put;
+          var options = { from: env.from, to: env.to };
+
+          env.to.put = function (path) {
+            if (path === '/pictures/cat.png') {
+              return Promise.reject(new Error('connection lost'));
+            }
+            return put.apply(this, arguments);
+          };
+
+          env.rs.migrate(options).then(function (result) {
+            test.assertAnd(result, { copied: 3, skipped: 0, failed: ['/pictures/cat.png'] });
+
+            env.to.put = put;
+            env.to.puts = [];
+            return env.rs.migrate(options);
+          }).then(function (result) {
+            test.assertAnd(result, { copied: 1, skipped: 3, failed: [] });
+            test.assert(env.to.puts, ['/pictures/cat.png']);
+          });
+        }
+      },
+
+      {
+        desc: "documents that changed since an interrupted migration are copied again",
+        run: function (env, test) {
+          var put = env.to.put;
+          var options = { from: env.from, to: env.to };
+
+          env.to.put = function (path) {
+            if (path === '/pictures/cat.png') {
+              return Promise.resolve({ statusCode: 500 });
+            }
+            return put.apply(this, arguments);
+          };
+
+          env.rs.migrate(options).then(function () {
+            env.to.put = put;
+            env.to.puts = [];
+            env.from.store('/notes/one', '{"text":"changed"}', 'application/json; charset=UTF-8');
+            env.to.store('/notes/two', 'changed on the target', 'text/plain; charset=UTF-8');
+            return env.rs.migrate(options);
+          }).then(function (result) {
+            test.assertAnd(result, { copied: 3, skipped: 1, failed: [] });
+            test.assertAnd(env.to.puts.sort(), ['/notes/one', '/notes/two', '/pictures/cat.png']);
+            test.assert(env.to.documents['/notes/one'].body, '{"text":"changed"}');
+          });
+        }
+      },
+
+      {
+        desc: "documents with a different ETag on the target after copying them fail",
+        run: function (env, test) {
+          var get = env.to.get;
+
+          env.to.get = function (path) {
+            return get.apply(this, arguments).then(function (r) {
+              if (path === '/notes/' && r.body) {
+                r.body.two.ETag = 'modified';
+              }
+              return r;
+            });
+          };
+
+          env.rs.migrate({ from: env.from, to: env.to }).then(function (result) {
+            test.assert(result, { copied: 3, skipped: 0, failed: ['/notes/two'] });
+          });
+        }
+      },
+
+      {
+        desc: "the progress is kept in localStorage until the migration is complete",
+        run: function (env, test) {
+          var key = 'remotestorage:migration@work';
+          var options = { from: env.from, to: env.to, paths: ['/notes/'] };
+
+          global.localStorage = {};
+          env.rs.localStorageAvailable = function () { return true; };
+          env.rs.accountName = 'work';
+          env.from.store('/notes/gone', 'gone', 'text/plain');
+
+          var get = env.from.get;
+          env.from.get = function (path) {
+            if (path === '/notes/gone') {
+              return Promise.resolve({ statusCode: 500 });
+            }
+            return get.apply(this, arguments);
+          };
+
+          env.rs.migrate(options).then(function (result) {
+            var state = JSON.parse(localStorage[key]);
+
+            test.assertAnd(result.failed, ['/notes/gone']);
+            test.assertAnd(Object.keys(state.done).sort(), ['/notes/old/three', '/notes/one', '/notes/two']);
+
+            delete env.from.documents['/notes/gone'];
+            return env.rs.migrate(options);
+          }).then(function (result) {
+            test.assertAnd(result, { copied: 0, skipped: 3, failed: [] });
+            test.assert(localStorage[key], undefined);
+          });
+        }
+      }
+    ]
+  });
+
+  return suites;
+});
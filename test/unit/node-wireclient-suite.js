@@ -1,7 +1,7 @@
 if (typeof define !== 'function') {
   var define = require('amdefine')(module);
 }
-define(['require'], function (require) {
+define(['require', 'fs', 'path', 'os'], function (require, fs, path, os) {
   var suites = [];
 	var oldReadBinaryData;
 
@@ -10,6 +10,8 @@ define(['require'], function (require) {
     desc: "Low-level remotestorage client used in NodeJS",
     setup: function(env, test) {
       env.RemoteStorage = require('./../../node-main');
+      // Keep the file system cache out of the home directory
+      env.cacheDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'rs-node-wireclient-'));
 
       RemoteStorage.Authorize = {
         IMPLIED_FAKE_TOKEN: false
@@ -22,6 +24,10 @@ define(['require'], function (require) {
       if (typeof RemoteStorage.WireClient !== 'undefined') {
          RemoteStorage.WireClient.readBinaryData = oldReadBinaryData;
       }
+      fs.readdirSync(env.cacheDirectory).forEach(function(filename) {
+        fs.unlinkSync(path.join(env.cacheDirectory, filename));
+      });
+      fs.rmdirSync(env.cacheDirectory);
       test.done();
     },
 
@@ -54,7 +60,7 @@ define(['require'], function (require) {
           }
         });
       });
-      env.rs = new RemoteStorage();
+      env.rs = new RemoteStorage({ cacheName: env.cacheDirectory });
       env.connectedClient = new RemoteStorage.WireClient(env.rs);
       env.baseURI = 'https://example.com/storage/test';
       env.token = 'foobarbaz';
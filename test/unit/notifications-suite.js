@@ -0,0 +1,361 @@
+if (typeof(define) !== 'function') {
+  var define = require('amdefine')(module);
+}
+define(['bluebird', 'requirejs', 'test/helpers/notification-server'], function (Promise, requirejs, notificationServer) {
+  global.Promise = Promise;
+
+  var suites = [];
+
+  var PROPERTY = 'http://remotestorage.io/spec/notifications';
+
+  // Records the tasks queued by the notifications channel
+  function FakeSync() {
+    this.metered = false;
+    this.tasks = [];
+    this.syncs = 0;
+    this.doTasksCalls = 0;
+  }
+
+  FakeSync.prototype = {
+    addTask: function (path, cb, priority) {
+      this.tasks.push([path, priority]);
+    },
+    doTasks: function () {
+      this.doTasksCalls++;
+    },
+    hasGivenUp: function () {
+      return false;
+    },
+    sync: function () {
+      this.syncs++;
+    }
+  };
+
+  function FakeWebSocket(url) {
+    FakeWebSocket.instances.push(this);
+    this.url = url;
+  }
+
+  FakeWebSocket.prototype.close = function () {
+    this.closed = true;
+  };
+
+  // Resolves once the condition is met, checking every few milliseconds
+  function waitFor(condition) {
+    return new Promise(function (resolve, reject) {
+      var started = new Date().getTime();
+      (function check() {
+        if (condition()) {
+          resolve();
+        } else if (new Date().getTime() - started > 5000) {
+          reject('timed out');
+        } else {
+          setTimeout(check, 10);
+        }
+      })();
+    });
+  }
+
+  suites.push({
+    name: "Notifications",
+    desc: "Syncing changes announced by the server",
+
+    setup: function (env, test) {
+      global.RemoteStorage = function () {
+        RemoteStorage.eventHandling(this, 'connected', 'sync-interval-change');
+      };
+      RemoteStorage.log = function () {};
+      RemoteStorage.config = {
+        changeEvents: { local: true, window: false, remote: true, conflict: true }
+      };
+
+      require('./src/util');
+      if (global.rs_util) {
+        RemoteStorage.util = global.rs_util;
+      } else {
+        global.rs_util = RemoteStorage.util;
+      }
+
+      require('./src/eventhandling');
+      if (global.rs_eventhandling) {
+        RemoteStorage.eventHandling = global.rs_eventhandling;
+      } else {
+        global.rs_eventhandling = RemoteStorage.eventHandling;
+      }
+
+      require('./src/sync');
+      if (global.rs_get_current_sync_interval) {
+        RemoteStorage.prototype.getCurrentSyncInterval = global.rs_get_current_sync_interval;
+      } else {
+        global.rs_get_current_sync_interval = RemoteStorage.prototype.getCurrentSyncInterval;
+      }
+
+      require('./src/notifications');
+      if (global.rs_notifications) {
+        RemoteStorage.Notifications = global.rs_notifications;
+      } else {
+        global.rs_notifications = RemoteStorage.Notifications;
+      }
+
+      test.done();
+    },
+
+    beforeEach: function (env, test) {
+      var nodes = env.nodes = {
+        '/notes/': { path: '/notes/' },
+        '/notes/todo': { path: '/notes/todo' },
+        '/notes/archive/': { path: '/notes/archive/' }
+      };
+
+      env.rs = new RemoteStorage();
+      env.rs.access = {
+        checkPathPermission: function (path) {
+          return path.indexOf('/notes/') === 0 || path.indexOf('/scratch/') === 0;
+        }
+      };
+      env.rs.caching = {
+        checkPath: function (path) {
+          return path.indexOf('/scratch/') === 0 ? 'FLUSH' : 'ALL';
+        }
+      };
+      env.rs.local = {
+        getNodes: function (paths) {
+          var result = {};
+          paths.forEach(function (path) {
+            result[path] = nodes[path];
+          });
+          return Promise.resolve(result);
+        }
+      };
+      env.rs.sync = new FakeSync();
+      env.rs.remote = { connected: true, token: 's3cr3t' };
+
+      env.intervalChanges = [];
+      env.rs.on('sync-interval-change', function (change) {
+        env.intervalChanges.push(change);
+      });
+
+      RemoteStorage.Notifications._rs_init(env.rs);
+      env.notifications = env.rs.notifications;
+      env.notifications.EventSource = notificationServer.EventSource;
+      FakeWebSocket.instances = [];
+      env.notifications.WebSocket = FakeWebSocket;
+
+      notificationServer.start('s3cr3t').then(function (server) {
+        env.server = server;
+        env.rs.remote.properties = {};
+        env.rs.remote.properties[PROPERTY] = server.url;
+        test.done();
+      });
+    },
+
+    afterEach: function (env, test) {
+      RemoteStorage.Notifications._rs_cleanup(env.rs);
+      env.server.close().then(function () {
+        test.done();
+      });
+    },
+
+    tests: [
+      {
+        desc: "the channel advertised by the remote is opened when it gets connected",
+        run: function (env, test) {
+          env.rs._emit('connected');
+
+          waitFor(function () {
+            return env.notifications.isHealthy();
+          }).then(function () {
+            test.assert(env.server.clients.length, 1);
+          });
+        }
+      },
+
+      {
+        desc: "the channel follows the remote when another backend gets connected",
+        run: function (env, test) {
+          env.rs._emit('connected');
+
+          waitFor(function () {
+            return env.notifications.isHealthy();
+          }).then(function () {
+            env.rs.remote = { connected: true, token: 'dr0pb0x', properties: {} };
+            env.rs.remote.properties[PROPERTY] = 'wss://example.com/changes';
+            env.rs._emit('connected');
+
+            return waitFor(function () {
+              return env.server.clients.length === 0;
+            });
+          }).then(function () {
+            test.assertAnd(FakeWebSocket.instances.length, 1);
+            test.assert(FakeWebSocket.instances[0].url, 'wss://example.com/changes?access_token=dr0pb0x');
+          });
+        }
+      },
+
+      {
+        desc: "the channel is no longer opened after cleanup",
+        run: function (env, test) {
+          env.rs.remote.properties[PROPERTY] = 'wss://example.com/changes';
+          RemoteStorage.Notifications._rs_cleanup(env.rs);
+          env.rs._emit('connected');
+
+          test.assert(FakeWebSocket.instances, []);
+        }
+      },
+
+      {
+        desc: "the sync interval backs off while the channel is open",
+        run: function (env, test) {
+          env.notifications.connect();
+
+          waitFor(function () {
+            return env.notifications.isHealthy();
+          }).then(function () {
+            test.assertAnd(env.rs.getCurrentSyncInterval(), 300000);
+            test.assertAnd(env.intervalChanges, [{ oldValue: 10000, newValue: 300000 }]);
+
+            env.notifications.close();
+            test.assertAnd(env.notifications.isHealthy(), false);
+            test.assert(env.rs.getCurrentSyncInterval(), 10000);
+          });
+        }
+      },
+
+      {
+        desc: "a channel that doesn't accept the token isn't considered healthy",
+        run: function (env, test) {
+          env.rs.remote.token = 'wrong';
+          env.notifications.connect();
+
+          waitFor(function () {
+            return env.rs.sync.syncs > 0;
+          }).then(function () {
+            test.assertAnd(env.notifications.isHealthy(), false);
+            test.assert(env.intervalChanges, []);
+          });
+        }
+      },
+
+      {
+        desc: "an announced change queues tasks for the document and its folder",
+        run: function (env, test) {
+          env.notifications.connect();
+
+          waitFor(function () {
+            return env.notifications.isHealthy();
+          }).then(function () {
+            env.server.notify('/notes/todo');
+            return waitFor(function () {
+              return env.rs.sync.doTasksCalls > 0;
+            });
+          }).then(function () {
+            test.assert(env.rs.sync.tasks, [['/notes/todo', 'refresh'], ['/notes/', 'refresh']]);
+          });
+        }
+      },
+
+      {
+        desc: "a new document is discovered through its closest cached folder",
+        run: function (env, test) {
+          env.notifications.handleMessage('{"path":"/notes/archive/2015/old"}').then(function () {
+            test.assertAnd(env.rs.sync.tasks, [['/notes/archive/', 'refresh']]);
+            test.assert(env.rs.sync.doTasksCalls, 1);
+          });
+        }
+      },
+
+      {
+        desc: "changes outside of the access scope or without caching are ignored",
+        run: function (env, test) {
+          Promise.all([
+            env.notifications.handleMessage('{"path":"/other/thing"}'),
+            env.notifications.handleMessage('{"path":"/scratch/thing"}'),
+            env.notifications.handleMessage('{"path":"notes/todo"}'),
+            env.notifications.handleMessage('not json')
+          ]).then(function () {
+            test.assertAnd(env.rs.sync.tasks, []);
+            test.assert(env.rs.sync.doTasksCalls, 0);
+          });
+        }
+      },
+
+      {
+        desc: "announced changes aren't fetched in metered mode",
+        run: function (env, test) {
+          env.rs.sync.metered = true;
+
+          env.notifications.handleMessage('{"path":"/notes/todo"}').then(function () {
+            test.assert(env.rs.sync.tasks, []);
+          });
+        }
+      },
+
+      {
+        desc: "a failed channel syncs right away and is reopened",
+        timeout: 5000,
+        run: function (env, test) {
+          env.notifications.connect();
+
+          waitFor(function () {
+            return env.notifications.isHealthy();
+          }).then(function () {
+            env.server.drop();
+            return waitFor(function () {
+              return !env.notifications.isHealthy();
+            });
+          }).then(function () {
+            test.assertAnd(env.rs.sync.syncs, 1);
+            test.assertAnd(env.rs.getCurrentSyncInterval(), 10000);
+            return waitFor(function () {
+              return env.notifications.isHealthy();
+            });
+          }).then(function () {
+            test.assertAnd(env.server.clients.length, 1);
+            test.assert(env.intervalChanges.map(function (change) {
+              return change.newValue;
+            }), [300000, 10000, 300000]);
+          });
+        }
+      },
+
+      {
+        desc: "ws:// channels are opened as WebSockets with the token",
+        run: function (env, test) {
+          env.rs.remote.properties[PROPERTY] = 'wss://example.com/changes?user=me';
+          env.notifications.connect();
+
+          var socket = FakeWebSocket.instances[0];
+          test.assertAnd(socket.url, 'wss://example.com/changes?user=me&access_token=s3cr3t');
+
+          socket.onopen({});
+          test.assertAnd(env.notifications.isHealthy(), true);
+
+          socket.onmessage({ data: '{"path":"/notes/todo"}' });
+          waitFor(function () {
+            return env.rs.sync.doTasksCalls > 0;
+          }).then(function () {
+            test.assertAnd(env.rs.sync.tasks.length, 2);
+
+            RemoteStorage.Notifications._rs_cleanup(env.rs);
+            test.assertAnd(socket.closed, true);
+            test.assert(env.notifications.isHealthy(), false);
+          });
+        }
+      },
+
+      {
+        desc: "no channel is opened when the remote doesn't advertise one",
+        run: function (env, test) {
+          delete env.rs.remote.properties;
+          env.notifications.connect();
+
+          test.assertAnd(FakeWebSocket.instances, []);
+          test.assertAnd(env.notifications.isHealthy(), false);
+          test.assert(env.server.clients.length, 0);
+        }
+      }
+    ]
+  });
+
+  return suites;
+});
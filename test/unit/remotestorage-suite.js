@@ -1,7 +1,7 @@
 if (typeof(define) !== 'function') {
   var define = require('amdefine.js');
 }
-define(['bluebird', 'requirejs', 'tv4'], function (Promise, requirejs, tv4) {
+define(['bluebird', 'requirejs', 'tv4', 'test/helpers/sqlite'], function (Promise, requirejs, tv4, sqlite) {
 
   global.Promise = Promise;
   global.tv4 = tv4;
@@ -277,6 +277,50 @@ define(['bluebird', 'requirejs', 'tv4'], function (Promise, requirejs, tv4) {
         }
       },
 
+      {
+        desc: "removeChangeHandler removes a handler added with onChange",
+        run: function(env, test) {
+          var calls = 0;
+          var handler = function() { calls++; };
+          var other = function() {};
+          env.rs.onChange('/foo/', handler);
+          env.rs.onChange('/foo/', other);
+          env.rs.removeChangeHandler('/foo/', handler);
+          test.assertAnd(env.rs._pathHandlers.change['/foo/'], [other]);
+          env.rs.removeChangeHandler('/foo/', other);
+          env.rs.removeChangeHandler('/bar/', other);
+          test.assertAnd(env.rs._pathHandlers.change['/foo/'], undefined);
+          env.rs._dispatchEvent('change', { path: '/foo/bar' });
+          test.assert(calls, 0);
+        }
+      },
+
+      {
+        desc: "batch sends operations one by one without a local cache, stopping at the first failure",
+        run: function(env, test) {
+          var requests = [];
+          var rs = {
+            batch: RemoteStorage.SyncedGetPutDelete.batch,
+            put: function(path) {
+              requests.push('put ' + path);
+              return Promise.resolve({statusCode: path === '/b' ? 412 : 200});
+            },
+            delete: function(path) {
+              requests.push('delete ' + path);
+              return Promise.resolve({statusCode: 404});
+            }
+          };
+          rs.batch([
+            { method: 'delete', path: '/a' },
+            { method: 'put', path: '/b', body: 'b', contentType: 'text/plain' },
+            { method: 'put', path: '/c', body: 'c', contentType: 'text/plain' }
+          ]).then(function(r) {
+            test.assertAnd(r.statusCode, 412);
+            test.assert(requests, ['delete /a', 'put /b']);
+          });
+        }
+      },
+
       {
         desc: "maxAge defaults to false when not connected",
         run: function(env, test) {
@@ -504,6 +548,381 @@ define(['bluebird', 'requirejs', 'tv4'], function (Promise, requirejs, tv4) {
         }
       },
     ]
+  },
+
+  {
+    name: "remoteStorage",
+    desc: "the RemoteStorage instance - choosing the caching backend",
+    setup: function(env, test) {
+      require('./src/remotestorage');
+      if (global.rs_rs) {
+        global.RemoteStorage = global.rs_rs;
+      } else {
+        global.rs_rs = RemoteStorage;
+      }
+
+      require('./src/util');
+      if (global.rs_util) {
+        RemoteStorage.util = global.rs_util;
+      } else {
+        global.rs_util = RemoteStorage.util;
+      }
+
+      require('./src/eventhandling');
+      if (global.rs_eventhandling) {
+        RemoteStorage.eventHandling = global.rs_eventhandling;
+      } else {
+        global.rs_eventhandling = RemoteStorage.eventHandling;
+      }
+
+      require('./src/cachinglayer');
+      if (global.rs_cachinglayer) {
+        RemoteStorage.cachingLayer = global.rs_cachinglayer;
+      } else {
+        global.rs_cachinglayer = RemoteStorage.cachingLayer;
+      }
+
+      require('./src/inmemorystorage');
+      if (global.rs_ims) {
+        RemoteStorage.InMemoryStorage = global.rs_ims;
+      } else {
+        global.rs_ims = RemoteStorage.InMemoryStorage;
+      }
+
+      require('./src/localstorage');
+      if (global.rs_LocalStorage) {
+        RemoteStorage.LocalStorage = global.rs_LocalStorage;
+      } else {
+        global.rs_LocalStorage = RemoteStorage.LocalStorage;
+      }
+
+      global.localStorage = {};
+      RemoteStorage.prototype.remote = new FakeRemote(false);
+      RemoteStorage.prototype.caching = { historyDepth: function() {} };
+      test.done();
+    },
+
+    tests: [
+      {
+        desc: "the first available caching backend is used by default",
+        run: function(env, test) {
+          var rs = new RemoteStorage();
+          rs.on('features-loaded', function() {
+            test.assert(rs.local instanceof RemoteStorage.LocalStorage, true);
+          });
+        }
+      },
+
+      {
+        desc: "cacheBackend picks a caching backend by name",
+        run: function(env, test) {
+          var rs = new RemoteStorage({ cacheBackend: 'InMemoryStorage' });
+          rs.on('features-loaded', function() {
+            test.assert(rs.local instanceof RemoteStorage.InMemoryStorage, true);
+          });
+        }
+      },
+
+      {
+        desc: "the default order is used when the chosen caching backend isn't available",
+        run: function(env, test) {
+          var rs = new RemoteStorage({ cacheBackend: 'IndexedDB' });
+          rs.on('features-loaded', function() {
+            test.assert(rs.local instanceof RemoteStorage.LocalStorage, true);
+          });
+        }
+      },
+
+      {
+        desc: "cacheName is passed to the caching backend",
+        run: function(env, test) {
+          var rs = new RemoteStorage({ cacheBackend: 'LocalStorage', cacheName: 'otherapp' });
+          rs.on('features-loaded', function() {
+            rs.local.put('/foo', 'bar', 'text/plain').then(function() {
+              test.assertType(global.localStorage['otherapp:cache:nodes:/foo'], 'string');
+            });
+          });
+        }
+      },
+
+      {
+        desc: "cacheBackend can be a custom implementation, which is cleared on disconnect",
+        run: function(env, test) {
+          var nodes = {};
+          var cleared = false;
+          var cache = {
+            getNodes: function(paths) {
+              var result = {};
+              paths.forEach(function(path) { result[path] = nodes[path]; });
+              return Promise.resolve(result);
+            },
+            setNodes: function(changes) {
+              for (var path in changes) {
+                nodes[path] = changes[path];
+              }
+              return Promise.resolve();
+            },
+            forAllNodes: function() {
+              return Promise.resolve();
+            },
+            clear: function() {
+              cleared = true;
+            }
+          };
+          var rs = new RemoteStorage({ cacheBackend: cache });
+
+          // The features are loaded again after disconnecting
+          rs.on('features-loaded', function onLoaded() {
+            rs.removeEventListener('features-loaded', onLoaded);
+            test.assertAnd(rs.local, cache);
+            rs.local.put('/foo', 'bar', 'text/plain').then(function() {
+              test.assertAnd(nodes['/foo'].local.body, 'bar');
+              rs.on('disconnected', function() {
+                test.assertAnd(cleared, true);
+                test.assert(rs.local, cache);
+              });
+              rs.disconnect();
+            });
+          });
+        }
+      },
+
+      {
+        desc: "a custom cacheBackend with a get method of its own gets the caching layer as well",
+        run: function(env, test) {
+          var cache = {
+            get: function() {},
+            getNodes: function() { return Promise.resolve({}); },
+            setNodes: function() { return Promise.resolve(); },
+            forAllNodes: function() { return Promise.resolve(); }
+          };
+          var rs = new RemoteStorage({ cacheBackend: cache });
+
+          rs.on('features-loaded', function() {
+            test.assert(typeof(rs.local.onHistoryDepth), 'function');
+          });
+        }
+      },
+
+      {
+        desc: "the built-in caching backends aren't cleared on disconnect with a custom cacheBackend",
+        run: function(env, test) {
+          var cleanups = [];
+          var originals = {
+            LocalStorage: RemoteStorage.LocalStorage._rs_cleanup,
+            InMemoryStorage: RemoteStorage.InMemoryStorage._rs_cleanup
+          };
+          Object.keys(originals).forEach(function(name) {
+            RemoteStorage[name]._rs_cleanup = function() {
+              cleanups.push(name);
+            };
+          });
+          var rs = new RemoteStorage({ cacheBackend: {
+            getNodes: function() { return Promise.resolve({}); },
+            setNodes: function() { return Promise.resolve(); },
+            forAllNodes: function() { return Promise.resolve(); }
+          } });
+
+          rs.on('features-loaded', function onLoaded() {
+            rs.removeEventListener('features-loaded', onLoaded);
+            rs.on('disconnected', function() {
+              Object.keys(originals).forEach(function(name) {
+                RemoteStorage[name]._rs_cleanup = originals[name];
+              });
+              test.assert(cleanups, []);
+            });
+            rs.disconnect();
+          });
+        }
+      }
+    ]
+  });
+
+  suites.push({
+    name: "remoteStorage",
+    desc: "the RemoteStorage instance - accounts",
+    setup: function(env, test) {
+      require('./src/remotestorage');
+      if (global.rs_rs) {
+        global.RemoteStorage = global.rs_rs;
+      } else {
+        global.rs_rs = RemoteStorage;
+      }
+
+      require('./src/util');
+      if (global.rs_util) {
+        RemoteStorage.util = global.rs_util;
+      } else {
+        global.rs_util = RemoteStorage.util;
+      }
+
+      require('./src/eventhandling');
+      if (global.rs_eventhandling) {
+        RemoteStorage.eventHandling = global.rs_eventhandling;
+      } else {
+        global.rs_eventhandling = RemoteStorage.eventHandling;
+      }
+
+      require('./src/cachinglayer');
+      if (global.rs_cachinglayer) {
+        RemoteStorage.cachingLayer = global.rs_cachinglayer;
+      } else {
+        global.rs_cachinglayer = RemoteStorage.cachingLayer;
+      }
+
+      require('./src/inmemorystorage');
+      if (global.rs_ims) {
+        RemoteStorage.InMemoryStorage = global.rs_ims;
+      } else {
+        global.rs_ims = RemoteStorage.InMemoryStorage;
+      }
+
+      require('./src/localstorage');
+      if (global.rs_LocalStorage) {
+        RemoteStorage.LocalStorage = global.rs_LocalStorage;
+      } else {
+        global.rs_LocalStorage = RemoteStorage.LocalStorage;
+      }
+
+      require('./src/sqlitestorage');
+      if (global.rs_sqlite) {
+        RemoteStorage.SQLiteStorage = global.rs_sqlite;
+      } else {
+        global.rs_sqlite = RemoteStorage.SQLiteStorage;
+      }
+
+      global.localStorage = {};
+      RemoteStorage.prototype.remote = new FakeRemote(false);
+      RemoteStorage.prototype.caching = { historyDepth: function() {} };
+      test.done();
+    },
+
+    beforeEach: function(env, test) {
+      global.localStorage = {};
+      env.rs = new RemoteStorage({ cacheBackend: 'LocalStorage' });
+      test.done();
+    },
+
+    tests: [
+      {
+        desc: "#addAccount returns a RemoteStorage instance for the account",
+        run: function(env, test) {
+          var work = env.rs.addAccount('work');
+
+          test.assertAnd(work instanceof RemoteStorage, true);
+          test.assertAnd(work.accountName, 'work');
+          test.assertAnd(env.rs.accounts, { work: work });
+          test.assert(env.rs.addAccount('work'), work);
+        }
+      },
+
+      {
+        desc: "#addAccount fails for invalid account names",
+        run: function(env, test) {
+          try {
+            env.rs.addAccount('my work');
+            test.result(false, 'addAccount should have thrown');
+          } catch (e) {
+            test.assert(e.message, "Account name must only consist of letters, digits, '-' and '_'");
+          }
+        }
+      },
+
+      {
+        desc: "accounts have a cache of their own",
+        run: function(env, test) {
+          var work = env.rs.addAccount('work');
+
+          test.assertAnd(work.cacheName, 'remotestorage-work');
+          work.on('features-loaded', function() {
+            test.assertAnd(work.local instanceof RemoteStorage.LocalStorage, true);
+            work.local.put('/foo', 'bar', 'text/plain').then(function() {
+              test.assertTypeAnd(global.localStorage['remotestorage-work:cache:nodes:/foo'], 'string');
+              test.assertType(global.localStorage['remotestorage:cache:nodes:/foo'], 'undefined');
+            });
+          });
+        }
+      },
+
+      {
+        desc: "#addAccount accepts caching options for the account",
+        run: function(env, test) {
+          var work = env.rs.addAccount('work', { cacheBackend: 'InMemoryStorage', cacheName: 'work' });
+
+          test.assertAnd(work.cacheName, 'work');
+          work.on('features-loaded', function() {
+            test.assert(work.local instanceof RemoteStorage.InMemoryStorage, true);
+          });
+        }
+      },
+
+      {
+        desc: "accounts store their settings under their own keys",
+        run: function(env, test) {
+          var work = env.rs.addAccount('work');
+
+          work.setBackend('dropbox');
+          test.assertAnd(global.localStorage['remotestorage:backend'], 'remotestorage');
+          test.assertAnd(global.localStorage['remotestorage:backend@work'], 'dropbox');
+          test.assert(env.rs.addAccount('other').backend, 'remotestorage');
+        }
+      },
+
+      {
+        desc: "accounts keep their nodes apart in a shared SQLite database",
+        run: function(env, test) {
+          var main, work;
+
+          function featuresLoaded(rs) {
+            return new Promise(function(resolve) {
+              rs.on('features-loaded', resolve);
+            });
+          }
+
+          sqlite.createDriver().then(function(driver) {
+            RemoteStorage.SQLiteStorage.driver = driver;
+            main = new RemoteStorage({ cacheBackend: 'SQLiteStorage' });
+            work = main.addAccount('work');
+            return Promise.all([featuresLoaded(main), featuresLoaded(work)]);
+          }).then(function() {
+            test.assertAnd(work.local instanceof RemoteStorage.SQLiteStorage, true);
+            return Promise.all([
+              main.local.put('/foo', 'main', 'text/plain'),
+              work.local.put('/foo', 'work', 'text/plain')
+            ]);
+          }).then(function() {
+            return Promise.all([main.local.get('/foo'), work.local.get('/foo')]);
+          }).then(function(results) {
+            test.assertAnd(results[0].body, 'main');
+            test.assertAnd(results[1].body, 'work');
+
+            return new Promise(function(resolve) {
+              work.on('disconnected', function() {
+                setTimeout(resolve, 10);
+              });
+              main.removeAccount('work');
+            });
+          }).then(function() {
+            return main.local.get('/foo');
+          }).then(function(r) {
+            RemoteStorage.SQLiteStorage.driver = null;
+            test.assert(r.body, 'main');
+          });
+        }
+      },
+
+      {
+        desc: "#removeAccount disconnects the account",
+        run: function(env, test) {
+          var work = env.rs.addAccount('work');
+
+          work.disconnect = function() {
+            test.assert(env.rs.accounts, {});
+          };
+          env.rs.removeAccount('work');
+        }
+      }
+    ]
   });
 
   return suites;
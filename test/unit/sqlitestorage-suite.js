@@ -0,0 +1,374 @@
+if (typeof(define) !== 'function') {
+  var define = require('amdefine')(module);
+}
+define(['bluebird', 'requirejs', 'test/helpers/sqlite'], function (Promise, requirejs, sqlite) {
+  global.Promise = Promise;
+
+  var suites = [];
+
+  function queryPlan(driver, sql, params) {
+    var statement = driver.db.prepare('EXPLAIN QUERY PLAN ' + sql);
+    var details = [];
+
+    statement.bind(params);
+    while (statement.step()) {
+      details.push(statement.getAsObject().detail);
+    }
+    statement.free();
+    return details.join('\n');
+  }
+
+  suites.push({
+    name: 'SQLiteStorage',
+    desc: 'SQLite caching layer',
+
+    setup: function (env, test) {
+      global.RemoteStorage = function () {};
+      global.RemoteStorage.log = function () {};
+      global.RemoteStorage.config = {
+        changeEvents: { local: true, window: false, remote: true, conflict: true }
+      };
+
+      require('src/util');
+      if (global.rs_util) {
+        RemoteStorage.util = global.rs_util;
+      } else {
+        global.rs_util = RemoteStorage.util;
+      }
+
+      require('src/eventhandling.js');
+      if ( global.rs_eventhandling ) {
+        RemoteStorage.eventHandling = global.rs_eventhandling;
+      } else {
+        global.rs_eventhandling = RemoteStorage.eventHandling;
+      }
+
+      require('src/cachinglayer.js');
+      if (global.rs_cachinglayer) {
+        RemoteStorage.cachingLayer = global.rs_cachinglayer;
+      } else {
+        global.rs_cachinglayer = RemoteStorage.cachingLayer;
+      }
+
+      require('src/sqlitestorage.js');
+      if (global.rs_sqlite) {
+        RemoteStorage.SQLiteStorage = global.rs_sqlite;
+      } else {
+        global.rs_sqlite = RemoteStorage.SQLiteStorage;
+      }
+
+      test.done();
+    },
+
+    beforeEach: function (env, test) {
+      sqlite.createDriver().then(function (driver) {
+        env.driver = driver;
+        env.storage = new RemoteStorage.SQLiteStorage(driver);
+        test.done();
+      });
+    },
+
+    afterEach: function (env, test) {
+      RemoteStorage.SQLiteStorage.driver = null;
+      delete global.sqlitePlugin;
+      test.done();
+    },
+
+    tests: [
+      {
+        desc: "_rs_supported is false unless a driver or the Cordova plugin is available",
+        run: function (env, test) {
+          test.assertAnd(RemoteStorage.SQLiteStorage._rs_supported(), false);
+
+          RemoteStorage.SQLiteStorage.driver = env.driver;
+          test.assertAnd(RemoteStorage.SQLiteStorage._rs_supported(), true);
+
+          RemoteStorage.SQLiteStorage.driver = null;
+          global.sqlitePlugin = {};
+          test.assert(RemoteStorage.SQLiteStorage._rs_supported(), true);
+        }
+      },
+
+      {
+        desc: "the constructor fails without a driver",
+        run: function (env, test) {
+          try {
+            new RemoteStorage.SQLiteStorage();
+            test.result(false, 'constructor should have thrown');
+          } catch (e) {
+            test.assert(e.message, 'No SQLite driver available');
+          }
+        }
+      },
+
+      {
+        desc: "instances use RemoteStorage.SQLiteStorage.driver by default",
+        run: function (env, test) {
+          RemoteStorage.SQLiteStorage.driver = env.driver;
+
+          var storage = new RemoteStorage.SQLiteStorage();
+          test.assertAnd(storage.driver, env.driver);
+
+          RemoteStorage.SQLiteStorage._rs_init({}).then(function () {
+            return storage.setNodes({ '/foo': { path: '/foo', local: { body: 'bar' } } });
+          }).then(function () {
+            return env.storage.getNodes(['/foo']);
+          }).then(function (nodes) {
+            test.assert(nodes['/foo'].local.body, 'bar');
+          });
+        }
+      },
+
+      {
+        desc: "#setNodes stores the parent folder of each node",
+        run: function (env, test) {
+          env.storage.setNodes({
+            '/': { path: '/' },
+            '/foo/': { path: '/foo/' },
+            '/foo/bar': { path: '/foo/bar' }
+          }).then(function () {
+            return env.driver.query('SELECT path, parent FROM nodes ORDER BY path', []);
+          }).then(function (rows) {
+            test.assert(rows, [
+              { path: '/', parent: null },
+              { path: '/foo/', parent: '/' },
+              { path: '/foo/bar', parent: '/foo/' }
+            ]);
+          });
+        }
+      },
+
+      {
+        desc: "#setNodes updates and deletes nodes in one transaction",
+        run: function (env, test) {
+          env.storage.setNodes({
+            '/foo': { path: '/foo', local: { body: 'one' } },
+            '/bar': { path: '/bar', local: { body: 'two' } }
+          }).then(function () {
+            return env.storage.setNodes({
+              '/foo': undefined,
+              '/bar': { path: '/bar', local: { body: 'three' } }
+            });
+          }).then(function () {
+            return env.storage.getNodes(['/foo', '/bar', '/baz']);
+          }).then(function (nodes) {
+            test.assert(nodes, {
+              '/foo': undefined,
+              '/bar': { path: '/bar', local: { body: 'three' } },
+              '/baz': undefined
+            });
+          });
+        }
+      },
+
+      {
+        desc: "a failing #setNodes doesn't change any node",
+        run: function (env, test) {
+          var transaction = env.driver.transaction;
+
+          env.storage.setNodes({
+            '/foo': { path: '/foo', local: { body: 'one' } }
+          }).then(function () {
+            env.driver.transaction = function (statements) {
+              statements.push(['INSERT INTO nodes (path) VALUES (?)', ['/broken']]);
+              return transaction.call(this, statements);
+            };
+
+            return env.storage.setNodes({
+              '/foo': undefined,
+              '/bar': { path: '/bar', local: { body: 'two' } }
+            });
+          }).then(function () {
+            test.result(false, 'setNodes should have failed');
+          }, function () {
+            env.driver.transaction = transaction;
+            return env.storage.getNodes(['/foo', '/bar']);
+          }).then(function (nodes) {
+            test.assert(nodes, {
+              '/foo': { path: '/foo', local: { body: 'one' } },
+              '/bar': undefined
+            });
+          });
+        }
+      },
+
+      {
+        desc: "#getNodes fetches many paths in batches",
+        run: function (env, test) {
+          var nodes = {};
+          var paths = [];
+
+          for (var i = 0; i < 1200; i++) {
+            paths.push('/item' + i);
+            nodes['/item' + i] = { path: '/item' + i };
+          }
+
+          env.storage.setNodes(nodes).then(function () {
+            env.driver.statements = [];
+            return env.storage.getNodes(paths);
+          }).then(function (result) {
+            test.assertAnd(env.driver.statements.length, 3);
+            test.assertAnd(Object.keys(result).length, 1200);
+            test.assert(result['/item1199'], { path: '/item1199' });
+          });
+        }
+      },
+
+      {
+        desc: "binary bodies are read back as ArrayBuffers",
+        run: function (env, test) {
+          var view = new Uint8Array([0, 1, 2, 255, 0]).subarray(1, 4);
+
+          env.storage.setNodes({
+            '/image': { path: '/image', local: { body: view, contentType: 'image/png' } }
+          }).then(function () {
+            return env.storage.getNodes(['/image']);
+          }).then(function (nodes) {
+            var body = nodes['/image'].local.body;
+            test.assertAnd(body instanceof ArrayBuffer, true);
+            test.assert(Array.prototype.slice.call(new Uint8Array(body)), [1, 2, 255]);
+          });
+        }
+      },
+
+      {
+        desc: "#forAllNodesBelow only visits the nodes below the folder, using the primary key",
+        run: function (env, test) {
+          var paths = [];
+
+          env.storage.setNodes({
+            '/foo/': { path: '/foo/' },
+            '/foo/bar': { path: '/foo/bar' },
+            '/foo/baz/': { path: '/foo/baz/' },
+            '/foo/baz/qux': { path: '/foo/baz/qux' },
+            '/foobar': { path: '/foobar' },
+            '/foo0': { path: '/foo0' }
+          }).then(function () {
+            env.driver.statements = [];
+            return env.storage.forAllNodesBelow('/foo/', function (node) {
+              paths.push(node.path);
+            });
+          }).then(function () {
+            test.assertAnd(paths.sort(), ['/foo/bar', '/foo/baz/', '/foo/baz/qux']);
+            test.assert(/USING (INDEX sqlite_autoindex_nodes_1|PRIMARY KEY)/.test(
+              queryPlan(env.driver, env.driver.statements[0], ['/foo/', '/foo0'])), true);
+          });
+        }
+      },
+
+      {
+        desc: "#flush finds the descendent paths with the parent index",
+        run: function (env, test) {
+          env.storage.put('/foo/bar/baz', 'asdf', 'text/plain').then(function () {
+            return env.storage.put('/qux', 'asdf', 'text/plain');
+          }).then(function () {
+            env.driver.statements = [];
+            return env.storage._getAllDescendentPaths('/foo/');
+          }).then(function (paths) {
+            test.assertAnd(paths.sort(), ['/foo/', '/foo/bar/', '/foo/bar/baz']);
+            test.assertAnd(/USING (COVERING )?INDEX nodes_parent/.test(
+              queryPlan(env.driver, env.driver.statements[0], ['/foo/'])), true);
+            return env.storage.flush('/foo/');
+          }).then(function () {
+            return env.driver.query('SELECT path FROM nodes ORDER BY path', []);
+          }).then(function (rows) {
+            test.assert(rows.map(function (row) { return row.path; }), ['/', '/qux']);
+          });
+        }
+      },
+
+      {
+        desc: "_rs_init opens remotestorage.db with the Cordova plugin",
+        run: function (env, test) {
+          var statements = [];
+
+          global.sqlitePlugin = {
+            openDatabase: function (options) {
+              test.assertAnd(options.name, 'remotestorage.db');
+              return {
+                transaction: function (fn, error, success) {
+                  fn({
+                    executeSql: function (sql, params) {
+                      statements.push(sql);
+                    }
+                  });
+                  success();
+                }
+              };
+            }
+          };
+
+          RemoteStorage.SQLiteStorage._rs_init({}).then(function () {
+            test.assertAnd(statements.length, 2);
+            test.assert(/^CREATE TABLE IF NOT EXISTS nodes/.test(statements[0]), true);
+          });
+        }
+      },
+
+      {
+        desc: "_rs_init opens a database named after the cache name with the Cordova plugin",
+        run: function (env, test) {
+          var names = [];
+
+          global.sqlitePlugin = {
+            openDatabase: function (options) {
+              names.push(options.name);
+              return {
+                transaction: function (fn, error, success) {
+                  fn({ executeSql: function () {} });
+                  success();
+                }
+              };
+            }
+          };
+
+          RemoteStorage.SQLiteStorage._rs_init({ cacheName: 'otherapp' }).then(function () {
+            var storage = new RemoteStorage.SQLiteStorage('otherapp');
+            test.assertAnd(names, ['otherapp.db']);
+            test.assert(typeof(storage.driver.query), 'function');
+          });
+        }
+      },
+
+      {
+        desc: "cordovaDriver resolves queries with row objects",
+        run: function (env, test) {
+          var driver = RemoteStorage.SQLiteStorage.cordovaDriver({
+            executeSql: function (sql, params, success, error) {
+              test.assertAnd(sql, 'SELECT path, node FROM nodes WHERE path IN (?)');
+              test.assertAnd(params, ['/foo']);
+              success({
+                rows: {
+                  length: 1,
+                  item: function (i) { return { path: '/foo', node: '{"path":"/foo"}' }; }
+                }
+              });
+            }
+          });
+
+          driver.query('SELECT path, node FROM nodes WHERE path IN (?)', ['/foo']).then(function (rows) {
+            test.assert(rows, [{ path: '/foo', node: '{"path":"/foo"}' }]);
+          });
+        }
+      },
+
+      {
+        desc: "_rs_cleanup removes all nodes",
+        run: function (env, test) {
+          env.storage.setNodes({
+            '/foo': { path: '/foo' },
+            '/bar': { path: '/bar' }
+          }).then(function () {
+            return RemoteStorage.SQLiteStorage._rs_cleanup({ local: env.storage });
+          }).then(function () {
+            return env.driver.query('SELECT COUNT(*) AS count FROM nodes', []);
+          }).then(function (rows) {
+            test.assert(rows[0].count, 0);
+          });
+        }
+      }
+    ]
+  });
+
+  return suites;
+});
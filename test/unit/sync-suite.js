@@ -62,6 +62,13 @@ define(['bluebird', 'test/helpers/mocks', 'requirejs'], function(Promise, mocks,
         global.rs_ims = RemoteStorage.InMemoryStorage;
       }
 
+      require('./src/wireclient.js');
+      if (global.rs_wireclient) {
+        RemoteStorage.WireClient = global.rs_wireclient;
+      } else {
+        global.rs_wireclient = RemoteStorage.WireClient;
+      }
+
       require('./src/sync.js');
       if (global.rs_sync) {
         RemoteStorage.Sync = global.rs_sync;
@@ -69,6 +76,13 @@ define(['bluebird', 'test/helpers/mocks', 'requirejs'], function(Promise, mocks,
         global.rs_sync = RemoteStorage.Sync;
       }
 
+      require('./src/env.js');
+      if (global.rs_env) {
+        RemoteStorage.Env = global.rs_env;
+      } else {
+        global.rs_env = RemoteStorage.Env;
+      }
+
       require('./src/authorize.js');
       if (global.rs_authorize) {
         RemoteStorage.Authorize = global.rs_authorize;
@@ -97,6 +111,11 @@ define(['bluebird', 'test/helpers/mocks', 'requirejs'], function(Promise, mocks,
       test.done();
     },
 
+    afterEach: function(env, test) {
+      env.rs.sync.cancelRetryTimer();
+      test.done();
+    },
+
     tests: [
       {
         desc: "getParentPath works correctly",
@@ -178,6 +197,30 @@ define(['bluebird', 'test/helpers/mocks', 'requirejs'], function(Promise, mocks,
           }
         }
       },
+      {
+        desc: "setConflictResolver sets the resolver for a path and its children",
+        run: function(env, test) {
+          env.rs.setConflictResolver('/foo/', 'local-wins');
+          env.rs.setConflictResolver('/foo/bar/baz', 'last-timestamp-wins');
+
+          test.assertAnd(env.rs.sync.getConflictResolver('/foo/bar/qux'), 'local-wins');
+          test.assertAnd(env.rs.sync.getConflictResolver('/foo/bar/baz'), 'last-timestamp-wins');
+          test.assert(env.rs.sync.getConflictResolver('/qux'), 'json-merge');
+        }
+      },
+
+      {
+        desc: "setConflictResolver throws an error for unknown strategies",
+        run: function(env, test) {
+          try {
+            env.rs.setConflictResolver('/foo/', 'mine-wins');
+            test.result(false, "setConflictResolver() didn't fail");
+          } catch(e) {
+            test.result(true);
+          }
+        }
+      },
+
       {
         desc: "Sync calls doTasks, and goes to collectTasks only if necessary",
         run: function(env, test) {
@@ -253,7 +296,6 @@ define(['bluebird', 'test/helpers/mocks', 'requirejs'], function(Promise, mocks,
       {
         desc: "collectRefreshTasks gives preference to caching parent",
         run: function(env, test) {
-          var tmpForAllNodes = env.rs.local.forAllNodes;
           var tmpNow = env.rs.sync.now;
 
           test.assertAnd(env.rs.sync._tasks, {});
@@ -263,53 +305,166 @@ define(['bluebird', 'test/helpers/mocks', 'requirejs'], function(Promise, mocks,
             return 1234568654321;
           };
 
-          env.rs.local.forAllNodes = function(cb) {
-            cb({
+          env.rs.local.setNodes({
+            '/foo/ba/and/then/some/sub/path': {
               path: '/foo/ba/and/then/some/sub/path', //should be overruled by ancestor /foo/ba/
               common: {
                 body: 'off',
                 contentType: 'cT',
                 timestamp: 1234567890123
               }
-            });
-            cb({
+            },
+            '/foo/ba/': {
               path: '/foo/ba/', //should retrieve /foo/ to get its new revision
               common: {
                 body: 'off',
                 contentType: 'cT',
                 timestamp: 1234567890124
               }
-            });
-            cb({
+            },
+            '/read/access/': {
               path: '/read/access/', // should retrieve
               common: {
                 body: 'off',
                 contentType: 'cT',
                 timestamp: 1234567890124
               }
-            });
-            cb({
+            },
+            '/no/access/': {
               path: '/no/access/', // no access
               common: {
                 body: 'off',
                 contentType: 'cT',
                 timestamp: 1234567890124
               }
+            }
+          }).then(function() {
+            return env.rs.sync.collectRefreshTasks();
+          }).then(function() {
+            test.assertAnd(env.rs.sync._tasks, {
+              '/foo/': [],
+              '/read/access/': []
             });
-            return Promise.resolve();
+            env.rs.sync.now = tmpNow;
+            test.done();
+          });
+        }
+      },
+      {
+        desc: "collectRefreshTasks refreshes folders below a caching root through the root",
+        run: function(env, test) {
+          env.rs.caching.cachedRootPaths = function() {
+            return ['/foo/', '/foo/ba/', '/no/'];
+          };
+          env.rs.sync.now = function() {
+            return 1234568654321;
           };
 
-          env.rs.sync.collectRefreshTasks().then(function() {
+          env.rs.local.setNodes({
+            '/foo/ba/and/some/path': {
+              path: '/foo/ba/and/some/path',
+              common: { body: 'off', contentType: 'cT', timestamp: 1234567890123 }
+            },
+            '/read/access/': {
+              path: '/read/access/',
+              common: { itemsMap: {}, timestamp: 1234567890123 }
+            }
+          }).then(function() {
+            return env.rs.sync.collectRefreshTasks();
+          }).then(function() {
             test.assertAnd(env.rs.sync._tasks, {
               '/foo/': [],
               '/read/access/': []
             });
-            env.rs.local.forAllNodes = tmpForAllNodes;
-            env.rs.sync.now = tmpNow;
-            test.done();
+            test.assert(env.rs.sync.getPriority('/foo/'), 'refresh');
           });
         }
       },
+
+      {
+        desc: "a 304 response for a folder marks everything below it as fresh",
+        run: function(env, test) {
+          env.rs.caching._responses['/foo/'] = 'ALL';
+          env.rs.sync.now = function() {
+            return 1234568654321;
+          };
+
+          env.rs.local.setNodes({
+            '/foo/': {
+              path: '/foo/',
+              common: { itemsMap: { 'ba/': true }, revision: 'foo1', timestamp: 1234567890123 }
+            },
+            '/foo/ba/': {
+              path: '/foo/ba/',
+              common: { itemsMap: { 'baz': true }, revision: 'ba1', timestamp: 1234567890123 }
+            },
+            '/foo/ba/baz': {
+              path: '/foo/ba/baz',
+              common: { body: 'off', contentType: 'cT', revision: 'baz1', timestamp: 1234567890123 }
+            }
+          }).then(function() {
+            return env.rs.local.getFoldersDueForRefresh(1234568644321);
+          }).then(function(folders) {
+            test.assertAnd(folders.sort(), ['/', '/foo/', '/foo/ba/']);
+            return env.rs.sync.handleResponse('/foo/', 'get', { statusCode: 304 });
+          }).then(function() {
+            return env.rs.local.getFoldersDueForRefresh(1234568644321);
+          }).then(function(folders) {
+            test.assert(folders, ['/']);
+          });
+        }
+      },
+
+      {
+        desc: "after fetching a changed folder, only the folders with a new ETag are fetched",
+        run: function(env, test) {
+          ['/foo/', '/foo/a/', '/foo/b/'].forEach(function(path) {
+            env.rs.caching._responses[path] = 'ALL';
+          });
+          env.rs.sync.now = function() {
+            return 1234568654321;
+          };
+
+          env.rs.local.setNodes({
+            '/foo/': {
+              path: '/foo/',
+              common: { itemsMap: { 'a/': true, 'b/': true }, revision: 'foo1', timestamp: 1234567890123 }
+            },
+            '/foo/a/': {
+              path: '/foo/a/',
+              common: { itemsMap: { 'x': true }, revision: 'a1', timestamp: 1234567890123 }
+            },
+            '/foo/a/x': {
+              path: '/foo/a/x',
+              common: { body: 'x', contentType: 'cT', revision: 'x1', timestamp: 1234567890123 }
+            },
+            '/foo/b/': {
+              path: '/foo/b/',
+              common: { itemsMap: { 'y': true }, revision: 'b1', timestamp: 1234567890123 }
+            },
+            '/foo/b/y': {
+              path: '/foo/b/y',
+              common: { body: 'y', contentType: 'cT', revision: 'y1', timestamp: 1234567890123 }
+            }
+          }).then(function() {
+            return env.rs.sync.handleResponse('/foo/', 'get', {
+              statusCode: 200,
+              body: { 'a/': { ETag: 'a1' }, 'b/': { ETag: 'b2' } },
+              revision: 'foo2'
+            });
+          }).then(function() {
+            return env.rs.local.getFoldersDueForRefresh(1234568644321);
+          }).then(function(folders) {
+            test.assertAnd(folders.indexOf('/foo/a/'), -1);
+            test.assertAnd(folders.indexOf('/foo/b/') !== -1, true);
+            return env.rs.sync.collectDiffTasks();
+          }).then(function() {
+            test.assertAnd(env.rs.sync._tasks, { '/foo/b/': [] });
+            test.assert(env.rs.sync.getPriority('/foo/b/'), 'refresh');
+          });
+        }
+      },
+
       {
         desc: "go through the request-queue with 4-8 requests at a time",
         run: function(env, test) {
@@ -361,6 +516,251 @@ define(['bluebird', 'test/helpers/mocks', 'requirejs'], function(Promise, mocks,
         }
       },
 
+      {
+        desc: "doTasks starts tasks in the order of their priority",
+        run: function(env, test) {
+          env.rs.sync.doTask = function() {
+            return new Promise(function() {});
+          };
+          env.rs.sync.numThreads = 3;
+          env.rs.sync.remote.connected = true;
+          env.rs.sync.remote.online = true;
+
+          env.rs.sync.addTask('/foo/prefetched', undefined, 'prefetch');
+          env.rs.sync.addTask('/foo/');
+          env.rs.sync.addTask('/foo/changed', undefined, 'push');
+          env.rs.sync.addTask('/foo/requested', undefined, 'interactive');
+          env.rs.sync.doTasks();
+
+          test.assert(Object.keys(env.rs.sync._running), ['/foo/requested', '/foo/changed', '/foo/']);
+        }
+      },
+
+      {
+        desc: "doTasks limits the number of requests per priority",
+        run: function(env, test) {
+          env.rs.sync.doTask = function() {
+            return new Promise(function() {});
+          };
+          env.rs.sync.numThreads = 5;
+          env.rs.sync.numThreadsPerPriority = { prefetch: 2 };
+          env.rs.sync.remote.connected = true;
+          env.rs.sync.remote.online = true;
+
+          ['/foo/a', '/foo/b', '/foo/c', '/foo/d'].forEach(function(path) {
+            env.rs.sync.addTask(path, undefined, 'prefetch');
+          });
+          env.rs.sync.doTasks();
+          test.assertAnd(Object.keys(env.rs.sync._running), ['/foo/a', '/foo/b']);
+
+          env.rs.sync.addTask('/foo/requested', undefined, 'interactive');
+          env.rs.sync.doTasks();
+          test.assert(Object.keys(env.rs.sync._running), ['/foo/a', '/foo/b', '/foo/requested']);
+        }
+      },
+
+      {
+        desc: "addTask keeps the higher priority of a queued path",
+        run: function(env, test) {
+          env.rs.sync.addTask('/foo/bar', undefined, 'prefetch');
+          test.assertAnd(env.rs.sync.getPriority('/foo/bar'), 'prefetch');
+          env.rs.sync.addTask('/foo/bar', undefined, 'interactive');
+          test.assertAnd(env.rs.sync.getPriority('/foo/bar'), 'interactive');
+          env.rs.sync.addTask('/foo/bar');
+          test.assertAnd(env.rs.sync.getPriority('/foo/bar'), 'interactive');
+          test.assert(env.rs.sync.getPriority('/foo/baz'), 'refresh');
+        }
+      },
+
+      {
+        desc: "prioritizeSync bumps a path to the interactive priority",
+        run: function(env, test) {
+          env.rs.sync.doTask = function() {
+            return new Promise(function() {});
+          };
+          env.rs.sync.addTask('/foo/bar', undefined, 'prefetch');
+          env.rs.prioritizeSync('/foo/bar');
+          test.assertAnd(env.rs.sync.getPriority('/foo/bar'), 'interactive');
+          env.rs.prioritizeSync('/foo/baz', 'push');
+          test.assertAnd(env.rs.sync._tasks['/foo/baz'], []);
+          test.assertAnd(env.rs.sync.getPriority('/foo/baz'), 'push');
+          try {
+            env.rs.prioritizeSync('/foo/baz', 'urgent');
+            test.result(false, "prioritizeSync() didn't fail");
+          } catch(e) {
+            test.assert(e.message, "priority should be one of 'interactive', 'push', 'refresh', 'prefetch'");
+          }
+        }
+      },
+
+      {
+        desc: "collectDiffTasks queues pushes before downloads for caching",
+        run: function(env, test) {
+          env.rs.local.setNodes({
+            '/foo/new': {
+              path: '/foo/new',
+              common: { timestamp: 1234567890123 },
+              remote: { revision: '123', timestamp: 1234567890123 }
+            },
+            '/foo/changed': {
+              path: '/foo/changed',
+              common: { body: 'a', contentType: 'text/plain', revision: '456', timestamp: 1234567890123 },
+              local: { body: 'b', contentType: 'text/plain', timestamp: 1234567891000 }
+            }
+          }).then(function() {
+            return env.rs.sync.collectDiffTasks();
+          }).then(function() {
+            test.assertAnd(env.rs.sync.getPriority('/foo/new'), 'prefetch');
+            test.assert(env.rs.sync.getPriority('/foo/changed'), 'push');
+          });
+        }
+      },
+
+      {
+        desc: "collectDiffTasks only queues pushes and conflicts that aren't binary in metered mode",
+        run: function(env, test) {
+          env.rs.sync.metered = true;
+          env.rs.local.setNodes({
+            '/foo/new': {
+              path: '/foo/new',
+              common: { timestamp: 1234567890123 },
+              remote: { revision: '123', timestamp: 1234567890123 }
+            },
+            '/foo/bar/': {
+              path: '/foo/bar/',
+              common: { timestamp: 1234567890123 },
+              remote: { revision: '124', timestamp: 1234567890123 }
+            },
+            '/foo/changed': {
+              path: '/foo/changed',
+              common: { body: 'a', contentType: 'text/plain', revision: '456', timestamp: 1234567890123 },
+              local: { body: 'b', contentType: 'text/plain', timestamp: 1234567891000 }
+            },
+            '/foo/conflict': {
+              path: '/foo/conflict',
+              common: { body: 'a', contentType: 'text/plain', revision: '457', timestamp: 1234567890123 },
+              local: { body: 'b', contentType: 'text/plain', timestamp: 1234567891000 },
+              remote: { body: 'c', contentType: 'text/plain', revision: '458', timestamp: 1234567891000 }
+            },
+            '/foo/picture': {
+              path: '/foo/picture',
+              common: { body: 'a', contentType: 'image/png; charset=binary', revision: '459', timestamp: 1234567890123 },
+              local: { body: 'b', contentType: 'image/png; charset=binary', timestamp: 1234567891000 },
+              remote: { body: 'c', contentType: 'image/png; charset=binary', revision: '460', timestamp: 1234567891000 }
+            }
+          }).then(function() {
+            return env.rs.sync.collectDiffTasks();
+          }).then(function(num) {
+            test.assertAnd(num, 2);
+            test.assert(Object.keys(env.rs.sync._tasks).sort(), ['/foo/changed', '/foo/conflict']);
+          });
+        }
+      },
+
+      {
+        desc: "collectTasks doesn't look for remote changes in metered mode",
+        run: function(env, test) {
+          var collectRefreshTasksCalled = 0;
+          env.rs.sync.metered = true;
+          env.rs.sync.collectDiffTasks = function() {
+            return Promise.resolve(0);
+          };
+          env.rs.sync.collectRefreshTasks = function() {
+            collectRefreshTasksCalled++;
+            return Promise.resolve();
+          };
+
+          env.rs.sync.collectTasks().then(function() {
+            test.assert(collectRefreshTasksCalled, 0);
+          });
+        }
+      },
+
+      {
+        desc: "sync is done right away when there is nothing to do",
+        run: function(env, test) {
+          env.rs.sync.collectTasks = function() {
+            return Promise.resolve();
+          };
+          env.rs.sync.on('done', function() {
+            test.assert(env.rs.sync.hasTasks(), false);
+          });
+
+          env.rs.sync.sync();
+        }
+      },
+
+      {
+        desc: "sync is paused while offline and resumed when the network comes back",
+        run: function(env, test) {
+          var checkNetwork = RemoteStorage.Env._checkNetwork;
+          var syncs = 0;
+
+          RemoteStorage.Env._checkNetwork = function() {};
+          RemoteStorage.Env._rs_init(env.rs);
+          RemoteStorage.Env.goOffline();
+          env.rs.sync.sync = function() {
+            syncs++;
+          };
+          RemoteStorage.Sync._rs_init(env.rs);
+
+          env.rs._emit('ready');
+          test.assertAnd(syncs, 0);
+
+          RemoteStorage.Env.goOnline();
+          test.assertAnd(syncs, 1);
+          test.assertAnd(env.rs.remote.online, true);
+
+          env.rs._syncTimer = setTimeout(function() {
+            test.result(false, 'sync timer still running');
+          }, 100);
+          RemoteStorage.Env.goOffline();
+          test.assertAnd(env.rs.remote.online, false);
+          test.assertAnd(env.rs._syncTimer, undefined);
+
+          RemoteStorage.Env.setMetered(true);
+          test.assertAnd(env.rs.sync.metered, true);
+          RemoteStorage.Env.setMetered(false);
+          test.assertAnd(env.rs.sync.metered, false);
+
+          RemoteStorage.Sync._rs_cleanup(env.rs);
+          RemoteStorage.Env.goOnline();
+          RemoteStorage.Env._rs_cleanup(env.rs);
+          RemoteStorage.Env._checkNetwork = checkNetwork;
+          test.assert(syncs, 1);
+        }
+      },
+
+      {
+        desc: "visibility handlers are added once and removed on cleanup",
+        run: function(env, test) {
+          var isBrowser = RemoteStorage.Env.isBrowser;
+          var changes = 0;
+
+          RemoteStorage.Env.isBrowser = function() { return true; };
+          env.rs.getCurrentSyncInterval = function() { return 10000; };
+          env.rs.sync.sync = function() {};
+          env.rs.on('sync-interval-change', function() {
+            changes++;
+          });
+          RemoteStorage.Sync._rs_init(env.rs);
+
+          env.rs._emit('ready');
+          env.rs._emit('ready');
+          RemoteStorage.Env._emit('background');
+          test.assertAnd(changes, 1);
+
+          RemoteStorage.Env._emit('foreground');
+          test.assertAnd(changes, 2);
+
+          RemoteStorage.Sync._rs_cleanup(env.rs);
+          RemoteStorage.Env._emit('background');
+          RemoteStorage.Env._emit('foreground');
+          RemoteStorage.Env.isBrowser = isBrowser;
+          test.assert(changes, 2);
+        }
+      },
+
       {
         desc: "sync will attempt only one request, at low frequency, when not online",
         run: function(env, test) {
@@ -476,6 +876,306 @@ define(['bluebird', 'test/helpers/mocks', 'requirejs'], function(Promise, mocks,
         }
       },
 
+      {
+        desc: "getStatus counts queued and running tasks",
+        run: function(env, test) {
+          env.rs.caching._responses['/foo1/'] = 'ALL';
+          env.rs.caching._responses['/foo2/'] = 'ALL';
+          env.rs.remote._responses[['get', '/foo1/' ]] = {statusCode: 200, body: {}, revision: 'a'};
+          env.rs.remote._responses[['get', '/foo2/' ]] = {statusCode: 200, body: {}, revision: 'b'};
+          env.rs.sync.numThreads = 1;
+          env.rs.sync._tasks = {
+            '/foo1/': [],
+            '/foo2/': []
+          };
+
+          env.rs.sync.doTasks();
+
+          var status = env.rs.sync.getStatus();
+          test.assertAnd(status.queued, 1);
+          test.assertAnd(status.running, 1);
+          test.assertAnd(Object.keys(status.runningSince), ['/foo1/']);
+          test.assertAnd(typeof(status.runningSince['/foo1/']), 'number');
+          test.assertAnd(status.completed, 0);
+          test.assert(status.lastSyncedAt, undefined);
+        }
+      },
+
+      {
+        desc: "finished tasks update the status and emit progress events",
+        run: function(env, test) {
+          var progressEvents = [];
+          env.rs.caching._responses['/foo/'] = 'ALL';
+          env.rs.caching._responses['/foo/bar'] = 'ALL';
+          env.rs.remote._responses[['get', '/foo/bar' ]] =
+            {statusCode: 200, body: 'bäz', contentType: 'text/plain', revision: 'a'};
+          env.rs.sync._tasks = { '/foo/bar': [] };
+
+          env.rs.sync.on('progress', function(status) {
+            progressEvents.push(status);
+          });
+
+          env.rs.sync.on('done', function() {
+            var status = env.rs.sync.getStatus();
+            test.assertAnd(progressEvents.length, 2);
+            test.assertAnd(progressEvents[0].running, 1);
+            test.assertAnd(progressEvents[1].running, 0);
+            test.assertAnd(status.queued, 0);
+            test.assertAnd(status.completed, 1);
+            test.assertAnd(status.failed, 0);
+            test.assertAnd(status.bytesTransferred, 4);
+            test.assertAnd(status.errors, {});
+            test.assert(typeof(status.lastSyncedAt), 'number');
+          });
+
+          env.rs.sync.doTasks();
+        }
+      },
+
+      {
+        desc: "failed tasks are recorded with their last error",
+        run: function(env, test) {
+          env.rs.caching._responses['/foo/'] = 'ALL';
+          env.rs.remote._responses[['get', '/foo/' ]] = {statusCode: 500};
+          env.rs.sync._tasks = { '/foo/': [] };
+          env.rs.sync.lastSyncedAt = 1234567890123;
+
+          env.rs.sync.on('done', function() {
+            var status = env.rs.sync.getStatus();
+            test.assertAnd(status.queued, 1);
+            test.assertAnd(status.completed, 0);
+            test.assertAnd(status.failed, 1);
+            test.assertAnd(status.errors['/foo/'].action, 'get');
+            test.assertAnd(status.errors['/foo/'].error.message, 'HTTP response code 500 received.');
+            test.assert(status.lastSyncedAt, 1234567890123);
+          });
+
+          env.rs.sync.doTasks();
+        }
+      },
+
+      {
+        desc: "sync resets the progress counters",
+        run: function(env, test) {
+          env.rs.sync._progress.completed = 3;
+          env.rs.sync._progress.bytesTransferred = 123;
+          env.rs.sync.doTasks = function() { return true; };
+          env.rs.sync.sync().then(function() {
+            var status = env.rs.sync.getStatus();
+            test.assertAnd(status.completed, 0);
+            test.assert(status.bytesTransferred, 0);
+          });
+        }
+      },
+
+      {
+        desc: "stopSync aborts pending requests and leaves their tasks and the cache alone",
+        run: function(env, test) {
+          env.rs.remote.get = function(path, options) {
+            return new Promise(function(resolve, reject) {
+              options.abortHandle._onAbort(function() {
+                reject('aborted');
+              });
+            });
+          };
+          env.rs.sync.on('done', function() {
+            test.assertAnd(Object.keys(env.rs.sync._tasks), ['/foo/bar']);
+            test.assertAnd(env.rs.sync._running, {});
+            test.assertAnd(env.rs.sync._progress.failed, 0);
+            test.assertAnd(env.rs.sync._errors, {});
+            env.rs.local.getNodes(['/foo/bar']).then(function(nodes) {
+              test.assert(nodes['/foo/bar'], undefined);
+            });
+          });
+
+          env.rs.sync.addTask('/foo/bar');
+          env.rs.sync.doTasks();
+          setTimeout(function() {
+            env.rs.stopSync();
+          }, 10);
+        }
+      },
+
+      {
+        desc: "aborted requests don't mark the remote as online or start other tasks",
+        run: function(env, test) {
+          var requested = [];
+          env.rs.remote.online = false;
+          env.rs.sync.numThreads = 1;
+          env.rs.remote.get = function(path, options) {
+            requested.push(path);
+            return new Promise(function(resolve, reject) {
+              options.abortHandle._onAbort(function() {
+                reject('aborted');
+              });
+            });
+          };
+          env.rs.sync.on('done', function() {
+            setTimeout(function() {
+              test.assertAnd(env.rs.remote.online, false);
+              test.assertAnd(requested, ['/foo/bar']);
+              test.assert(env.rs.sync._progress.completed, 0);
+            }, 20);
+          });
+
+          env.rs.sync.addTask('/foo/bar');
+          env.rs.sync.addTask('/foo/baz');
+          env.rs.sync.doTasks();
+          setTimeout(function() {
+            env.rs.stopSync();
+          }, 10);
+        }
+      },
+
+      {
+        desc: "requests get a new abort handle once sync runs again",
+        run: function(env, test) {
+          var handle = env.rs.sync.requestOptions().abortHandle;
+          test.assertAnd(env.rs.sync.requestOptions({ ifMatch: 'x' }), { ifMatch: 'x', abortHandle: handle });
+
+          env.rs.stopSync();
+          test.assertAnd(handle.aborted, true);
+          test.assertAnd(env.rs.sync.requestOptions().abortHandle, handle);
+
+          env.rs.sync.stopped = false;
+          var newHandle = env.rs.sync.requestOptions().abortHandle;
+          test.assertAnd(newHandle === handle, false);
+          test.assert(newHandle.aborted, false);
+        }
+      },
+
+      {
+        desc: "a task that failed with a 5xx response is retried after a backoff delay",
+        run: function(env, test) {
+          var requests = 0;
+          env.rs.caching._responses['/foo/'] = 'ALL';
+          env.rs.remote._responses[['get', '/foo/' ]] = {statusCode: 503};
+          env.rs.sync.retryDelays = { 'server-error': 20 };
+          env.rs.sync._tasks = { '/foo/': [] };
+
+          env.rs.sync.on('req-done', function() {
+            requests++;
+            if (requests === 1) {
+              var status = env.rs.sync.getStatus();
+              test.assertAnd(status.retrying['/foo/'].attempts, 1);
+              test.assertAnd(status.retrying['/foo/'].reason, 'server-error');
+              test.assertAnd(env.rs.sync.isWaitingForRetry('/foo/'), true);
+              env.rs.remote._responses[['get', '/foo/' ]] = {statusCode: 200, body: {}, revision: 'a'};
+            } else if (requests === 2) {
+              test.assertAnd(env.rs.sync._tasks, {});
+              test.assert(env.rs.sync.getStatus().retrying, {});
+            }
+          });
+
+          env.rs.sync.doTasks();
+        }
+      },
+
+      {
+        desc: "retry delays grow exponentially with jitter, until sync gives up on the path",
+        run: function(env, test) {
+          var callbackCalled = false;
+          env.rs.sync.now = function() { return 1000; };
+          env.rs.sync._tasks = { '/foo/': [function() { callbackCalled = true; }] };
+
+          [1000, 2000, 4000, 8000].forEach(function(base, i) {
+            env.rs.sync.scheduleRetry('/foo/', { serverError: true });
+            var retry = env.rs.sync._retries['/foo/'];
+            test.assertAnd(retry.attempts, i + 1);
+            test.assertAnd(retry.retryAt >= 1000 + base && retry.retryAt <= 1000 + 2 * base, true);
+          });
+          test.assertAnd(callbackCalled, false);
+
+          env.rs.sync.scheduleRetry('/foo/', { serverError: true });
+          test.assertAnd(env.rs.sync.hasGivenUp('/foo/'), true);
+          test.assertAnd(env.rs.sync._tasks, {});
+          test.assertAnd(callbackCalled, true);
+          test.assert(env.rs.sync.getStatus().gaveUp, ['/foo/']);
+        }
+      },
+
+      {
+        desc: "a 429 response is retried after the delay from its Retry-After header",
+        run: function(env, test) {
+          env.rs.sync.now = function() { return 1000; };
+          env.rs.sync._tasks = { '/foo/': [] };
+          env.rs.sync.scheduleRetry('/foo/', env.rs.sync.interpretStatus(429), 60000);
+          test.assertAnd(env.rs.sync._retries['/foo/'].reason, 'rate-limited');
+          test.assert(env.rs.sync._retries['/foo/'].retryAt, 61000);
+        }
+      },
+
+      {
+        desc: "timeouts are retried, other failures are left to the next sync cycle",
+        run: function(env, test) {
+          env.rs.sync._tasks = { '/foo/': [], '/bar/': [] };
+          env.rs.sync.scheduleRetry('/foo/', env.rs.sync.interpretStatus('timeout'));
+          env.rs.sync.scheduleRetry('/bar/', env.rs.sync.interpretStatus(400));
+          test.assertAnd(env.rs.sync._retries['/foo/'].reason, 'timeout');
+          test.assert(env.rs.sync._retries['/bar/'], undefined);
+        }
+      },
+
+      {
+        desc: "a rejected request with 'timeout' counts as a timeout",
+        run: function(env, test) {
+          env.rs.caching._responses['/foo/'] = 'ALL';
+          env.rs.sync._tasks = { '/foo/': [] };
+          env.rs.sync.finishTask({
+            action: 'get',
+            path: '/foo/',
+            promise: Promise.reject('timeout')
+          }).then(function() {
+            test.assert(env.rs.sync._retries['/foo/'].reason, 'timeout');
+          });
+        }
+      },
+
+      {
+        desc: "paths that sync has given up on are not collected again until retried",
+        run: function(env, test) {
+          env.rs.sync._retries['/foo/bar'] = { attempts: 5, reason: 'server-error', gaveUp: true };
+          env.rs.local.setNodes({
+            '/foo/bar': {
+              path: '/foo/bar',
+              common: { body: 'a', contentType: 'text/plain', revision: '1' },
+              local: { body: 'b', contentType: 'text/plain' }
+            }
+          }).then(function() {
+            return env.rs.sync.collectDiffTasks();
+          }).then(function(num) {
+            test.assertAnd(num, 0);
+            test.assertAnd(env.rs.sync._tasks, {});
+
+            env.rs.sync.doTasks = function() {};
+            env.rs.sync.retry();
+            test.assertAnd(env.rs.sync._retries, {});
+            test.assert(env.rs.sync._tasks, { '/foo/bar': [] });
+          });
+        }
+      },
+
+      {
+        desc: "collectDiffTasks enqueues all nodes with pending changes, not just the first 100",
+        run: function(env, test) {
+          var nodes = {};
+          for (var i = 0; i < 150; i++) {
+            nodes['/foo/' + i] = {
+              path: '/foo/' + i,
+              common: { timestamp: 1234567890123 },
+              local: { body: 'asdf', contentType: 'qwer', timestamp: 1234567891000 }
+            };
+          }
+
+          env.rs.local.setNodes(nodes).then(function() {
+            return env.rs.sync.collectDiffTasks();
+          }).then(function(num) {
+            test.assertAnd(num, 150);
+            test.assert(Object.keys(env.rs.sync._tasks).length, 150);
+          });
+        }
+      },
+
       {
         desc: "collectDiffTasks will not enqueue requests outside the access scope",
         run: function(env, test) {
@@ -494,11 +1194,10 @@ define(['bluebird', 'test/helpers/mocks', 'requirejs'], function(Promise, mocks,
               local: { body: 'asdf', contentType: 'qwer', timestamp: 1234567891000 }
             }
           }).then(function() {
-            env.rs.sync.collectDiffTasks();
+            return env.rs.sync.collectDiffTasks();
+          }).then(function() {
             test.assertAnd(env.rs.sync._tasks, {'/foo/bar': []});
-            //env.rs.sync.on('done', function() {
             test.done();
-            //});
           });
         }
       },
@@ -714,6 +1413,109 @@ define(['bluebird', 'test/helpers/mocks', 'requirejs'], function(Promise, mocks,
         }
       },
 
+      {
+        desc: "completePush emits pending-changes on the local store",
+        run: function(env, test) {
+          env.rs.caching._responses['/foo/bar'] = 'ALL';
+          env.rs.local.on('pending-changes', function(paths) {
+            test.assert(paths, ['/foo/bar']);
+          });
+
+          env.rs.local.setNodes({
+            '/foo/bar': {
+              path: '/foo/bar',
+              local: { body: 'bla', contentType: 'text/plain' },
+              push: { body: 'bla', contentType: 'text/plain' }
+            }
+          }).then(function() {
+            return env.rs.sync.completePush('/foo/bar', 'put', false, '12345');
+          });
+        }
+      },
+
+      {
+        desc: "local.pushNow pushes a pending change and fulfills once it is synced",
+        run: function(env, test) {
+          env.rs.caching._responses['/foo/'] = 'ALL';
+          env.rs.caching._responses['/foo/bar'] = 'ALL';
+          env.rs.remote._responses[['put', '/foo/bar', 'bla', 'text/plain', {}]] =
+            {statusCode: 200, revision: '123'};
+
+          env.rs.local.put('/foo/bar', 'bla', 'text/plain').then(function() {
+            return env.rs.local.pushNow('/foo/bar');
+          }).then(function() {
+            test.assertAnd(env.rs.remote._puts.length, 1);
+            return env.rs.local.getPendingChanges();
+          }).then(function(changes) {
+            test.assert(changes, []);
+          });
+        }
+      },
+
+      {
+        desc: "local.pushNow rejects when sync gives up on the change",
+        run: function(env, test) {
+          env.rs.caching._responses['/foo/'] = 'ALL';
+          env.rs.caching._responses['/foo/bar'] = 'ALL';
+          env.rs.remote._responses[['put', '/foo/bar', 'bla', 'text/plain', {}]] = {statusCode: 500};
+          env.rs.sync.maxAttempts = 1;
+
+          env.rs.local.put('/foo/bar', 'bla', 'text/plain').then(function() {
+            return env.rs.local.pushNow('/foo/bar');
+          }).then(function() {
+            test.result(false, 'pushNow should have failed');
+          }, function(err) {
+            test.assertAnd(err instanceof RemoteStorage.SyncError, true);
+            test.assert(env.rs.sync.hasGivenUp('/foo/bar'), true);
+          });
+        }
+      },
+
+      {
+        desc: "local.pushNow rejects when sync is stopped",
+        run: function(env, test) {
+          env.rs.caching._responses['/foo/'] = 'ALL';
+          env.rs.caching._responses['/foo/bar'] = 'ALL';
+          env.rs.remote.put = function(path, body, contentType, options) {
+            return new Promise(function(resolve, reject) {
+              options.abortHandle._onAbort(function() {
+                reject('aborted');
+              });
+            });
+          };
+
+          env.rs.local.put('/foo/bar', 'bla', 'text/plain').then(function() {
+            var pushed = env.rs.local.pushNow('/foo/bar');
+            setTimeout(function() {
+              env.rs.stopSync();
+            }, 10);
+            return pushed;
+          }).then(function() {
+            test.result(false, 'pushNow should have failed');
+          }, function(err) {
+            test.assertAnd(err instanceof RemoteStorage.SyncError, true);
+            return env.rs.local.pushNow('/foo/bar').then(function() {
+              test.result(false, 'pushNow should have failed');
+            }, function() {
+              test.done();
+            });
+          });
+        }
+      },
+
+      {
+        desc: "local.pushNow rejects when the remote is not connected",
+        run: function(env, test) {
+          env.rs.remote.connected = false;
+
+          env.rs.local.pushNow('/foo/bar').then(function() {
+            test.result(false, 'pushNow should have failed');
+          }, function() {
+            test.assert(env.rs.sync._tasks, {});
+          });
+        }
+      },
+
       {
         desc: "fetching a new document deletes the local itemsMap from parent folder when there are no other pending changes",
         run: function(env, test) {
@@ -952,6 +1754,23 @@ define(['bluebird', 'test/helpers/mocks', 'requirejs'], function(Promise, mocks,
         }
       },
 
+      {
+        desc: "handleResponse emits InvalidKeyError for documents that could not be decrypted",
+        run: function(env, test) {
+          RemoteStorage.InvalidKeyError = function(path) { this.path = path; };
+          env.rs.on('error', function(err) {
+            test.assertAnd(err instanceof RemoteStorage.InvalidKeyError, true);
+            test.assertAnd(err.path, '/foo/bar');
+          });
+          env.rs.sync.handleResponse('/foo/bar', 'get', {statusCode: 'invalid-key'}).then(function() {
+            test.result(false);
+          }, function(error) {
+            test.assertAnd(error instanceof RemoteStorage.InvalidKeyError, true);
+            test.assert(env.rs.remote.online, true);
+          });
+        }
+      },
+
       {
         desc: "deleteRemoteTrees returns a promise",
         run: function(env, test) {
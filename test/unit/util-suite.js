@@ -147,6 +147,56 @@ define(['bluebird', 'requirejs'], function (Promise, requirejs) {
         }
       },
 
+      {
+        desc: "settingsKey",
+        run: function(env, test) {
+          var settingsKey = RemoteStorage.util.settingsKey;
+
+          test.assertAnd(settingsKey('remotestorage:wireclient'), 'remotestorage:wireclient');
+          test.assert(settingsKey('remotestorage:wireclient', 'work'), 'remotestorage:wireclient@work');
+        }
+      },
+
+      {
+        desc: "isCorruptRevision",
+        run: function(env, test) {
+          var util = RemoteStorage.util;
+
+          test.assertAnd(util.isCorruptRevision({ revision: '123', body: 'foo', timestamp: 1234 }), false);
+          test.assertAnd(util.isCorruptRevision({ itemsMap: { 'foo': true, 'bar/': false } }), false);
+          test.assertAnd(util.isCorruptRevision(undefined), true);
+          test.assertAnd(util.isCorruptRevision(null), true);
+          test.assertAnd(util.isCorruptRevision([]), true);
+          test.assertAnd(util.isCorruptRevision({ revision: 123 }), true);
+          test.assertAnd(util.isCorruptRevision({ itemsMap: ['foo'] }), true);
+          test.assert(util.isCorruptRevision({ itemsMap: { 'foo': 'yes' } }), true);
+        }
+      },
+
+      {
+        desc: "toBytes",
+        run: function(env, test) {
+          var toBytes = RemoteStorage.util.toBytes;
+          var bytes = new Uint8Array([1, 2, 3, 4]);
+
+          test.assertAnd(toBytes(bytes.buffer), bytes);
+          test.assertAnd(toBytes(bytes.subarray(1, 3)), new Uint8Array([2, 3]));
+          test.assert(toBytes('abc'), undefined);
+        }
+      },
+
+      {
+        desc: "toBase64 and fromBase64",
+        run: function(env, test) {
+          var util = RemoteStorage.util;
+          var bytes = new Uint8Array([0, 1, 2, 250, 251, 252]);
+
+          test.assertAnd(util.toBase64(bytes.subarray(3)), '+vv8');
+          test.assertAnd(util.fromBase64('+vv8'), new Uint8Array([250, 251, 252]));
+          test.assert(util.fromBase64(util.toBase64(bytes)), bytes);
+        }
+      },
+
       {
         desc: "md5sum",
         run: function (env, test) {
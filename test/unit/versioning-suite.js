@@ -2,7 +2,7 @@ if (typeof(define) !== 'function') {
   var define = require('amdefine');
 }
 
-define(['bluebird', 'requirejs', 'test/helpers/mocks'], function (Promise, requirejs, mocks) {
+define(['bluebird', 'requirejs', 'test/helpers/mocks', 'tv4'], function (Promise, requirejs, mocks, tv4) {
   global.Promise = Promise;
   var suites = [];
 
@@ -15,6 +15,38 @@ define(['bluebird', 'requirejs', 'test/helpers/mocks'], function (Promise, requi
     return flat;
   }
 
+  function conflictingNodes(lastModified) {
+    return {
+      '/foo/': {
+        path: '/foo/',
+        common: { itemsMap: { 'doc': true }, revision: 'dir-rev' }
+      },
+      '/foo/doc': {
+        path: '/foo/doc',
+        common: { body: 'bloo', contentType: 'text/plain', revision: '123' },
+        local: { body: 'blooz', contentType: 'text/plain', lastModified: lastModified }
+      }
+    };
+  }
+
+  function conflictingObjects(common, local) {
+    return {
+      '/foo/': {
+        path: '/foo/',
+        common: { itemsMap: { 'obj': true }, revision: 'dir-rev' }
+      },
+      '/foo/obj': {
+        path: '/foo/obj',
+        common: { body: JSON.stringify(common), contentType: 'application/json; charset=UTF-8', revision: '123' },
+        local: { body: JSON.stringify(local), contentType: 'application/json; charset=UTF-8' }
+      }
+    };
+  }
+
+  function incomingObject(remote) {
+    return {statusCode: 200, body: JSON.stringify(remote), contentType: 'application/json; charset=UTF-8', revision: '456'};
+  }
+
   suites.push({
     name: "Versioning Suite",
     desc: "testing how sync deals with revisions and conflicts",
@@ -56,6 +88,13 @@ define(['bluebird', 'requirejs', 'test/helpers/mocks'], function (Promise, requi
         global.rs_ims = RemoteStorage.InMemoryStorage;
       }
 
+      require('./src/wireclient.js');
+      if (global.rs_wireclient) {
+        RemoteStorage.WireClient = global.rs_wireclient;
+      } else {
+        global.rs_wireclient = RemoteStorage.WireClient;
+      }
+
       require('src/sync.js');
       if (global.rs_sync) {
         RemoteStorage.Sync = global.rs_sync;
@@ -735,6 +774,279 @@ define(['bluebird', 'requirejs', 'test/helpers/mocks'], function (Promise, requi
         }
       },
 
+      {
+        desc: "a changed incoming document keeps local changes on top of the remote revision with 'local-wins'",
+        run: function(env, test) {
+          env.rs.caching._responses = { '/foo/': 'SEEN', '/foo/doc': 'SEEN' };
+          env.rs.sync.conflictResolvers = { '/foo/': 'local-wins' };
+          env.rs.local.setNodes(conflictingNodes()).then(function() {
+            return env.rs.sync.handleResponse('/foo/doc', 'get', {statusCode: 200, body: 'something else', contentType: 'text/plain', revision: '456'});
+          }).then(function() {
+            return env.rs.local.getNodes(['/foo/doc']);
+          }).then(function(objs) {
+            var node = objs['/foo/doc'];
+            test.assertAnd(node.common.body, 'something else');
+            test.assertAnd(node.common.revision, '456');
+            test.assertAnd(node.local, { body: 'blooz', contentType: 'text/plain' });
+            test.assertAnd(node.remote, undefined);
+
+            env.rs.remote._responses[['put', '/foo/doc', 'blooz', 'text/plain', { ifMatch: '456' }]] =
+              {statusCode: 200, revision: '789'};
+            return env.rs.sync.doTask('/foo/doc');
+          }).then(function(task) {
+            test.assertAnd(task.action, 'put');
+            test.assertAnd(env.rs.remote._puts[0][3], { ifMatch: '456' });
+            test.assert(env.rs.remote._puts[0].slice(0, 3), ['/foo/doc', 'blooz', 'text/plain']);
+          });
+        }
+      },
+
+      {
+        desc: "a custom conflict resolver receives all versions and its result is kept as a local change",
+        run: function(env, test) {
+          env.rs.caching._responses = { '/foo/': 'SEEN', '/foo/doc': 'SEEN' };
+          env.rs.sync.conflictResolvers = {
+            '/foo/doc': function(conflict) {
+              test.assertAnd(conflict.path, '/foo/doc');
+              test.assertAnd(conflict.local.body, 'blooz');
+              test.assertAnd(conflict.remote.body, 'something else');
+              test.assertAnd(conflict.remote.revision, '456');
+              test.assertAnd(conflict.common.body, 'bloo');
+              return Promise.resolve(conflict.local.body + ' ' + conflict.remote.body);
+            }
+          };
+
+          env.rs.local.on('change', function(event) {
+            test.assertAnd(event.origin, 'conflict');
+            test.assertAnd(event.oldValue, 'blooz');
+            test.assertAnd(event.newValue, 'blooz something else');
+          });
+
+          env.rs.local.setNodes(conflictingNodes()).then(function() {
+            return env.rs.sync.handleResponse('/foo/doc', 'get', {statusCode: 200, body: 'something else', contentType: 'text/plain', revision: '456'});
+          }).then(function() {
+            return env.rs.local.getNodes(['/foo/doc']);
+          }).then(function(objs) {
+            test.assertAnd(objs['/foo/doc'].common.revision, '456');
+            test.assert(objs['/foo/doc'].local.body, 'blooz something else');
+          });
+        }
+      },
+
+      {
+        desc: "a custom conflict resolver returning undefined lets the remote version win",
+        run: function(env, test) {
+          env.rs.caching._responses = { '/foo/': 'SEEN', '/foo/doc': 'SEEN' };
+          env.rs.sync.conflictResolvers = {
+            '/foo/': function() {}
+          };
+          env.rs.local.setNodes(conflictingNodes()).then(function() {
+            return env.rs.sync.handleResponse('/foo/doc', 'get', {statusCode: 200, body: 'something else', contentType: 'text/plain', revision: '456'});
+          }).then(function() {
+            return env.rs.local.getNodes(['/foo/doc']);
+          }).then(function(objs) {
+            test.assertAnd(objs['/foo/doc'].common.body, 'something else');
+            test.assert(objs['/foo/doc'].local, undefined);
+          });
+        }
+      },
+
+      {
+        desc: "'last-timestamp-wins' keeps the local version if it was modified after the remote one",
+        run: function(env, test) {
+          env.rs.caching._responses = { '/foo/': 'SEEN', '/foo/doc': 'SEEN' };
+          env.rs.sync.conflictResolvers = { '/foo/': 'last-timestamp-wins' };
+          env.rs.local.setNodes(conflictingNodes(1400000000000)).then(function() {
+            return env.rs.sync.handleResponse('/foo/doc', 'get', {statusCode: 200, body: 'older', contentType: 'text/plain', revision: '456', lastModified: 1300000000000});
+          }).then(function() {
+            return env.rs.local.getNodes(['/foo/doc']);
+          }).then(function(objs) {
+            test.assertAnd(objs['/foo/doc'].common.body, 'older');
+            test.assert(objs['/foo/doc'].local.body, 'blooz');
+          });
+        }
+      },
+
+      {
+        desc: "'last-timestamp-wins' keeps the remote version if it was modified later or at an unknown time",
+        run: function(env, test) {
+          env.rs.caching._responses = { '/foo/': 'SEEN', '/foo/doc': 'SEEN' };
+          env.rs.sync.conflictResolvers = { '/foo/': 'last-timestamp-wins' };
+          env.rs.local.setNodes(conflictingNodes(1400000000000)).then(function() {
+            return env.rs.sync.handleResponse('/foo/doc', 'get', {statusCode: 200, body: 'newer', contentType: 'text/plain', revision: '456', lastModified: 1500000000000});
+          }).then(function() {
+            return env.rs.local.getNodes(['/foo/doc']);
+          }).then(function(objs) {
+            test.assertAnd(objs['/foo/doc'].common.body, 'newer');
+            test.assertAnd(objs['/foo/doc'].local, undefined);
+            return env.rs.local.setNodes(conflictingNodes(1400000000000));
+          }).then(function() {
+            return env.rs.sync.handleResponse('/foo/doc', 'get', {statusCode: 200, body: 'undated', contentType: 'text/plain', revision: '456'});
+          }).then(function() {
+            return env.rs.local.getNodes(['/foo/doc']);
+          }).then(function(objs) {
+            test.assertAnd(objs['/foo/doc'].common.body, 'undated');
+            test.assert(objs['/foo/doc'].local, undefined);
+          });
+        }
+      },
+
+      {
+        desc: "local changes that lose a conflict are kept in the history if enabled",
+        run: function(env, test) {
+          env.rs.caching._responses = { '/foo/': 'SEEN', '/foo/doc': 'SEEN' };
+          env.rs.sync.conflictResolvers = { '/foo/': 'remote-wins' };
+          env.rs.local.onHistoryDepth(function(path) {
+            return path.indexOf('/foo/') === 0 ? 5 : 0;
+          });
+          env.rs.local.setNodes(conflictingNodes(1400000000000)).then(function() {
+            return env.rs.sync.handleResponse('/foo/doc', 'get', {statusCode: 200, body: 'something else', contentType: 'text/plain', revision: '456'});
+          }).then(function() {
+            return env.rs.local.getHistory('/foo/doc');
+          }).then(function(history) {
+            test.assertAnd(history.length, 2);
+            test.assertAnd(history[0], {
+              revision: 'local-1400000000000',
+              timestamp: 1400000000000,
+              body: 'blooz',
+              contentType: 'text/plain'
+            });
+            test.assertAnd(history[1].revision, '123');
+            test.assert(history[1].body, 'bloo');
+          });
+        }
+      },
+
+      {
+        desc: "incoming changes replace the common version without history by default",
+        run: function(env, test) {
+          env.rs.caching._responses = { '/foo/': 'SEEN', '/foo/doc': 'SEEN' };
+          env.rs.local.setNodes({
+            '/foo/doc': {
+              path: '/foo/doc',
+              common: { body: 'bloo', contentType: 'text/plain', revision: '123' }
+            }
+          }).then(function() {
+            return env.rs.sync.handleResponse('/foo/doc', 'get', {statusCode: 200, body: 'something else', contentType: 'text/plain', revision: '456'});
+          }).then(function() {
+            return env.rs.local.getNodes(['/foo/doc']);
+          }).then(function(objs) {
+            test.assertAnd(objs['/foo/doc'].common.body, 'something else');
+            test.assert(objs['/foo/doc'].history, undefined);
+          });
+        }
+      },
+
+      {
+        desc: "an incoming deletion keeps local changes with 'local-wins'",
+        run: function(env, test) {
+          env.rs.caching._responses = { '/foo/': 'SEEN', '/foo/doc': 'SEEN' };
+          env.rs.sync.conflictResolvers = { '/foo/': 'local-wins' };
+          env.rs.local.setNodes(conflictingNodes()).then(function() {
+            return env.rs.sync.deleteRemoteTrees(['/foo/doc'], {});
+          }).then(function() {
+            return env.rs.local.getNodes(['/foo/doc']);
+          }).then(function(objs) {
+            test.assertAnd(objs['/foo/doc'].common, {});
+            test.assert(objs['/foo/doc'].local, { body: 'blooz', contentType: 'text/plain' });
+          });
+        }
+      },
+
+      {
+        desc: "changes to different properties of a JSON document are merged and kept on top of the remote revision",
+        run: function(env, test) {
+          env.rs.caching._responses = { '/foo/': 'SEEN', '/foo/obj': 'SEEN' };
+
+          env.rs.local.on('change', function(event) {
+            test.assertAnd(event.origin, 'remote');
+            test.assertAnd(JSON.parse(event.newValue), { a: 2, b: 2 });
+          });
+
+          env.rs.local.setNodes(conflictingObjects({ a: 1, b: 1 }, { a: 2, b: 1 })).then(function() {
+            return env.rs.sync.handleResponse('/foo/obj', 'get', incomingObject({ a: 1, b: 2 }));
+          }).then(function() {
+            return env.rs.local.getNodes(['/foo/obj']);
+          }).then(function(objs) {
+            var node = objs['/foo/obj'];
+            test.assertAnd(node.common.revision, '456');
+            test.assertAnd(JSON.parse(node.common.body), { a: 1, b: 2 });
+            test.assertAnd(node.local.contentType, 'application/json; charset=UTF-8');
+            test.assert(JSON.parse(node.local.body), { a: 2, b: 2 });
+          });
+        }
+      },
+
+      {
+        desc: "the JSON merge recurses into nested objects and keeps deletions",
+        run: function(env, test) {
+          env.rs.caching._responses = { '/foo/': 'SEEN', '/foo/obj': 'SEEN' };
+          var common = { x: { y: 1, z: 1 }, list: [1], gone: true };
+          var local  = { x: { y: 2, z: 1 }, list: [1] };
+          var remote = { x: { y: 1, z: 2 }, list: [1, 2], gone: true, added: 'yes' };
+
+          env.rs.local.setNodes(conflictingObjects(common, local)).then(function() {
+            return env.rs.sync.handleResponse('/foo/obj', 'get', incomingObject(remote));
+          }).then(function() {
+            return env.rs.local.getNodes(['/foo/obj']);
+          }).then(function(objs) {
+            test.assert(JSON.parse(objs['/foo/obj'].local.body),
+                        { x: { y: 2, z: 2 }, list: [1, 2], added: 'yes' });
+          });
+        }
+      },
+
+      {
+        desc: "properties changed on both sides of a JSON document are a conflict, which the remote version wins",
+        run: function(env, test) {
+          env.rs.caching._responses = { '/foo/': 'SEEN', '/foo/obj': 'SEEN' };
+
+          env.rs.local.on('change', function(event) {
+            test.assertAnd(event.origin, 'conflict');
+            test.assertAnd(JSON.parse(event.oldValue), { a: 2, b: 2 });
+            test.assertAnd(JSON.parse(event.newValue), { a: 2, b: 3 });
+            test.assertAnd(JSON.parse(event.lastCommonValue), { a: 1, b: 1 });
+          });
+
+          env.rs.local.setNodes(conflictingObjects({ a: 1, b: 1 }, { a: 2, b: 2 })).then(function() {
+            return env.rs.sync.handleResponse('/foo/obj', 'get', incomingObject({ a: 1, b: 3 }));
+          }).then(function() {
+            return env.rs.local.getNodes(['/foo/obj']);
+          }).then(function(objs) {
+            test.assert(JSON.parse(objs['/foo/obj'].local.body), { a: 2, b: 3 });
+          });
+        }
+      },
+
+      {
+        desc: "the remote version wins if the merged JSON document doesn't validate against its schema",
+        run: function(env, test) {
+          env.rs.caching._responses = { '/foo/': 'SEEN', '/foo/obj': 'SEEN' };
+          global.tv4 = tv4;
+          RemoteStorage.BaseClient = {
+            Types: {
+              getSchema: function(uri) {
+                if (uri === 'http://example.com/either') {
+                  return { type: 'object', not: { required: ['a', 'b'] } };
+                }
+              }
+            }
+          };
+          var context = 'http://example.com/either';
+
+          env.rs.local.setNodes(conflictingObjects({ '@context': context },
+                                                   { '@context': context, a: 1 })).then(function() {
+            return env.rs.sync.handleResponse('/foo/obj', 'get', incomingObject({ '@context': context, b: 1 }));
+          }).then(function() {
+            return env.rs.local.getNodes(['/foo/obj']);
+          }).then(function(objs) {
+            delete RemoteStorage.BaseClient;
+            test.assertAnd(JSON.parse(objs['/foo/obj'].common.body), { '@context': context, b: 1 });
+            test.assert(objs['/foo/obj'].local, undefined);
+          });
+        }
+      },
+
       {
         desc: "a 304 response to a folder GET updates the common timestamp if the ETags match",
         run: function(env, test) {
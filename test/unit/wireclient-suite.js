@@ -491,6 +491,42 @@ define(['bluebird', 'requirejs', 'test/behavior/backend', 'test/helpers/mocks'],
         }
       },
 
+      {
+        desc: "#get extracts the Last-Modified header as a timestamp",
+        run: function(env, test) {
+          env.connectedClient.get('/foo/bar').
+            then(function (r) {
+              test.assertAnd(r.statusCode, 200);
+              test.assert(r.lastModified, 1445412480000);
+            });
+
+          var req = XMLHttpRequest.instances.shift();
+          req._responseHeaders['Content-Type'] = 'text/plain; charset=UTF-8';
+          req._responseHeaders['Last-Modified'] = 'Wed, 21 Oct 2015 07:28:00 GMT';
+          req.status = 200;
+          req.response = new ArrayBufferMock('response-body');
+          req._onload();
+        }
+      },
+
+      {
+        desc: "#get extracts the Retry-After header of 429 responses in milliseconds",
+        run: function(env, test) {
+          env.connectedClient.get('/foo/bar').
+            then(function (r) {
+              test.assertAnd(r.statusCode, 429);
+              test.assert(r.retryAfter, 120000);
+            });
+
+          var req = XMLHttpRequest.instances.shift();
+          req._responseHeaders['Content-Type'] = 'text/plain; charset=UTF-8';
+          req._responseHeaders['Retry-After'] = '120';
+          req.status = 429;
+          req.response = new ArrayBufferMock('Too Many Requests');
+          req._onload();
+        }
+      },
+
       {
         desc: "#get does not unpack JSON responses",
         run: function(env, test) {
@@ -711,6 +747,70 @@ define(['bluebird', 'requirejs', 'test/behavior/backend', 'test/helpers/mocks'],
         }
       },
 
+      {
+        desc: "requests are rejected with 'timeout' after the time given in the timeout option",
+        run: function(env, test) {
+          RemoteStorage.WireClient.REQUEST_TIMEOUT = 10000;
+          env.connectedClient.get('/foo', { timeout: 20 }).then(function() {
+            test.result(false);
+          }, function (error) {
+            test.assert(error, 'timeout');
+          });
+        }
+      },
+
+      {
+        desc: "requests are aborted through their abort handle",
+        run: function(env, test) {
+          var handle = new RemoteStorage.WireClient.AbortHandle();
+          var aborted = 0;
+          XMLHttpRequest.prototype.abort = function() { aborted++; };
+
+          env.connectedClient.put('/foo/bar', 'body', 'text/plain', { abortHandle: handle }).then(function() {
+            test.result(false);
+          }, function (error) {
+            test.assertAnd(error, 'aborted');
+            test.assertAnd(aborted, 1);
+            test.assertAnd(handle._listeners, []);
+            // a late response is ignored
+            req._onload();
+            test.done();
+          });
+          var req = XMLHttpRequest.instances.shift();
+          handle.abort();
+        }
+      },
+
+      {
+        desc: "requests made with an aborted handle are rejected without being sent",
+        run: function(env, test) {
+          var handle = new RemoteStorage.WireClient.AbortHandle();
+          handle.abort();
+          env.connectedClient.get('/foo', { abortHandle: handle }).then(function() {
+            test.result(false);
+          }, function (error) {
+            test.assertAnd(error, 'aborted');
+            test.assert(XMLHttpRequest.instances, []);
+          });
+        }
+      },
+
+      {
+        desc: "requests that complete stop listening to their abort handle",
+        run: function(env, test) {
+          var handle = new RemoteStorage.WireClient.AbortHandle();
+          env.connectedClient.delete('/foo', { abortHandle: handle }).then(function(r) {
+            test.assertAnd(r.statusCode, 200);
+            test.assertAnd(handle._listeners, []);
+            handle.abort();
+            test.assert(handle.aborted, true);
+          });
+          var req = XMLHttpRequest.instances.shift();
+          req.status = 200;
+          req._onload();
+        }
+      },
+
       {
         desc: "responses with the charset set to 'binary' are left as the raw response",
         run: function(env, test) {
@@ -731,6 +831,51 @@ define(['bluebird', 'requirejs', 'test/behavior/backend', 'test/helpers/mocks'],
         }
       },
 
+      {
+        desc: "#get emits wire-progress events while the response is downloaded",
+        run: function(env, test) {
+          var events = [];
+          env.connectedClient.on('wire-progress', function(event) {
+            events.push(event);
+          });
+          env.connectedClient.get('/foo/bar').then(function() {
+            test.assert(events, [
+              { method: 'GET', path: '/foo/bar', direction: 'download', loaded: 5, total: 13 },
+              { method: 'GET', path: '/foo/bar', direction: 'download', loaded: 13, total: undefined }
+            ]);
+          });
+
+          var req = XMLHttpRequest.instances.shift();
+          req.onprogress({ lengthComputable: true, loaded: 5, total: 13 });
+          req.onprogress({ lengthComputable: false, loaded: 13, total: 0 });
+          req._responseHeaders['Content-Type'] = 'text/plain; charset=UTF-8';
+          req.status = 200;
+          req.response = new ArrayBufferMock('response-body');
+          req._onload();
+        }
+      },
+
+      {
+        desc: "#put emits wire-progress events while the body is uploaded",
+        run: function(env, test) {
+          XMLHttpRequest.prototype.upload = {};
+          var events = [];
+          env.connectedClient.on('wire-progress', function(event) {
+            events.push(event);
+          });
+          env.connectedClient.put('/foo/bar', 'body', 'text/plain', {}).then(function() {
+            test.assert(events, [
+              { method: 'PUT', path: '/foo/bar', direction: 'upload', loaded: 4, total: 4 }
+            ]);
+          });
+
+          var req = XMLHttpRequest.instances.shift();
+          req.upload.onprogress({ lengthComputable: true, loaded: 4, total: 4 });
+          req.status = 200;
+          req._onload();
+        }
+      },
+
       {
         desc: "PUTs of ArrayBuffers get a binary charset added",
         run: function(env, test) {